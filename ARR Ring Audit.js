@@ -507,7 +507,7 @@ function ARRRING_getOrCreateSheetCompat_(ss, name) {
 
 function ARRRING_lockWrapCompat_(lockName, fn) {
   if (typeof lockWrap === 'function') {
-    try { return lockWrap(lockName, fn) } catch (e) { return lockWrap(fn) }
+    return lockWrap(lockName, fn)
   }
   const lock = LockService.getScriptLock()
   const ok = lock.tryLock(300000)
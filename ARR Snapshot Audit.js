@@ -18,7 +18,7 @@ const ARR_SNAP_AUDIT_CFG = {
 }
 
 function render_arr_snapshot_audit() {
-  return lockWrapCompat_('render_arr_snapshot_audit', () => {
+  return lockWrap('render_arr_snapshot_audit', () => {
     const ss = SpreadsheetApp.getActive()
     const snap = ss.getSheetByName(ARR_SNAP_AUDIT_CFG.SNAP_SHEET)
     if (!snap) throw new Error(`Missing sheet: ${ARR_SNAP_AUDIT_CFG.SNAP_SHEET}`)
@@ -130,7 +130,7 @@ function render_arr_snapshot_audit() {
       })
     })
 
-    const out = getOrCreateSheetCompat_(ss, ARR_SNAP_AUDIT_CFG.OUT_SHEET)
+    const out = getOrCreateSheet(ss, ARR_SNAP_AUDIT_CFG.OUT_SHEET)
     out.clear()
 
     const summaryHeader = [
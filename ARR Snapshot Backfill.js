@@ -30,14 +30,14 @@ const ARR_BACKFILL_CFG = {
 }
 
 function write_arr_snapshot_backfill_last_6_months() {
-  lockWrapCompat_('write_arr_snapshot_backfill_last_6_months', () => {
+  lockWrap('write_arr_snapshot_backfill_last_6_months', () => {
     const t0 = new Date()
     const ss = SpreadsheetApp.getActive()
 
     const src = ss.getSheetByName(ARR_BACKFILL_CFG.SOURCE_SHEET)
     if (!src) throw new Error(`Source sheet not found: ${ARR_BACKFILL_CFG.SOURCE_SHEET}`)
 
-    const snap = getOrCreateSheetCompat_(ss, ARR_BACKFILL_CFG.SNAP_SHEET)
+    const snap = getOrCreateSheet(ss, ARR_BACKFILL_CFG.SNAP_SHEET)
     const snapshotDates = ARR_backfill_monthStartDates_(ARR_BACKFILL_CFG.MONTHS_BACKFILL)
     if (!snapshotDates.length) {
       Logger.log('No snapshot dates to backfill. Skipping.')
@@ -144,7 +144,7 @@ function write_arr_snapshot_backfill_last_6_months() {
     }
 
     const startRow = snap.getLastRow() + 1
-    batchSetValuesCompat_(snap, startRow, 1, out, ARR_BACKFILL_CFG.WRITE_CHUNK)
+    batchSetValues(snap, startRow, 1, out, ARR_BACKFILL_CFG.WRITE_CHUNK)
     if (typeof ARR_snap_applyCohortFormat_ === 'function') {
       ARR_snap_applyCohortFormat_(snap)
     }
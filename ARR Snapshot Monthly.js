@@ -8,9 +8,7 @@
  * - contiguousHeaderWidth_
  * - ensureSnapshotHeaders_
  * - buildExistingSnapshotKeySetGeneric_
- * - getOrCreateSheetCompat_
- * - batchSetValuesCompat_
- * - lockWrapCompat_
+ * - getOrCreateSheet / batchSetValues / lockWrap (Shared Utilities)
  **************************************************************/
 
 const ARR_SNAP_CFG = {
@@ -41,14 +39,14 @@ function write_arr_snapshot() {
 }
 
 function write_arr_snapshot_monthly() {
-  lockWrapCompat_('write_arr_snapshot_monthly', () => {
+  lockWrap('write_arr_snapshot_monthly', () => {
     const t0 = new Date()
     const ss = SpreadsheetApp.getActive()
 
     const src = ss.getSheetByName(ARR_SNAP_CFG.SOURCE_SHEET)
     if (!src) throw new Error(`Source sheet not found: ${ARR_SNAP_CFG.SOURCE_SHEET}`)
 
-    const snap = getOrCreateSheetCompat_(ss, ARR_SNAP_CFG.SNAP_SHEET)
+    const snap = getOrCreateSheet(ss, ARR_SNAP_CFG.SNAP_SHEET)
     ARR_snap_pruneLatestIfNotMonthStart_(snap)
 
     const snapshotDate = ARR_snap_utcDateStr_(new Date())
@@ -147,7 +145,7 @@ function write_arr_snapshot_monthly() {
     }
 
     const startRow = snap.getLastRow() + 1
-    batchSetValuesCompat_(snap, startRow, 1, out, ARR_SNAP_CFG.WRITE_CHUNK)
+    batchSetValues(snap, startRow, 1, out, ARR_SNAP_CFG.WRITE_CHUNK)
     ARR_snap_applyCohortFormat_(snap)
 
     Logger.log(
@@ -11,6 +11,11 @@
  *   - org_email = earliest OWNER membership email (fallback to earliest admin, then earliest member)
  *   - stripe_email + subscription fields from raw_stripe_subscriptions
  *     joined via raw_clerk_users (stripe_subscription_id) + raw_clerk_memberships (org_id)
+ *   - total_arr from per-item MRR (raw_stripe_subscription_items, see
+ *     Stripe Subscription Items.js) net of the discounts active today
+ *     (raw_stripe_discounts, see Net MRR.js), in the reporting currency
+ *     (Currency Rates.js); "currency" + "total_arr_original" keep the
+ *     billed currency and amount
  *
  * Trial end date logic:
  * A) Standard: trial_start_date + 14 days
@@ -41,12 +46,12 @@ const ARR_RAW_CFG = {
     ORG_INFO: "org_info",
   },
 
-  // Trial standard length
-  TRIAL_DAYS: 14,
-
   // Adds a validation status column if missing
   VALIDATION_STATUS_HEADER: "status",
   SUBSCRIPTION_START_HEADER: "subscription_start_date",
+  // total_arr is in the reporting currency; these keep what Stripe bills
+  CURRENCY_HEADER: "currency",
+  ORIGINAL_ARR_HEADER: "total_arr_original",
 }
 
 function render_arr_raw_data_view() {
@@ -72,7 +77,12 @@ function render_arr_raw_data_view() {
     const header = ARR_ensureHeaderRow_(
       shOut,
       ARR_RAW_CFG.HEADER_ROW,
-      [ARR_RAW_CFG.VALIDATION_STATUS_HEADER, ARR_RAW_CFG.SUBSCRIPTION_START_HEADER]
+      [
+        ARR_RAW_CFG.VALIDATION_STATUS_HEADER,
+        ARR_RAW_CFG.SUBSCRIPTION_START_HEADER,
+        ARR_RAW_CFG.CURRENCY_HEADER,
+        ARR_RAW_CFG.ORIGINAL_ARR_HEADER,
+      ]
     )
     const headerMap = ARR_headerMapFromRow_(header)
 
@@ -93,7 +103,7 @@ function render_arr_raw_data_view() {
     const subIdsByOrgId = ARR_buildSubIdsByOrgId_(membershipsByOrgId, userByEmailKey, users)
 
     // orgId -> derived subscription rollup (earliest purchase, current status, etc.)
-    const subRollupByOrgId = ARR_buildOrgSubscriptionRollup_(subIdsByOrgId, stripeBySubId)
+    const subRollupByOrgId = ARR_buildOrgSubscriptionRollup_(subIdsByOrgId, stripeBySubId, NETMRR_context_(ss))
 
     // Now build output rows in the existing column order
     const outRows = []
@@ -181,6 +191,8 @@ function render_arr_raw_data_view() {
         acquisition_channel: "",
 
         total_arr: totalArr,
+        currency: roll.currency || "",
+        total_arr_original: ARR_num_(roll.total_arr_original),
         meeting_ass_arr: meetingAssArr,
         product_2_arr: 0,
         product_3_arr: 0,
@@ -222,7 +234,7 @@ function ARR_computeTrialEndIso_({ trialStartIso, subscriptions, trialDays }) {
   const ts = ARR_parseIsoDate_(trialStartIso)
   if (!ts) return ""
 
-  const standardEnd = new Date(ts.getTime() + Number(trialDays || 14) * 24 * 60 * 60 * 1000)
+  const standardEnd = new Date(ts.getTime() + Number(trialDays || CONFIG_get_('trial_days')) * 24 * 60 * 60 * 1000)
   const candidate = ARR_pickTrialExtensionSub_(subscriptions, ts, standardEnd)
 
   if (candidate) {
@@ -288,6 +300,8 @@ function ARR_emptyRollup_() {
     plan_name: "",
     billing_frequency: "",
     total_arr: 0,
+    total_arr_original: 0,
+    currency: "",
 
     discount_percent: "",
     discount_duration: "",
@@ -297,7 +311,7 @@ function ARR_emptyRollup_() {
   }
 }
 
-function ARR_buildOrgSubscriptionRollup_(subIdsByOrgId, stripeBySubId) {
+function ARR_buildOrgSubscriptionRollup_(subIdsByOrgId, stripeBySubId, netCtx) {
   const out = new Map()
 
   subIdsByOrgId.forEach((subIdSet, orgId) => {
@@ -351,14 +365,10 @@ function ARR_buildOrgSubscriptionRollup_(subIdsByOrgId, stripeBySubId) {
       bestForPlan.plan_name ||
       (billingFrequency ? `plan_${billingFrequency}_${intervalCount}` : "")
 
-    // ARR: prefer amount_yearly if present, else compute from amount+interval
-    let totalArr = 0
-    if (bestForPlan.amount_yearly != null && bestForPlan.amount_yearly !== "") {
-      totalArr = Number(bestForPlan.amount_yearly) || 0
-    } else {
-      const amt = Number(bestForPlan.amount) || 0
-      totalArr = (interval === "year") ? amt : (amt * 12)
-    }
+    // ARR: net MRR today x 12 (per-item list MRR less active discounts, see Net MRR.js),
+    // converted to the reporting currency at this month's rate
+    const net = NETMRR_forSubscription_(bestForPlan, netCtx, new Date())
+    const totalArr = net.reporting_mrr * 12
 
     // Stripe email
     const stripeEmail = String(bestForPlan.customer_email || "").trim()
@@ -382,6 +392,8 @@ function ARR_buildOrgSubscriptionRollup_(subIdsByOrgId, stripeBySubId) {
       plan_name: planName,
       billing_frequency: billingFrequency,
       total_arr: totalArr,
+      total_arr_original: net.net_mrr * 12,
+      currency: net.currency,
 
       discount_percent: discountPercent,
       discount_duration: discountDuration,
@@ -593,7 +605,7 @@ function ARR_applyArrRawFormats_(sheet, header, numRows) {
     sheet.getRange(ARR_RAW_CFG.DATA_START_ROW, col, numRows, 1).setNumberFormat("MMM yyyy")
   }
 
-  const numHeaders = ["total_arr", "meeting_ass_arr", "product_2_arr", "product_3_arr"]
+  const numHeaders = ["total_arr", "total_arr_original", "meeting_ass_arr", "product_2_arr", "product_3_arr"]
   numHeaders.forEach(h => {
     const idx = header.findIndex(k => String(k || "").trim().toLowerCase() === h)
     if (idx < 0) return
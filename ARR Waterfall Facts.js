@@ -35,14 +35,14 @@ const ARR_WATERFALL_CFG = {
 }
 
 function render_arr_waterfall_facts() {
-  lockWrapCompat_('render_arr_waterfall_facts', () => {
+  lockWrap('render_arr_waterfall_facts', () => {
     const t0 = new Date()
     const ss = SpreadsheetApp.getActive()
 
     const src = ss.getSheetByName(ARR_WATERFALL_CFG.SOURCE_SHEET)
     if (!src) throw new Error(`Source sheet not found: ${ARR_WATERFALL_CFG.SOURCE_SHEET}`)
 
-    const outSheet = getOrCreateSheetCompat_(ss, ARR_WATERFALL_CFG.OUT_SHEET)
+    const outSheet = getOrCreateSheet(ss, ARR_WATERFALL_CFG.OUT_SHEET)
 
     const lastCol = src.getLastColumn()
     if (lastCol < 1) throw new Error('arr_snapshot has no columns')
@@ -151,7 +151,7 @@ function render_arr_waterfall_facts() {
     ]])
 
     if (out.length) {
-      batchSetValuesCompat_(outSheet, 2, 1, out, ARR_WATERFALL_CFG.WRITE_CHUNK)
+      batchSetValues(outSheet, 2, 1, out, ARR_WATERFALL_CFG.WRITE_CHUNK)
     }
 
     outSheet.setFrozenRows(1)
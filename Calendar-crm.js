@@ -37,8 +37,7 @@
 
 const CALCRM_PROP_CALENDAR_ID = "CALENDAR_ID"
 
-// Past-only window
-const CALCRM_LOOKBACK_DAYS = 2
+// Past-only window: config "calcrm_lookback_days" (Config.js)
 
 // Limits
 const CALCRM_MAX_EVENTS_PER_RUN = 50
@@ -140,7 +139,7 @@ function calcrm_notion_calendar_import_from_camden() {
 
   // Past-only window
   const now = new Date()
-  const start = new Date(now.getTime() - CALCRM_LOOKBACK_DAYS * 24 * 60 * 60 * 1000)
+  const start = new Date(now.getTime() - CONFIG_get_('calcrm_lookback_days') * 24 * 60 * 60 * 1000)
   const end = now
 
   const events = cal.getEvents(start, end) || []
@@ -0,0 +1,372 @@
+/**************************************************************
+ * Clerk webhook (doPost route "clerk", see Dopost.js)
+ *
+ * Clerk endpoint URL: <web app url>?route=clerk
+ * Subscribed events: user.created / updated / deleted,
+ * session.created / ended / removed / revoked, organization.*,
+ * organizationMembership.*
+ *
+ * doPost verifies the Svix signature first (WEBHOOK_verifySvix_,
+ * signing secret "whsec_..." in Script Property CLERK_WEBHOOK_SECRET).
+ * Per event:
+ * - user.created / updated: upsert the raw_clerk_users row
+ *   (clerk_user_id); user.deleted soft-deletes it (deleted_at,
+ *   is_deleted) and the user's raw_clerk_memberships rows
+ * - session.*: upsert the raw_clerk_sessions row (session_id).
+ *   session.created also appends one login_events row with the
+ *   session's exact created_at (source "clerk_webhook", session_id so
+ *   a redelivery is not counted twice), then updates last_sign_in_at /
+ *   last_login_date / login_count on the user
+ * - organization.created / updated: upsert the raw_clerk_orgs row
+ *   (org_id); like the pull, an org nobody belongs to is not added.
+ *   organization.deleted soft-deletes it and its memberships
+ * - organizationMembership.*: upsert / remove the raw_clerk_memberships
+ *   row (org_id + clerk_user_id), then refresh members_count /
+ *   org_owner_user_id on the org and org_id / org_role on the user
+ *   (deleted orgs and users keep what they had)
+ *
+ * Rows come from the same builders as the pulls (clerkUserRow_,
+ * clerkOrgRow_, clerkMembershipRow_, clerkSessionRow_), so the nightly overwrite and
+ * the webhook agree column for column. Upserts are idempotent, so
+ * Svix redeliveries are harmless.
+ *
+ * Apps Script web apps do not see request headers: a relay has to
+ * copy svix-id / svix-timestamp / svix-signature into
+ * ?svix_id=&svix_timestamp=&svix_signature= (e.headers is used when
+ * the runtime provides it).
+ *
+ * Sheets:
+ * - raw_clerk_users / raw_clerk_orgs / raw_clerk_memberships,
+ *   raw_clerk_sessions, login_events
+ * - webhook_inbox / sync_log (every request, written by doPost;
+ *   root step "clerk_webhook")
+ **************************************************************/
+
+const CLERKWH_CFG = {
+  USER_UPSERT: ['user.created', 'user.updated'],
+  SESSION_UPSERT: ['session.ended', 'session.removed', 'session.revoked'],
+  ORG_UPSERT: ['organization.created', 'organization.updated'],
+  MEMBERSHIP_UPSERT: ['organizationMembership.created', 'organizationMembership.updated']
+}
+
+/* =========================
+ * Request handling
+ * ========================= */
+
+/**
+ * doPost handler for the "clerk" route (signature already verified):
+ * { ok, event_type, status (applied | ignored), object_id, rows_out }.
+ */
+function CLERKWH_handleEvent_(req) {
+  const event = req.parsed
+  const type = String(event.type || '')
+  const data = event.data
+  if (!type || !data || typeof data !== 'object') return { ok: false, error: 'Not a Clerk event' }
+
+  const at = clerkToIso_(event.timestamp) || new Date().toISOString()
+  const applied = lockWrap('clerk_webhook', () => {
+    // Membership indices are rebuilt from the sheet for every event
+    _CLERK_MEMBERSHIPS_CACHE = null
+    return CLERKWH_apply_(type, data, at)
+  })
+
+  return {
+    ok: true,
+    event_type: type,
+    status: applied.status,
+    object_id: strOrBlank(data.id),
+    rows_in: 1,
+    rows_out: applied.rows
+  }
+}
+
+/**
+ * Applies one event to the raw tabs -> { status, rows } (rows = rows
+ * written, removed or soft-deleted). at: event time (ISO), used as deleted_at.
+ */
+function CLERKWH_apply_(type, data, at) {
+  if (CLERKWH_CFG.USER_UPSERT.indexOf(type) >= 0) return CLERKWH_upsertUser_(data)
+  if (type === 'user.deleted') return CLERKWH_deleteUser_(strOrBlank(data.id), at)
+  if (type === 'session.created') return CLERKWH_recordLogin_(data)
+  if (CLERKWH_CFG.SESSION_UPSERT.indexOf(type) >= 0) return CLERKWH_upsertSession_(data)
+  if (CLERKWH_CFG.ORG_UPSERT.indexOf(type) >= 0) return CLERKWH_upsertOrg_(data)
+  if (type === 'organization.deleted') return CLERKWH_deleteOrg_(strOrBlank(data.id), at)
+  if (CLERKWH_CFG.MEMBERSHIP_UPSERT.indexOf(type) >= 0) return CLERKWH_upsertMembership_(data)
+  if (type === 'organizationMembership.deleted') return CLERKWH_deleteMembership_(data)
+  return { status: 'ignored', rows: 0 }
+}
+
+/* =========================
+ * Users + logins
+ * ========================= */
+
+function CLERKWH_upsertUser_(u) {
+  const userId = strOrBlank(u.id)
+  if (!userId) throw new Error('user event without id')
+
+  const ctx = {
+    loginCountsByUserId: clerkBuildLoginCountsByUserId_(),
+    membershipByUserId: clerkBuildUserMembershipIndex_(CLERKWH_sheetMemberships_()),
+    tz: Session.getScriptTimeZone()
+  }
+  const users = CLERKWH_table_(CLERK_CFG.RAW.USERS, CLERK_CFG.HEADERS.USERS)
+  CLERKWH_upsertRow_(users, r => users.get(r, 'clerk_user_id') === userId, clerkUserRow_(u, ctx))
+  return { status: 'applied', rows: 1 }
+}
+
+function CLERKWH_deleteUser_(userId, at) {
+  if (!userId) throw new Error('user.deleted without id')
+
+  const users = CLERKWH_table_(CLERK_CFG.RAW.USERS, CLERK_CFG.HEADERS.USERS)
+  const mems = CLERKWH_table_(CLERK_CFG.RAW.MEMBERSHIPS, CLERK_CFG.HEADERS.MEMBERSHIPS)
+  const orgIds = mems.rows
+    .filter(r => mems.get(r, 'clerk_user_id') === userId)
+    .map(r => mems.get(r, 'org_id'))
+
+  const deleted =
+    CLERKWH_softDelete_(users, r => users.get(r, 'clerk_user_id') === userId, at) +
+    CLERKWH_softDelete_(mems, r => mems.get(r, 'clerk_user_id') === userId, at)
+
+  orgIds.forEach(orgId => CLERKWH_refreshOrg_(orgId, null))
+  return { status: 'applied', rows: deleted }
+}
+
+/**
+ * session.created -> the raw_clerk_sessions row + one login_events row at
+ * the session's created_at. A session already recorded (redelivery) is
+ * not appended again.
+ */
+function CLERKWH_recordLogin_(session) {
+  const sessionId = strOrBlank(session.id)
+  const userId = strOrBlank(session.user_id)
+  const at = clerkToDate_(session.created_at)
+  if (!userId || !at) throw new Error('session.created without user_id or created_at')
+
+  if (sessionId) CLERKWH_upsertSession_(session)
+  const events = CLERKWH_table_(CLERK_CFG.LOGIN.EVENTS_TAB, CLERK_CFG.LOGIN.HEADERS)
+  if (sessionId && events.rows.some(r => events.get(r, 'session_id') === sessionId)) {
+    return { status: 'ignored', rows: 0 }
+  }
+
+  const tz = Session.getScriptTimeZone()
+  const users = CLERKWH_table_(CLERK_CFG.RAW.USERS, CLERK_CFG.HEADERS.USERS)
+  const userRow = users.rows.find(r => users.get(r, 'clerk_user_id') === userId)
+
+  events.sh.appendRow([
+    userId,
+    userRow ? users.get(userRow, 'email') : '',
+    Utilities.formatDate(at, tz, CLERK_CFG.LOGIN.TIME_FMT),
+    Utilities.formatDate(at, tz, CLERK_CFG.LOGIN.DATE_FMT),
+    CLERK_CFG.LOGIN.WEBHOOK_SOURCE,
+    sessionId
+  ])
+
+  if (userRow) {
+    const prev = clerkToDate_(users.get(userRow, 'last_sign_in_at'))
+    const values = { login_count: clerkBuildLoginCountsByUserId_().get(userId) || 0 }
+    if (!prev || at.getTime() >= prev.getTime()) {
+      values.last_sign_in_at = at.toISOString()
+      values.last_login_date = Utilities.formatDate(at, tz, CLERK_CFG.LOGIN.DATE_FMT)
+    }
+    CLERKWH_setCells_(users, users.rows.indexOf(userRow), values)
+  }
+  return { status: 'applied', rows: 1 }
+}
+
+/** session.* -> upsert the raw_clerk_sessions row (status, last_active_at, ...). */
+function CLERKWH_upsertSession_(session) {
+  const sessionId = strOrBlank(session.id)
+  if (!sessionId) throw new Error('session event without id')
+
+  const users = CLERKWH_table_(CLERK_CFG.RAW.USERS, CLERK_CFG.HEADERS.USERS)
+  const emailByUserId = new Map(users.rows.map(r => [users.get(r, 'clerk_user_id'), users.get(r, 'email')]))
+  const sessions = CLERKWH_table_(CLERK_CFG.RAW.SESSIONS, CLERK_CFG.HEADERS.SESSIONS)
+  CLERKWH_upsertRow_(sessions, r => sessions.get(r, 'session_id') === sessionId, clerkSessionRow_(session, emailByUserId))
+  return { status: 'applied', rows: 1 }
+}
+
+/* =========================
+ * Orgs + memberships
+ * ========================= */
+
+function CLERKWH_upsertOrg_(o) {
+  const orgId = strOrBlank(o.id)
+  if (!orgId) throw new Error('organization event without id')
+
+  const orgs = CLERKWH_table_(CLERK_CFG.RAW.ORGS, CLERK_CFG.HEADERS.ORGS)
+  const exists = orgs.rows.some(r => orgs.get(r, 'org_id') === orgId)
+  const memberships = CLERKWH_sheetMemberships_()
+  const membersCount = CLERKWH_memberCount_(memberships, orgId)
+  if (!exists && !membersCount) return { status: 'ignored', rows: 0 }
+
+  const ownerUserId = clerkBuildOrgOwnerIndex_(memberships).get(orgId) || ''
+  CLERKWH_upsertRow_(orgs, r => orgs.get(r, 'org_id') === orgId, clerkOrgRow_(o, membersCount, ownerUserId))
+  return { status: 'applied', rows: 1 }
+}
+
+function CLERKWH_deleteOrg_(orgId, at) {
+  if (!orgId) throw new Error('organization.deleted without id')
+
+  const orgs = CLERKWH_table_(CLERK_CFG.RAW.ORGS, CLERK_CFG.HEADERS.ORGS)
+  const mems = CLERKWH_table_(CLERK_CFG.RAW.MEMBERSHIPS, CLERK_CFG.HEADERS.MEMBERSHIPS)
+  const userIds = mems.rows
+    .filter(r => mems.get(r, 'org_id') === orgId)
+    .map(r => mems.get(r, 'clerk_user_id'))
+
+  const deleted =
+    CLERKWH_softDelete_(orgs, r => orgs.get(r, 'org_id') === orgId, at) +
+    CLERKWH_softDelete_(mems, r => mems.get(r, 'org_id') === orgId, at)
+
+  userIds.forEach(CLERKWH_refreshUserOrg_)
+  return { status: 'applied', rows: deleted }
+}
+
+function CLERKWH_upsertMembership_(m) {
+  const orgId = strOrBlank(clerkMembershipOrgId_(m))
+  const userId = strOrBlank(clerkMembershipUserId_(m))
+  if (!orgId || !userId) throw new Error('membership event without organization or user id')
+
+  const mems = CLERKWH_table_(CLERK_CFG.RAW.MEMBERSHIPS, CLERK_CFG.HEADERS.MEMBERSHIPS)
+  CLERKWH_upsertRow_(mems, CLERKWH_isMembership_(mems, orgId, userId), clerkMembershipRow_(m, clerkGetOrgNameMap_()))
+
+  CLERKWH_refreshOrg_(orgId, m.organization || null)
+  CLERKWH_refreshUserOrg_(userId)
+  return { status: 'applied', rows: 1 }
+}
+
+function CLERKWH_deleteMembership_(m) {
+  const orgId = strOrBlank(clerkMembershipOrgId_(m))
+  const userId = strOrBlank(clerkMembershipUserId_(m))
+  if (!orgId || !userId) throw new Error('membership event without organization or user id')
+
+  const mems = CLERKWH_table_(CLERK_CFG.RAW.MEMBERSHIPS, CLERK_CFG.HEADERS.MEMBERSHIPS)
+  // Memberships already kept as history of a deleted org / user stay
+  const isMembership = CLERKWH_isMembership_(mems, orgId, userId)
+  const removed = CLERKWH_deleteRows_(mems, r => isMembership(r) && !clerkIsDeleted_(mems.get(r, 'is_deleted')))
+
+  CLERKWH_refreshOrg_(orgId, null)
+  CLERKWH_refreshUserOrg_(userId)
+  return { status: 'applied', rows: removed }
+}
+
+function CLERKWH_isMembership_(mems, orgId, userId) {
+  return r => mems.get(r, 'org_id') === orgId && mems.get(r, 'clerk_user_id') === userId
+}
+
+/**
+ * Re-derives members_count / org_owner_user_id for one org. An org
+ * not in raw_clerk_orgs yet is added when `org` (the payload's
+ * organization object) is given and it now has members.
+ */
+function CLERKWH_refreshOrg_(orgId, org) {
+  const memberships = CLERKWH_sheetMemberships_()
+  const membersCount = CLERKWH_memberCount_(memberships, orgId)
+  const ownerUserId = clerkBuildOrgOwnerIndex_(memberships).get(orgId) || ''
+
+  const orgs = CLERKWH_table_(CLERK_CFG.RAW.ORGS, CLERK_CFG.HEADERS.ORGS)
+  const i = orgs.rows.findIndex(r => orgs.get(r, 'org_id') === orgId)
+  if (i >= 0 && clerkIsDeleted_(orgs.get(orgs.rows[i], 'is_deleted'))) return
+  if (i >= 0) {
+    CLERKWH_setCells_(orgs, i, { members_count: membersCount, org_owner_user_id: ownerUserId })
+  } else if (org && membersCount) {
+    orgs.sh.appendRow(clerkOrgRow_(org, membersCount, ownerUserId))
+  }
+}
+
+/** Re-derives org_id / org_role (best membership) on one raw_clerk_users row. */
+function CLERKWH_refreshUserOrg_(userId) {
+  const users = CLERKWH_table_(CLERK_CFG.RAW.USERS, CLERK_CFG.HEADERS.USERS)
+  const i = users.rows.findIndex(r => users.get(r, 'clerk_user_id') === userId)
+  if (i < 0 || clerkIsDeleted_(users.get(users.rows[i], 'is_deleted'))) return
+
+  const best = clerkBuildUserMembershipIndex_(CLERKWH_sheetMemberships_()).get(userId) || { org_id: '', role: '' }
+  CLERKWH_setCells_(users, i, { org_id: best.org_id, org_role: best.role })
+}
+
+/**
+ * Live raw_clerk_memberships rows as { organization_id, user_id, role }
+ * (the shape the membership indices take).
+ */
+function CLERKWH_sheetMemberships_() {
+  const mems = CLERKWH_table_(CLERK_CFG.RAW.MEMBERSHIPS, CLERK_CFG.HEADERS.MEMBERSHIPS)
+  return mems.rows.filter(r => !clerkIsDeleted_(mems.get(r, 'is_deleted'))).map(r => ({
+    organization_id: mems.get(r, 'org_id'),
+    user_id: mems.get(r, 'clerk_user_id'),
+    role: mems.get(r, 'role')
+  }))
+}
+
+function CLERKWH_memberCount_(memberships, orgId) {
+  const users = new Set()
+  memberships.forEach(m => {
+    if (String(m.organization_id) === orgId && m.user_id) users.add(String(m.user_id))
+  })
+  return users.size
+}
+
+/* =========================
+ * Sheet helpers
+ * ========================= */
+
+/**
+ * Opens (creating if needed) a raw tab with the given headers:
+ * { sh, headers, rows (data values), get(row, column) -> trimmed string }.
+ */
+function CLERKWH_table_(name, headers) {
+  const sh = getOrCreateSheet(SpreadsheetApp.getActive(), name)
+  ensureHeaders_(sh, headers)
+
+  const lastRow = sh.getLastRow()
+  const rows = lastRow < 2 ? [] : sh.getRange(2, 1, lastRow - 1, headers.length).getValues()
+  return {
+    sh,
+    headers,
+    rows,
+    get: (row, column) => String(row[headers.indexOf(column)] ?? '').trim()
+  }
+}
+
+/** Overwrites the first row matching `match`, else appends `values`. */
+function CLERKWH_upsertRow_(table, match, values) {
+  const i = table.rows.findIndex(match)
+  if (i < 0) {
+    table.sh.appendRow(values)
+    table.rows.push(values)
+    return
+  }
+  table.sh.getRange(i + 2, 1, 1, values.length).setValues([values])
+  table.rows[i] = values
+}
+
+/** Deletes every row matching `match` (bottom-up) -> number removed. */
+function CLERKWH_deleteRows_(table, match) {
+  let removed = 0
+  for (let i = table.rows.length - 1; i >= 0; i--) {
+    if (!match(table.rows[i])) continue
+    table.sh.deleteRow(i + 2)
+    table.rows.splice(i, 1)
+    removed++
+  }
+  return removed
+}
+
+/** Flags every live row matching `match` as deleted at `at` -> number flagged. */
+function CLERKWH_softDelete_(table, match, at) {
+  let flagged = 0
+  table.rows.forEach((row, i) => {
+    if (!match(row) || clerkIsDeleted_(table.get(row, 'is_deleted'))) return
+    CLERKWH_setCells_(table, i, { deleted_at: at, is_deleted: true })
+    flagged++
+  })
+  return flagged
+}
+
+/** Sets named columns on data row i (0-based). */
+function CLERKWH_setCells_(table, i, values) {
+  Object.keys(values).forEach(column => {
+    const c = table.headers.indexOf(column)
+    if (c < 0) return
+    table.sh.getRange(i + 2, c + 1).setValue(values[column])
+    table.rows[i][c] = values[column]
+  })
+}
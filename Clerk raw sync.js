@@ -1,13 +1,44 @@
 /**************************************************************
  * Clerk (ONE FILE) — SLIMMED (UPDATED)
  * ------------------------------------------------------------
- * A) Clerk Raw Sync (overwrite-only):
+ * A) Clerk Raw Sync (upsert, soft deletes):
  *   - raw_clerk_users  (now includes: org_id, org_role, last_login_date, login_count)
  *   - raw_clerk_orgs   (now includes: org_owner_user_id)
  *   - raw_clerk_memberships
  *
- * B) KEEP Login History (append-only):
- *   - login_events   (append-only)
+ *   Each tab is upserted by its key (clerk_user_id / org_id /
+ *   membership_id):
+ *   - Incremental (normal daily run): keeps what was updated since the
+ *     tab's high-water mark (Script Property CLERK_SYNC_CURSOR, per
+ *     tab). Users are listed newest-updated first (order_by=-updated_at)
+ *     and paging stops at the mark; Clerk cannot sort orgs or
+ *     memberships by updated_at, so those are listed in created_at
+ *     order and filtered by updated_at here
+ *   - Full: lists everything. Runs when there is no high-water mark,
+ *     the tab is empty, or the last full sync is older than config
+ *     "clerk_full_sync_days" (menu: Clerk full sync forces one)
+ *   - Only a full sync sees deletions (Clerk lists no deleted
+ *     objects): users / orgs that are gone get deleted_at +
+ *     is_deleted = TRUE and keep their row, so canon_users, canon_orgs
+ *     and churn views still see them. Memberships of a deleted org or
+ *     user are soft-deleted the same way; a membership that is gone
+ *     while both sides still exist (someone left an org) is removed
+ *   - The Clerk webhook (Clerk Webhook.js) applies changes and
+ *     deletions between pulls
+ *   - Inside a resumable pipeline run a full users listing (and the
+ *     sessions pull) can pause between pages: the rows so far are
+ *     written to the tab and only the offset / user index goes into
+ *     pipeline_run_state (Pipeline Run State.js)
+ *
+ *   - raw_clerk_sessions (upsert by session_id; never deletes, so
+ *     sessions Clerk stops listing stay as history). Sessions are
+ *     listed per user: incremental runs only ask for users whose
+ *     last_active_at / last_sign_in_at moved past the high-water mark
+ *
+ * B) Login History:
+ *   - login_events   (one row per session, rebuilt from
+ *     raw_clerk_sessions by syncClerkUsers; session.created webhooks
+ *     append here between runs, see Clerk Webhook.js)
  *
  * Script Property required:
  *   - CLERK_SECRET_KEY
@@ -22,22 +53,127 @@ const CLERK_CFG = {
   USERS_ENDPOINT: '/users',
   ORGS_ENDPOINT: '/organizations',
   MEMBERSHIPS_ENDPOINT: '/organization_memberships',
+  SESSIONS_ENDPOINT: '/sessions',
 
   PAGE_SIZE: 100,
   PAUSE_MS: 200,
   WRITE_CHUNK: 2000,
 
+  // Incremental pulls: { users|orgs|memberships: { updated_at (ms), last_full_at, last_sync_at } }
+  SYNC: {
+    CURSOR_PROP: 'CLERK_SYNC_CURSOR',
+    // Re-read a little before the high-water mark; upserts make replays harmless
+    OVERLAP_MS: 60 * 60 * 1000
+  },
+
   // Raw tables
   RAW: {
     USERS: 'raw_clerk_users',
     ORGS: 'raw_clerk_orgs',
-    MEMBERSHIPS: 'raw_clerk_memberships'
+    MEMBERSHIPS: 'raw_clerk_memberships',
+    SESSIONS: 'raw_clerk_sessions'
+  },
+
+  // Raw table columns (shared by the pulls and Clerk Webhook.js)
+  HEADERS: {
+    USERS: [
+      'clerk_user_id',
+      'email',
+      'email_key',
+      'name',
+      'created_at',
+
+      // ✅ NEW: org + role from memberships
+      'org_id',
+      'org_role',
+
+      'last_sign_in_at',
+
+      // existing
+      'last_login_date',
+      'login_count',
+
+      // Stripe bridge + plan info from Clerk private metadata
+      'stripe_customer_id',
+      'stripe_subscription_id',
+      'subscription_status',
+      'current_plan',
+      'subscription_tier',
+      'trial_start_date',
+      'trial_ends_at',
+      'subscription_ends_at',
+
+      // Helpful raw status flags (optional)
+      'last_active_at',
+      'banned',
+      'locked',
+      'two_factor_enabled',
+
+      // Debug: raw private meta blob (optional)
+      'private_meta_json',
+
+      'updated_at',
+      'deleted_at',
+      'is_deleted'
+    ],
+    ORGS: [
+      'org_id',
+      'org_name',
+      'org_slug',
+      'created_at',
+      'updated_at',
+      'members_count',
+      'org_owner_user_id', // ✅ NEW
+      'deleted_at',
+      'is_deleted'
+    ],
+    MEMBERSHIPS: [
+      'org_id',
+      'org_name',
+      'clerk_user_id',
+      'email',
+      'email_key',
+      'role',
+      'created_at',
+      'updated_at',
+      'membership_id',
+      'deleted_at',
+      'is_deleted'
+    ],
+    SESSIONS: [
+      'session_id',
+      'clerk_user_id',
+      'email',
+      'client_id',
+      'status',
+      'created_at',
+      'last_active_at',
+      'updated_at',
+      'expire_at',
+      'abandon_at',
+
+      // latest_activity (device of the session's last request)
+      'device_type',
+      'is_mobile',
+      'browser_name',
+      'browser_version',
+      'ip_address',
+      'city',
+      'country'
+    ]
   },
 
   // Login history tables
   LOGIN: {
     EVENTS_TAB: 'login_events',
+    HEADERS: ['user_id', 'email', 'login_timestamp', 'login_date', 'source', 'session_id'],
+    // clerk_poll: older rows from last_sign_in_at polling (kept as history)
     SOURCE: 'clerk_poll',
+    SESSION_SOURCE: 'clerk_session',
+    WEBHOOK_SOURCE: 'clerk_webhook',
+    // A polled sign-in this close to a session's created_at is that session
+    // (timestamps are stored to the second)
+    DEDUPE_MS: 60 * 1000,
     TIME_FMT: 'yyyy-MM-dd HH:mm:ss',
     DATE_FMT: 'yyyy-MM-dd'
   }
@@ -51,127 +187,94 @@ let _CLERK_MEMBERSHIPS_CACHE = null
  * ========================= */
 
 function clerk_pull_all_raw() {
-  lockWrapSafe_('clerk_pull_all_raw', () => {
-    // We fetch memberships inside users/orgs anyway (cached), but this keeps the sheet fresh too.
-    clerk_pull_memberships_to_raw()
-    clerk_pull_orgs_to_raw()
+  lockWrap('clerk_pull_all_raw', () => {
+    // Same order as the pipeline: memberships last, so orgs / users deleted in
+    // Clerk are already flagged when their memberships disappear
     clerk_pull_users_to_raw()
+    clerk_pull_orgs_to_raw()
+    clerk_pull_memberships_to_raw()
   })
 }
 
 /**
- * Append-only: login_events
- * Dedupe per user based on latest recorded timestamp in login_events
+ * login_events: rebuilt from raw_clerk_sessions, one row per session at
+ * its created_at (so every login counts, not one per user per run).
+ * Rows the sessions tab does not cover are kept: session.created webhook
+ * rows not pulled yet, and clerk_poll rows from before sessions were
+ * pulled (unless a session of that user started within DEDUPE_MS).
  */
 function syncClerkUsers() {
   const t0 = new Date()
-  const apiKey = clerkGetSecret_()
-
-  const headers = {
-    Authorization: `Bearer ${apiKey}`,
-    'Content-Type': 'application/json'
-  }
-
   const ss = SpreadsheetApp.getActive()
-  const events = getOrCreateSheetSafe_(ss, CLERK_CFG.LOGIN.EVENTS_TAB)
-
-  ensureHeaders_(events, [
-    'user_id',
-    'email',
-    'login_timestamp',
-    'login_date',
-    'source'
-  ])
-
-  // latest recorded login per user_id from login_events
-  const latestByUserId = clerkBuildLatestLoginByUserId_(events)
-
-  // Pull all Clerk users
-  const users = clerkFetchAllUsersForLogin_(headers)
-
+  const L = CLERK_CFG.LOGIN
   const tz = Session.getScriptTimeZone()
-  const newEventRows = []
 
-  users.forEach(u => {
-    const userId = String(u.id || '').trim()
-    if (!userId) return
+  const shSessions = ss.getSheetByName(CLERK_CFG.RAW.SESSIONS)
+  if (!shSessions) throw new Error(`Missing ${CLERK_CFG.RAW.SESSIONS} sheet (run clerk_pull_sessions_to_raw first)`)
+  const events = getOrCreateSheet(ss, L.EVENTS_TAB)
+
+  const loginRow = (userId, email, at, source, sessionId) => [
+    userId,
+    email,
+    Utilities.formatDate(at, tz, L.TIME_FMT),
+    Utilities.formatDate(at, tz, L.DATE_FMT),
+    source,
+    sessionId
+  ]
 
-    const email = clerkPrimaryEmail_(u)
-    const lastSignInDate = clerkToDate_(u.last_sign_in_at)
-    if (!email || !lastSignInDate) return
+  const rows = [] // { ms, row }
+  const sessionIds = new Set()
+  const startsByUserId = new Map() // user_id -> [created_at ms]
+  const sessions = readSheetObjects(shSessions, 1)
+
+  sessions.forEach(s => {
+    const sessionId = strOrBlank(s.session_id)
+    const userId = strOrBlank(s.clerk_user_id)
+    const at = clerkToDate_(s.created_at)
+    if (!sessionId || !userId || !at) return
+
+    sessionIds.add(sessionId)
+    if (!startsByUserId.has(userId)) startsByUserId.set(userId, [])
+    startsByUserId.get(userId).push(at.getTime())
+    rows.push({ ms: at.getTime(), row: loginRow(userId, strOrBlank(s.email), at, L.SESSION_SOURCE, sessionId) })
+  })
 
-    const lastSignInMs = lastSignInDate.getTime()
-    const lastRecordedMs = latestByUserId.get(userId) || 0
+  let kept = 0
+  clerkReadRawRows_(events, L.HEADERS).forEach(r => {
+    const [userId, email, ts, , source, sessionId] = r.map(v => (v instanceof Date ? v : strOrBlank(v)))
+    if (sessionId && sessionIds.has(sessionId)) return
 
-    if (lastSignInMs > lastRecordedMs) {
-      const loginTsStr = Utilities.formatDate(lastSignInDate, tz, CLERK_CFG.LOGIN.TIME_FMT)
-      const loginDateStr = Utilities.formatDate(lastSignInDate, tz, CLERK_CFG.LOGIN.DATE_FMT)
-      newEventRows.push([userId, email, loginTsStr, loginDateStr, CLERK_CFG.LOGIN.SOURCE])
-      latestByUserId.set(userId, lastSignInMs)
+    const at = clerkToDate_(ts)
+    if (!sessionId && at) {
+      const starts = startsByUserId.get(userId) || []
+      if (starts.some(ms => Math.abs(ms - at.getTime()) <= L.DEDUPE_MS)) return
     }
+
+    kept += 1
+    rows.push({ ms: at ? at.getTime() : 0, row: at ? loginRow(userId, email, at, source, sessionId) : r })
   })
 
-  if (newEventRows.length) {
-    events
-      .getRange(events.getLastRow() + 1, 1, newEventRows.length, newEventRows[0].length)
-      .setValues(newEventRows)
-  }
+  rows.sort((a, b) => a.ms - b.ms)
+  clerkOverwriteSheet_(events, L.HEADERS, rows.map(x => x.row))
 
   const seconds = ((new Date()) - t0) / 1000
-  writeSyncLogSafe_('syncClerkUsers', 'ok', users.length, newEventRows.length, seconds, '')
-  return { rows_in: users.length, rows_out: newEventRows.length }
+  writeSyncLog('syncClerkUsers', 'ok', sessions.length, rows.length, seconds, kept ? `${kept} rows kept from webhooks / polling` : '')
+  return { rows_in: sessions.length, rows_out: rows.length }
 }
 
 /**
- * A) Pull all Clerk users into raw_clerk_users (overwrite)
+ * A) Pull Clerk users into raw_clerk_users (upsert by clerk_user_id, see header)
  * Adds:
  *  - org_id, org_role (derived from memberships, preferring owner/admin)
  *  - last_login_date (yyyy-MM-dd) from Clerk last_sign_in_at
  *  - login_count (count of login_events for that user_id)
+ * org_id, org_role and login_count are re-derived on every live row, not
+ * only on the users Clerk returned this run.
  */
 function clerk_pull_users_to_raw() {
   const t0 = new Date()
   const apiKey = clerkGetSecret_()
-
-  const ss = SpreadsheetApp.getActive()
-  const sh = getOrCreateSheetSafe_(ss, CLERK_CFG.RAW.USERS)
-
-  const headers = [
-    'clerk_user_id',
-    'email',
-    'email_key',
-    'name',
-    'created_at',
-
-    // ✅ NEW: org + role from memberships
-    'org_id',
-    'org_role',
-
-    'last_sign_in_at',
-
-    // existing
-    'last_login_date',
-    'login_count',
-
-    // Stripe bridge + plan info from Clerk private metadata
-    'stripe_customer_id',
-    'stripe_subscription_id',
-    'subscription_status',
-    'current_plan',
-    'subscription_tier',
-    'trial_start_date',
-    'trial_ends_at',
-    'subscription_ends_at',
-
-    // Helpful raw status flags (optional)
-    'last_active_at',
-    'banned',
-    'locked',
-    'two_factor_enabled',
-
-    // Debug: raw private meta blob (optional)
-    'private_meta_json'
-  ]
+  const url = `${CLERK_CFG.API_BASE}${CLERK_CFG.USERS_ENDPOINT}`
 
   // Build login count map from login_events
   const loginCountsByUserId = clerkBuildLoginCountsByUserId_()
@@ -180,81 +283,35 @@ function clerk_pull_users_to_raw() {
   const memberships = clerkGetAllMembershipsCached_(apiKey)
   const membershipByUserId = clerkBuildUserMembershipIndex_(memberships)
 
-  const users = clerkFetchAll_(`${CLERK_CFG.API_BASE}${CLERK_CFG.USERS_ENDPOINT}`, apiKey, true)
-  const tz = Session.getScriptTimeZone()
-
-  const rows = users.map(u => {
-    const userId = strOrBlank_(u.id)
-    const email = clerkPrimaryEmail_(u)
-    const name = clerkFullName_(u)
-
-    const createdAt = clerkToIso_(u.created_at)
-
-    // ✅ org_id + org_role from membership index
-    const mem = membershipByUserId.get(userId) || { org_id: '', role: '' }
-    const orgId = strOrBlank_(mem.org_id)
-    const orgRole = strOrBlank_(mem.role)
-
-    const lastSignInAt = clerkToIso_(u.last_sign_in_at)
-
-    // last_login_date: yyyy-MM-dd from last_sign_in_at
-    let lastLoginDate = ''
-    const d = clerkToDate_(u.last_sign_in_at)
-    if (d) lastLoginDate = Utilities.formatDate(d, tz, 'yyyy-MM-dd')
-
-    // login_count from login_events by user_id
-    const loginCount = loginCountsByUserId.get(userId) || 0
-
-    const priv = clerkPrivateMeta_(u)
-
-    const stripeCustomerId = strOrBlank_(priv.stripeCustomerId)
-    const stripeSubscriptionId = strOrBlank_(priv.stripeSubscriptionId)
-
-    const subscriptionStatus = strOrBlank_(priv.subscriptionStatus)
-    const currentPlan = strOrBlank_(priv.currentPlan)
-    const subscriptionTier = strOrBlank_(priv.subscriptionTier)
-    const trialStartDate = strOrBlank_(priv.trialStartDate)
-    const trialEndsAt = strOrBlank_(priv.trialEndsAt)
-    const subscriptionEndsAt = strOrBlank_(priv.subscriptionEndsAt)
-
-    return [
-      userId,
-      email,
-      normalizeEmailSafe_(email),
-      name,
-      createdAt,
-
-      orgId,
-      orgRole,
-
-      lastSignInAt,
-
-      lastLoginDate,
-      loginCount,
-
-      stripeCustomerId,
-      stripeSubscriptionId,
-      subscriptionStatus,
-      currentPlan,
-      subscriptionTier,
-      trialStartDate,
-      trialEndsAt,
-      subscriptionEndsAt,
-
-      clerkToIso_(u.last_active_at),
-      u.banned === true,
-      u.locked === true,
-      u.two_factor_enabled === true,
-
-      safeJson_(priv)
-    ]
+  const ctx = { loginCountsByUserId, membershipByUserId, tz: Session.getScriptTimeZone() }
+  const toRow = u => clerkUserRow_(u, ctx)
+  const H = CLERK_CFG.HEADERS.USERS
+
+  const res = clerkSyncRawTab_({
+    entity: 'users',
+    sheet: getOrCreateSheet(SpreadsheetApp.getActive(), CLERK_CFG.RAW.USERS),
+    headers: H,
+    key: 'clerk_user_id',
+    // A full listing can pause between pages (created_at order, see clerkSyncRawTab_)
+    step: 'clerk_pull_users_to_raw',
+    fetchFull: paging => clerkFetchAll_(url, apiKey, true, {
+      offset: paging.resumeAt ? paging.resumeAt.offset : 0,
+      onPage: (page, position) => paging.onPage(page.map(toRow), position)
+    }),
+    fetchSince: sinceMs => clerkFetchUpdatedSince_(url, apiKey, sinceMs, toRow, true),
+    refresh: row => {
+      const userId = String(row[H.indexOf('clerk_user_id')] || '').trim()
+      const mem = membershipByUserId.get(userId) || { org_id: '', role: '' }
+      row[H.indexOf('org_id')] = strOrBlank(mem.org_id)
+      row[H.indexOf('org_role')] = strOrBlank(mem.role)
+      row[H.indexOf('login_count')] = loginCountsByUserId.get(userId) || 0
+      return row
+    }
   })
 
-  clerkOverwriteSheet_(sh, headers, rows)
-
   const seconds = (new Date() - t0) / 1000
-  writeSyncLogSafe_('clerk_pull_users_to_raw', 'ok', users.length, rows.length, seconds, '')
-  return { rows_in: users.length, rows_out: rows.length }
+  writeSyncLog('clerk_pull_users_to_raw', 'ok', res.rows_in, res.rows_out, seconds, clerkSyncNote_(res))
+  return res
 }
 
 /* =========================
@@ -264,79 +321,54 @@ function clerk_pull_users_to_raw() {
 function clerk_pull_orgs_to_raw() {
   const t0 = new Date()
   const apiKey = clerkGetSecret_()
+  const url = `${CLERK_CFG.API_BASE}${CLERK_CFG.ORGS_ENDPOINT}`
 
   const ss = SpreadsheetApp.getActive()
-  const shOrgs = getOrCreateSheetSafe_(ss, CLERK_CFG.RAW.ORGS)
 
   // We compute members_count from raw_clerk_memberships (since /organizations does not return it)
-  const shMems = ss.getSheetByName(CLERK_CFG.RAW.MEMBERSHIPS)
-
-  const headers = [
-    'org_id',
-    'org_name',
-    'org_slug',
-    'created_at',
-    'updated_at',
-    'members_count',
-    'org_owner_user_id' // ✅ NEW
-  ]
-
-  // 1) Pull orgs from Clerk
-  const orgs = clerkFetchAll_(`${CLERK_CFG.API_BASE}${CLERK_CFG.ORGS_ENDPOINT}`, apiKey, true)
-
-  // 2) Build org_id -> members_count using memberships sheet (preferred)
-  const membersCountByOrgId = buildOrgMemberCountsFromMembershipsSheet_(shMems)
+  const membersCountByOrgId = buildOrgMemberCountsFromMembershipsSheet_(ss.getSheetByName(CLERK_CFG.RAW.MEMBERSHIPS))
 
-  // 3) Build org_id -> owner_user_id using memberships (owner > admin > manager > member)
+  // Build org_id -> owner_user_id using memberships (owner > admin > manager > member)
   // Prefer cached memberships if available (fast + consistent with your other steps)
   const memberships = clerkGetAllMembershipsCached_(apiKey)
   const orgOwnerByOrgId = clerkBuildOrgOwnerIndex_(memberships) // org_id -> user_id
 
-  const canFilterEmpty = membersCountByOrgId.size > 0
-
-  // 4) Write rows (optionally skip empty orgs if membership counts are available)
-  const rows = orgs
-    .filter(o => {
-      if (!canFilterEmpty) return true
-      const orgId = strOrBlank_(o.id)
-      const membersCount = membersCountByOrgId.get(orgId) ?? 0
-      return Number(membersCount) > 0
-    })
-    .map(o => {
-    const orgId = strOrBlank_(o.id)
-    const membersCount = membersCountByOrgId.get(orgId) ?? 0
-    const ownerUserId = orgOwnerByOrgId.get(orgId) || ''
-
-    return [
-      orgId,
-      strOrBlank_(o.name),
-      strOrBlank_(o.slug),
-      clerkToIso_(o.created_at),
-      clerkToIso_(o.updated_at),
-      Number(membersCount) || 0,
-      ownerUserId
-    ]
-    })
-
-  clerkOverwriteSheet_(shOrgs, headers, rows)
+  const H = CLERK_CFG.HEADERS.ORGS
+  const toRow = o => clerkOrgRow_(o, 0, '')
+
+  const res = clerkSyncRawTab_({
+    entity: 'orgs',
+    sheet: getOrCreateSheet(ss, CLERK_CFG.RAW.ORGS),
+    headers: H,
+    key: 'org_id',
+    fetchFull: () => clerkFetchAll_(url, apiKey, true).map(toRow),
+    fetchSince: sinceMs => clerkFetchUpdatedSince_(url, apiKey, sinceMs, toRow, false),
+    // Live orgs get the current members_count + owner. An org whose members
+    // all left keeps its row (members_count 0) until Clerk deletes it
+    refresh: row => {
+      const orgId = String(row[H.indexOf('org_id')] || '').trim()
+      row[H.indexOf('members_count')] = Number(membersCountByOrgId.get(orgId)) || 0
+      row[H.indexOf('org_owner_user_id')] = orgOwnerByOrgId.get(orgId) || ''
+      return row
+    }
+  })
 
   const seconds = (new Date() - t0) / 1000
-  writeSyncLogSafe_(
+  writeSyncLog(
     'clerk_pull_orgs_to_raw',
     'ok',
-    orgs.length,
-    rows.length,
+    res.rows_in,
+    res.rows_out,
     seconds,
-    canFilterEmpty
-      ? 'members_count computed from raw_clerk_memberships; removed orgs with 0 members'
-      : 'members_count computed from raw_clerk_memberships (empty); no filtering applied'
+    `${clerkSyncNote_(res)}; members_count computed from raw_clerk_memberships`
   )
-  return { rows_in: orgs.length, rows_out: rows.length }
+  return res
 }
 
 /**
  * Computes org member counts from raw_clerk_memberships.
  * Counts UNIQUE clerk_user_id per org_id (fallback to email_key if needed).
+ * Soft-deleted memberships do not count.
  */
 function buildOrgMemberCountsFromMembershipsSheet_(shMems) {
   const out = new Map()
@@ -351,6 +383,7 @@ function buildOrgMemberCountsFromMembershipsSheet_(shMems) {
   const cOrgId = header.indexOf('org_id') + 1
   const cUserId = header.indexOf('clerk_user_id') + 1
   const cEmailKey = header.indexOf('email_key') + 1
+  const cDeleted = header.indexOf('is_deleted') + 1
 
   if (!cOrgId) return out
 
@@ -360,6 +393,7 @@ function buildOrgMemberCountsFromMembershipsSheet_(shMems) {
   data.forEach(r => {
     const orgId = String(r[cOrgId - 1] || '').trim()
     if (!orgId) return
+    if (cDeleted && clerkIsDeleted_(r[cDeleted - 1])) return
 
     // Prefer clerk_user_id; fallback to email_key; fallback to email-ish
     let memberKey = ''
@@ -379,85 +413,507 @@ function buildOrgMemberCountsFromMembershipsSheet_(shMems) {
 function clerk_pull_memberships_to_raw() {
   const t0 = new Date()
   const apiKey = clerkGetSecret_()
+  const url = `${CLERK_CFG.API_BASE}${CLERK_CFG.MEMBERSHIPS_ENDPOINT}`
 
   const ss = SpreadsheetApp.getActive()
-  const sh = getOrCreateSheetSafe_(ss, CLERK_CFG.RAW.MEMBERSHIPS)
-
-  const headers = [
-    'org_id',
-    'org_name',
-    'clerk_user_id',
-    'email',
-    'email_key',
-    'role',
-    'created_at',
-    'updated_at'
-  ]
+  const H = CLERK_CFG.HEADERS.MEMBERSHIPS
 
-  let memberships = []
-  let usedFallback = false
+  const orgNameById = clerkGetOrgNameMap_()
+  const toRow = m => clerkMembershipRow_(m, orgNameById)
 
-  try {
-    memberships = clerkFetchAll_(`${CLERK_CFG.API_BASE}${CLERK_CFG.MEMBERSHIPS_ENDPOINT}`, apiKey, true)
-  } catch (e) {
-    usedFallback = true
-    memberships = clerkFetchMembershipsByOrgFallback_(apiKey)
+  // A full listing falls back to listing each org's memberships (as before
+  // incremental pulls); an incremental one has no fallback and fails loudly
+  let fallbackError = ''
+  const fetchFull = () => {
+    try {
+      return clerkFetchAll_(url, apiKey, true).map(toRow)
+    } catch (e) {
+      fallbackError = String(e && e.message ? e.message : e)
+      return clerkFetchMembershipsByOrgFallback_(apiKey).map(toRow)
+    }
   }
 
-  // cache for this execution
-  _CLERK_MEMBERSHIPS_CACHE = memberships
+  // Orgs / users flagged deleted by their own pulls (which run first)
+  const deletedOrgIds = clerkDeletedIds_(ss.getSheetByName(CLERK_CFG.RAW.ORGS), 'org_id')
+  const deletedUserIds = clerkDeletedIds_(ss.getSheetByName(CLERK_CFG.RAW.USERS), 'clerk_user_id')
+
+  const res = clerkSyncRawTab_({
+    entity: 'memberships',
+    sheet: getOrCreateSheet(ss, CLERK_CFG.RAW.MEMBERSHIPS),
+    headers: H,
+    key: 'membership_id',
+    fetchFull,
+    fetchSince: sinceMs => clerkFetchUpdatedSince_(url, apiKey, sinceMs, toRow, false),
+    // Kept (soft-deleted) only as history of a deleted org or user
+    onMissing: row =>
+      deletedOrgIds.has(String(row[H.indexOf('org_id')]).trim()) ||
+      deletedUserIds.has(String(row[H.indexOf('clerk_user_id')]).trim())
+        ? 'delete'
+        : 'remove'
+  })
 
-  const orgNameById = clerkGetOrgNameMap_()
+  // Later steps re-read the live memberships from the sheet
+  _CLERK_MEMBERSHIPS_CACHE = null
 
-  const rows = memberships.map(m => {
-    const orgId =
-      (m.organization && m.organization.id) ||
-      m.organization_id ||
-      ''
+  const seconds = (new Date() - t0) / 1000
+  writeSyncLog(
+    'clerk_pull_memberships_to_raw',
+    'ok',
+    res.rows_in,
+    res.rows_out,
+    seconds,
+    [clerkSyncNote_(res), fallbackError ? `used fallback: per-org memberships (${fallbackError})` : ''].filter(Boolean).join('; ')
+  )
 
-    const orgName =
-      (m.organization && (m.organization.name || m.organization.slug)) ||
-      orgNameById[orgId] ||
-      ''
+  return res
+}
 
-    const userId =
-      (m.public_user_data && m.public_user_data.user_id) ||
-      m.user_id ||
-      (m.user && m.user.id) ||
-      ''
+/* =========================
+ * Sessions
+ * ========================= */
 
-    const email =
-      (m.public_user_data && m.public_user_data.identifier) ||
-      (m.public_user_data && m.public_user_data.email_address) ||
-      ''
+/**
+ * Clerk sessions -> raw_clerk_sessions (upsert by session_id, see header).
+ * Clerk only lists sessions per user: a full sync asks for every live
+ * user who ever signed in, an incremental one for users whose
+ * last_active_at / last_sign_in_at (raw_clerk_users, pulled first) is
+ * past the high-water mark.
+ */
+function clerk_pull_sessions_to_raw() {
+  const t0 = new Date()
+  const apiKey = clerkGetSecret_()
+  const ss = SpreadsheetApp.getActive()
 
-    const role = m.role || (m.public_user_data && m.public_user_data.role) || ''
+  const shUsers = ss.getSheetByName(CLERK_CFG.RAW.USERS)
+  if (!shUsers) throw new Error(`Missing ${CLERK_CFG.RAW.USERS} sheet (run clerk_pull_users_to_raw first)`)
+  const users = readSheetObjects(shUsers, 1)
+    .filter(u => strOrBlank(u.clerk_user_id) && !clerkIsDeleted_(u.is_deleted))
+
+  const emailByUserId = new Map(users.map(u => [strOrBlank(u.clerk_user_id), strOrBlank(u.email)]))
+  const toRow = s => clerkSessionRow_(s, emailByUserId)
+  const usersSeenSince = sinceMs => users
+    .filter(u => [u.last_active_at, u.last_sign_in_at].some(v => {
+      const d = clerkToDate_(v)
+      return d && d.getTime() >= sinceMs
+    }))
+    .map(u => strOrBlank(u.clerk_user_id))
+
+  const step = 'clerk_pull_sessions_to_raw'
+  const res = clerkSyncRawTab_({
+    entity: 'sessions',
+    sheet: getOrCreateSheet(ss, CLERK_CFG.RAW.SESSIONS),
+    headers: CLERK_CFG.HEADERS.SESSIONS,
+    key: 'session_id',
+    step,
+    fetchFull: paging => clerkFetchUserSessions_(apiKey, usersSeenSince(0), toRow, paging),
+    fetchSince: (sinceMs, paging) => clerkFetchUserSessions_(apiKey, usersSeenSince(sinceMs), toRow, paging),
+    // Login history: sessions Clerk stops listing keep their row
+    onMissing: () => 'keep'
+  })
 
-    return [
-      strOrBlank_(orgId),
-      strOrBlank_(orgName),
-      strOrBlank_(userId),
-      strOrBlank_(email),
-      normalizeEmailSafe_(email),
-      strOrBlank_(role),
-      clerkToIso_(m.created_at),
-      clerkToIso_(m.updated_at)
-    ]
+  const seconds = (new Date() - t0) / 1000
+  writeSyncLog(step, 'ok', res.rows_in, res.rows_out, seconds, clerkSyncNote_(res))
+  return res
+}
+
+/**
+ * Every session of each user (/sessions?user_id=, offset-paginated),
+ * mapped with mapItem and handed to paging.onPage one user at a time
+ * with the position { done } (users done so far); a paused sync
+ * continues at paging.resumeAt.
+ */
+function clerkFetchUserSessions_(apiKey, userIds, mapItem, paging) {
+  const start = paging.resumeAt ? Number(paging.resumeAt.done || 0) : 0
+
+  for (let i = start; i < userIds.length; i++) {
+    if (i > start) Utilities.sleep(CLERK_CFG.PAUSE_MS)
+
+    const rows = []
+    let offset = 0
+    while (true) {
+      const url =
+        `${CLERK_CFG.API_BASE}${CLERK_CFG.SESSIONS_ENDPOINT}` +
+        `?user_id=${encodeURIComponent(userIds[i])}` +
+        `&limit=${CLERK_CFG.PAGE_SIZE}` +
+        `&offset=${offset}`
+      const page = clerkFetchPage_(url, apiKey)
+
+      rows.push(...page.map(mapItem))
+      if (page.length < CLERK_CFG.PAGE_SIZE) break
+
+      offset += CLERK_CFG.PAGE_SIZE
+      Utilities.sleep(CLERK_CFG.PAUSE_MS)
+    }
+    paging.onPage(rows, { done: i + 1 })
+  }
+}
+
+/* =========================
+ * Incremental sync (upsert + soft deletes)
+ * ========================= */
+
+/**
+ * Syncs one raw tab, upserting rows (spec.headers order, from the
+ * clerk*Row_ builders) by the spec.key column.
+ *
+ * spec: { entity, sheet, headers, key, step?, fetchFull(paging), fetchSince(ms, paging), refresh?(row), onMissing?(row) }
+ * - incremental: fetchSince(high-water mark - OVERLAP_MS)
+ * - full (see clerkFullSyncReason_): fetchFull(); live rows whose key
+ *   was not listed get deleted_at / is_deleted, unless
+ *   onMissing(row) returns 'remove' (drop the row) or 'keep' (leave it)
+ * - refresh(row) re-derives columns on every live row (null drops it)
+ * - fetchers return their rows, or hand them to paging.onPage(rows,
+ *   position) as they arrive, where position (e.g. { offset }) is
+ *   where the listing can continue (paging.resumeAt)
+ * - inside a resumable pipeline run (spec.step) the sync can pause at
+ *   such a position: the rows so far are written to the tab and only
+ *   the position + counters go into the run's cursor. A paused full
+ *   listing settles missing rows up to the newest created_at it
+ *   listed, so it must list in created_at order (or keep missing rows)
+ * Returns { mode, full_reason, rows_in, rows_out, deleted }.
+ */
+function clerkSyncRawTab_(spec) {
+  const H = spec.headers
+  const cKey = H.indexOf(spec.key)
+  const cUpdated = H.indexOf('updated_at')
+  const cCreated = H.indexOf('created_at')
+  const cDeletedAt = H.indexOf('deleted_at')
+  const cIsDeleted = H.indexOf('is_deleted')
+  const keyOf = row => String(row[cKey] || '').trim()
+  const createdMs = row => {
+    const d = cCreated >= 0 ? clerkToDate_(row[cCreated]) : null
+    return d ? d.getTime() : null
+  }
+
+  const cursor = clerkLoadSyncCursor_()
+  const state = cursor[spec.entity] || {}
+  const existing = clerkReadRawRows_(spec.sheet, H)
+
+  // A paused sync carries on as it started: the rows it already wrote
+  // would make the tab look different to clerkFullSyncReason_
+  const resumed = spec.step ? RUNSTATE_getCursor_(spec.step) : null
+  const run = resumed || {
+    full_reason: clerkFullSyncReason_(state, existing, keyOf),
+    since_ms: Number(state.updated_at) - CLERK_CFG.SYNC.OVERLAP_MS,
+    started_ms: Date.now(),
+    newest_ms: Number(state.updated_at) || 0,
+    rows_in: 0,
+    deleted: 0,
+    // Full listing paused: rows created before settled_before are settled;
+    // boundary_keys were listed with created_at === settled_before
+    settled_before: null,
+    boundary_keys: []
+  }
+  const fullReason = run.full_reason
+  if (resumed) Logger.log(`Clerk ${spec.entity}: resuming ${fullReason ? 'full' : 'incremental'} sync at ${JSON.stringify(resumed.position)}`)
+  else if (fullReason) Logger.log(`Clerk ${spec.entity}: full sync (${fullReason})`)
+
+  // Rows written before the key column existed are replaced by the full listing
+  const rows = fullReason ? existing.filter(keyOf) : existing
+  const indexByKey = new Map(rows.map((row, i) => [keyOf(row), i]))
+  const listed = new Set(run.boundary_keys)
+  let newestCreatedMs = run.settled_before
+
+  // Full listing: marks live rows created in [settled_before, before) that
+  // were not listed (before null = everything left); returns the rows kept
+  const nowIso = new Date().toISOString()
+  const settle = before => rows.filter(row => {
+    if (!fullReason || clerkIsDeleted_(row[cIsDeleted]) || listed.has(keyOf(row))) return true
+    const ms = createdMs(row)
+    const unsettled = ms == null
+      ? before == null
+      : (run.settled_before == null || ms >= run.settled_before) && (before == null || ms < before)
+    if (!unsettled) return true
+
+    const action = spec.onMissing ? spec.onMissing(row) : 'delete'
+    if (action === 'remove') return false
+    if (action === 'delete') {
+      row[cDeletedAt] = nowIso
+      row[cIsDeleted] = true
+      run.deleted += 1
+    }
+    return true
+  })
+
+  const onPage = (fetched, position) => {
+    fetched.forEach(row => {
+      const key = keyOf(row)
+      if (!key) return
+      listed.add(key)
+      if (indexByKey.has(key)) {
+        rows[indexByKey.get(key)] = row
+      } else {
+        indexByKey.set(key, rows.length)
+        rows.push(row)
+      }
+      const updated = cUpdated >= 0 ? clerkToDate_(row[cUpdated]) : null
+      if (updated && updated.getTime() > run.newest_ms) run.newest_ms = updated.getTime()
+      const created = createdMs(row)
+      if (created != null && (newestCreatedMs == null || created > newestCreatedMs)) newestCreatedMs = created
+    })
+    run.rows_in += fetched.length
+    if (!position || !spec.step || !RUNSTATE_shouldYield_()) return
+
+    // Pause: what was listed so far goes to the tab, only the position to the run's cursor
+    clerkOverwriteSheet_(spec.sheet, H, settle(newestCreatedMs))
+    RUNSTATE_yield_(spec.step, Object.assign(run, {
+      position,
+      settled_before: newestCreatedMs,
+      boundary_keys: rows.filter(row => listed.has(keyOf(row)) && createdMs(row) === newestCreatedMs).map(keyOf)
+    }))
+  }
+
+  const paging = { resumeAt: resumed ? resumed.position : null, onPage }
+  const fetched = fullReason ? spec.fetchFull(paging) : spec.fetchSince(run.since_ms, paging)
+  if (fetched) onPage(fetched, null)
+
+  const out = settle(null)
+    .map(row => (clerkIsDeleted_(row[cIsDeleted]) || !spec.refresh ? row : spec.refresh(row)))
+    .filter(Boolean)
+
+  clerkOverwriteSheet_(spec.sheet, H, out)
+
+  // A full listing covers everything up to when it started
+  cursor[spec.entity] = {
+    updated_at: fullReason ? Math.max(run.newest_ms, run.started_ms) : run.newest_ms,
+    last_full_at: fullReason ? nowIso : state.last_full_at,
+    last_sync_at: nowIso
+  }
+  clerkSaveSyncCursor_(cursor)
+
+  return {
+    mode: fullReason ? 'full' : 'incremental',
+    full_reason: fullReason,
+    rows_in: run.rows_in,
+    rows_out: out.length,
+    deleted: run.deleted
+  }
+}
+
+/** Why this tab must be listed in full ('' = incremental is fine). */
+function clerkFullSyncReason_(state, rows, keyOf) {
+  if (!Number(state.updated_at) || !state.last_full_at) return 'no high-water mark'
+  if (!rows.length) return 'tab is empty'
+  if (rows.some(row => !keyOf(row))) return 'rows without a key (older layout)'
+
+  const dayMs = 24 * 60 * 60 * 1000
+  const fullAgeDays = (Date.now() - new Date(state.last_full_at).getTime()) / dayMs
+  if (!(fullAgeDays < CONFIG_get_('clerk_full_sync_days'))) return `last full sync ${Math.floor(fullAgeDays)} days ago`
+  return ''
+}
+
+/** Drops the high-water marks so the next Clerk pulls list everything (and see deletions). */
+function clerk_request_full_sync() {
+  PropertiesService.getScriptProperties().deleteProperty(CLERK_CFG.SYNC.CURSOR_PROP)
+}
+
+function clerkLoadSyncCursor_() {
+  const raw = PropertiesService.getScriptProperties().getProperty(CLERK_CFG.SYNC.CURSOR_PROP)
+  if (!raw) return {}
+  try { return JSON.parse(raw) || {} } catch (e) { return {} }
+}
+
+function clerkSaveSyncCursor_(cursor) {
+  PropertiesService.getScriptProperties().setProperty(CLERK_CFG.SYNC.CURSOR_PROP, JSON.stringify(cursor))
+}
+
+/** Existing tab rows, re-ordered into `headers` (columns the tab lacks are blank). */
+function clerkReadRawRows_(sheet, headers) {
+  const lastRow = sheet.getLastRow()
+  if (lastRow < 2) return []
+
+  const lastCol = sheet.getLastColumn()
+  const header = sheet.getRange(1, 1, 1, lastCol).getValues()[0]
+    .map(h => String(h || '').trim().toLowerCase())
+  const idx = headers.map(h => header.indexOf(h))
+
+  return sheet.getRange(2, 1, lastRow - 1, lastCol).getValues()
+    .map(r => idx.map(i => (i >= 0 ? r[i] : '')))
+}
+
+/** Keys (keyCol) of the rows flagged is_deleted on a raw tab. */
+function clerkDeletedIds_(sheet, keyCol) {
+  const out = new Set()
+  if (!sheet) return out
+  readSheetObjects(sheet, 1).forEach(r => {
+    if (clerkIsDeleted_(r.is_deleted)) out.add(String(r[keyCol] || '').trim())
   })
+  return out
+}
 
-  clerkOverwriteSheet_(sh, headers, rows)
+function clerkIsDeleted_(v) {
+  return v === true || String(v || '').trim().toLowerCase() === 'true'
+}
 
-  const seconds = (new Date() - t0) / 1000
-  writeSyncLogSafe_(
-    'clerk_pull_memberships_to_raw',
-    'ok',
-    memberships.length,
-    rows.length,
-    seconds,
-    usedFallback ? 'used fallback: per-org memberships' : ''
-  )
+function clerkSyncNote_(res) {
+  const mode = res.full_reason ? `full sync (${res.full_reason})` : 'incremental'
+  return res.deleted ? `${mode}; ${res.deleted} marked deleted` : mode
+}
 
-  return { rows_in: memberships.length, rows_out: rows.length }
+/* =========================
+ * Raw row builders
+ * ========================= */
+
+/**
+ * Clerk user -> raw_clerk_users row (CLERK_CFG.HEADERS.USERS order)
+ * ctx: { loginCountsByUserId, membershipByUserId, tz }
+ */
+function clerkUserRow_(u, ctx) {
+  const userId = strOrBlank(u.id)
+  const email = clerkPrimaryEmail_(u)
+  const name = clerkFullName_(u)
+
+  const createdAt = clerkToIso_(u.created_at)
+
+  // ✅ org_id + org_role from membership index
+  const mem = ctx.membershipByUserId.get(userId) || { org_id: '', role: '' }
+  const orgId = strOrBlank(mem.org_id)
+  const orgRole = strOrBlank(mem.role)
+
+  const lastSignInAt = clerkToIso_(u.last_sign_in_at)
+
+  // last_login_date: yyyy-MM-dd from last_sign_in_at
+  let lastLoginDate = ''
+  const d = clerkToDate_(u.last_sign_in_at)
+  if (d) lastLoginDate = Utilities.formatDate(d, ctx.tz, 'yyyy-MM-dd')
+
+  // login_count from login_events by user_id
+  const loginCount = ctx.loginCountsByUserId.get(userId) || 0
+
+  const priv = clerkPrivateMeta_(u)
+
+  const stripeCustomerId = strOrBlank(priv.stripeCustomerId)
+  const stripeSubscriptionId = strOrBlank(priv.stripeSubscriptionId)
+
+  const subscriptionStatus = strOrBlank(priv.subscriptionStatus)
+  const currentPlan = strOrBlank(priv.currentPlan)
+  const subscriptionTier = strOrBlank(priv.subscriptionTier)
+  const trialStartDate = strOrBlank(priv.trialStartDate)
+  const trialEndsAt = strOrBlank(priv.trialEndsAt)
+  const subscriptionEndsAt = strOrBlank(priv.subscriptionEndsAt)
+
+  return [
+    userId,
+    email,
+    normalizeEmail(email),
+    name,
+    createdAt,
+
+    orgId,
+    orgRole,
+
+    lastSignInAt,
+
+    lastLoginDate,
+    loginCount,
+
+    stripeCustomerId,
+    stripeSubscriptionId,
+    subscriptionStatus,
+    currentPlan,
+    subscriptionTier,
+    trialStartDate,
+    trialEndsAt,
+    subscriptionEndsAt,
+
+    clerkToIso_(u.last_active_at),
+    u.banned === true,
+    u.locked === true,
+    u.two_factor_enabled === true,
+
+    safeJson(priv),
+
+    clerkToIso_(u.updated_at),
+    '',
+    false
+  ]
+}
+
+/** Clerk organization -> raw_clerk_orgs row (CLERK_CFG.HEADERS.ORGS order) */
+function clerkOrgRow_(o, membersCount, ownerUserId) {
+  return [
+    strOrBlank(o.id),
+    strOrBlank(o.name),
+    strOrBlank(o.slug),
+    clerkToIso_(o.created_at),
+    clerkToIso_(o.updated_at),
+    Number(membersCount) || 0,
+    ownerUserId || '',
+    '',
+    false
+  ]
+}
+
+/** Clerk organization membership -> raw_clerk_memberships row (CLERK_CFG.HEADERS.MEMBERSHIPS order) */
+function clerkMembershipRow_(m, orgNameById) {
+  const orgId = clerkMembershipOrgId_(m)
+
+  const orgName =
+    (m.organization && (m.organization.name || m.organization.slug)) ||
+    (orgNameById || {})[orgId] ||
+    ''
+
+  const email =
+    (m.public_user_data && m.public_user_data.identifier) ||
+    (m.public_user_data && m.public_user_data.email_address) ||
+    ''
+
+  const role = m.role || (m.public_user_data && m.public_user_data.role) || ''
+
+  return [
+    strOrBlank(orgId),
+    strOrBlank(orgName),
+    strOrBlank(clerkMembershipUserId_(m)),
+    strOrBlank(email),
+    normalizeEmail(email),
+    strOrBlank(role),
+    clerkToIso_(m.created_at),
+    clerkToIso_(m.updated_at),
+    strOrBlank(m.id),
+    '',
+    false
+  ]
+}
+
+/**
+ * Clerk session -> raw_clerk_sessions row (CLERK_CFG.HEADERS.SESSIONS order)
+ * emailByUserId: clerk_user_id -> email (raw_clerk_users)
+ */
+function clerkSessionRow_(s, emailByUserId) {
+  const userId = strOrBlank(s.user_id)
+  const activity = s.latest_activity || {}
+
+  return [
+    strOrBlank(s.id),
+    userId,
+    emailByUserId.get(userId) || '',
+    strOrBlank(s.client_id),
+    strOrBlank(s.status),
+    clerkToIso_(s.created_at),
+    clerkToIso_(s.last_active_at),
+    clerkToIso_(s.updated_at),
+    clerkToIso_(s.expire_at),
+    clerkToIso_(s.abandon_at),
+
+    strOrBlank(activity.device_type),
+    activity.is_mobile == null ? '' : activity.is_mobile === true,
+    strOrBlank(activity.browser_name),
+    strOrBlank(activity.browser_version),
+    strOrBlank(activity.ip_address),
+    strOrBlank(activity.city),
+    strOrBlank(activity.country)
+  ]
+}
+
+function clerkMembershipOrgId_(m) {
+  return (m.organization && m.organization.id) || m.organization_id || ''
+}
+
+function clerkMembershipUserId_(m) {
+  return (m.public_user_data && m.public_user_data.user_id) ||
+    m.user_id ||
+    (m.user && m.user.id) ||
+    ''
 }
 
 /* =========================
@@ -478,8 +934,10 @@ function clerkGetAllMembershipsCached_(apiKey) {
       const cOrg = header.indexOf('org_id') + 1
       const cUser = header.indexOf('clerk_user_id') + 1
       const cRole = header.indexOf('role') + 1
+      const cDeleted = header.indexOf('is_deleted') + 1
       if (cOrg && cUser && cRole) {
         const data = sh.getRange(2, 1, sh.getLastRow() - 1, sh.getLastColumn()).getValues()
+          .filter(r => !(cDeleted && clerkIsDeleted_(r[cDeleted - 1])))
         const pseudo = data.map(r => ({
           organization_id: r[cOrg - 1],
           user_id: r[cUser - 1],
@@ -604,29 +1062,25 @@ function clerkGetSecret_() {
   return key
 }
 
-function clerkFetchAll_(urlBase, apiKey, supportsOrderBy) {
+/**
+ * Offset-paginated list endpoint -> all items.
+ *
+ * paging (optional): { offset, onPage(items, position) }
+ * - starts at `offset` and hands each page to onPage with the position
+ *   { offset } of the next page instead of collecting it (returns [])
+ */
+function clerkFetchAll_(urlBase, apiKey, supportsOrderBy, paging) {
   const all = []
-  let offset = 0
+  let offset = paging ? Number(paging.offset || 0) : 0
 
   while (true) {
     const order = supportsOrderBy ? '&order_by=created_at' : ''
-    const url = `${urlBase}?limit=${CLERK_CFG.PAGE_SIZE}&offset=${offset}${order}`
-
-    const res = UrlFetchApp.fetch(url, {
-      method: 'get',
-      headers: { Authorization: `Bearer ${apiKey}` },
-      muteHttpExceptions: true
-    })
-
-    const code = res.getResponseCode()
-    if (code >= 300) throw new Error(`Clerk API error ${code}: ${res.getContentText()}`)
-
-    const json = JSON.parse(res.getContentText())
-    const page = Array.isArray(json) ? json : (Array.isArray(json.data) ? json.data : [])
+    const page = clerkFetchPage_(`${urlBase}?limit=${CLERK_CFG.PAGE_SIZE}&offset=${offset}${order}`, apiKey)
 
     if (!page.length) break
 
-    all.push(...page)
+    if (paging) paging.onPage(page, { offset: offset + page.length })
+    else all.push(...page)
     if (page.length < CLERK_CFG.PAGE_SIZE) break
 
     offset += CLERK_CFG.PAGE_SIZE
@@ -636,33 +1090,50 @@ function clerkFetchAll_(urlBase, apiKey, supportsOrderBy) {
   return all
 }
 
-function clerkFetchAllUsersForLogin_(headers) {
-  const all = []
+/**
+ * Items updated since sinceMs, mapped with mapItem.
+ * - sortsByUpdated (users): listed newest-updated first
+ *   (order_by=-updated_at), stopping at the first page that reaches
+ *   items updated before sinceMs
+ * - otherwise (orgs, memberships: Clerk only sorts them by created_at,
+ *   name, ...): every page is listed in created_at order and filtered
+ *   by updated_at here
+ */
+function clerkFetchUpdatedSince_(urlBase, apiKey, sinceMs, mapItem, sortsByUpdated) {
+  const out = []
+  const order = sortsByUpdated ? '-updated_at' : 'created_at'
   let offset = 0
 
   while (true) {
-    const url =
-      `${CLERK_CFG.API_BASE}${CLERK_CFG.USERS_ENDPOINT}` +
-      `?limit=${CLERK_CFG.PAGE_SIZE}` +
-      `&offset=${offset}` +
-      `&order_by=created_at`
-
-    const res = UrlFetchApp.fetch(url, { method: 'get', headers, muteHttpExceptions: true })
-    const code = res.getResponseCode()
-    if (code >= 300) throw new Error(`Clerk API error ${code}: ${res.getContentText()}`)
-
-    const json = JSON.parse(res.getContentText())
-    const page = Array.isArray(json) ? json : (Array.isArray(json.data) ? json.data : [])
-    if (!page.length) break
+    const page = clerkFetchPage_(`${urlBase}?limit=${CLERK_CFG.PAGE_SIZE}&offset=${offset}&order_by=${order}`, apiKey)
+    const fresh = page.filter(item => {
+      const updated = clerkToDate_(item.updated_at)
+      return !updated || updated.getTime() >= sinceMs
+    })
 
-    all.push(...page)
-    if (page.length < CLERK_CFG.PAGE_SIZE) break
+    out.push(...(mapItem ? fresh.map(mapItem) : fresh))
+    if ((sortsByUpdated && fresh.length < page.length) || page.length < CLERK_CFG.PAGE_SIZE) break
 
     offset += CLERK_CFG.PAGE_SIZE
     Utilities.sleep(CLERK_CFG.PAUSE_MS)
   }
 
-  return all
+  return out
+}
+
+/** One GET of a Clerk list endpoint -> its items. */
+function clerkFetchPage_(url, apiKey) {
+  const res = UrlFetchApp.fetch(url, {
+    method: 'get',
+    headers: { Authorization: `Bearer ${apiKey}` },
+    muteHttpExceptions: true
+  })
+
+  const code = res.getResponseCode()
+  if (code >= 300) throw new Error(`Clerk API error ${code}: ${res.getContentText()}`)
+
+  const json = JSON.parse(res.getContentText())
+  return Array.isArray(json) ? json : (Array.isArray(json.data) ? json.data : [])
 }
 
 function clerkPrimaryEmail_(u) {
@@ -671,15 +1142,15 @@ function clerkPrimaryEmail_(u) {
   const primaryId = u.primary_email_address_id
   const primary = primaryId ? arr.find(e => e && e.id === primaryId) : null
   const picked = primary || arr[0]
-  return strOrBlank_(picked && picked.email_address ? picked.email_address : '')
+  return strOrBlank(picked && picked.email_address ? picked.email_address : '')
 }
 
 function clerkFullName_(u) {
-  const first = strOrBlank_(u && u.first_name ? u.first_name : '')
-  const last = strOrBlank_(u && u.last_name ? u.last_name : '')
+  const first = strOrBlank(u && u.first_name ? u.first_name : '')
+  const last = strOrBlank(u && u.last_name ? u.last_name : '')
   const full = `${first} ${last}`.trim()
   if (full) return full
-  return strOrBlank_(u && u.username ? u.username : '')
+  return strOrBlank(u && u.username ? u.username : '')
 }
 
 function clerkToIso_(ts) {
@@ -755,7 +1226,7 @@ function clerkOverwriteSheet_(sheet, headers, rows) {
   sheet.setFrozenRows(1)
 
   if (rows && rows.length) {
-    batchSetValuesSafe_(sheet, 2, 1, rows, CLERK_CFG.WRITE_CHUNK)
+    batchSetValues(sheet, 2, 1, rows, CLERK_CFG.WRITE_CHUNK)
   }
 
   sheet.autoResizeColumns(1, headers.length)
@@ -765,35 +1236,6 @@ function clerkOverwriteSheet_(sheet, headers, rows) {
  * Login events helpers
  * ========================= */
 
-function clerkBuildLatestLoginByUserId_(eventsSheet) {
-  const map = new Map()
-  const lastRow = eventsSheet.getLastRow()
-  if (lastRow < 2) return map
-
-  const header = eventsSheet.getRange(1, 1, 1, eventsSheet.getLastColumn()).getValues()[0]
-    .map(h => String(h || '').trim().toLowerCase())
-
-  const cUserId = header.indexOf('user_id') + 1
-  const cLoginTs = header.indexOf('login_timestamp') + 1
-  if (!cUserId || !cLoginTs) return map
-
-  const data = eventsSheet.getRange(2, 1, lastRow - 1, eventsSheet.getLastColumn()).getValues()
-  data.forEach(r => {
-    const userId = String(r[cUserId - 1] || '').trim()
-    const tsRaw = r[cLoginTs - 1]
-    if (!userId || !tsRaw) return
-
-    const d = new Date(tsRaw)
-    if (isNaN(d.getTime())) return
-
-    const ms = d.getTime()
-    const prev = map.get(userId) || 0
-    if (ms > prev) map.set(userId, ms)
-  })
-
-  return map
-}
-
 function clerkBuildLoginCountsByUserId_() {
   const ss = SpreadsheetApp.getActive()
   const sh = ss.getSheetByName(CLERK_CFG.LOGIN.EVENTS_TAB)
@@ -816,64 +1258,6 @@ function clerkBuildLoginCountsByUserId_() {
   return out
 }
 
-/* =========================
- * Safe shared util wrappers
- * ========================= */
-
-function getOrCreateSheetSafe_(ss, name) {
-  if (!ss) ss = SpreadsheetApp.getActive()
-  const sheetName = String(name || '').trim()
-  if (!sheetName) throw new Error('getOrCreateSheetSafe_: name is required')
-
-  // IMPORTANT: do NOT call shared getOrCreateSheet() here.
-  // Your shared version appears to sometimes treat the argument as a sheetId (number),
-  // which caused: "Sheet <id> not found".
-  // This local version is name-only and safe.
-  const sh = ss.getSheetByName(sheetName)
-  return sh || ss.insertSheet(sheetName)
-}
-
-function normalizeEmailSafe_(email) {
-  if (typeof normalizeEmail === 'function') return normalizeEmail(email)
-  return String(email || '').trim().toLowerCase()
-}
-
-function batchSetValuesSafe_(sheet, startRow, startCol, values, chunkSize) {
-  if (typeof batchSetValues === 'function') return batchSetValues(sheet, startRow, startCol, values, chunkSize)
-  const size = chunkSize || 2000
-  for (let i = 0; i < values.length; i += size) {
-    const chunk = values.slice(i, i + size)
-    sheet.getRange(startRow + i, startCol, chunk.length, chunk[0].length).setValues(chunk)
-  }
-}
-
-function lockWrapSafe_(lockName, fn) {
-  if (typeof fn !== 'function') throw new Error('lockWrap: fn must be a function')
-
-  if (typeof lockWrap === 'function') {
-    try {
-      return lockWrap(lockName, fn)
-    } catch (e) {
-      return lockWrap(fn)
-    }
-  }
-
-  const lock = LockService.getScriptLock()
-  if (!lock.tryLock(30000)) throw new Error(`Could not obtain lock: ${lockName}`)
-  try {
-    return fn()
-  } finally {
-    lock.releaseLock()
-  }
-}
-
-function writeSyncLogSafe_(step, status, rowsIn, rowsOut, seconds, error) {
-  if (typeof writeSyncLog === 'function') {
-    return writeSyncLog(step, status, rowsIn, rowsOut, seconds, error || '')
-  }
-  Logger.log(`[SYNCLOG missing] ${step} ${status} rows_in=${rowsIn} rows_out=${rowsOut} seconds=${seconds} error=${error || ''}`)
-}
-
 /* =========================
  * Tiny helpers
  * ========================= */
@@ -897,12 +1281,3 @@ function ensureHeaders_(sheet, headers) {
     sheet.setFrozenRows(1)
   }
 }
-
-function strOrBlank_(v) {
-  if (v === null || v === undefined) return ''
-  return String(v).trim()
-}
-
-function safeJson_(obj) {
-  try { return JSON.stringify(obj || {}) } catch (e) { return '{}' }
-}
@@ -0,0 +1,391 @@
+/**************************************************************
+ * Config tab (business rules editable without a code push)
+ *
+ * Sheet "config": key | value | type | description | owner |
+ *                 updated_at | updated_by
+ *
+ * - Every key is declared in CONFIG_DEFS below with its type,
+ *   default and limits. Keys missing from the tab are added with
+ *   their default on first read
+ * - CONFIG_get_(key) reads the tab once per execution (cached) and
+ *   returns the typed value. A blank or invalid cell falls back to
+ *   the default and logs a "config" warning row in sync_log
+ * - Changes are recorded in "config_audit" (who / when / old / new):
+ *   edits through the sheet are caught by onEditInstallable(), and
+ *   any change that slipped past it is picked up on the next read
+ *   (changed_by "unknown")
+ *
+ * Types: string | integer | number | date (yyyy-MM-dd) |
+ *        list (comma separated) | email_list (comma separated)
+ * A list def may name its allowed items with allowed: () => [...]
+ *
+ * Adding a setting: add a CONFIG_DEFS entry, then read it with
+ * CONFIG_get_('<key>') instead of a file-level constant.
+ **************************************************************/
+
+const CONFIG_CFG = {
+  SHEET_NAME: 'config',
+  AUDIT_SHEET: 'config_audit',
+  HEADERS: ['key', 'value', 'type', 'description', 'owner', 'updated_at', 'updated_by'],
+  AUDIT_HEADERS: ['changed_at', 'key', 'old_value', 'new_value', 'changed_by', 'source'],
+  SNAPSHOT_PROP: 'CONFIG_SNAPSHOT',
+  DATE_FMT: 'yyyy-MM-dd'
+}
+
+const CONFIG_DEFS = [
+  {
+    key: 'trial_days',
+    type: 'integer',
+    default: 14,
+    min: 1,
+    max: 365,
+    owner: 'growth',
+    description: 'Standard trial length in days (trial end in org_info / arr_raw_data)'
+  },
+  {
+    key: 'excluded_reason_terms',
+    type: 'list',
+    default: ['internal', 'testing', 'duplicate'],
+    owner: 'finance',
+    description: 'Manual Stripe Changes reasons containing any of these terms drop the subscription from The Ring and All the Stats'
+  },
+  {
+    key: 'free_seat_monthly_discount',
+    type: 'number',
+    default: 30,
+    min: 0,
+    owner: 'finance',
+    description: 'Per-seat amount taken off monthly subscriptions whose reason contains "free seat"'
+  },
+  {
+    key: 'free_seat_yearly_discount',
+    type: 'number',
+    default: 288,
+    min: 0,
+    owner: 'finance',
+    description: 'Per-seat amount taken off yearly subscriptions whose reason contains "free seat"'
+  },
+  {
+    key: 'onboarding_cutoff_date',
+    type: 'date',
+    default: '2026-01-11',
+    owner: 'growth',
+    description: 'Onboarding stats only count users created on or after this date'
+  },
+  {
+    key: 'funnel_steps',
+    type: 'list',
+    default: ['signup', 'calendar_connected', 'first_meeting_recorded', 'first_ask', 'first_client_added', 'paid'],
+    allowed: () => FUNNEL_STEP_DEFS.map(d => d.name),
+    owner: 'growth',
+    description: 'Product funnel steps in order (names from FUNNEL_STEP_DEFS in Product Funnel.js; signup always comes first)'
+  },
+  {
+    key: 'stripe_invoice_lookback_days',
+    type: 'integer',
+    default: 540,
+    min: 1,
+    max: 3650,
+    owner: 'ops',
+    description: 'How far back the Stripe invoice scan looks for first payments'
+  },
+  {
+    key: 'stripe_addon_product_ids',
+    type: 'list',
+    default: [],
+    owner: 'finance',
+    description: 'Stripe product ids billed as add-ons (count towards MRR, not seats); every other product is a seat product'
+  },
+  {
+    key: 'stripe_full_rebuild_days',
+    type: 'integer',
+    default: 7,
+    min: 1,
+    max: 29,
+    owner: 'ops',
+    description: 'Stripe sync lists every subscription again when the last full rebuild is this old (otherwise events only)'
+  },
+  {
+    key: 'clerk_full_sync_days',
+    type: 'integer',
+    default: 7,
+    min: 1,
+    max: 90,
+    owner: 'ops',
+    description: 'Clerk pulls list every user / org / membership again (and mark deleted ones) when the last full sync is this old'
+  },
+  {
+    key: 'calcrm_lookback_days',
+    type: 'integer',
+    default: 2,
+    min: 1,
+    max: 30,
+    owner: 'ops',
+    description: 'Days of past calendar events the Notion CRM import looks at'
+  },
+  {
+    key: 'ring_weekly_recipients',
+    type: 'email_list',
+    default: [
+      'docker@pingassistant.com',
+      'camden@pingassistant.com',
+      'chad@pingassistant.com',
+      'ben@pingassistant.com',
+      'david@pingassistant.com'
+    ],
+    owner: 'ops',
+    description: 'Who gets The Ring Weekly email'
+  },
+  {
+    key: 'dq_row_count_max_drop_pct',
+    type: 'number',
+    default: 20,
+    min: 0,
+    max: 100,
+    owner: 'ops',
+    description: 'Data quality: a raw tab may shrink at most this % vs the last good run'
+  },
+  {
+    key: 'dq_arr_max_change_pct',
+    type: 'number',
+    default: 15,
+    min: 0,
+    owner: 'finance',
+    description: 'Data quality: The Ring ARR may move at most this % vs the last good run'
+  },
+  {
+    key: 'reporting_currency',
+    type: 'string',
+    default: 'USD',
+    pattern: /^[A-Z]{3}$/,
+    owner: 'finance',
+    description: 'Currency all revenue rollups are reported in (rates in the currency_rates tab)'
+  },
+  {
+    key: 'good_stuff_spreadsheet_id',
+    type: 'string',
+    default: '147yUcx8Eb7LE-jhAALwfmddIIOoBYcvEJpXhJR0c8qc',
+    pattern: /^[A-Za-z0-9_-]{20,}$/,
+    owner: 'ops',
+    description: 'Spreadsheet that "The Good Stuff" is published to'
+  }
+]
+
+// Typed values for this execution (null until first CONFIG_get_)
+let CONFIG_CACHE = null
+
+/* =========================
+ * Public entrypoints
+ * ========================= */
+
+/** Typed value of a config key (tab value, or the default). */
+function CONFIG_get_(key) {
+  const def = CONFIG_defsByKey_()[key]
+  if (!def) throw new Error(`Unknown config key: ${key}`)
+
+  if (!CONFIG_CACHE) CONFIG_CACHE = CONFIG_load_()
+  const value = CONFIG_CACHE[key]
+  return Array.isArray(value) ? value.slice() : value
+}
+
+/** Menu / one-off: create the tab (or add missing keys) and format it. */
+function setup_config_sheet() {
+  const sh = CONFIG_ensureSheet_()
+  CONFIG_CACHE = null
+  return { rows_in: 0, rows_out: Math.max(0, sh.getLastRow() - 1) }
+}
+
+/**
+ * Called from onEditInstallable(). Records changes to the config tab
+ * with the editing user and stamps updated_at / updated_by.
+ */
+function config_on_edit(e) {
+  if (!e || !e.range) return
+  const sh = e.range.getSheet()
+  if (sh.getName() !== CONFIG_CFG.SHEET_NAME) return
+
+  const user = (e.user && e.user.getEmail && e.user.getEmail()) || Session.getActiveUser().getEmail() || 'unknown'
+  const changed = CONFIG_recordChanges_(CONFIG_readRaw_(sh), user, 'edit')
+
+  const now = new Date()
+  changed.forEach(c => sh.getRange(c.row, 6, 1, 2).setValues([[now, user]]))
+  CONFIG_CACHE = null
+}
+
+/* =========================
+ * Load + validate
+ * ========================= */
+
+function CONFIG_load_() {
+  const sh = CONFIG_ensureSheet_()
+  const raw = CONFIG_readRaw_(sh)
+  CONFIG_recordChanges_(raw, 'unknown', 'run')
+
+  const out = {}
+  const problems = []
+  CONFIG_DEFS.forEach(def => {
+    const cell = raw[def.key]
+    if (!cell || cell.value === '') {
+      out[def.key] = def.default
+      return
+    }
+    try {
+      out[def.key] = CONFIG_parse_(def, cell.value)
+    } catch (err) {
+      out[def.key] = def.default
+      problems.push(`${def.key}: ${err.message} (using default)`)
+    }
+  })
+
+  if (problems.length) writeSyncLog('config', 'warning', '', '', '', problems.join('; '))
+  return out
+}
+
+/** Raw cell text -> typed value. Throws on anything that does not fit the def. */
+function CONFIG_parse_(def, text) {
+  const s = String(text).trim()
+
+  if (def.type === 'integer' || def.type === 'number') {
+    const n = Number(s)
+    if (s === '' || !isFinite(n)) throw new Error(`"${s}" is not a number`)
+    if (def.type === 'integer' && Math.floor(n) !== n) throw new Error(`"${s}" is not a whole number`)
+    if (def.min != null && n < def.min) throw new Error(`${n} is below ${def.min}`)
+    if (def.max != null && n > def.max) throw new Error(`${n} is above ${def.max}`)
+    return n
+  }
+
+  if (def.type === 'date') {
+    const m = s.match(/^(\d{4})-(\d{2})-(\d{2})$/)
+    const d = m ? new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]))) : null
+    if (!d || d.getUTCMonth() !== Number(m[2]) - 1) throw new Error(`"${s}" is not a yyyy-MM-dd date`)
+    return s
+  }
+
+  if (def.type === 'list' || def.type === 'email_list') {
+    const items = s.split(/[,\n]/).map(x => x.trim()).filter(Boolean)
+    if (!items.length) throw new Error('list is empty')
+    if (def.type === 'email_list') {
+      const bad = items.filter(x => !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(x))
+      if (bad.length) throw new Error(`not an email: ${bad.join(', ')}`)
+      return items.map(x => x.toLowerCase())
+    }
+    const values = items.map(x => x.toLowerCase())
+    if (def.allowed) {
+      const known = def.allowed()
+      const bad = values.filter(x => known.indexOf(x) < 0)
+      if (bad.length) throw new Error(`unknown value: ${bad.join(', ')}`)
+    }
+    return values
+  }
+
+  if (def.type === 'string') {
+    if (def.pattern && !def.pattern.test(s)) throw new Error(`"${s}" does not look like a valid value`)
+    return s
+  }
+
+  throw new Error(`unknown type ${def.type}`)
+}
+
+/* =========================
+ * Sheet + audit
+ * ========================= */
+
+/** Creates the tab if needed and appends any declared key that is missing. */
+function CONFIG_ensureSheet_() {
+  const ss = SpreadsheetApp.getActive()
+  let sh = ss.getSheetByName(CONFIG_CFG.SHEET_NAME)
+  const isNew = !sh
+  if (!sh) sh = ss.insertSheet(CONFIG_CFG.SHEET_NAME)
+
+  if (sh.getLastRow() < 1) {
+    sh.getRange(1, 1, 1, CONFIG_CFG.HEADERS.length).setValues([CONFIG_CFG.HEADERS])
+    sh.setFrozenRows(1)
+    sh.getRange(1, 1, 1, CONFIG_CFG.HEADERS.length).setFontWeight('bold')
+  }
+
+  const existing = CONFIG_readRaw_(sh)
+  const missing = CONFIG_DEFS.filter(def => !existing[def.key])
+  if (missing.length) {
+    const start = sh.getLastRow() + 1
+    const rows = missing.map(def => [
+      def.key,
+      CONFIG_format_(def.default),
+      def.type,
+      def.description,
+      def.owner,
+      new Date(),
+      isNew ? 'default' : 'default (added)'
+    ])
+    // Values stay plain text so Sheets does not turn dates / ids into numbers
+    sh.getRange(start, 2, rows.length, 1).setNumberFormat('@')
+    sh.getRange(start, 1, rows.length, CONFIG_CFG.HEADERS.length).setValues(rows)
+  }
+
+  return sh
+}
+
+/** { key: { row, value } } with value as trimmed text. */
+function CONFIG_readRaw_(sh) {
+  const out = {}
+  const lastRow = sh.getLastRow()
+  if (lastRow < 2) return out
+
+  const tz = Session.getScriptTimeZone()
+  sh.getRange(2, 1, lastRow - 1, 2).getValues().forEach((r, i) => {
+    const key = String(r[0] || '').trim()
+    if (!key) return
+    const v = r[1] instanceof Date ? Utilities.formatDate(r[1], tz, CONFIG_CFG.DATE_FMT) : String(r[1] == null ? '' : r[1]).trim()
+    out[key] = { row: i + 2, value: v }
+  })
+  return out
+}
+
+/**
+ * Compares the tab with the last seen values (Script Properties) and
+ * appends one config_audit row per changed key. Returns the changes.
+ * The very first call only stores the baseline.
+ */
+function CONFIG_recordChanges_(raw, changedBy, source) {
+  const props = PropertiesService.getScriptProperties()
+  const current = {}
+  Object.keys(raw).forEach(k => { current[k] = raw[k].value })
+
+  const prevJson = props.getProperty(CONFIG_CFG.SNAPSHOT_PROP)
+  props.setProperty(CONFIG_CFG.SNAPSHOT_PROP, JSON.stringify(current))
+  if (!prevJson) return []
+
+  let prev
+  try { prev = JSON.parse(prevJson) } catch (e) { return [] }
+
+  const keys = Array.from(new Set(Object.keys(prev).concat(Object.keys(current))))
+  const changes = keys
+    .filter(k => (prev[k] == null ? null : prev[k]) !== (current[k] == null ? null : current[k]))
+    .map(k => ({ key: k, old_value: prev[k] == null ? '' : prev[k], new_value: current[k] == null ? '' : current[k], row: raw[k] ? raw[k].row : 0 }))
+  if (!changes.length) return []
+
+  const audit = getOrCreateSheet(SpreadsheetApp.getActive(), CONFIG_CFG.AUDIT_SHEET)
+  if (audit.getLastRow() < 1) {
+    audit.getRange(1, 1, 1, CONFIG_CFG.AUDIT_HEADERS.length).setValues([CONFIG_CFG.AUDIT_HEADERS])
+    audit.setFrozenRows(1)
+  }
+
+  const now = new Date()
+  const rows = changes.map(c => [now, c.key, c.old_value, c.new_value, changedBy, source])
+  audit.getRange(audit.getLastRow() + 1, 1, rows.length, CONFIG_CFG.AUDIT_HEADERS.length).setValues(rows)
+
+  return changes.filter(c => c.row)
+}
+
+/* =========================
+ * Helpers
+ * ========================= */
+
+function CONFIG_defsByKey_() {
+  const out = {}
+  CONFIG_DEFS.forEach(d => { out[d.key] = d })
+  return out
+}
+
+function CONFIG_format_(value) {
+  return Array.isArray(value) ? value.join(', ') : String(value)
+}
@@ -1,9 +1,11 @@
 /**************************************************************
  * render_conversion_onboarding_stats()
  *
- * Builds "Conversion & Onboarding stats" with two tables stacked:
+ * Builds "Conversion & Onboarding stats" with tables stacked:
  * - Conversion stats (top)
- * - Onboarding stats (bottom)
+ * - Onboarding stats
+ * - Product funnel: users / orgs cohort matrices + median days between
+ *   steps, from funnel_steps (Product Funnel.js; left out until built)
  **************************************************************/
 
 const COMBINED_STATS_CFG = {
@@ -23,7 +25,7 @@ function COMBINED_renderConversionOnboarding_(opts) {
   const t0 = new Date()
   const ss = SpreadsheetApp.getActive()
 
-  const shOut = getOrCreateSheetCompat_(ss, COMBINED_STATS_CFG.SHEET_NAME)
+  const shOut = getOrCreateSheet(ss, COMBINED_STATS_CFG.SHEET_NAME)
   const shOrgs = ss.getSheetByName(CONV_CFG.INPUTS.CLERK_ORGS)
   const shOrgInfo = ss.getSheetByName(CONV_CFG.INPUTS.ORG_INFO)
   const shPosthog = ss.getSheetByName(ONB_CFG.POSTHOG_SHEET)
@@ -43,6 +45,8 @@ function COMBINED_renderConversionOnboarding_(opts) {
   const onbStats = ONB_buildStats_(shPosthog, createdByEmailKey, tz)
   const onbRows = ONB_buildRows_(onbStats.byMonth, onbStats.summary)
 
+  const funnel = FUNNEL_readSteps_(ss)
+
   shOut.clearContents()
 
   let row = 1
@@ -72,6 +76,7 @@ function COMBINED_renderConversionOnboarding_(opts) {
   if (onbRows.length) {
     shOut.getRange(onbDataStart, 1, onbRows.length, ONB_CFG.HEADERS.length).setValues(onbRows)
   }
+  row += onbRows.length
 
   if (convRows.length) {
     CONV_applyFormatsAt_(shOut, convHeaderRow, convDataStart, convRows.length)
@@ -85,14 +90,20 @@ function COMBINED_renderConversionOnboarding_(opts) {
     ONB_applyFormatsAt_(shOut, onbHeaderRow, onbDataStart, 0, onbStats.monthCount, onbStats.summaryCount)
   }
 
-  shOut.autoResizeColumns(1, Math.max(CONV_CFG.HEADERS.length, ONB_CFG.HEADERS.length))
+  let funnelOut = { rows: 0, cols: 0 }
+  if (funnel) {
+    row += COMBINED_STATS_CFG.GAP_ROWS
+    funnelOut = FUNNEL_renderStatsAt_(shOut, row, funnel, COMBINED_STATS_CFG.GAP_ROWS)
+  }
+
+  shOut.autoResizeColumns(1, Math.max(CONV_CFG.HEADERS.length, ONB_CFG.HEADERS.length, funnelOut.cols))
 
   const seconds = (new Date() - t0) / 1000
   if (typeof writeSyncLog === 'function' && opts && opts.logStepName) {
     writeSyncLog(opts.logStepName, 'ok', convRows.length + onbRows.length, '', seconds, '')
   }
 
-  return { rows_out: convRows.length + onbRows.length }
+  return { rows_out: convRows.length + onbRows.length + funnelOut.rows }
 }
 
 function COMBINED_removeOldSheets_(ss, names) {
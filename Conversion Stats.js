@@ -479,7 +479,7 @@ function CONV_batchSetValuesCompat_(sheet, startRow, startCol, values, chunkSize
 
 function CONV_lockWrapCompat_(lockName, fn) {
   if (typeof lockWrap === 'function') {
-    try { return lockWrap(lockName, fn) } catch (e) { return lockWrap(fn) }
+    return lockWrap(lockName, fn)
   }
   const lock = LockService.getScriptLock()
   const ok = lock.tryLock(300000)
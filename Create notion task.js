@@ -59,6 +59,7 @@ function onEdit(e) { return; }
 
 // INSTALLABLE TRIGGER: From spreadsheet → On edit → run onEditInstallable
 function onEditInstallable(e) {
+  config_on_edit(e);
   processDropdownToNotion_(e);
 }
 
@@ -0,0 +1,153 @@
+/**************************************************************
+ * Currency rates (reporting currency conversion)
+ *
+ * Sheet "currency_rates" (maintained by hand, one row per currency
+ * per month):
+ *   month (yyyy-MM) | currency | rate | note
+ *
+ * rate = units of the reporting currency (config "reporting_currency",
+ * default USD) per 1 unit of `currency` in that month.
+ *
+ * - Revenue rollups (The Ring KPIs, All the Stats, arr_raw_data,
+ *   Paying Users) convert each subscription with the rate of the
+ *   month they report on: the latest month at or before it, else the
+ *   earliest month on file
+ * - The reporting currency itself is always 1
+ * - A currency with no rows at all is left out of the reporting totals
+ *   (converted to 0) and listed in the warning (FX_warning_) with its
+ *   amount in its own currency. The critical "currency rates on file"
+ *   data quality check fails on it, so publish and email stop until a
+ *   rate is added
+ * - Detail rows keep the original currency and amount next to the
+ *   converted figure
+ *
+ * setup_currency_rates_sheet() (menu: Set up currency rates) creates
+ * the tab with its header; it never touches existing rows.
+ **************************************************************/
+
+const FX_CFG = {
+  SHEET_NAME: 'currency_rates',
+  HEADERS: ['month', 'currency', 'rate', 'note']
+}
+
+/* =========================
+ * Public entrypoints
+ * ========================= */
+
+function setup_currency_rates_sheet() {
+  const ss = SpreadsheetApp.getActive()
+  const sh = getOrCreateSheet(ss, FX_CFG.SHEET_NAME)
+  if (sh.getLastRow() < 1) {
+    sh.getRange(1, 1, 1, FX_CFG.HEADERS.length).setValues([FX_CFG.HEADERS]).setFontWeight('bold')
+    sh.setFrozenRows(1)
+    // Keep yyyy-MM as text so Sheets does not turn it into a date
+    sh.getRange(2, 1, sh.getMaxRows() - 1, 1).setNumberFormat('@')
+  }
+  return { rows_in: 0, rows_out: Math.max(0, sh.getLastRow() - 1) }
+}
+
+/* =========================
+ * Conversion
+ * ========================= */
+
+/**
+ * { reporting, ratesByCurrency: currency -> [{ month, rate }] (oldest
+ * first), missing: currency -> amount left out for lack of a rate }
+ */
+function FX_context_(ss) {
+  const sh = (ss || SpreadsheetApp.getActive()).getSheetByName(FX_CFG.SHEET_NAME)
+  const rows = sh && sh.getLastRow() >= 2 ? readSheetObjects(sh, 1) : []
+  return FX_buildContext_(rows, CONFIG_get_('reporting_currency'))
+}
+
+/** Rate row objects -> context. Free of Sheets calls for testing. */
+function FX_buildContext_(rows, reporting) {
+  const ratesByCurrency = new Map()
+  ;(rows || []).forEach(r => {
+    const currency = FX_code_(r.currency)
+    const month = FX_monthKey_(r.month)
+    const rate = Number(r.rate)
+    if (!currency || !month || !isFinite(rate) || rate <= 0) return
+
+    if (!ratesByCurrency.has(currency)) ratesByCurrency.set(currency, [])
+    ratesByCurrency.get(currency).push({ month, rate })
+  })
+  ratesByCurrency.forEach(list => list.sort((a, b) => a.month.localeCompare(b.month)))
+
+  return { reporting: FX_code_(reporting) || 'USD', ratesByCurrency, missing: new Map() }
+}
+
+/** Reporting-currency units per 1 `currency` for the month of asOf; null when there is no rate. */
+function FX_rate_(ctx, currency, asOf) {
+  const code = FX_code_(currency)
+  if (!code || code === ctx.reporting) return 1
+
+  const list = ctx.ratesByCurrency.get(code)
+  if (!list || !list.length) return null
+
+  const month = FX_monthKey_(asOf instanceof Date ? asOf : new Date(asOf || Date.now()))
+  let pick = list[0]
+  list.forEach(r => { if (r.month <= month) pick = r })
+  return pick.rate
+}
+
+/**
+ * amount (in `currency`) in the reporting currency. Without a rate: 0,
+ * and the amount is added up under its currency in ctx.missing.
+ */
+function FX_toReporting_(amount, currency, ctx, asOf) {
+  const n = Number(amount) || 0
+  if (!ctx) return n
+
+  const rate = FX_rate_(ctx, currency, asOf)
+  if (rate == null) {
+    const code = FX_code_(currency)
+    ctx.missing.set(code, Math.round(((ctx.missing.get(code) || 0) + n) * 100) / 100)
+    return 0
+  }
+  return Math.round(n * rate * 100) / 100
+}
+
+/**
+ * KPI-area warning for the currencies of the subscriptions in a view,
+ * '' when they are all in the reporting currency. Amounts left out for
+ * lack of a rate are listed as MRR in their own currency.
+ */
+function FX_warning_(ctx, currencies) {
+  const counts = new Map()
+  ;(currencies || []).forEach(c => {
+    const code = FX_code_(c)
+    if (!code || code === ctx.reporting) return
+    counts.set(code, (counts.get(code) || 0) + 1)
+  })
+  if (!counts.size) return ''
+
+  const total = Array.from(counts.values()).reduce((a, b) => a + b, 0)
+  const parts = Array.from(counts.keys()).sort().map(code => `${code} ${counts.get(code)}`)
+  let msg = `⚠ ${total} non-${ctx.reporting} subscription${total === 1 ? '' : 's'} (${parts.join(', ')}) converted to ${ctx.reporting}`
+
+  const missing = Array.from(ctx.missing.keys()).filter(code => counts.has(code)).sort()
+  if (missing.length) {
+    const amounts = missing.map(code => `${code} ${ctx.missing.get(code)} MRR`)
+    msg += `; no rate in ${FX_CFG.SHEET_NAME} for ${missing.join(', ')}, left out of the totals (${amounts.join(', ')})`
+  }
+  return msg
+}
+
+/* =========================
+ * Helpers
+ * ========================= */
+
+function FX_code_(v) {
+  return String(v == null ? '' : v).trim().toUpperCase()
+}
+
+/** yyyy-MM from a Date or a 'yyyy-MM' / ISO string; '' when unparseable. */
+function FX_monthKey_(v) {
+  if (v instanceof Date) {
+    if (isNaN(v.getTime())) return ''
+    return `${v.getFullYear()}-${String(v.getMonth() + 1).padStart(2, '0')}`
+  }
+  const m = String(v == null ? '' : v).trim().match(/^(\d{4})-(\d{2})/)
+  return m ? `${m[1]}-${m[2]}` : ''
+}
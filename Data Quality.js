@@ -0,0 +1,254 @@
+/**************************************************************
+ * Data quality checks (gate for publish / email)
+ *
+ * run_data_quality_checks() runs after The Ring in the pipeline,
+ * evaluates DQ_CHECKS and rewrites the "dq_results" tab:
+ *   checked_at | check | severity | status | observed | expected |
+ *   detail | run_id
+ *
+ * Check kinds:
+ * - row_count:  tab row count may not drop more than config
+ *               dq_row_count_max_drop_pct vs the last good run (and
+ *               may never be 0; drops of a few rows are always ok)
+ * - unique_key: no duplicate non-blank values in a key column
+ * - arr_total:  The Ring combined ARR (B2) within config
+ *               dq_arr_max_change_pct of the last good run
+ * - paying_orgs_named: every row in The Ring has an Org Name
+ * - fx_rates:   every currency in raw_stripe_subscriptions has a rate
+ *               in currency_rates (without one the revenue rollups
+ *               leave the subscription out, see Currency Rates.js)
+ *
+ * "Last good run" values (row counts, ARR) are saved in Script
+ * Properties only when no critical check failed. If a big change is
+ * real (e.g. test subscriptions cleaned up), accept it once with
+ * accept_dq_baseline() (menu: Accept data as DQ baseline).
+ *
+ * Gate: publish_the_good_stuff() and send_ring_weekly_email() call
+ * DQ_assertPublishable_(), which re-evaluates the checks and throws
+ * when a critical one fails, so nothing ships from bad data.
+ **************************************************************/
+
+const DQ_CFG = {
+  OUT_SHEET: 'dq_results',
+  HEADERS: ['checked_at', 'check', 'severity', 'status', 'observed', 'expected', 'detail', 'run_id'],
+  BASELINE_PROP: 'DQ_BASELINE',
+  // Small tabs: a drop of this many rows is always fine, whatever the %
+  ROW_COUNT_SLACK_ROWS: 5,
+  MAX_DETAIL_ITEMS: 5
+}
+
+const DQ_CHECKS = [
+  { name: 'raw_stripe_subscriptions row count', kind: 'row_count', tab: 'raw_stripe_subscriptions', severity: 'critical' },
+  { name: 'raw_clerk_users row count', kind: 'row_count', tab: 'raw_clerk_users', severity: 'critical' },
+  { name: 'raw_clerk_orgs row count', kind: 'row_count', tab: 'raw_clerk_orgs', severity: 'critical' },
+  { name: 'raw_clerk_memberships row count', kind: 'row_count', tab: 'raw_clerk_memberships', severity: 'warning' },
+  { name: 'raw_posthog_user_metrics row count', kind: 'row_count', tab: 'raw_posthog_user_metrics', severity: 'warning' },
+
+  { name: 'unique stripe_subscription_id', kind: 'unique_key', tab: 'raw_stripe_subscriptions', column: 'stripe_subscription_id', severity: 'critical' },
+  { name: 'unique stripe_item_id', kind: 'unique_key', tab: 'raw_stripe_subscription_items', column: 'stripe_item_id', severity: 'critical' },
+  { name: 'unique stripe_discount_id', kind: 'unique_key', tab: 'raw_stripe_discounts', column: 'stripe_discount_id', severity: 'warning' },
+  { name: 'unique stripe_invoice_id', kind: 'unique_key', tab: 'raw_stripe_invoices', column: 'stripe_invoice_id', severity: 'warning' },
+  { name: 'unique raw_clerk_orgs org_id', kind: 'unique_key', tab: 'raw_clerk_orgs', column: 'org_id', severity: 'critical' },
+  { name: 'unique canon_orgs org_id', kind: 'unique_key', tab: 'canon_orgs', column: 'org_id', severity: 'critical' },
+
+  { name: 'The Ring ARR total', kind: 'arr_total', severity: 'critical' },
+  { name: 'paying orgs have an org name', kind: 'paying_orgs_named', severity: 'critical' },
+  { name: 'currency rates on file', kind: 'fx_rates', tab: 'raw_stripe_subscriptions', severity: 'critical' }
+]
+
+/* =========================
+ * Public entrypoints
+ * ========================= */
+
+/**
+ * Pipeline step. Writes dq_results; saves the baseline when no
+ * critical check failed, otherwise throws (after writing the tab).
+ */
+function run_data_quality_checks() {
+  const results = DQ_evaluateAll_()
+  DQ_writeResults_(results)
+
+  const critical = results.filter(r => r.status === 'fail' && r.severity === 'critical')
+  if (critical.length) throw new Error(`Data quality failed: ${critical.map(r => r.check).join(', ')}`)
+
+  DQ_saveBaseline_()
+  return { rows_in: DQ_CHECKS.length, rows_out: results.length }
+}
+
+/** Menu / one-off: accept the current data as the comparison point. */
+function accept_dq_baseline() {
+  const baseline = DQ_saveBaseline_()
+  return { rows_in: Object.keys(baseline.counts).length, rows_out: 1 }
+}
+
+/** Throws when a critical check fails right now. Call before publishing/sending. */
+function DQ_assertPublishable_(consumer) {
+  const failed = DQ_evaluateAll_().filter(r => r.status === 'fail' && r.severity === 'critical')
+  if (!failed.length) return
+  throw new Error(`${consumer} blocked by data quality: ${failed.map(r => `${r.check} (${r.detail})`).join('; ')}`)
+}
+
+/* =========================
+ * Evaluation
+ * ========================= */
+
+function DQ_evaluateAll_() {
+  const ss = SpreadsheetApp.getActive()
+  const baseline = DQ_loadBaseline_()
+  const limits = {
+    maxDropPct: CONFIG_get_('dq_row_count_max_drop_pct'),
+    maxArrChangePct: CONFIG_get_('dq_arr_max_change_pct')
+  }
+
+  return DQ_CHECKS.map(check => {
+    let res
+    try {
+      res = DQ_evaluate_(ss, check, baseline, limits)
+    } catch (err) {
+      res = { status: 'fail', observed: '', expected: '', detail: `check errored: ${err && err.message ? err.message : err}` }
+    }
+    return Object.assign({ check: check.name, severity: check.severity }, res)
+  })
+}
+
+function DQ_evaluate_(ss, check, baseline, limits) {
+  if (check.kind === 'row_count') {
+    const count = DQ_rowCount_(ss.getSheetByName(check.tab))
+    const prev = baseline ? baseline.counts[check.tab] : null
+    if (!count) return DQ_result_(false, count, '> 0', `${check.tab} is empty or missing`)
+    if (prev == null) return DQ_result_(true, count, '', 'no previous run to compare')
+
+    const min = Math.max(1, Math.min(prev - DQ_CFG.ROW_COUNT_SLACK_ROWS, Math.ceil(prev * (1 - limits.maxDropPct / 100))))
+    return DQ_result_(count >= min, count, `>= ${min}`, `previous ${prev}, max drop ${limits.maxDropPct}%`)
+  }
+
+  if (check.kind === 'unique_key') {
+    const values = DQ_columnValues_(ss.getSheetByName(check.tab), 1, 1, check.column)
+    if (!values) return DQ_result_(false, '', check.column, `${check.tab} has no ${check.column} column`)
+
+    const seen = new Set()
+    const dupes = new Set()
+    values.forEach(v => {
+      const key = String(v == null ? '' : v).trim()
+      if (!key) return
+      if (seen.has(key)) dupes.add(key)
+      seen.add(key)
+    })
+    const list = Array.from(dupes)
+    return DQ_result_(!list.length, list.length, 0, list.length ? `duplicates: ${DQ_clip_(list)}` : '')
+  }
+
+  if (check.kind === 'arr_total') {
+    const ring = ss.getSheetByName(RING_CFG.SHEET_NAME)
+    if (!ring) return DQ_result_(false, '', '', `${RING_CFG.SHEET_NAME} is missing`)
+    const arr = Number(ring.getRange(RING_CFG.KPI_ROW_VALUE, RING_CFG.KPI_COLS.COMBINED.ARR).getValue()) || 0
+    const prev = baseline ? baseline.arr : null
+    if (prev == null) return DQ_result_(true, arr, '', 'no previous run to compare')
+
+    const changePct = prev ? Math.abs(arr - prev) / prev * 100 : (arr ? 100 : 0)
+    return DQ_result_(
+      changePct <= limits.maxArrChangePct,
+      arr,
+      `${prev} ± ${limits.maxArrChangePct}%`,
+      `changed ${Math.round(changePct * 10) / 10}%`
+    )
+  }
+
+  if (check.kind === 'paying_orgs_named') {
+    const ring = ss.getSheetByName(RING_CFG.SHEET_NAME)
+    if (!ring) return DQ_result_(false, '', '', `${RING_CFG.SHEET_NAME} is missing`)
+    const names = DQ_columnValues_(ring, RING_CFG.HEADER_ROW, RING_CFG.START_COL, 'Org Name')
+    const emails = DQ_columnValues_(ring, RING_CFG.HEADER_ROW, RING_CFG.START_COL, 'Customer Email') || []
+    if (!names) return DQ_result_(false, '', 'Org Name', `${RING_CFG.SHEET_NAME} has no Org Name column`)
+
+    const unnamed = []
+    names.forEach((n, i) => {
+      const email = String(emails[i] == null ? '' : emails[i]).trim()
+      if (!String(n == null ? '' : n).trim() && email) unnamed.push(email)
+    })
+    return DQ_result_(!unnamed.length, unnamed.length, 0, unnamed.length ? `no org name: ${DQ_clip_(unnamed)}` : '')
+  }
+
+  if (check.kind === 'fx_rates') {
+    const currencies = DQ_columnValues_(ss.getSheetByName(check.tab), 1, 1, 'currency')
+    if (!currencies) return DQ_result_(false, '', 'currency', `${check.tab} has no currency column`)
+
+    const fx = FX_context_(ss)
+    currencies.forEach(c => FX_toReporting_(1, c, fx, new Date()))
+    const missing = Array.from(fx.missing.keys()).filter(Boolean).sort()
+    return DQ_result_(!missing.length, missing.length, 0, missing.length ? `no rate in ${FX_CFG.SHEET_NAME} for ${DQ_clip_(missing)}` : '')
+  }
+
+  throw new Error(`Unknown data quality check kind: ${check.kind}`)
+}
+
+/* =========================
+ * Baseline + output
+ * ========================= */
+
+function DQ_loadBaseline_() {
+  const raw = PropertiesService.getScriptProperties().getProperty(DQ_CFG.BASELINE_PROP)
+  if (!raw) return null
+  try { return JSON.parse(raw) } catch (e) { return null }
+}
+
+function DQ_saveBaseline_() {
+  const ss = SpreadsheetApp.getActive()
+  const counts = {}
+  DQ_CHECKS.filter(c => c.kind === 'row_count').forEach(c => {
+    counts[c.tab] = DQ_rowCount_(ss.getSheetByName(c.tab))
+  })
+
+  const ring = ss.getSheetByName(RING_CFG.SHEET_NAME)
+  const baseline = {
+    saved_at: new Date().toISOString(),
+    counts,
+    arr: ring ? Number(ring.getRange(RING_CFG.KPI_ROW_VALUE, RING_CFG.KPI_COLS.COMBINED.ARR).getValue()) || 0 : null
+  }
+  PropertiesService.getScriptProperties().setProperty(DQ_CFG.BASELINE_PROP, JSON.stringify(baseline))
+  return baseline
+}
+
+function DQ_writeResults_(results) {
+  const sh = getOrCreateSheet(SpreadsheetApp.getActive(), DQ_CFG.OUT_SHEET)
+  const run = getSyncLogRun()
+  const now = new Date()
+
+  const rows = results.map(r => [now, r.check, r.severity, r.status, r.observed, r.expected, r.detail, run ? run.run_id : ''])
+
+  sh.clearContents()
+  sh.getRange(1, 1, 1, DQ_CFG.HEADERS.length).setValues([DQ_CFG.HEADERS])
+  sh.setFrozenRows(1)
+  if (rows.length) sh.getRange(2, 1, rows.length, DQ_CFG.HEADERS.length).setValues(rows)
+}
+
+/* =========================
+ * Helpers
+ * ========================= */
+
+function DQ_result_(ok, observed, expected, detail) {
+  return { status: ok ? 'pass' : 'fail', observed, expected, detail: detail || '' }
+}
+
+function DQ_rowCount_(sh) {
+  if (!sh || sh.getLastRow() < 2) return 0
+  return sh.getRange(2, 1, sh.getLastRow() - 1, 1).getValues()
+    .filter(r => String(r[0] == null ? '' : r[0]).trim() !== '')
+    .length
+}
+
+/** Values under `header` (header row / start col 1-based), or null if the header is missing. */
+function DQ_columnValues_(sh, headerRow, startCol, header) {
+  if (!sh || sh.getLastColumn() < startCol) return null
+  const width = sh.getLastColumn() - startCol + 1
+  const headers = sh.getRange(headerRow, startCol, 1, width).getValues()[0].map(h => String(h || '').trim())
+  const idx = headers.indexOf(header)
+  if (idx < 0) return null
+  if (sh.getLastRow() <= headerRow) return []
+  return sh.getRange(headerRow + 1, startCol + idx, sh.getLastRow() - headerRow, 1).getValues().map(r => r[0])
+}
+
+function DQ_clip_(list) {
+  const shown = list.slice(0, DQ_CFG.MAX_DETAIL_ITEMS).join(', ')
+  return list.length > DQ_CFG.MAX_DETAIL_ITEMS ? `${shown} (+${list.length - DQ_CFG.MAX_DETAIL_ITEMS} more)` : shown
+}
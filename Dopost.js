@@ -1,23 +1,54 @@
 /**************************************************************
- * Webhook Receiver (Google Apps Script Web App) — RUNS IMMEDIATELY
+ * Webhook Receiver (Google Apps Script Web App) — routed
  *
- * ✅ What this version does:
- * - Validates shared secret (query param ?secret=... OR JSON body.secret)
- * - Logs EVERYTHING into webhook_inbox (including full payload, clipped)
- * - Runs the pipeline immediately (no queue):
- *    1) calcrm_notion_calendar_import_from_camden()
- *    2) notion_link_unlinked_contacts_to_sauron()
- *    3) notion_link_unlinked_companies_to_sauron()
+ * Every POST is matched to one entry of WEBHOOK_ROUTES, by ?route=
+ * when present, else by the shape of the payload. Each route brings
+ * its own auth strategy, rate limit, handler and result fields:
  *
- * ✅ Notes:
- * - This WILL take longer than "queue" mode. If Notion times out, switch back to queue.
- * - To reduce timeout risk, make sure your calendar import has small limits (you already did).
+ *   route     matched by (no ?route=)          auth             handler
+ *   calendar  secret present (legacy callers)  shared secret    Calendar -> Notion import + linkers (queued)
+ *   stripe    body.object "event", id evt_...  Stripe HMAC      Stripe Webhook.js
+ *   clerk     svix-id / Clerk event body       Svix signature   Clerk Webhook.js
+ *   run_step  body.step                        shared secret    PIPELINE_runFrom_([step]) (queued)
+ *   notion    body.source.type "automation"    shared secret    Notion -> Sauron linkers (queued)
+ *
+ * Queued routes answer { code: 202, status: "queued", queue_id } as
+ * soon as the request is authenticated; webhook_queue_worker() runs
+ * the handler later, with retries (Webhook Queue.js).
+ *
+ * - ?route= naming no registered route -> 404-style JSON error
+ *   ({ ok: false, code: 404 }); nothing runs
+ * - Auth failures -> code 401, over the rate limit -> code 429,
+ *   a request the route rejects (`validate`) -> code 400,
+ *   handler exceptions -> code 500 (Apps Script always answers
+ *   HTTP 200; the code is in the JSON)
+ * - Rate limits are per route, counted in a Script Property per
+ *   window (approximate under concurrent requests)
+ * - Every request, matched or not, is logged to webhook_inbox with
+ *   its route, code, the handler's result and whether auth passed
+ *
+ * Apps Script web apps do not see request headers: signatures and
+ * secrets sent as headers have to be copied into query params by a
+ * relay (e.headers is used when the runtime provides it). Header and
+ * param names are in each route's auth config.
+ *
+ * Adding a route: add an entry to WEBHOOK_ROUTES. Handlers take the
+ * request ({ request_id, route, params, raw_body, parsed, e }) and
+ * return { ok, error?, ...fields }; `result` lists the fields that
+ * go into the response (and webhook_inbox.result_json). Slow handlers
+ * get `queue: { coalesce: req => key }` (requests with the same key
+ * share one pending queue item).
  *
  * Sheets:
- * - webhook_inbox (logs)
+ * - webhook_inbox (one row per request)
+ * - sync_log (one run per request, trigger_source "webhook", root
+ *   step = the route's log_step)
  *
- * Script Properties required:
- * - WEBHOOK_SHARED_SECRET
+ * Script Properties:
+ * - WEBHOOK_SHARED_SECRET (calendar, notion)
+ * - PIPELINE_WEBHOOK_SECRET (run_step)
+ * - STRIPE_WEBHOOK_SECRET (stripe)
+ * - CLERK_WEBHOOK_SECRET (clerk, "whsec_..." from the Clerk dashboard)
  **************************************************************/
 
 const WEBHOOK_RUN = {
@@ -25,7 +56,7 @@ const WEBHOOK_RUN = {
   HEADER: [
     "received_at",
     "request_id",
-    "status",              // running | done | error | auth_error
+    "status",              // done | queued | error | auth_error | rate_limited | invalid | not_found | dry_run
     "ok",
     "error",
     "secret_source",
@@ -34,166 +65,374 @@ const WEBHOOK_RUN = {
     "parsed_json",
     "steps_json",
     "processed_at",
-    "duration_ms"
+    "duration_ms",
+    "route",
+    "code",
+    "result_json",
+    "replay_of",           // original request_id (Webhook Replay.js)
+    "authenticated"        // true once the route's auth passed (only these are replayed)
   ],
-  MAX_RAW_BODY_CHARS: 50000
+  MAX_RAW_BODY_CHARS: 50000,
+  SIGNATURE_TOLERANCE_SEC: 300,
+  RATE_PROP_PREFIX: "WEBHOOK_RATE_"
 }
 
-/**
+const WEBHOOK_ROUTES = [
+  {
+    name: "stripe",
+    log_step: "stripe_webhook",
+    matches: req => req.parsed.object === "event" && /^evt_/.test(String(req.parsed.id || "")),
+    auth: { type: "stripe_signature", secret_prop: "STRIPE_WEBHOOK_SECRET", header: "stripe-signature", param: "stripe_signature" },
+    rate_limit: { max: 120, window_sec: 60 },
+    handle: req => STRIPEWH_handleEvent_(req),
+    result: ["event_id", "status", "duplicate"]
+  },
+  {
+    name: "clerk",
+    log_step: "clerk_webhook",
+    matches: req => !!WEBHOOK_header_(req, "svix-id", "svix_id") ||
+      (req.parsed.object === "event" && typeof req.parsed.type === "string" && !!req.parsed.data),
+    auth: { type: "svix", secret_prop: "CLERK_WEBHOOK_SECRET" },
+    rate_limit: { max: 120, window_sec: 60 },
+    handle: req => CLERKWH_handleEvent_(req),
+    result: ["event_type", "status", "object_id"]
+  },
+  {
+    name: "notion",
+    log_step: "notion_webhook",
+    matches: req => !!(req.parsed.source && req.parsed.source.type === "automation"),
+    auth: { type: "shared_secret", secret_prop: "WEBHOOK_SHARED_SECRET", header: "x-webhook-secret" },
+    rate_limit: { max: 30, window_sec: 60 },
+    queue: { coalesce: () => "notion" },
+    handle: req => WEBHOOK_runNotionLinkers_(req),
+    result: ["steps"]
+  },
+  {
+    name: "run_step",
+    log_step: "webhook_run_step",
+    matches: req => typeof req.parsed.step === "string",
+    auth: { type: "shared_secret", secret_prop: "PIPELINE_WEBHOOK_SECRET", header: "x-webhook-secret" },
+    rate_limit: { max: 5, window_sec: 60 },
+    validate: req => WEBHOOK_validatePipelineStep_(req),
+    queue: { coalesce: req => `run_step:${String(req.parsed.step || "").trim()}` },
+    handle: req => WEBHOOK_runPipelineStep_(req),
+    result: ["step", "steps"]
+  },
+  {
+    // Legacy callers post without ?route=, with the shared secret
+    name: "calendar",
+    log_step: "doPost",
+    matches: req => !!(req.params.secret || WEBHOOK_bodySecret_(req.parsed)),
+    auth: { type: "shared_secret", secret_prop: "WEBHOOK_SHARED_SECRET", header: "x-webhook-secret" },
+    rate_limit: { max: 10, window_sec: 60 },
+    queue: { coalesce: () => "calendar" },
+    handle: req => WEBHOOK_runCalendarPipeline_(req),
+    result: ["steps"]
+  }
+]
+
+/* =========================
  * Web App entry
- * - Runs pipeline immediately (no queue)
- * - Logs everything in webhook_inbox
+ * ========================= */
+
+/**
+ * Web App entry: resolves the route, then runs auth -> rate limit ->
+ * validate -> handler (or enqueue) inside one sync_log run
+ * (trigger_source "webhook").
  */
 function doPost(e) {
-  const requestId = Utilities.getUuid()
-  const receivedAt = new Date().toISOString()
-
-  let status = "running"
-  let ok = false
-  let error = ""
-  let secretSource = "none"
-  let stepsJson = "[]"
-  let processedAt = ""
-  let durationMs = ""
+  const req = WEBHOOK_request_(e)
+  const route = WEBHOOK_resolveRoute_(req)
+  return runInSyncLogRun(route ? route.log_step : "doPost", { trigger_source: "webhook" }, () => handlePost_(req, route))
+}
 
+function handlePost_(req, route) {
   const t0 = Date.now()
+  const row = {
+    received_at: new Date().toISOString(),
+    request_id: req.request_id,
+    secret_source: "none",
+    query_params_json: safeJson(req.params),
+    raw_body: clip_(req.raw_body, WEBHOOK_RUN.MAX_RAW_BODY_CHARS),
+    parsed_json: safeJson(req.parsed),
+    route: route ? route.name : req.route,
+    authenticated: false
+  }
+  const logStep = route ? route.log_step : "doPost"
 
-  const queryParams = (e && e.parameter) ? e.parameter : {}
-  const queryParamsJson = safeJson_(queryParams)
+  const finish = (status, code, error, result) => {
+    const ok = code >= 200 && code < 300
+    const out = result || {}
+    const durationMs = Date.now() - t0
 
-  const rawBody = (e && e.postData && typeof e.postData.contents === "string")
-    ? e.postData.contents
-    : ""
+    try {
+      writeSyncLog(logStep, ok ? "ok" : "error", out.rows_in != null ? out.rows_in : "", out.rows_out != null ? out.rows_out : "", durationMs / 1000, error || "")
+    } catch (_) {}
 
-  const rawBodyClipped = clip_(rawBody, WEBHOOK_RUN.MAX_RAW_BODY_CHARS)
-  const parsed = safeParseJson_(rawBody)
-  const parsedJson = safeJson_(parsed.value)
+    const fields = {}
+    const keys = ((route && route.result) || []).concat(status === "queued" ? ["queue_id", "coalesced"] : [])
+    keys.forEach(k => { if (out[k] !== undefined) fields[k] = out[k] })
+
+    try {
+      ensureWebhookSheet_()
+      writeWebhookRow_(Object.assign(row, {
+        status,
+        ok,
+        error: error || "",
+        steps_json: JSON.stringify(out.steps || []),
+        processed_at: new Date().toISOString(),
+        duration_ms: String(durationMs),
+        code,
+        result_json: safeJson(fields)
+      }))
+    } catch (_) {}
+
+    return jsonResponse_(Object.assign({
+      ok,
+      code,
+      route: row.route,
+      request_id: req.request_id,
+      run_id: getSyncLogRun().run_id,
+      status,
+      error: error || "",
+      duration_ms: durationMs
+    }, fields))
+  }
+
+  if (!route) {
+    return finish("not_found", 404, req.route
+      ? `Unknown webhook route: ${req.route}`
+      : "No webhook route matches this request (set ?route=...)")
+  }
 
   try {
-    ensureWebhookSheet_()
-
-    // --- AUTH (query param or body) ---
-    const expected = mustGetScriptProp_("WEBHOOK_SHARED_SECRET")
-
-    const fromQuery = String(queryParams.secret || "").trim()
-    const fromBody =
-      parsed.ok
-        ? String(
-            (parsed.value && parsed.value.secret) ||
-            (parsed.value && parsed.value.data && parsed.value.data.secret) ||
-            ""
-          ).trim()
-        : ""
-
-    const provided = fromQuery || fromBody
-    if (fromQuery) secretSource = "query"
-    else if (fromBody) secretSource = "json_body"
-
-    if (!provided) {
-      status = "auth_error"
-      error = "Unauthorized: missing secret (?secret=... or JSON body.secret)"
-      durationMs = String(Date.now() - t0)
-      processedAt = new Date().toISOString()
-      writeWebhookRow_(receivedAt, requestId, status, ok, error, secretSource, queryParamsJson, rawBodyClipped, parsedJson, "[]", processedAt, durationMs)
-      return jsonResponse_({ ok: false, request_id: requestId, error })
-    }
-
-    if (provided !== expected) {
-      status = "auth_error"
-      error = "Unauthorized: invalid secret"
-      durationMs = String(Date.now() - t0)
-      processedAt = new Date().toISOString()
-      writeWebhookRow_(receivedAt, requestId, status, ok, error, secretSource, queryParamsJson, rawBodyClipped, parsedJson, "[]", processedAt, durationMs)
-      return jsonResponse_({ ok: false, request_id: requestId, error })
-    }
-
-    // --- RUN PIPELINE ---
-    const steps = []
-
-    steps.push(runStep_("calcrm_notion_calendar_import_from_camden", () => {
+    const auth = WEBHOOK_authenticate_(route, req)
+    row.secret_source = auth.source || "none"
+    row.authenticated = auth.ok === true
+    if (!auth.ok) return finish("auth_error", 401, auth.error)
+
+    const rate = WEBHOOK_takeRateLimit_(route)
+    if (!rate.ok) return finish("rate_limited", 429, rate.error)
+
+    const invalid = route.validate ? route.validate(req) : ""
+    if (invalid) return finish("invalid", 400, invalid)
+
+    if (route.queue) return finish("queued", 202, "", WHQ_enqueue_(route, req))
+
+    const result = route.handle(req) || {}
+    return result.ok === false
+      ? finish("error", 500, String(result.error || "unknown error"), result)
+      : finish("done", 200, "", result)
+  } catch (err) {
+    return finish("error", 500, String(err && err.message ? err.message : err))
+  }
+}
+
+/* =========================
+ * Routing
+ * ========================= */
+
+/** The request as handlers see it. */
+function WEBHOOK_request_(e) {
+  const params = (e && e.parameter) ? e.parameter : {}
+  const rawBody = (e && e.postData && typeof e.postData.contents === "string") ? e.postData.contents : ""
+  const parsed = safeParseJson_(rawBody)
+  return {
+    request_id: Utilities.getUuid(),
+    route: String(params.route || "").trim().toLowerCase(),
+    params,
+    raw_body: rawBody,
+    parsed: parsed.value && typeof parsed.value === "object" ? parsed.value : {},
+    e
+  }
+}
+
+/** ?route= when given (null if unknown), else the first route whose payload shape matches. */
+function WEBHOOK_resolveRoute_(req) {
+  if (req.route) return WEBHOOK_ROUTES.find(r => r.name === req.route) || null
+  return WEBHOOK_ROUTES.find(r => r.matches(req)) || null
+}
+
+/** Header value (case-insensitive) when the runtime exposes headers, else the query param. */
+function WEBHOOK_header_(req, header, param) {
+  const headers = (req.e && req.e.headers) || {}
+  const key = Object.keys(headers).find(k => k.toLowerCase() === header)
+  const fromHeader = key ? headers[key] : ""
+  return String(fromHeader || (param ? req.params[param] : "") || "").trim()
+}
+
+/* =========================
+ * Auth strategies
+ * ========================= */
+
+/** { ok, error, source } for the route's auth strategy. */
+function WEBHOOK_authenticate_(route, req) {
+  const auth = route.auth
+  const secret = mustGetScriptProp_(auth.secret_prop)
+  const nowSec = Math.floor(Date.now() / 1000)
+
+  if (auth.type === "shared_secret") {
+    const fromHeader = auth.header ? WEBHOOK_header_(req, auth.header) : ""
+    const fromQuery = String(req.params.secret || "").trim()
+    const fromBody = WEBHOOK_bodySecret_(req.parsed)
+    const provided = fromHeader || fromQuery || fromBody
+    const source = fromHeader ? "header" : fromQuery ? "query" : fromBody ? "json_body" : "none"
+
+    if (!provided) return { ok: false, source, error: "Unauthorized: missing secret (?secret=... or JSON body.secret)" }
+    if (!WEBHOOK_safeEqual_(provided, secret)) return { ok: false, source, error: "Unauthorized: invalid secret" }
+    return { ok: true, source }
+  }
+
+  if (auth.type === "stripe_signature") {
+    const check = STRIPEWH_verifySignature_(req.raw_body, WEBHOOK_header_(req, auth.header, auth.param), secret, nowSec)
+    return Object.assign({ source: "stripe_signature" }, check)
+  }
+
+  if (auth.type === "svix") {
+    const check = WEBHOOK_verifySvix_(req.raw_body, {
+      id: WEBHOOK_header_(req, "svix-id", "svix_id"),
+      timestamp: WEBHOOK_header_(req, "svix-timestamp", "svix_timestamp"),
+      signature: WEBHOOK_header_(req, "svix-signature", "svix_signature")
+    }, secret, nowSec)
+    return Object.assign({ source: "svix" }, check)
+  }
+
+  throw new Error(`Unknown webhook auth type: ${auth.type}`)
+}
+
+function WEBHOOK_bodySecret_(parsed) {
+  return String(
+    (parsed && parsed.secret) ||
+    (parsed && parsed.data && parsed.data.secret) ||
+    ""
+  ).trim()
+}
+
+/**
+ * Svix (Clerk) signature: svix-signature holds space-separated
+ * "v1,<base64 HMAC-SHA256 of '<svix-id>.<svix-timestamp>.<body>'>",
+ * keyed with the base64 part of the "whsec_..." secret.
+ */
+function WEBHOOK_verifySvix_(rawBody, svix, secret, nowSec) {
+  if (!svix.id || !svix.timestamp || !svix.signature) {
+    return { ok: false, error: "Missing svix-id, svix-timestamp or svix-signature" }
+  }
+
+  const key = Utilities.base64Decode(String(secret).replace(/^whsec_/, ""))
+  const content = Utilities.newBlob(`${svix.id}.${svix.timestamp}.${rawBody}`).getBytes()
+  const expected = Utilities.base64Encode(Utilities.computeHmacSha256Signature(content, key))
+
+  const signatures = String(svix.signature).split(" ")
+    .map(s => s.split(","))
+    .filter(p => p[0] === "v1" && p[1])
+    .map(p => p[1])
+  if (!signatures.some(sig => WEBHOOK_safeEqual_(sig, expected))) return { ok: false, error: "Svix signature does not match" }
+
+  const ts = Number(svix.timestamp)
+  if (!isFinite(ts) || Math.abs(nowSec - ts) > WEBHOOK_RUN.SIGNATURE_TOLERANCE_SEC) {
+    return { ok: false, error: `Svix timestamp outside the ${WEBHOOK_RUN.SIGNATURE_TOLERANCE_SEC}s tolerance` }
+  }
+  return { ok: true, error: "" }
+}
+
+/** Compares every character so the time taken does not leak the matching prefix. */
+function WEBHOOK_safeEqual_(a, b) {
+  const x = String(a)
+  const y = String(b)
+  if (x.length !== y.length) return false
+  let diff = 0
+  for (let i = 0; i < x.length; i++) diff |= x.charCodeAt(i) ^ y.charCodeAt(i)
+  return diff === 0
+}
+
+/* =========================
+ * Rate limits
+ * ========================= */
+
+/** Counts this request against the route's window; { ok: false } once over the limit. */
+function WEBHOOK_takeRateLimit_(route) {
+  const limit = route.rate_limit
+  if (!limit) return { ok: true }
+
+  const props = PropertiesService.getScriptProperties()
+  const key = WEBHOOK_RUN.RATE_PROP_PREFIX + route.name
+  const now = Date.now()
+  const parts = String(props.getProperty(key) || "").split(":").map(Number)
+  const fresh = !parts[0] || now - parts[0] >= limit.window_sec * 1000
+  const start = fresh ? now : parts[0]
+  const count = fresh ? 1 : (parts[1] || 0) + 1
+  props.setProperty(key, `${start}:${count}`)
+
+  if (count > limit.max) {
+    return { ok: false, error: `Rate limited: more than ${limit.max} ${route.name} requests in ${limit.window_sec}s` }
+  }
+  return { ok: true }
+}
+
+/* =========================
+ * Handlers
+ * ========================= */
+
+/** calendar: Calendar -> Notion import, then both Notion -> Sauron linkers (run by the queue worker). */
+function WEBHOOK_runCalendarPipeline_() {
+  const steps = [
+    runStep_("calcrm_notion_calendar_import_from_camden", () => {
       if (typeof calcrm_notion_calendar_import_from_camden !== "function") {
         throw new Error("Missing function: calcrm_notion_calendar_import_from_camden")
       }
       return calcrm_notion_calendar_import_from_camden()
-    }))
+    })
+  ].concat(WEBHOOK_linkerSteps_())
+  return WEBHOOK_stepsResult_(steps)
+}
 
-    steps.push(runStep_("notion_link_unlinked_contacts_to_sauron", () => {
+/** notion: a Notion automation changed a page; re-run the linkers. */
+function WEBHOOK_runNotionLinkers_() {
+  return WEBHOOK_stepsResult_(WEBHOOK_linkerSteps_())
+}
+
+function WEBHOOK_linkerSteps_() {
+  return [
+    runStep_("notion_link_unlinked_contacts_to_sauron", () => {
       if (typeof notion_link_unlinked_contacts_to_sauron !== "function") {
         throw new Error("Missing function: notion_link_unlinked_contacts_to_sauron")
       }
       return notion_link_unlinked_contacts_to_sauron()
-    }))
-
-    steps.push(runStep_("notion_link_unlinked_companies_to_sauron", () => {
+    }),
+    runStep_("notion_link_unlinked_companies_to_sauron", () => {
       if (typeof notion_link_unlinked_companies_to_sauron !== "function") {
         throw new Error("Missing function: notion_link_unlinked_companies_to_sauron")
       }
       return notion_link_unlinked_companies_to_sauron()
-    }))
-
-    // Determine overall result
-    const allOk = steps.every(s => s && s.ok === true)
-    ok = allOk
-    status = allOk ? "done" : "error"
-    if (!allOk) {
-      const firstFail = steps.find(s => s && s.ok === false)
-      error = firstFail ? String(firstFail.error || "unknown error") : "unknown error"
-    }
-
-    stepsJson = JSON.stringify(steps)
-    processedAt = new Date().toISOString()
-    durationMs = String(Date.now() - t0)
-
-    // Log final row
-    writeWebhookRow_(
-      receivedAt,
-      requestId,
-      status,
-      ok,
-      error,
-      secretSource,
-      queryParamsJson,
-      rawBodyClipped,
-      parsedJson,
-      stepsJson,
-      processedAt,
-      durationMs
-    )
-
-    return jsonResponse_({
-      ok,
-      request_id: requestId,
-      status,
-      duration_ms: Number(durationMs),
-      steps
     })
-  } catch (err) {
-    status = "error"
-    ok = false
-    error = String(err && err.message ? err.message : err)
-    stepsJson = stepsJson || "[]"
-    processedAt = new Date().toISOString()
-    durationMs = String(Date.now() - t0)
+  ]
+}
 
-    try {
-      ensureWebhookSheet_()
-      writeWebhookRow_(
-        receivedAt,
-        requestId,
-        status,
-        ok,
-        error,
-        secretSource,
-        queryParamsJson,
-        rawBodyClipped,
-        parsedJson,
-        stepsJson,
-        processedAt,
-        durationMs
-      )
-    } catch (_) {}
+function WEBHOOK_stepsResult_(steps) {
+  const firstFail = steps.find(s => s && s.ok === false)
+  return {
+    ok: !firstFail,
+    error: firstFail ? String(firstFail.error || "unknown error") : "",
+    steps
+  }
+}
 
-    return jsonResponse_({ ok: false, request_id: requestId, status, error, duration_ms: Number(durationMs) })
+function WEBHOOK_validatePipelineStep_(req) {
+  const step = String(req.parsed.step || "").trim()
+  return PIPELINE_stepsByName_()[step] ? "" : `Unknown pipeline step: ${step}`
+}
+
+/**
+ * run_step: { step: "<pipeline step>" } runs it and everything downstream
+ * (Pipeline DAG.js). Queued, so it runs under the queue worker's lock.
+ */
+function WEBHOOK_runPipelineStep_(req) {
+  const step = String(req.parsed.step || "").trim()
+  const results = PIPELINE_runFrom_([step])
+  return {
+    ok: true,
+    step,
+    steps: results.map(r => ({ name: r.step, status: r.status, seconds: r.seconds }))
   }
 }
 
@@ -204,10 +443,14 @@ function doPost(e) {
 function runStep_(name, fn) {
   const t0 = Date.now()
   try {
-    const result = fn()
+    const result = withSyncLogStep(name, fn)
+    const out = result && typeof result === "object" ? result : {}
+    writeSyncLog(name, "ok", out.rows_in != null ? out.rows_in : "", out.rows_out != null ? out.rows_out : "", (Date.now() - t0) / 1000, "")
     return { name, ok: true, ms: Date.now() - t0, result: result == null ? null : result }
   } catch (err) {
-    return { name, ok: false, ms: Date.now() - t0, error: String(err && err.message ? err.message : err) }
+    const msg = String(err && err.message ? err.message : err)
+    writeSyncLog(name, "error", "", "", (Date.now() - t0) / 1000, msg)
+    return { name, ok: false, ms: Date.now() - t0, error: msg }
   }
 }
 
@@ -233,25 +476,17 @@ function ensureWebhookSheet_() {
   sh.setFrozenRows(1)
 }
 
-function writeWebhookRow_(receivedAt, requestId, status, ok, error, secretSource, queryParamsJson, rawBody, parsedJson, stepsJson, processedAt, durationMs) {
+/** Appends one row; `row` is keyed by WEBHOOK_RUN.HEADER names. */
+function writeWebhookRow_(row) {
   const ss = SpreadsheetApp.getActive()
   const sh = ss.getSheetByName(WEBHOOK_RUN.SHEET)
   if (!sh) throw new Error("Missing webhook_inbox sheet")
 
-  sh.appendRow([
-    receivedAt,
-    requestId,
-    status,
-    ok === true,
-    error || "",
-    secretSource || "",
-    queryParamsJson || "{}",
-    rawBody || "",
-    parsedJson || "{}",
-    stepsJson || "[]",
-    processedAt || "",
-    durationMs || ""
-  ])
+  sh.appendRow(WEBHOOK_RUN.HEADER.map(h => {
+    const v = row[h]
+    if (h === "ok" || h === "authenticated") return v === true
+    return v == null ? "" : v
+  }))
 }
 
 function mustGetScriptProp_(key) {
@@ -269,10 +504,6 @@ function safeParseJson_(s) {
   }
 }
 
-function safeJson_(obj) {
-  try { return JSON.stringify(obj == null ? {} : obj) } catch (e) { return "{}" }
-}
-
 function clip_(s, max) {
   const str = String(s || "")
   if (str.length <= max) return str
@@ -1,7 +1,8 @@
 /**************************************************************
  * send_ring_weekly_email
  *
- * Sends "The Ring Weekly" every Monday.
+ * Sends "The Ring Weekly" every Monday (skipped with an error while a
+ * critical data quality check fails; the Docker test send is not gated).
  * Safe ASCII-only Apps Script (no emoji parse errors).
  **************************************************************/
 
@@ -9,19 +10,14 @@ const RING_WEEKLY_CFG = {
   SHEET_NAME: 'The Ring',
   ARR_GOAL: 1000000,
 
-  RECIPIENTS: [
-    'docker@pingassistant.com',
-    'camden@pingassistant.com',
-    'chad@pingassistant.com',
-    'ben@pingassistant.com',
-    'david@pingassistant.com'
-  ],
+  // Recipients: config "ring_weekly_recipients" (Config.js)
 
   SUBJECT: 'The Ring Weekly'
 }
 
 function send_ring_weekly_email() {
-  return send_ring_weekly_email_to_(RING_WEEKLY_CFG.RECIPIENTS)
+  DQ_assertPublishable_('send_ring_weekly_email')
+  return send_ring_weekly_email_to_(CONFIG_get_('ring_weekly_recipients'))
 }
 
 function send_ring_weekly_email_test_docker() {
@@ -73,9 +69,9 @@ function buildRingWeeklyHtml_(arr, subs, seats) {
   const annualGoalArr = 1000000
 
   // Percent helpers
-  const monthlyPct = clamp01_(monthlyGoalArr > 0 ? (arr / monthlyGoalArr) : 0)
-  const annualPct = clamp01_(annualGoalArr > 0 ? (arr / annualGoalArr) : 0)
-  const quotaPctOfGoal = clamp01_(monthlyGoalArr > 0 ? (monthlyQuotaArr / monthlyGoalArr) : 0)
+  const monthlyPct = clamp01(monthlyGoalArr > 0 ? (arr / monthlyGoalArr) : 0)
+  const annualPct = clamp01(annualGoalArr > 0 ? (arr / annualGoalArr) : 0)
+  const quotaPctOfGoal = clamp01(monthlyGoalArr > 0 ? (monthlyQuotaArr / monthlyGoalArr) : 0)
 
   const monthlyGoalPctText = fmtPct_(monthlyPct)
   const annualGoalPctText = fmtPct_(annualPct)
@@ -302,7 +298,7 @@ function fmtMoney_(n) {
 }
 
 function fmtPct_(pct01) {
-  const p = clamp01_(pct01) * 100
+  const p = clamp01(pct01) * 100
   return p.toFixed(1) + '%'
 }
 
@@ -312,12 +308,6 @@ function fmtPctWidth_(pct01) {
   return p.toFixed(2) + '%'
 }
 
-function clamp01_(n) {
-  const x = Number(n)
-  if (!isFinite(x)) return 0
-  return Math.max(0, Math.min(1, x))
-}
-
 function buildMonthlyBarWithQuotaMarkerHtml_(fillPct01, markerPct01, colors) {
   const fillPct = GOOD_safePct_(fillPct01)
   const markerPct = GOOD_safePct_(markerPct01)
@@ -5,14 +5,22 @@
  *  - Run daily pipeline
  *  - Run only PostHog
  *  - Run only Stripe
+ *  - Stripe full rebuild (ignore the events cursor once)
  *  - Run only Clerk
+ *  - Clerk full sync (ignore the high-water marks once; marks deleted users / orgs)
  *  - Run The Ring only
  *  - Rebuild canon tables
  *  - Push UpSale targets to Notion  ✅ NEW
+ *  - Run webhook queue now (queued doPost requests, Webhook Queue.js)
+ *  - Replay webhook requests… (re-run webhook_inbox rows, Webhook Replay.js)
  *
  * Notes:
  * - Each action uses LockService via lockWrap()
- * - Each action logs each step via writeSyncLog()
+ * - Each action logs each step via writeSyncLog(), all under one run id
+ *   (trigger_source "menu", parent_step = the ui_* handler)
+ * - Pipeline actions (Run only X, Rebuild canon, ARR refresh) pick their
+ *   starting steps; PIPELINE_runFrom_() adds everything downstream and
+ *   skips steps whose input sheets did not change (Pipeline DAG.js)
  * - Assumes you already have:
  *   run_daily_pipeline()
  *   stripe_pull_subscriptions_to_raw()
@@ -20,6 +28,7 @@
  *   clerk_pull_users_to_raw()
  *   clerk_pull_orgs_to_raw()
  *   clerk_pull_memberships_to_raw()
+ *   clerk_pull_sessions_to_raw()
  *   syncClerkUsers()
  *   build_canon_orgs()
  *   build_canon_users()
@@ -31,6 +40,7 @@
  *   render_arr_waterfall_facts()
  *   render_onboarding_stats()
  *   render_org_conversion_stats()
+ *   build_funnel_steps()
  *   notion_push_upsale_targets_from_org_info()   ✅ NEW
  *   write_daily_snapshot()
  *   writeSyncLog(step, status, rows_in, rows_out, seconds, error)
@@ -44,7 +54,9 @@ function onOpen() {
     .addSeparator()
     .addItem('Run only PostHog', 'ui_run_only_posthog')
     .addItem('Run only Stripe', 'ui_run_only_stripe')
+    .addItem('Stripe full rebuild', 'ui_run_stripe_full_rebuild')
     .addItem('Run only Clerk', 'ui_run_only_clerk')
+    .addItem('Clerk full sync', 'ui_run_clerk_full_sync')
     .addItem('Run The Ring only', 'ui_run_only_ring')
     .addItem('Render All the Stats', 'ui_render_all_stats')
     .addItem('Publish The Good Stuff', 'ui_publish_the_good_stuff')
@@ -58,6 +70,13 @@ function onOpen() {
     .addItem('Run Conversion audit', 'ui_run_conversion_audit')
     .addSeparator()
     .addItem('Push UpSale targets to Notion', 'ui_push_upsale_targets_to_notion') // ✅ NEW
+    .addItem('Run webhook queue now', 'ui_run_webhook_queue')
+    .addItem('Replay webhook requests…', 'ui_replay_webhook_requests')
+    .addSeparator()
+    .addItem('Render Pipeline Runs', 'ui_render_pipeline_runs')
+    .addItem('Set up config tab', 'ui_setup_config_sheet')
+    .addItem('Set up currency rates', 'ui_setup_currency_rates_sheet')
+    .addItem('Accept data as DQ baseline', 'ui_accept_dq_baseline')
     .addToUi()
 }
 
@@ -73,47 +92,50 @@ function ui_run_daily_pipeline() {
 
 function ui_run_only_posthog() {
   return uiRunWrapped_('ui_run_only_posthog', () => {
-    runSteps_([
-      { name: 'posthog_pull_user_metrics_to_raw', fn: posthog_pull_user_metrics_to_raw },
-      { name: 'build_canon_users', fn: build_canon_users },
-      { name: 'render_sauron_view', fn: render_sauron_view },
-      { name: 'render_ring_view', fn: render_ring_view }
-      // { name: 'write_daily_snapshot', fn: write_daily_snapshot }
-    ])
+    PIPELINE_runFrom_(['posthog_pull_user_metrics_to_raw'])
   })
 }
 
 function ui_run_only_stripe() {
   return uiRunWrapped_('ui_run_only_stripe', () => {
-    runSteps_([
-      { name: 'stripe_pull_subscriptions_to_raw', fn: stripe_pull_subscriptions_to_raw },
-      { name: 'build_canon_orgs', fn: build_canon_orgs },
-      { name: 'render_sauron_view', fn: render_sauron_view },
-      { name: 'render_ring_view', fn: render_ring_view }
-    ])
+    PIPELINE_runFrom_(['stripe_pull_subscriptions_to_raw'])
+  })
+}
+
+function ui_run_stripe_full_rebuild() {
+  return uiRunWrapped_('ui_run_stripe_full_rebuild', () => {
+    stripe_request_full_rebuild()
+    PIPELINE_runFrom_(['stripe_pull_subscriptions_to_raw'])
   })
 }
 
 function ui_run_only_clerk() {
   return uiRunWrapped_('ui_run_only_clerk', () => {
-    runSteps_([
-      { name: 'clerk_pull_users_to_raw', fn: clerk_pull_users_to_raw },
-      { name: 'clerk_pull_orgs_to_raw', fn: clerk_pull_orgs_to_raw },
-      { name: 'clerk_pull_memberships_to_raw', fn: clerk_pull_memberships_to_raw },
-      { name: 'syncClerkUsers (login events)', fn: syncClerkUsers },
-      { name: 'build_canon_orgs', fn: build_canon_orgs },
-      { name: 'build_canon_users', fn: build_canon_users },
-      { name: 'render_sauron_view', fn: render_sauron_view },
-      { name: 'render_ring_view', fn: render_ring_view }
+    PIPELINE_runFrom_([
+      'clerk_pull_users_to_raw',
+      'clerk_pull_orgs_to_raw',
+      'clerk_pull_memberships_to_raw',
+      'clerk_pull_sessions_to_raw',
+      'syncClerkUsers'
+    ])
+  })
+}
+
+function ui_run_clerk_full_sync() {
+  return uiRunWrapped_('ui_run_clerk_full_sync', () => {
+    clerk_request_full_sync()
+    PIPELINE_runFrom_([
+      'clerk_pull_users_to_raw',
+      'clerk_pull_orgs_to_raw',
+      'clerk_pull_memberships_to_raw',
+      'clerk_pull_sessions_to_raw'
     ])
   })
 }
 
 function ui_run_only_ring() {
   return uiRunWrapped_('ui_run_only_ring', () => {
-    runSteps_([
-      { name: 'render_ring_view', fn: render_ring_view }
-    ])
+    PIPELINE_runFrom_(['render_ring_view'])
   })
 }
 
@@ -143,23 +165,13 @@ function ui_send_ring_weekly_test_docker() {
 
 function ui_rebuild_canon_tables() {
   return uiRunWrapped_('ui_rebuild_canon_tables', () => {
-    runSteps_([
-      { name: 'build_canon_orgs', fn: build_canon_orgs },
-      { name: 'build_canon_users', fn: build_canon_users },
-      { name: 'render_org_info_view', fn: render_org_info_view },
-      { name: 'render_sauron_view', fn: render_sauron_view },
-      { name: 'render_ring_view', fn: render_ring_view }
-    ])
+    PIPELINE_runFrom_(['build_canon_orgs', 'build_canon_users'])
   })
 }
 
 function ui_run_arr_refresh() {
   return uiRunWrapped_('ui_run_arr_refresh', () => {
-    runSteps_([
-      { name: 'render_arr_raw_data_view', fn: render_arr_raw_data_view },
-      { name: 'write_arr_snapshot', fn: write_arr_snapshot },
-      { name: 'render_arr_waterfall_facts', fn: render_arr_waterfall_facts }
-    ])
+    PIPELINE_runFrom_(['render_arr_raw_data_view'])
   })
 }
 
@@ -174,6 +186,7 @@ function ui_build_promo_backfill() {
 function ui_run_conversion_onboarding_stats() {
   return uiRunWrapped_('ui_run_conversion_onboarding_stats', () => {
     runSteps_([
+      { name: 'build_funnel_steps', fn: build_funnel_steps },
       { name: 'render_conversion_onboarding_stats', fn: render_conversion_onboarding_stats }
     ])
   })
@@ -206,12 +219,78 @@ function ui_push_upsale_targets_to_notion() {
   })
 }
 
+function ui_run_webhook_queue() {
+  return uiRunWrapped_('ui_run_webhook_queue', () => {
+    runSteps_([
+      { name: 'webhook_queue_worker', fn: WHQ_drain_ }
+    ])
+  })
+}
+
+/**
+ * Asks for a request_id or filter, then live vs dry run, and replays
+ * the matching webhook_inbox rows.
+ */
+function ui_replay_webhook_requests() {
+  const ui = SpreadsheetApp.getUi()
+  const asked = ui.prompt(
+    'Replay webhook requests',
+    'request_id, or a filter like: status=error date=yesterday route=calendar',
+    ui.ButtonSet.OK_CANCEL
+  )
+  if (asked.getSelectedButton() !== ui.Button.OK) return
+  const selector = asked.getResponseText()
+
+  const mode = ui.alert('Replay webhook requests', 'Run live? (No = dry run: nothing is executed)', ui.ButtonSet.YES_NO_CANCEL)
+  if (mode !== ui.Button.YES && mode !== ui.Button.NO) return
+
+  let out = null
+  uiRunWrapped_('ui_replay_webhook_requests', () => {
+    out = replay_webhook_requests(selector, { live: mode === ui.Button.YES })
+  })
+
+  const lines = out.results.map(r => `${r.request_id} (${r.route || 'no route'}): ${r.status}${r.error ? ` - ${r.error}` : ''}`)
+  ui.alert('Replay webhook requests', lines.length ? lines.join('\n') : 'No matching requests.', ui.ButtonSet.OK)
+}
+
+function ui_render_pipeline_runs() {
+  return uiRunWrapped_('ui_render_pipeline_runs', () => {
+    runSteps_([
+      { name: 'render_pipeline_runs_view', fn: render_pipeline_runs_view }
+    ])
+  })
+}
+
+function ui_setup_config_sheet() {
+  return uiRunWrapped_('ui_setup_config_sheet', () => {
+    runSteps_([
+      { name: 'setup_config_sheet', fn: setup_config_sheet }
+    ])
+  })
+}
+
+function ui_setup_currency_rates_sheet() {
+  return uiRunWrapped_('ui_setup_currency_rates_sheet', () => {
+    runSteps_([
+      { name: 'setup_currency_rates_sheet', fn: setup_currency_rates_sheet }
+    ])
+  })
+}
+
+function ui_accept_dq_baseline() {
+  return uiRunWrapped_('ui_accept_dq_baseline', () => {
+    runSteps_([
+      { name: 'accept_dq_baseline', fn: accept_dq_baseline }
+    ])
+  })
+}
+
 /* =========================
  * Helpers
  * ========================= */
 
 function uiRunWrapped_(name, fn) {
-  return lockWrap(name, () => {
+  return runInSyncLogRun(name, { trigger_source: 'menu' }, () => lockWrap(name, () => {
     const ss = SpreadsheetApp.getActive()
     ss.toast('Running…', 'Ping Ops', 5)
 
@@ -228,14 +307,14 @@ function uiRunWrapped_(name, fn) {
       ss.toast('Failed ❌ (check Sync Log)', 'Ping Ops', 8)
       throw err
     }
-  })
+  }))
 }
 
 function runSteps_(steps) {
   for (const step of steps) {
     const t0 = new Date()
     try {
-      const out = step.fn() // may return { rows_in, rows_out }
+      const out = withSyncLogStep(step.name, step.fn) // may return { rows_in, rows_out }
       const seconds = ((new Date()) - t0) / 1000
       const rowsIn = out && out.rows_in != null ? out.rows_in : ''
       const rowsOut = out && out.rows_out != null ? out.rows_out : ''
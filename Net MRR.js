@@ -0,0 +1,176 @@
+/**************************************************************
+ * Net MRR (list MRR minus the discounts active on a date)
+ *
+ * Source: raw_stripe_discounts (written by the Stripe sync)
+ *   stripe_subscription_id | stripe_discount_id | coupon_id |
+ *   coupon_name | promo_code | percent_off | amount_off | currency |
+ *   duration | duration_in_months | start_at | end_at
+ *
+ * One calculator for every money consumer (The Ring, All the Stats,
+ * arr_raw_data, Paying Users) so a coupon means the same thing
+ * everywhere:
+ *
+ * - List MRR: per-item MRR (Stripe Subscription Items.js), else
+ *   amount_monthly, else amount / months in the billing interval.
+ *   Callers may pass their own (e.g. after the free-seat override)
+ * - A discount is active on asOf when start_at <= asOf < end, where
+ *   end = end_at, else start + duration_in_months (repeating), else
+ *   start + one billing interval (once); forever never ends
+ * - Active discounts apply in Stripe's order: percent_off takes its
+ *   share of what is left, amount_off (per billing period) is spread
+ *   over the interval's months. Net MRR never goes below 0
+ * - amount_off in another currency than the subscription is skipped
+ * - net_mrr is in the subscription's currency; reporting_mrr is the
+ *   same figure in the reporting currency at asOf's month rate
+ *   (Currency Rates.js). Rollups sum reporting_mrr, which is 0 when the
+ *   currency has no rate (fx_missing)
+ * - Without the raw_stripe_discounts tab (sync not run since it was
+ *   added) the first-discount columns of raw_stripe_subscriptions are
+ *   used, starting at created_at
+ **************************************************************/
+
+const NETMRR_CFG = {
+  DISCOUNTS_SHEET: 'raw_stripe_discounts'
+}
+
+/** Everything NETMRR_forSubscription_ needs, read once per render. */
+function NETMRR_context_(ss) {
+  const book = ss || SpreadsheetApp.getActive()
+  const sh = book.getSheetByName(NETMRR_CFG.DISCOUNTS_SHEET)
+  return {
+    itemTotalsBySubId: SUBITEMS_totalsBySubscription_(book),
+    fx: FX_context_(book),
+    discountsBySubId: sh ? NETMRR_groupDiscounts_(sh.getLastRow() < 2 ? [] : readSheetObjects(sh, 1)) : null
+  }
+}
+
+/** Discount row objects -> stripe_subscription_id -> [rows] (sheet order kept). */
+function NETMRR_groupDiscounts_(rows) {
+  const out = new Map()
+  ;(rows || []).forEach(d => {
+    const subId = String(d.stripe_subscription_id || '').trim()
+    if (!subId) return
+    if (!out.has(subId)) out.set(subId, [])
+    out.get(subId).push(d)
+  })
+  return out
+}
+
+/**
+ * raw_stripe_subscriptions row -> {
+ *   list_mrr, discount_mrr, net_mrr (subscription currency),
+ *   discount_pct (0-100, share of list MRR discounted on asOf), interval,
+ *   currency, reporting_mrr (net_mrr in the reporting currency),
+ *   fx_missing (no rate: reporting_mrr is 0, not in the totals)
+ * }
+ * opts.list_mrr overrides the list MRR (already adjusted by the caller).
+ */
+function NETMRR_forSubscription_(sub, ctx, asOf, opts) {
+  const subId = String(sub.stripe_subscription_id || '').trim()
+  const itemTotals = (ctx && ctx.itemTotalsBySubId && ctx.itemTotalsBySubId.get(subId)) || null
+  const list = NETMRR_listMrr_(sub, itemTotals)
+  const listMrr = opts && opts.list_mrr != null ? Number(opts.list_mrr) || 0 : list.mrr
+
+  const discounts = ctx && ctx.discountsBySubId
+    ? (ctx.discountsBySubId.get(subId) || [])
+    : NETMRR_legacyDiscounts_(sub)
+
+  const asOfDate = asOf instanceof Date ? asOf : new Date(asOf || Date.now())
+  const asOfMs = asOfDate.getTime()
+  const currency = String(sub.currency || '').trim().toUpperCase()
+
+  let remaining = listMrr
+  discounts.forEach(d => {
+    if (!NETMRR_isActive_(d, asOfMs, list.months)) return
+
+    const pct = NETMRR_num_(d.percent_off)
+    const amountOff = NETMRR_num_(d.amount_off)
+    const dCurrency = String(d.currency || '').trim().toUpperCase()
+
+    if (pct > 0) remaining -= remaining * Math.min(100, pct) / 100
+    else if (amountOff > 0 && (!dCurrency || !currency || dCurrency === currency)) {
+      remaining -= Math.min(remaining, amountOff / (list.months || 1))
+    }
+  })
+
+  const netMrr = NETMRR_round_(Math.max(0, remaining))
+  const discountMrr = NETMRR_round_(listMrr - netMrr)
+  return {
+    list_mrr: NETMRR_round_(listMrr),
+    discount_mrr: discountMrr,
+    net_mrr: netMrr,
+    discount_pct: listMrr > 0 ? NETMRR_round_(discountMrr / listMrr * 100) : 0,
+    interval: list.interval,
+    currency,
+    reporting_mrr: ctx && ctx.fx ? FX_toReporting_(netMrr, currency, ctx.fx, asOfDate) : netMrr,
+    fx_missing: !!(ctx && ctx.fx) && FX_rate_(ctx.fx, currency, asOfDate) == null
+  }
+}
+
+/** { mrr, interval, months } before discounts. */
+function NETMRR_listMrr_(sub, itemTotals) {
+  const intervalCount = NETMRR_num_(sub.interval_count) || 1
+  const interval = (itemTotals && itemTotals.interval) || String(sub.interval || '').toLowerCase().trim()
+  const months = SUBITEMS_intervalMonths_(interval, intervalCount)
+
+  if (itemTotals) return { mrr: itemTotals.mrr, interval, months }
+
+  const amountMonthly = NETMRR_num_(sub.amount_monthly)
+  if (amountMonthly) return { mrr: amountMonthly, interval, months }
+
+  return { mrr: months ? NETMRR_num_(sub.amount) / months : 0, interval, months }
+}
+
+/** Discount rows from the legacy first-discount columns. */
+function NETMRR_legacyDiscounts_(sub) {
+  const pct = NETMRR_num_(sub.discount_percent)
+  if (!pct) return []
+  return [{
+    percent_off: pct,
+    duration: sub.discount_duration,
+    duration_in_months: sub.discount_duration_months,
+    start_at: sub.created_at,
+    end_at: ''
+  }]
+}
+
+function NETMRR_isActive_(d, asOfMs, billingMonths) {
+  const start = NETMRR_toDate_(d.start_at)
+  if (start && start.getTime() > asOfMs) return false
+
+  const end = NETMRR_toDate_(d.end_at) || NETMRR_impliedEnd_(d, start, billingMonths)
+  return !end || asOfMs < end.getTime()
+}
+
+/** End date for discounts synced without end_at (null = no end). */
+function NETMRR_impliedEnd_(d, start, billingMonths) {
+  const duration = String(d.duration || '').toLowerCase().trim()
+  if (!start || duration === 'forever') return null
+
+  let months = 0
+  if (duration === 'repeating') months = NETMRR_num_(d.duration_in_months)
+  if (duration === 'once') months = billingMonths || 1
+  if (!months) return null
+
+  const end = new Date(start.getTime())
+  end.setUTCMonth(end.getUTCMonth() + Math.ceil(months))
+  return end
+}
+
+function NETMRR_toDate_(v) {
+  if (v instanceof Date) return isNaN(v.getTime()) ? null : v
+  const s = String(v == null ? '' : v).trim()
+  if (!s) return null
+  const d = new Date(s)
+  return isNaN(d.getTime()) ? null : d
+}
+
+function NETMRR_num_(v) {
+  if (v === '' || v == null) return 0
+  const n = Number(v)
+  return isFinite(n) ? n : 0
+}
+
+function NETMRR_round_(n) {
+  return Math.round(n * 100) / 100
+}
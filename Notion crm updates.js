@@ -112,33 +112,12 @@ const MAP_USER_HEADERS = [
   "notes"
 ]
 
-/** =========================
- * LOCK WRAPPER
- * ========================= */
-
-function notionLockWrap_(name, fn) {
-  if (typeof lockWrap === "function") {
-    try {
-      return lockWrap(name, fn)
-    } catch (e) {
-      return lockWrap(fn)
-    }
-  }
-  const lock = LockService.getScriptLock()
-  if (!lock.tryLock(300000)) throw new Error(`Could not acquire lock: ${name}`)
-  try {
-    return fn()
-  } finally {
-    lock.releaseLock()
-  }
-}
-
 /** =========================
  * ENTRYPOINT 1: ORG LINKER
  * ========================= */
 
 function notion_link_unlinked_companies_to_sauron() {
-  return notionLockWrap_('notion_link_unlinked_companies_to_sauron', () => {
+  return lockWrap('notion_link_unlinked_companies_to_sauron', () => {
     // --- keep your existing function body EXACTLY as-is below this line ---
     const props = PropertiesService.getScriptProperties()
     const notion = notionClient_()
@@ -246,7 +225,7 @@ function notion_link_unlinked_companies_to_sauron() {
  * ========================= */
 
 function notion_link_unlinked_contacts_to_sauron() {
-  return notionLockWrap_('notion_link_unlinked_contacts_to_sauron', () => {
+  return lockWrap('notion_link_unlinked_contacts_to_sauron', () => {
     // keep your existing body as-is
     // (no other code changes required besides the lock wrapper)
     const props = PropertiesService.getScriptProperties()
@@ -361,7 +340,7 @@ function notion_link_unlinked_contacts_to_sauron() {
  * ========================= */
 
 function notion_push_upsale_targets_from_org_info() {
-  return notionLockWrap_("notion_push_upsale_targets_from_org_info", () => {
+  return lockWrap("notion_push_upsale_targets_from_org_info", () => {
     const props = PropertiesService.getScriptProperties()
     const notion = notionClient_()
 
@@ -387,7 +366,7 @@ function notion_push_upsale_targets_from_org_info() {
     const nowIso = new Date().toISOString()
 
     for (const t of targets) {
-      const orgId = str_(t.orgId)
+      const orgId = strOrBlank(t.orgId)
       if (!orgId) continue
 
       const prior = sentIndex.get(orgId)
@@ -502,21 +481,21 @@ function buildSauronIndex_() {
   const shUsers = ss.getSheetByName(SHEET_CANON_USERS)
   if (!shUsers) throw new Error(`Missing sheet: ${SHEET_CANON_USERS}`)
 
-  const canon = readSheetObjects_(shUsers, 1)
+  const canon = readSheetObjects(shUsers, 1)
 
   const userByEmailKey = new Map()    // email_key -> { orgId, userId, fullName, email }
   const userByClerkUserId = new Map() // clerk_user_id -> { orgId, userId, fullName, email }
 
   for (const u of canon) {
-    const email = str_(u.email)
+    const email = strOrBlank(u.email)
     const emailKey = normEmail_(u.email_key || email)
-    const orgId = str_(u.org_id)
-    const userId = str_(u.clerk_user_id || u.user_id || u.id)
+    const orgId = strOrBlank(u.org_id)
+    const userId = strOrBlank(u.clerk_user_id || u.user_id || u.id)
 
     const fullName =
-      str_(u.full_name) ||
-      str_(u.name) ||
-      [str_(u.first_name), str_(u.last_name)].filter(Boolean).join(" ").trim()
+      strOrBlank(u.full_name) ||
+      strOrBlank(u.name) ||
+      [strOrBlank(u.first_name), strOrBlank(u.last_name)].filter(Boolean).join(" ").trim()
 
     if (emailKey) userByEmailKey.set(emailKey, { orgId, userId, fullName, email })
     if (userId) userByClerkUserId.set(userId, { orgId, userId, fullName, email })
@@ -538,7 +517,7 @@ function buildSauronIndex_() {
 
     for (const r of rows) {
       let orgId = ""
-      if (colOrgId >= 0) orgId = str_(r[colOrgId])
+      if (colOrgId >= 0) orgId = strOrBlank(r[colOrgId])
 
       if (!orgId && colEmail >= 0) {
         const key = normEmail_(r[colEmail])
@@ -549,13 +528,13 @@ function buildSauronIndex_() {
       if (!orgId) continue
 
       if (!orgData.has(orgId)) {
-        const orgName = colOrgName >= 0 ? str_(r[colOrgName]) : ""
-        const service = colService >= 0 ? str_(r[colService]) : ""
+        const orgName = colOrgName >= 0 ? strOrBlank(r[colOrgName]) : ""
+        const service = colService >= 0 ? strOrBlank(r[colService]) : ""
         orgData.set(orgId, { orgName, service })
       }
 
       if (colOwnerUserId >= 0) {
-        const ownerUserId = str_(r[colOwnerUserId])
+        const ownerUserId = strOrBlank(r[colOwnerUserId])
         if (ownerUserId && !orgOwnerUserIdByOrgId.has(orgId)) {
           orgOwnerUserIdByOrgId.set(orgId, ownerUserId)
         }
@@ -606,19 +585,19 @@ function readOrgInfoUpsaleTargets_() {
   const out = []
 
   for (const r of data) {
-    const orgId = str_(r[cOrgId])
+    const orgId = strOrBlank(r[cOrgId])
     if (!orgId) continue
 
     const upsaleVal = r[cUpsale]
     const upsale = (upsaleVal === true) || String(upsaleVal || "").toLowerCase().trim() === "true"
     if (!upsale) continue
 
-    const rawOwner = (cOrgOwner >= 0) ? str_(r[cOrgOwner]) : ""
+    const rawOwner = (cOrgOwner >= 0) ? strOrBlank(r[cOrgOwner]) : ""
     const parsed = parseNameEmail_(rawOwner)
 
     out.push({
       orgId,
-      orgName: (cOrgName >= 0) ? str_(r[cOrgName]) : "",
+      orgName: (cOrgName >= 0) ? strOrBlank(r[cOrgName]) : "",
       orgOwnerName: parsed.name || "",
       orgOwnerEmail: parsed.email || (normEmail_(rawOwner) || "")
     })
@@ -648,7 +627,7 @@ function buildUpsaleSentIndexFromMapOrg_() {
   const data = sh.getRange(2, 1, lastRow - 1, lastCol).getValues()
 
   for (const r of data) {
-    const orgId = str_(r[cOrgId])
+    const orgId = strOrBlank(r[cOrgId])
     if (!orgId) continue
 
     const sentRaw = String(r[cSent] || "").toLowerCase().trim()
@@ -656,7 +635,7 @@ function buildUpsaleSentIndexFromMapOrg_() {
 
     out.set(orgId, {
       upsale_sent: sent,
-      notion_company_id: (cCompanyId >= 0) ? str_(r[cCompanyId]) : ""
+      notion_company_id: (cCompanyId >= 0) ? strOrBlank(r[cCompanyId]) : ""
     })
   }
 
@@ -666,7 +645,7 @@ function buildUpsaleSentIndexFromMapOrg_() {
 function resolveOwnerForOrg_(targetRow, sauronIndex, orgId) {
   // A) org_info owner
   const emailA = normEmail_(targetRow.orgOwnerEmail || "")
-  const nameA = str_(targetRow.orgOwnerName || "")
+  const nameA = strOrBlank(targetRow.orgOwnerName || "")
   if (emailA) {
     const hit = sauronIndex.userByEmailKey.get(emailA) || null
     return {
@@ -678,7 +657,7 @@ function resolveOwnerForOrg_(targetRow, sauronIndex, orgId) {
   }
 
   // B) Sauron owner user id -> canon users
-  const ownerUserId = str_(sauronIndex.orgOwnerUserIdByOrgId.get(orgId) || "")
+  const ownerUserId = strOrBlank(sauronIndex.orgOwnerUserIdByOrgId.get(orgId) || "")
   if (ownerUserId) {
     const hit2 = sauronIndex.userByClerkUserId.get(ownerUserId) || null
     if (hit2 && hit2.email) {
@@ -773,7 +752,7 @@ function ensureContactLinkedToCompany_(notion, contactsDbId, {
   sauronIndex
 }) {
   const nowIso = new Date().toISOString()
-  const email = str_(ownerEmail)
+  const email = strOrBlank(ownerEmail)
   const emailKey = normEmail_(email)
   if (!emailKey) return
 
@@ -787,7 +766,7 @@ function ensureContactLinkedToCompany_(notion, contactsDbId, {
   // Create if missing
   if (!contactId) {
     const hit = sauronIndex && sauronIndex.userByEmailKey ? sauronIndex.userByEmailKey.get(emailKey) : null
-    const bestName = str_(ownerName) || (hit && hit.fullName ? String(hit.fullName).trim() : "")
+    const bestName = strOrBlank(ownerName) || (hit && hit.fullName ? String(hit.fullName).trim() : "")
     const fallbackName = email ? email.split("@")[0] : "Owner"
 
     const createProps = {}
@@ -796,8 +775,8 @@ function ensureContactLinkedToCompany_(notion, contactsDbId, {
     createProps[NOTION_CONTACT_PROP_COMPANY_REL] = { relation: [{ id: companyId }] }
     createProps[NOTION_CONTACT_PROP_LINKED] = { checkbox: true }
 
-    const finalOrgId = str_(orgId) || (hit && hit.orgId ? hit.orgId : "")
-    const finalUserId = str_(userId) || (hit && hit.userId ? hit.userId : "")
+    const finalOrgId = strOrBlank(orgId) || (hit && hit.orgId ? hit.orgId : "")
+    const finalUserId = strOrBlank(userId) || (hit && hit.userId ? hit.userId : "")
 
     if (finalOrgId) {
       createProps[NOTION_CONTACT_PROP_SAURON_ORG_ID] = { rich_text: [{ type: "text", text: { content: finalOrgId } }] }
@@ -840,8 +819,8 @@ function ensureContactLinkedToCompany_(notion, contactsDbId, {
   }
 
   const hit2 = sauronIndex && sauronIndex.userByEmailKey ? sauronIndex.userByEmailKey.get(emailKey) : null
-  const finalOrgId2 = str_(orgId) || (hit2 && hit2.orgId ? hit2.orgId : "")
-  const finalUserId2 = str_(userId) || (hit2 && hit2.userId ? hit2.userId : "")
+  const finalOrgId2 = strOrBlank(orgId) || (hit2 && hit2.orgId ? hit2.orgId : "")
+  const finalUserId2 = strOrBlank(userId) || (hit2 && hit2.userId ? hit2.userId : "")
 
   // ✅ upgrade contact title if it's currently an email
   const betterName =
@@ -1073,8 +1052,8 @@ function upsertOrgRowByEitherKey_(obj) {
   if (cCompanyId < 0) throw new Error(`Mapping sheet missing header: notion_company_id`)
   if (cOrgId < 0) throw new Error(`Mapping sheet missing header: org_id`)
 
-  const companyId = str_(obj.notion_company_id)
-  const orgId = str_(obj.org_id)
+  const companyId = strOrBlank(obj.notion_company_id)
+  const orgId = strOrBlank(obj.org_id)
   if (!companyId && !orgId) return
 
   const lastRow = sh.getLastRow()
@@ -1083,8 +1062,8 @@ function upsertOrgRowByEitherKey_(obj) {
   if (lastRow >= 2) {
     const data = sh.getRange(2, 1, lastRow - 1, sh.getLastColumn()).getValues()
     const foundIdx = data.findIndex(r => {
-      const existingCompanyId = str_(r[cCompanyId])
-      const existingOrgId = str_(r[cOrgId])
+      const existingCompanyId = strOrBlank(r[cCompanyId])
+      const existingOrgId = strOrBlank(r[cOrgId])
       if (companyId && existingCompanyId === companyId) return true
       if (!companyId && orgId && existingOrgId === orgId) return true
       if (companyId && orgId && existingOrgId === orgId) return true
@@ -1223,7 +1202,7 @@ function notionGetTitleAny_(page) {
 function notionGetEmail_(page, propName) {
   const p = page && page.properties ? page.properties[propName] : null
   if (!p) return ""
-  if (p.type === "email") return str_(p.email)
+  if (p.type === "email") return strOrBlank(p.email)
   if (p.type === "rich_text") return (p.rich_text || []).map(t => t.plain_text).join("").trim()
   return ""
 }
@@ -1244,21 +1223,6 @@ function hasProp_(page, propName) {
  * SHEET HELPERS
  * ========================= */
 
-
-
-
-function notionLockWrap_(name, fn) {
-  const lock = LockService.getScriptLock()
-  const ok = lock.tryLock(5 * 60 * 1000) // 5 minutes
-  if (!ok) throw new Error(`Could not acquire lock: ${name}`)
-  try {
-    return fn()
-  } finally {
-    lock.releaseLock()
-  }
-}
-
-
 function readTable_(sheet, headerRow, startCol) {
   const lastRow = sheet.getLastRow()
   const lastCol = sheet.getLastColumn()
@@ -1287,28 +1251,6 @@ function findIdxAny_(header, names) {
   return -1
 }
 
-function readSheetObjects_(sheet, headerRow) {
-  const lastRow = sheet.getLastRow()
-  const lastCol = sheet.getLastColumn()
-  if (lastRow < headerRow + 1) return []
-
-  const header = sheet.getRange(headerRow, 1, 1, lastCol).getValues()[0].map(h => String(h || "").trim())
-  const data = sheet.getRange(headerRow + 1, 1, lastRow - headerRow, lastCol).getValues()
-
-  return data.map(r => {
-    const obj = {}
-    header.forEach((h, i) => {
-      if (!h) return
-      obj[key_(h)] = r[i]
-    })
-    return obj
-  })
-}
-
-function key_(h) {
-  return String(h || "").trim().toLowerCase().replace(/\s+/g, "_")
-}
-
 /** =========================
  * TINY HELPERS
  * ========================= */
@@ -1319,11 +1261,6 @@ function mustGetProp_(props, key) {
   return v
 }
 
-function str_(v) {
-  if (v === null || v === undefined) return ""
-  return String(v).trim()
-}
-
 // ✅ IMPORTANT: same normalization as calendar import (strip +alias)
 function normEmail_(v) {
   const s = String(v || "").trim().toLowerCase()
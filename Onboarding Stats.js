@@ -20,7 +20,6 @@ const ONB_CFG = {
 
   WINDOW_DAYS: 14,
   MONTH_FMT: 'yyyy-MM',
-  CUTOFF_DATE: '2026-01-11',
 
   HEADERS: [
     'cohort_month',
@@ -134,8 +133,9 @@ function ONB_buildStats_(sheet, createdByEmailKey, tz) {
   const lastCol = sheet.getLastColumn()
 
   const out = new Map()
-  const cutoff = ONB_parseDate_(ONB_CFG.CUTOFF_DATE)
-  if (!cutoff) throw new Error(`Invalid cutoff date: ${ONB_CFG.CUTOFF_DATE}`)
+  const cutoffDate = CONFIG_get_('onboarding_cutoff_date')
+  const cutoff = ONB_parseDate_(cutoffDate)
+  if (!cutoff) throw new Error(`Invalid cutoff date: ${cutoffDate}`)
 
   const summary = {
     before: ONB_initBucket_('Before 1/11'),
@@ -391,7 +391,7 @@ function ONB_batchSetValuesCompat_(sheet, startRow, startCol, values, chunkSize)
 
 function ONB_lockWrapCompat_(lockName, fn) {
   if (typeof lockWrap === 'function') {
-    try { return lockWrap(lockName, fn) } catch (e) { return lockWrap(fn) }
+    return lockWrap(lockName, fn)
   }
   const lock = LockService.getScriptLock()
   const ok = lock.tryLock(300000)
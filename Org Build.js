@@ -9,6 +9,9 @@
  *  - raw_clerk_memberships
  *  - raw_clerk_users              (NEW: used for Stripe subscription IDs from Clerk metadata)
  *  - raw_stripe_subscriptions
+ * Optional:
+ *  - raw_posthog_org_metrics      (active users, meetings, hours, clients, integrations,
+ *                                  last activity; blank until PostHog has been pulled)
  * Optional (fallback only):
  *  - org_billing_map              (manual mapping if needed for edge cases)
  *
@@ -19,7 +22,10 @@
  *
  * Behavior:
  *  - Overwrites computed fields each run (name, created_at, is_paying, seats, promo_code, billing fields)
+ *  - seat_utilization = active_users_30d / seats for paying orgs (blank without PostHog data)
  *  - Preserves manual fields (service, white_glove, in_onboarding, onboarding_note)
+ *  - Orgs deleted in Clerk stay (is_deleted / deleted_at from raw_clerk_orgs),
+ *    joined through their soft-deleted memberships; live orgs only use live ones
  *
  * Requires shared utils:
  *  - getOrCreateSheet, readHeaderMap, normalizeEmail, batchSetValues,
@@ -32,6 +38,7 @@ const CANON_ORGS_CFG = {
     CLERK_MEMBERSHIPS: 'raw_clerk_memberships',
     CLERK_USERS: 'raw_clerk_users',
     STRIPE_SUBS: 'raw_stripe_subscriptions',
+    POSTHOG_ORG_METRICS: 'raw_posthog_org_metrics', // optional
     ORG_BILLING_MAP: 'org_billing_map', // optional fallback
     CANON_ORGS: 'canon_orgs'
   },
@@ -56,6 +63,20 @@ const CANON_ORGS_CFG = {
     'billing_email',
     'billing_customer_id',
 
+    // PostHog usage (raw_posthog_org_metrics)
+    'active_users_7d',
+    'active_users_30d',
+    'seat_utilization',
+    'meetings_recorded',
+    'hours_recorded',
+    'clients_count',
+    'integrations',
+    'last_activity_date',
+
+    // deleted in Clerk (from raw_clerk_orgs)
+    'is_deleted',
+    'deleted_at',
+
     'updated_at'
   ],
 
@@ -90,12 +111,21 @@ function build_canon_orgs() {
 
       // Optional fallback maps
       const billingMap = readOrgBillingMap_()
+      const usageByOrg = readPosthogOrgUsage_()
 
       // ---- 1) Build: org_id -> Set(clerk_user_id) ----
+      // Soft-deleted memberships only count for orgs that are deleted themselves
+      const isDeleted = (tbl, r) =>
+        tbl.has('is_deleted') && String(r[tbl.col('is_deleted')]).trim().toLowerCase() === 'true'
+      const deletedOrgIds = new Set(
+        orgRows.rows.filter(o => isDeleted(orgRows, o)).map(o => String(o[orgRows.col('org_id')] || '').trim())
+      )
+
       const orgToMemberUserIds = new Map()
       memRows.rows.forEach(r => {
         const orgId = String(r[memRows.col('org_id')] || '').trim()
         if (!orgId) return
+        if (isDeleted(memRows, r) && !deletedOrgIds.has(orgId)) return
 
         // membership sheet can store either "clerk_user_id" or "user_id"
         const uid =
@@ -178,7 +208,7 @@ function build_canon_orgs() {
       // ---- 3) Build: subscription_id -> Stripe aggregates ----
       // Expect raw_stripe_subscriptions columns (case-insensitive header mapping via readRaw_)
       // Recommended raw columns:
-      //  - subscription_id
+      //  - subscription_id (or stripe_subscription_id, as Stripe raw sync writes it)
       //  - customer_id
       //  - customer_email
       //  - status
@@ -189,6 +219,7 @@ function build_canon_orgs() {
       stripeRows.rows.forEach(r => {
         const subId =
           (stripeRows.has('subscription_id') ? String(r[stripeRows.col('subscription_id')] || '').trim() : '') ||
+          (stripeRows.has('stripe_subscription_id') ? String(r[stripeRows.col('stripe_subscription_id')] || '').trim() : '') ||
           (stripeRows.has('Subscription ID') ? String(r[stripeRows.col('Subscription ID')] || '').trim() : '')
 
         if (!subId) return
@@ -202,6 +233,7 @@ function build_canon_orgs() {
 
         const customerId =
           (stripeRows.has('customer_id') ? String(r[stripeRows.col('customer_id')] || '').trim() : '') ||
+          (stripeRows.has('stripe_customer_id') ? String(r[stripeRows.col('stripe_customer_id')] || '').trim() : '') ||
           (stripeRows.has('Customer ID') ? String(r[stripeRows.col('Customer ID')] || '').trim() : '')
 
         const customerEmail =
@@ -322,6 +354,19 @@ function build_canon_orgs() {
           billing_customer_id: ''
         }
 
+        const usage = usageByOrg[orgId] || {
+          active_users_7d: '',
+          active_users_30d: '',
+          meetings_recorded: '',
+          hours_recorded: '',
+          clients_count: '',
+          integrations: '',
+          last_activity_date: ''
+        }
+        const seatUtilization = derived.is_paying === true && derived.seats && usage.active_users_30d !== ''
+          ? Math.round((usage.active_users_30d / derived.seats) * 100) / 100
+          : ''
+
         const prior = existing.byOrgId[orgId] || {}
         const service = prior.service || ''
         const whiteGlove = prior.white_glove === true
@@ -346,6 +391,18 @@ function build_canon_orgs() {
           derived.billing_email,
           derived.billing_customer_id,
 
+          usage.active_users_7d,
+          usage.active_users_30d,
+          seatUtilization,
+          usage.meetings_recorded,
+          usage.hours_recorded,
+          usage.clients_count,
+          usage.integrations,
+          usage.last_activity_date,
+
+          isDeleted(orgRows, o),
+          orgRows.has('deleted_at') ? o[orgRows.col('deleted_at')] : '',
+
           updatedAt
         ])
       })
@@ -414,6 +471,35 @@ function readOrgBillingMap_() {
   return out
 }
 
+/* =========================
+ * Optional PostHog usage
+ * =========================
+ * raw_posthog_org_metrics (Posthog raw sync.js), by org_id:
+ * { active_users_7d, active_users_30d, meetings_recorded, hours_recorded,
+ *   clients_count, integrations, last_activity_date }; {} until PostHog has been pulled
+ */
+function readPosthogOrgUsage_() {
+  const ss = SpreadsheetApp.getActive()
+  const sh = ss.getSheetByName(CANON_ORGS_CFG.SHEETS.POSTHOG_ORG_METRICS)
+  if (!sh || sh.getLastRow() < 2) return {}
+
+  const out = {}
+  readSheetObjects(sh, 1).forEach(r => {
+    const orgId = String(r.org_id || '').trim()
+    if (!orgId) return
+    out[orgId] = {
+      active_users_7d: Number(r.active_users_7d) || 0,
+      active_users_30d: Number(r.active_users_30d) || 0,
+      meetings_recorded: Number(r.meetings_recorded) || 0,
+      hours_recorded: Number(r.hours_recorded) || 0,
+      clients_count: Number(r.clients_count) || 0,
+      integrations: String(r.integrations || '').trim(),
+      last_activity_date: r.last_activity_date || ''
+    }
+  })
+  return out
+}
+
 /* =========================
  * Reading helpers
  * ========================= */
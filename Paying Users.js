@@ -9,8 +9,15 @@
  * - Maps subscriptions to orgs via raw_clerk_users + raw_clerk_memberships
  * - Appends a new month column on every run (even same month)
  * - Writes MRR per org for the snapshot month only
- * - Includes 100% discount months as 0 MRR (keeps org listed)
  * - Yearly subs are normalized to monthly
+ * - MRR is summed per subscription item at each item's own interval
+ *   (raw_stripe_subscription_items); amount_monthly when a subscription
+ *   has no item rows
+ * - Each month is net of the discounts active on its last day
+ *   (raw_stripe_discounts via Net MRR.js), so a 100% coupon month is
+ *   0 MRR (org stays listed) and expiring coupons step up on time
+ * - Values are in the reporting currency at each month's rate
+ *   (Currency Rates.js)
  **************************************************************/
 
 const PAYING_CFG = {
@@ -36,13 +43,13 @@ const PAYING_CFG = {
 }
 
 function render_paying_users_snapshot() {
-  return lockWrapCompat_('render_paying_users_snapshot', () => {
+  return lockWrap('render_paying_users_snapshot', () => {
     return PAYING_renderSnapshot_({ reset: false })
   })
 }
 
 function reset_paying_users_sheet() {
-  return lockWrapCompat_('reset_paying_users_sheet', () => {
+  return lockWrap('reset_paying_users_sheet', () => {
     return PAYING_renderSnapshot_({ reset: true })
   })
 }
@@ -51,7 +58,7 @@ function PAYING_renderSnapshot_(opts) {
   const t0 = new Date()
   const ss = SpreadsheetApp.getActive()
 
-  const sh = getOrCreateSheetCompat_(ss, PAYING_CFG.SHEET_NAME)
+  const sh = getOrCreateSheet(ss, PAYING_CFG.SHEET_NAME)
   const shStripe = ss.getSheetByName(PAYING_CFG.SOURCE_STRIPE)
   const shUsers = ss.getSheetByName(PAYING_CFG.SOURCE_USERS)
   const shMems = ss.getSheetByName(PAYING_CFG.SOURCE_MEMBERSHIPS)
@@ -88,6 +95,7 @@ function PAYING_renderSnapshot_(opts) {
   const membershipsByOrgId = PAYING_buildMembershipsByOrgId_(mems)
   const userByEmailKey = PAYING_buildUsersByEmailKey_(users)
   const stripeBySubId = PAYING_buildStripeBySubscriptionId_(subs)
+  const netCtx = NETMRR_context_(ss)
   const subIdsByOrgId = PAYING_buildSubIdsByOrgId_(membershipsByOrgId, userByEmailKey, users)
 
   const orgSubs = new Map()
@@ -150,17 +158,8 @@ function PAYING_renderSnapshot_(opts) {
       if (startIdx >= monthKeys.length) return
       if (orgStartIdx == null || startIdx < orgStartIdx) orgStartIdx = startIdx
 
-      const baseMrr = PAYING_calcSubBaseMrr_(r)
-      const freeInfo = PAYING_discountFreeMonths_(r)
-
       for (let i = startIdx; i < monthKeys.length; i++) {
-        let val = baseMrr
-        if (freeInfo.forever) {
-          val = 0
-        } else if (freeInfo.months > 0 && (i - startIdx) < freeInfo.months) {
-          val = 0
-        }
-        values[i] += val
+        values[i] += NETMRR_forSubscription_(r, netCtx, PAYING_monthEnd_(monthKeys[i])).reporting_mrr
       }
     })
 
@@ -339,31 +338,10 @@ function PAYING_renderSnapshot_(opts) {
  * MRR logic
  * ========================= */
 
-function PAYING_calcSubBaseMrr_(sub) {
-  const amountMonthlyRaw = PAYING_num_(sub.amount_monthly)
-  const amount = PAYING_num_(sub.amount)
-  const interval = PAYING_str_(sub.interval).toLowerCase()
-  const intervalCount = Math.max(1, PAYING_num_(sub.interval_count) || 1)
-
-  if (amountMonthlyRaw) return amountMonthlyRaw
-
-  let months = 1
-  if (interval === 'month') months = intervalCount
-  if (interval === 'year') months = intervalCount * 12
-  return months ? (amount / months) : 0
-}
-
-function PAYING_discountFreeMonths_(sub) {
-  const discountPercent = PAYING_num_(sub.discount_percent)
-  const discountDuration = PAYING_str_(sub.discount_duration).toLowerCase()
-  const discountMonthsRaw = PAYING_num_(sub.discount_duration_months)
-
-  if (discountPercent !== 100) return { months: 0, forever: false }
-  if (discountDuration === 'forever') return { months: 0, forever: true }
-
-  let months = discountMonthsRaw
-  if (!months && discountDuration === 'once') months = 1
-  return { months: months || 0, forever: false }
+/** Last instant of the month: discounts active then set that month's MRR. */
+function PAYING_monthEnd_(key) {
+  const p = PAYING_parseMonthKey_(key)
+  return new Date(Date.UTC(p.y, p.m, 1) - 1)
 }
 
 function PAYING_monthDiff_(startKey, endKey) {
@@ -693,11 +671,6 @@ function PAYING_str_(v) {
   return String(v).trim()
 }
 
-function PAYING_num_(v) {
-  const n = Number(v)
-  return isFinite(n) ? n : 0
-}
-
 function PAYING_normEmail_(v) {
   const s = String(v || '').trim().toLowerCase()
   if (!s) return ''
@@ -0,0 +1,366 @@
+/**************************************************************
+ * Pipeline DAG
+ *
+ * One declarative list of pipeline steps. Each step says which
+ * sheets it reads and writes; the run order and "what else needs
+ * to re-render" are computed from that instead of hand-kept lists.
+ *
+ * Used by:
+ * - run_daily_pipeline()        -> every step, topological order
+ * - ui_run_only_* (Menu UI)     -> the picked steps + everything downstream
+ *
+ * Rules:
+ * - A step depends on another when it reads a sheet the other writes
+ * - Ties keep the order steps are declared in below
+ * - Steps with a `source` pull from an external API; they only run
+ *   when picked explicitly (never pulled in as "downstream")
+ * - Downstream steps are skipped when none of their input sheets
+ *   changed since their last successful run (fingerprints live in
+ *   Script Properties under PIPELINE_INPUTS_<step>)
+ * - If a step fails, steps downstream of it are skipped for that run
+ *   (unless force: true, which the daily run uses)
+ * - Before a step runs, the tabs it reads are checked against their
+ *   schema (Schema Registry.js); after a pull, its tabs are checked
+ *   for added / dropped columns (schema_drift)
+ *
+ * Adding a step: add it to PIPELINE_STEPS with honest reads/writes
+ * (list 'config' when the step reads CONFIG_get_ values).
+ * The fn is wrapped so files can load in any order.
+ **************************************************************/
+
+const PIPELINE_CFG = {
+  FINGERPRINT_PROP_PREFIX: 'PIPELINE_INPUTS_',
+  SKIP_STATUS: 'skipped'
+}
+
+const PIPELINE_STEPS = [
+  {
+    name: 'clerk_pull_users_to_raw',
+    source: 'clerk',
+    fn: () => clerk_pull_users_to_raw(),
+    reads: [],
+    writes: ['raw_clerk_users']
+  },
+  {
+    name: 'clerk_pull_orgs_to_raw',
+    source: 'clerk',
+    fn: () => clerk_pull_orgs_to_raw(),
+    reads: [],
+    writes: ['raw_clerk_orgs']
+  },
+  {
+    name: 'clerk_pull_memberships_to_raw',
+    source: 'clerk',
+    fn: () => clerk_pull_memberships_to_raw(),
+    reads: [],
+    writes: ['raw_clerk_memberships']
+  },
+  {
+    // Sessions are listed per user, so this reads the users pulled above
+    name: 'clerk_pull_sessions_to_raw',
+    source: 'clerk',
+    fn: () => clerk_pull_sessions_to_raw(),
+    reads: ['raw_clerk_users'],
+    writes: ['raw_clerk_sessions']
+  },
+  {
+    // Login history, one row per session
+    name: 'syncClerkUsers',
+    fn: () => syncClerkUsers(),
+    reads: ['raw_clerk_sessions'],
+    writes: ['login_events']
+  },
+  {
+    name: 'stripe_pull_subscriptions_to_raw',
+    source: 'stripe',
+    fn: () => stripe_pull_subscriptions_to_raw(),
+    reads: [],
+    writes: ['raw_stripe_subscriptions', 'raw_stripe_subscription_items', 'raw_stripe_discounts', 'raw_stripe_invoices']
+  },
+  {
+    name: 'posthog_pull_user_metrics_to_raw',
+    source: 'posthog',
+    fn: () => posthog_pull_user_metrics_to_raw(),
+    reads: ['raw_clerk_users', 'raw_clerk_memberships'],
+    writes: ['raw_posthog_user_daily', 'raw_posthog_user_metrics', 'raw_posthog_org_metrics']
+  },
+  {
+    name: 'build_canon_orgs',
+    fn: () => build_canon_orgs(),
+    reads: ['raw_clerk_orgs', 'raw_clerk_memberships', 'raw_clerk_users', 'raw_stripe_subscriptions', 'raw_posthog_org_metrics', 'org_billing_map'],
+    writes: ['canon_orgs']
+  },
+  {
+    name: 'build_canon_users',
+    fn: () => build_canon_users(),
+    reads: ['raw_clerk_users', 'raw_clerk_memberships', 'raw_posthog_user_metrics', 'login_events', 'clerk_master'],
+    writes: ['canon_users']
+  },
+  {
+    name: 'render_org_info_view',
+    fn: () => render_org_info_view(),
+    reads: ['canon_orgs', 'raw_clerk_memberships', 'raw_clerk_users', 'raw_stripe_subscriptions', 'raw_stripe_subscription_items', 'config'],
+    writes: ['org_info']
+  },
+  {
+    name: 'render_arr_raw_data_view',
+    fn: () => render_arr_raw_data_view(),
+    reads: ['raw_clerk_orgs', 'raw_clerk_memberships', 'raw_clerk_users', 'raw_stripe_subscriptions', 'raw_stripe_subscription_items', 'raw_stripe_discounts', 'currency_rates', 'org_info', 'config'],
+    writes: ['arr_raw_data']
+  },
+  {
+    name: 'write_arr_snapshot',
+    fn: () => write_arr_snapshot(),
+    reads: ['arr_raw_data'],
+    writes: ['arr_snapshot']
+  },
+  {
+    name: 'render_arr_waterfall_facts',
+    fn: () => render_arr_waterfall_facts(),
+    reads: ['arr_snapshot'],
+    writes: ['arr_waterfall_facts']
+  },
+  {
+    name: 'render_paying_users_snapshot',
+    fn: () => render_paying_users_snapshot(),
+    reads: ['raw_stripe_subscriptions', 'raw_stripe_subscription_items', 'raw_stripe_discounts', 'currency_rates', 'raw_clerk_users', 'raw_clerk_memberships', 'raw_clerk_orgs', 'config'],
+    writes: ['Paying Users']
+  },
+  {
+    name: 'render_sauron_view',
+    fn: () => render_sauron_view(),
+    reads: ['canon_users', 'canon_orgs', 'raw_clerk_memberships', 'raw_clerk_users', 'raw_posthog_user_metrics', 'org_info'],
+    writes: ['Sauron']
+  },
+  {
+    name: 'render_ring_view',
+    fn: () => render_ring_view(),
+    reads: ['raw_stripe_subscriptions', 'raw_stripe_subscription_items', 'raw_stripe_discounts', 'currency_rates', 'Manual Stripe Changes', 'raw_clerk_users', 'raw_clerk_memberships', 'raw_clerk_orgs', 'raw_posthog_user_metrics', 'config'],
+    writes: ['The Ring']
+  },
+  {
+    name: 'run_data_quality_checks',
+    fn: () => run_data_quality_checks(),
+    reads: ['raw_stripe_subscriptions', 'raw_clerk_users', 'raw_clerk_orgs', 'raw_clerk_memberships', 'raw_posthog_user_metrics', 'canon_orgs', 'The Ring', 'config'],
+    writes: ['dq_results']
+  },
+  {
+    // External spreadsheet; refuses to publish when a critical DQ check fails
+    name: 'publish_the_good_stuff',
+    fn: () => publish_the_good_stuff(),
+    reads: ['The Ring', 'dq_results'],
+    writes: []
+  },
+  {
+    name: 'build_funnel_steps',
+    fn: () => build_funnel_steps(),
+    reads: ['raw_clerk_users', 'raw_clerk_orgs', 'raw_clerk_memberships', 'raw_posthog_user_metrics', 'raw_posthog_org_metrics', 'org_info', 'config'],
+    writes: ['funnel_steps']
+  },
+  {
+    name: 'render_conversion_onboarding_stats',
+    fn: () => render_conversion_onboarding_stats(),
+    reads: ['raw_clerk_orgs', 'org_info', 'raw_posthog_user_metrics', 'raw_clerk_users', 'funnel_steps', 'config'],
+    writes: ['Conversion & Onboarding stats']
+  }
+]
+
+/* =========================
+ * Public entrypoints
+ * ========================= */
+
+/**
+ * Runs the picked steps plus every step downstream of them.
+ * opts.force: run every planned step (no fingerprint skips, no
+ * skipping after upstream failures) and never throw.
+ * opts.resumable: part of the active resumable run (Pipeline Run State.js):
+ * steps already done are skipped, each finished step is recorded, and
+ * the run may pause (throws a yield, see RUNSTATE_isYield_) between or
+ * inside steps.
+ * opts.exclude: step names left out of the plan (e.g. publishing).
+ * Returns this execution's per-step results ({ step, status, seconds, ... }).
+ */
+function PIPELINE_runFrom_(stepNames, opts) {
+  const options = opts || {}
+  const excluded = new Set(options.exclude || [])
+  const plan = PIPELINE_plan_(stepNames).filter(name => !excluded.has(name))
+  const picked = new Set(stepNames)
+  const byName = PIPELINE_stepsByName_()
+
+  const sheetHashes = new Map() // sheet name -> fingerprint (cleared when a step writes it)
+  const failedWrites = new Set()
+  const results = []
+
+  plan.forEach(name => {
+    const step = byName[name]
+    if (options.resumable) {
+      if (RUNSTATE_isCompleted_(name)) return
+      if (RUNSTATE_shouldYield_()) RUNSTATE_yield_(name)
+    }
+
+    const t0 = new Date()
+
+    if (!options.force) {
+      const failedInput = step.reads.find(s => failedWrites.has(s))
+      if (failedInput) {
+        step.writes.forEach(s => failedWrites.add(s))
+        PIPELINE_record_(results, PIPELINE_logSkip_(name, `upstream failed (${failedInput})`), options)
+        return
+      }
+    }
+
+    const inputs = PIPELINE_inputFingerprints_(step, sheetHashes)
+    if (!options.force && !picked.has(name) && PIPELINE_inputsUnchanged_(step, inputs)) {
+      PIPELINE_record_(results, PIPELINE_logSkip_(name, 'inputs unchanged'), options)
+      return
+    }
+
+    const res = runStepSafe_(name, () => {
+      SCHEMA_assertTabs_(step.reads)
+      return step.fn()
+    }, t0)
+    step.writes.forEach(s => sheetHashes.delete(s))
+
+    if (res.status === 'error') {
+      step.writes.forEach(s => failedWrites.add(s))
+    } else {
+      PIPELINE_saveFingerprints_(name, inputs)
+      if (step.source) step.writes.forEach(s => SCHEMA_recordDrift_(s, name))
+    }
+    PIPELINE_record_(results, res, options)
+  })
+
+  if (!options.force) {
+    const failed = results.find(r => r.status === 'error')
+    if (failed) throw new Error(`${failed.step} failed: ${failed.error}`)
+  }
+
+  return results
+}
+
+/**
+ * Ordered step names for a run starting at stepNames:
+ * the picked steps + their downstream closure, topologically sorted.
+ */
+function PIPELINE_plan_(stepNames, steps) {
+  const all = steps || PIPELINE_STEPS
+  const byName = PIPELINE_stepsByName_(all)
+
+  ;(stepNames || []).forEach(n => {
+    if (!byName[n]) throw new Error(`Unknown pipeline step: ${n}`)
+  })
+
+  const selected = new Set(stepNames)
+  const queue = Array.from(selected)
+
+  while (queue.length) {
+    const current = byName[queue.shift()]
+    const writes = new Set(current.writes)
+
+    all.forEach(s => {
+      if (selected.has(s.name) || s.source) return
+      if (!s.reads.some(r => writes.has(r))) return
+      selected.add(s.name)
+      queue.push(s.name)
+    })
+  }
+
+  return PIPELINE_order_(all).filter(n => selected.has(n))
+}
+
+/**
+ * Topological order of all steps (Kahn). Ties keep declaration order.
+ * Throws if the reads/writes form a cycle.
+ */
+function PIPELINE_order_(steps) {
+  const all = steps || PIPELINE_STEPS
+  const writers = {} // sheet -> [step index]
+  all.forEach((s, i) => s.writes.forEach(w => {
+    if (!writers[w]) writers[w] = []
+    writers[w].push(i)
+  }))
+
+  const deps = all.map((s, i) => {
+    const set = new Set()
+    s.reads.forEach(r => (writers[r] || []).forEach(j => { if (j !== i) set.add(j) }))
+    return set
+  })
+
+  const done = new Set()
+  const order = []
+
+  while (order.length < all.length) {
+    const next = all.findIndex((s, i) => !done.has(i) && Array.from(deps[i]).every(j => done.has(j)))
+    if (next < 0) {
+      const stuck = all.filter((s, i) => !done.has(i)).map(s => s.name)
+      throw new Error(`Pipeline DAG has a cycle between: ${stuck.join(', ')}`)
+    }
+    done.add(next)
+    order.push(all[next].name)
+  }
+
+  return order
+}
+
+/* =========================
+ * Fingerprints
+ * ========================= */
+
+function PIPELINE_inputFingerprints_(step, cache) {
+  const ss = SpreadsheetApp.getActive()
+  const out = {}
+  step.reads.forEach(name => {
+    if (!cache.has(name)) cache.set(name, PIPELINE_sheetFingerprint_(ss.getSheetByName(name)))
+    out[name] = cache.get(name)
+  })
+  return out
+}
+
+function PIPELINE_sheetFingerprint_(sheet) {
+  if (!sheet) return ''
+  const lastRow = sheet.getLastRow()
+  const lastCol = sheet.getLastColumn()
+  if (!lastRow || !lastCol) return 'empty'
+
+  const values = sheet.getRange(1, 1, lastRow, lastCol).getValues()
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, JSON.stringify(values), Utilities.Charset.UTF_8)
+  return `${lastRow}x${lastCol}:${Utilities.base64Encode(digest)}`
+}
+
+function PIPELINE_inputsUnchanged_(step, inputs) {
+  const ss = SpreadsheetApp.getActive()
+  if (step.writes.some(w => !ss.getSheetByName(w))) return false
+
+  const raw = PropertiesService.getScriptProperties().getProperty(PIPELINE_CFG.FINGERPRINT_PROP_PREFIX + step.name)
+  if (!raw) return false
+
+  let prev
+  try { prev = JSON.parse(raw) } catch (e) { return false }
+
+  return Object.keys(inputs).every(k => prev[k] === inputs[k])
+}
+
+function PIPELINE_saveFingerprints_(stepName, inputs) {
+  PropertiesService.getScriptProperties()
+    .setProperty(PIPELINE_CFG.FINGERPRINT_PROP_PREFIX + stepName, JSON.stringify(inputs))
+}
+
+/* =========================
+ * Helpers
+ * ========================= */
+
+function PIPELINE_stepsByName_(steps) {
+  const out = {}
+  ;(steps || PIPELINE_STEPS).forEach(s => { out[s.name] = s })
+  return out
+}
+
+function PIPELINE_record_(results, res, options) {
+  results.push(res)
+  if (options.resumable) RUNSTATE_markStep_(res.step, res)
+}
+
+function PIPELINE_logSkip_(name, reason) {
+  writeSyncLog(name, PIPELINE_CFG.SKIP_STATUS, '', '', 0, reason)
+  return { step: name, status: PIPELINE_CFG.SKIP_STATUS, seconds: 0, reason }
+}
@@ -0,0 +1,224 @@
+/**************************************************************
+ * Pipeline run state (resumable runs)
+ *
+ * Apps Script kills an execution at 6 minutes. The daily pipeline
+ * can run longer than that (Stripe invoice scan, PostHog batches),
+ * so a run is allowed to span several executions:
+ *
+ * - A ledger (sheet "pipeline_run_state") holds the active run:
+ *   run_id, which steps are done, and in-progress cursors
+ *   (Stripe starting_after, PostHog batch index, Clerk offset)
+ * - Long loops call RUNSTATE_shouldYield_() between pages/batches.
+ *   When the execution budget is used up they hand their cursor to
+ *   RUNSTATE_yield_(), which saves it and stops the execution
+ * - run_daily_pipeline() then schedules run_daily_pipeline_continue()
+ *   (one-off time trigger), which loads the ledger and carries on
+ *   from the first unfinished step / saved cursor
+ * - Each execution also schedules the continuation before it starts
+ *   work (WATCHDOG_AFTER_MS, past the 6 minute kill), so an execution
+ *   killed inside a step is still picked up; a finished run deletes it.
+ *   After MAX_EXECUTIONS the run is abandoned instead
+ * - Every sync_log row of the run carries the same run_id; step
+ *   attempt counters live in the ledger so a step resumed in a later
+ *   execution logs attempt 2
+ *
+ * Outside a resumable run (menu actions, one-off calls) there is no
+ * active ledger: RUNSTATE_shouldYield_() is always false and
+ * RUNSTATE_getCursor_() always null, so steps behave as before.
+ *
+ * The ledger is JSON split over rows (cells cap at 50k chars).
+ **************************************************************/
+
+const RUNSTATE_CFG = {
+  SHEET_NAME: 'pipeline_run_state',
+  CHUNK_CHARS: 40000,
+
+  // Leave room under the 6 minute limit to save state + schedule the trigger
+  EXECUTION_BUDGET_MS: 4.5 * 60 * 1000,
+
+  CONTINUE_HANDLER: 'run_daily_pipeline_continue',
+  CONTINUE_AFTER_MS: 60 * 1000,
+
+  // Fallback continuation for an execution Apps Script kills mid-step
+  WATCHDOG_AFTER_MS: 7 * 60 * 1000,
+  MAX_EXECUTIONS: 12
+}
+
+// Ledger of the run this execution is working on (null outside resumable runs)
+let RUNSTATE_ACTIVE = null
+let RUNSTATE_EXECUTION_STARTED_MS = 0
+
+/* =========================
+ * Run lifecycle
+ * ========================= */
+
+/**
+ * Starts a new run (replaces any unfinished ledger) and makes it active.
+ */
+function RUNSTATE_begin_(pipelineName) {
+  const run = startSyncLogRun()
+
+  const previous = RUNSTATE_load_()
+  if (previous) {
+    writeSyncLog(previous.pipeline, 'abandoned', '', '', '', `unfinished run ${previous.run_id} replaced by ${run.run_id}`)
+    RUNSTATE_deleteContinuationTriggers_()
+  }
+
+  return RUNSTATE_activate_({
+    run_id: run.run_id,
+    trigger_source: run.trigger_source,
+    pipeline: pipelineName,
+    started_at: new Date().toISOString(),
+    executions: 1,
+    seconds: 0,
+    completed: {},
+    results: [],
+    cursors: {}
+  })
+}
+
+/**
+ * Loads the unfinished run (if any) and makes it active.
+ * Returns null when there is nothing to continue.
+ * Call inside runInSyncLogRun() with the ledger's run_id so rows keep it.
+ */
+function RUNSTATE_resume_() {
+  const ledger = RUNSTATE_load_()
+  if (!ledger) return null
+  ledger.executions = Number(ledger.executions || 0) + 1
+  return RUNSTATE_activate_(ledger)
+}
+
+/**
+ * Run finished: drop the ledger and any pending continuation trigger.
+ */
+function RUNSTATE_finish_() {
+  RUNSTATE_clear_()
+  RUNSTATE_deleteContinuationTriggers_()
+  RUNSTATE_ACTIVE = null
+}
+
+/** Adds this execution's wall time to the run total and saves. */
+function RUNSTATE_addExecutionSeconds_() {
+  if (!RUNSTATE_ACTIVE) return 0
+  const seconds = (Date.now() - RUNSTATE_EXECUTION_STARTED_MS) / 1000
+  RUNSTATE_ACTIVE.seconds = Number(RUNSTATE_ACTIVE.seconds || 0) + seconds
+  RUNSTATE_save_(RUNSTATE_ACTIVE)
+  return seconds
+}
+
+/** Replaces any pending continuation with one afterMs from now (default CONTINUE_AFTER_MS). */
+function RUNSTATE_scheduleContinuation_(afterMs) {
+  RUNSTATE_deleteContinuationTriggers_()
+  ScriptApp.newTrigger(RUNSTATE_CFG.CONTINUE_HANDLER)
+    .timeBased()
+    .after(afterMs || RUNSTATE_CFG.CONTINUE_AFTER_MS)
+    .create()
+}
+
+/* =========================
+ * Step bookkeeping
+ * ========================= */
+
+function RUNSTATE_isCompleted_(stepName) {
+  return !!(RUNSTATE_ACTIVE && RUNSTATE_ACTIVE.completed[stepName])
+}
+
+/** Records a finished (ok / error / skipped) step and drops its cursor. */
+function RUNSTATE_markStep_(stepName, result) {
+  if (!RUNSTATE_ACTIVE) return
+  RUNSTATE_ACTIVE.completed[stepName] = result.status
+  RUNSTATE_ACTIVE.results.push(result)
+  delete RUNSTATE_ACTIVE.cursors[stepName]
+  RUNSTATE_save_(RUNSTATE_ACTIVE)
+}
+
+/* =========================
+ * Cursors + yielding (used inside long steps)
+ * ========================= */
+
+function RUNSTATE_getCursor_(stepName) {
+  if (!RUNSTATE_ACTIVE) return null
+  return RUNSTATE_ACTIVE.cursors[stepName] || null
+}
+
+function RUNSTATE_shouldYield_() {
+  if (!RUNSTATE_ACTIVE) return false
+  return Date.now() - RUNSTATE_EXECUTION_STARTED_MS >= RUNSTATE_CFG.EXECUTION_BUDGET_MS
+}
+
+/**
+ * Saves the step's cursor and stops this execution. The thrown error
+ * is recognised by RUNSTATE_isYield_() (never logged as a failure).
+ */
+function RUNSTATE_yield_(stepName, cursor) {
+  if (cursor) RUNSTATE_ACTIVE.cursors[stepName] = cursor
+  RUNSTATE_save_(RUNSTATE_ACTIVE)
+
+  const err = new Error(`Pipeline paused at ${stepName} (execution budget used)`)
+  err.pipelineYield = true
+  err.step = stepName
+  throw err
+}
+
+function RUNSTATE_isYield_(err) {
+  return !!(err && err.pipelineYield)
+}
+
+/* =========================
+ * Ledger storage
+ * ========================= */
+
+function RUNSTATE_activate_(ledger) {
+  // Share the attempt counters with the sync_log run context so they persist across executions
+  ledger.attempts = startSyncLogRun().attempts
+
+  RUNSTATE_ACTIVE = ledger
+  RUNSTATE_EXECUTION_STARTED_MS = Date.now()
+  RUNSTATE_save_(ledger)
+  return ledger
+}
+
+function RUNSTATE_load_() {
+  const sh = SpreadsheetApp.getActive().getSheetByName(RUNSTATE_CFG.SHEET_NAME)
+  if (!sh || sh.getLastRow() < 2) return null
+
+  const json = sh.getRange(2, 2, sh.getLastRow() - 1, 1).getValues()
+    .map(r => String(r[0] || ''))
+    .join('')
+  if (!json) return null
+
+  try {
+    return JSON.parse(json)
+  } catch (e) {
+    Logger.log(`RUNSTATE: unreadable ledger, ignoring (${e.message})`)
+    return null
+  }
+}
+
+function RUNSTATE_save_(ledger) {
+  const sh = getOrCreateSheet(SpreadsheetApp.getActive(), RUNSTATE_CFG.SHEET_NAME)
+  const json = JSON.stringify(ledger)
+  const updatedAt = new Date()
+
+  const rows = []
+  for (let i = 0; i < json.length; i += RUNSTATE_CFG.CHUNK_CHARS) {
+    rows.push([rows.length + 1, json.slice(i, i + RUNSTATE_CFG.CHUNK_CHARS), updatedAt])
+  }
+
+  sh.clearContents()
+  sh.getRange(1, 1, 1, 3).setValues([['part', 'json', 'updated_at']])
+  sh.getRange(2, 2, rows.length, 1).setNumberFormat('@') // keep JSON chunks as plain text
+  sh.getRange(2, 1, rows.length, 3).setValues(rows)
+}
+
+function RUNSTATE_clear_() {
+  const sh = SpreadsheetApp.getActive().getSheetByName(RUNSTATE_CFG.SHEET_NAME)
+  if (sh) sh.clearContents()
+}
+
+function RUNSTATE_deleteContinuationTriggers_() {
+  ScriptApp.getProjectTriggers().forEach(t => {
+    if (t.getHandlerFunction() === RUNSTATE_CFG.CONTINUE_HANDLER) ScriptApp.deleteTrigger(t)
+  })
+}
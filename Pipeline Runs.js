@@ -0,0 +1,165 @@
+/**************************************************************
+ * render_pipeline_runs_view()
+ *
+ * Builds the "Pipeline Runs" tab from sync_log: one row per run_id
+ * (newest first), so "what ran, how long, what broke, how much data
+ * moved" is answerable without scrolling the raw log.
+ *
+ * Output columns:
+ *   run_id | trigger_source | entry | started_at | finished_at |
+ *   duration_seconds | executions | status | steps_run | failed_steps |
+ *   rows_out | rows_out_delta | volume_changes
+ *
+ * - entry: the root step (run_daily_pipeline, ui_* handler, doPost, ...)
+ * - duration_seconds: the root row's seconds (sum of executions for a
+ *   resumed daily run); wall clock span when there is no root row
+ * - rows_out / deltas: per step, the last logged rows_out; compared
+ *   with the previous run that has the same entry
+ * - sync_log rows written before run ids existed are ignored
+ **************************************************************/
+
+const PRUNS_CFG = {
+  SOURCE_SHEET: 'sync_log',
+  OUT_SHEET: 'Pipeline Runs',
+  MAX_RUNS: 200,
+
+  HEADERS: [
+    'run_id',
+    'trigger_source',
+    'entry',
+    'started_at',
+    'finished_at',
+    'duration_seconds',
+    'executions',
+    'status',
+    'steps_run',
+    'failed_steps',
+    'rows_out',
+    'rows_out_delta',
+    'volume_changes'
+  ]
+}
+
+function render_pipeline_runs_view() {
+  const ss = SpreadsheetApp.getActive()
+  const src = ss.getSheetByName(PRUNS_CFG.SOURCE_SHEET)
+  const logRows = src ? readSheetObjects(src, 1) : []
+
+  const runs = PRUNS_summarizeRuns_(logRows)
+  const shown = runs.slice(-PRUNS_CFG.MAX_RUNS).reverse()
+
+  const out = getOrCreateSheet(ss, PRUNS_CFG.OUT_SHEET)
+  out.clearContents()
+  out.getRange(1, 1, 1, PRUNS_CFG.HEADERS.length).setValues([PRUNS_CFG.HEADERS])
+  out.setFrozenRows(1)
+
+  if (shown.length) {
+    const values = shown.map(r => PRUNS_CFG.HEADERS.map(h => r[h] == null ? '' : r[h]))
+    out.getRange(2, 1, values.length, PRUNS_CFG.HEADERS.length).setValues(values)
+  }
+
+  return { rows_in: logRows.length, rows_out: shown.length }
+}
+
+/**
+ * sync_log row objects -> run summaries, oldest first.
+ * Kept free of Sheets calls so it can be tested on plain arrays.
+ */
+function PRUNS_summarizeRuns_(logRows) {
+  const byRun = new Map()
+  logRows.forEach(r => {
+    const runId = String(r.run_id || '').trim()
+    if (!runId) return
+    if (!byRun.has(runId)) byRun.set(runId, [])
+    byRun.get(runId).push(r)
+  })
+
+  const runs = Array.from(byRun.entries()).map(([runId, rows]) => PRUNS_summarizeRun_(runId, rows))
+  runs.sort((a, b) => PRUNS_time_(a.started_at) - PRUNS_time_(b.started_at))
+
+  const previousByEntry = {}
+  runs.forEach(run => {
+    const prev = previousByEntry[run.entry]
+    if (prev) {
+      run.rows_out_delta = run.rows_out - prev.rows_out
+      run.volume_changes = PRUNS_volumeChanges_(prev.step_rows_out, run.step_rows_out)
+    }
+    previousByEntry[run.entry] = run
+  })
+
+  return runs
+}
+
+function PRUNS_summarizeRun_(runId, rows) {
+  // Root rows have no parent; the last one is the entry point's own summary
+  const roots = rows.filter(r => !String(r.parent_step || '').trim())
+  const entry = String((roots.length ? roots[roots.length - 1] : rows[0]).step || '')
+  const entryRows = rows.filter(r => String(r.step || '') === entry && !String(r.parent_step || '').trim())
+  const finalRow = entryRows.filter(r => r.status !== 'continued').pop() || null
+
+  let startMs = Infinity
+  let endMs = -Infinity
+  rows.forEach(r => {
+    const t = PRUNS_time_(r.timestamp)
+    if (!t) return
+    startMs = Math.min(startMs, t - PRUNS_num_(r.seconds) * 1000)
+    endMs = Math.max(endMs, t)
+  })
+
+  const stepRowsOut = {}
+  const stepStatus = {}
+  rows.forEach(r => {
+    const step = String(r.step || '')
+    if (!step || step === entry) return
+    stepStatus[step] = String(r.status || '')
+    if (r.rows_out !== '' && r.rows_out != null) stepRowsOut[step] = PRUNS_num_(r.rows_out)
+  })
+
+  const failed = Object.keys(stepStatus).filter(s => stepStatus[s] === 'error')
+  const status = finalRow
+    ? String(finalRow.status || '')
+    : entryRows.length ? 'continued' : failed.length ? 'error' : 'ok'
+
+  const hasTimes = startMs !== Infinity
+  return {
+    run_id: runId,
+    trigger_source: String(rows[0].trigger_source || ''),
+    entry,
+    started_at: hasTimes ? new Date(startMs) : '',
+    finished_at: hasTimes ? new Date(endMs) : '',
+    duration_seconds: finalRow && finalRow.seconds !== '' && finalRow.seconds != null
+      ? PRUNS_round_(PRUNS_num_(finalRow.seconds))
+      : hasTimes ? PRUNS_round_((endMs - startMs) / 1000) : '',
+    executions: entryRows.filter(r => r.status === 'continued').length + 1,
+    status,
+    steps_run: Object.keys(stepStatus).filter(s => stepStatus[s] !== 'skipped').length,
+    failed_steps: failed.join(', '),
+    rows_out: Object.keys(stepRowsOut).reduce((sum, s) => sum + stepRowsOut[s], 0),
+    rows_out_delta: '',
+    volume_changes: '',
+    step_rows_out: stepRowsOut
+  }
+}
+
+/** "step: 10 → 12" for every step whose rows_out changed (or appeared). */
+function PRUNS_volumeChanges_(prev, curr) {
+  return Object.keys(curr)
+    .filter(s => prev[s] !== curr[s])
+    .map(s => `${s}: ${prev[s] == null ? '-' : prev[s]} → ${curr[s]}`)
+    .join('; ')
+}
+
+function PRUNS_time_(v) {
+  if (v instanceof Date) return v.getTime()
+  const t = v ? new Date(v).getTime() : 0
+  return isNaN(t) ? 0 : t
+}
+
+function PRUNS_num_(v) {
+  const n = Number(v)
+  return isFinite(n) ? n : 0
+}
+
+function PRUNS_round_(n) {
+  return Math.round(n * 10) / 10
+}
@@ -0,0 +1,387 @@
+/**************************************************************
+ * PostHog metric registry (current-state columns of raw_posthog_user_metrics)
+ *
+ * Each entry is one HogQL fragment over the postgres.* tables plus
+ * the columns it outputs:
+ *
+ *   { name, level, key, hogql, columns: [{ name, type, org_agg, canon }] }
+ *
+ * - level: user | org — what one row of the fragment describes
+ * - key: the fragment's id column (users.id for user, an org id for org).
+ *   Org metrics reach users through postgres.users_orgs, aggregated over
+ *   the user's orgs with org_agg (default: max for number / boolean,
+ *   any otherwise)
+ * - type: number | boolean ('yes' / 'no') | string | date ('yyyy-MM-dd' text)
+ * - canon: false keeps the column out of canon_users (default: copied);
+ *   canon org-level columns are also queried per org for
+ *   raw_posthog_org_metrics (PHMETRIC_buildOrgHogQL_)
+ * - {{param}} placeholders are filled by PHMETRIC_params_(); an entry
+ *   whose param is '' is left out of the query and its columns get
+ *   their type's default
+ *
+ * PHMETRIC_buildHogQL_ composes the per-batch query
+ * (posthogRunDbMetricsQueryWithStripe_ in Posthog raw sync.js) and
+ * PHMETRIC_parseRow_ reads results by column name, so adding a metric
+ * is one entry here: raw_posthog_user_metrics and canon_users pick the
+ * column up from PHMETRIC_columns_().
+ **************************************************************/
+
+const PHMETRIC_CFG = {
+  // Clients with these names (lowercased, trimmed) are not counted
+  EXCLUDED_CLIENT_NAMES: ['camden bean']
+}
+
+const PHMETRIC_REGISTRY = [
+  {
+    name: 'clients',
+    level: 'org',
+    key: 'org_id',
+    hogql: `
+SELECT
+  c.org_id AS org_id,
+  countIf(lower(trim(coalesce(c.name, ''))) NOT IN ({{excluded_client_names}})) AS clients_count,
+  if(
+    countIf(lower(trim(coalesce(c.name, ''))) NOT IN ({{excluded_client_names}})) > 0,
+    formatDateTime(minIf(c.created_at, lower(trim(coalesce(c.name, ''))) NOT IN ({{excluded_client_names}})), '%Y-%m-%d'),
+    NULL
+  ) AS first_client_added_date
+FROM postgres.clients AS c
+GROUP BY c.org_id`,
+    columns: [
+      { name: 'clients_count', type: 'number' },
+      // Earliest over the user's orgs (NULL, not '', so min skips orgs without clients)
+      { name: 'first_client_added_date', type: 'date', org_agg: 'min' }
+    ]
+  },
+  {
+    name: 'oauth',
+    level: 'user',
+    key: 'user_id',
+    hogql: `
+SELECT
+  oc.user_id AS user_id,
+
+  if(countIf(oc.scope_type = 'CALENDAR') > 0, 'yes', 'no') AS calendar_connected,
+  formatDateTime(minIf(oc.created_at, oc.scope_type = 'CALENDAR'), '%Y-%m-%d') AS first_calendar_connected_date,
+
+  if(countIf(oc.scope_type = 'EMAIL') > 0, 'yes', 'no') AS email_connected,
+  formatDateTime(minIf(oc.created_at, oc.scope_type = 'EMAIL'), '%Y-%m-%d') AS first_email_connected_date,
+
+  if(countIf(oc.provider = 'KARBON') > 0, 'yes', 'no') AS pm_karbon_connected,
+  formatDateTime(minIf(oc.created_at, oc.provider = 'KARBON'), '%Y-%m-%d') AS pm_karbon_first_connected_date,
+
+  if(countIf(oc.provider = 'KEEPER') > 0, 'yes', 'no') AS pm_keeper_connected,
+  formatDateTime(minIf(oc.created_at, oc.provider = 'KEEPER'), '%Y-%m-%d') AS pm_keeper_first_connected_date,
+
+  if(countIf(oc.provider = 'FINANCIAL_CENTS') > 0, 'yes', 'no') AS pm_financial_cents_connected,
+  formatDateTime(minIf(oc.created_at, oc.provider = 'FINANCIAL_CENTS'), '%Y-%m-%d') AS pm_financial_cents_first_connected_date,
+
+  arrayStringConcat(
+    arraySort(
+      groupUniqArrayIf(
+        oc.provider,
+        oc.provider NOT IN ('FINANCIAL_CENTS', 'KEEPER', 'KARBON', 'GOOGLE', 'COMPOSIO', 'MICROSOFT')
+        AND length(coalesce(oc.provider, '')) > 0
+      )
+    ),
+    ', '
+  ) AS other_integrations
+FROM postgres.oauth_credentials AS oc
+GROUP BY oc.user_id`,
+    columns: [
+      { name: 'calendar_connected', type: 'boolean' },
+      { name: 'first_calendar_connected_date', type: 'date' },
+      { name: 'email_connected', type: 'boolean' },
+      { name: 'first_email_connected_date', type: 'date' },
+      { name: 'pm_karbon_connected', type: 'boolean' },
+      { name: 'pm_karbon_first_connected_date', type: 'date' },
+      { name: 'pm_keeper_connected', type: 'boolean' },
+      { name: 'pm_keeper_first_connected_date', type: 'date' },
+      { name: 'pm_financial_cents_connected', type: 'boolean' },
+      { name: 'pm_financial_cents_first_connected_date', type: 'date' },
+      { name: 'other_integrations', type: 'string' }
+    ]
+  },
+  {
+    name: 'action_items',
+    level: 'user',
+    key: 'user_id',
+    hogql: `
+SELECT
+  ai.user_id AS user_id,
+  countIf(ai.synced_to_practice_management = true) AS action_items_synced
+FROM postgres.action_items AS ai
+GROUP BY ai.user_id`,
+    columns: [
+      { name: 'action_items_synced', type: 'number' }
+    ]
+  },
+  {
+    name: 'meeting_notes',
+    level: 'user',
+    key: 'user_id',
+    hogql: `
+SELECT
+  m.user_id AS user_id,
+  count() AS meeting_notes_synced
+FROM postgres.meetings AS m
+WHERE m.sync_status IS NOT NULL
+GROUP BY m.user_id`,
+    columns: [
+      { name: 'meeting_notes_synced', type: 'number' }
+    ]
+  },
+  {
+    // All time, so the day survives raw_posthog_user_daily folding old days into one row
+    name: 'first_meeting',
+    level: 'user',
+    key: 'user_id',
+    hogql: `
+SELECT
+  mb.user_id AS user_id,
+  formatDateTime(min(mb.recording_started_at), '%Y-%m-%d') AS first_meeting_recorded_date
+FROM postgres.meeting_bots AS mb
+WHERE mb.recording_started_at IS NOT NULL
+  AND mb.recording_ended_at IS NOT NULL
+GROUP BY mb.user_id`,
+    columns: [
+      { name: 'first_meeting_recorded_date', type: 'date' }
+    ]
+  },
+  {
+    // Meeting and global asks, as counted in raw_posthog_user_daily
+    name: 'first_ask',
+    level: 'user',
+    key: 'user_id',
+    hogql: `
+SELECT
+  t.resource_id AS user_id,
+  formatDateTime(min(t.created_at), '%Y-%m-%d') AS first_ask_date
+FROM postgres.mastra.mastra_threads AS t
+WHERE t.id LIKE 'meeting%' OR t.id LIKE 'global%'
+GROUP BY t.resource_id`,
+    columns: [
+      { name: 'first_ask_date', type: 'date' }
+    ]
+  },
+  {
+    // Table name differs between environments (see STRIPE_SUB_TABLE_CANDIDATES)
+    name: 'stripe_subscription',
+    level: 'org',
+    key: 'org_id',
+    hogql: `
+SELECT
+  JSONExtractString(toString(ss.metadata), 'orgId') AS org_id,
+  any(ss.id) AS stripe_subscription_id
+FROM {{stripe_subscription_table}} AS ss
+WHERE length(coalesce(JSONExtractString(toString(ss.metadata), 'orgId'), '')) > 0
+GROUP BY org_id`,
+    columns: [
+      // Billing joins read it from raw_clerk_users / raw_posthog_user_metrics
+      { name: 'stripe_subscription_id', type: 'string', org_agg: 'any', canon: false }
+    ]
+  }
+]
+
+/** Every registry column, in registry order: [{ name, type, org_agg, canon, metric }] */
+function PHMETRIC_columns_() {
+  return PHMETRIC_REGISTRY.reduce((all, m) => all.concat(m.columns.map(c => Object.assign({ metric: m.name }, c))), [])
+}
+
+/** Registry columns copied into canon_users. */
+function PHMETRIC_canonColumns_() {
+  return PHMETRIC_columns_().filter(c => c.canon !== false)
+}
+
+/** Org-level registry columns written per org to raw_posthog_org_metrics (the canon ones). */
+function PHMETRIC_orgColumns_() {
+  const orgMetrics = new Set(PHMETRIC_REGISTRY.filter(m => m.level === 'org').map(m => m.name))
+  return PHMETRIC_canonColumns_().filter(c => orgMetrics.has(c.metric))
+}
+
+/** Placeholder values for the fragments. */
+function PHMETRIC_params_(stripeSubTableExpr) {
+  const names = PHMETRIC_CFG.EXCLUDED_CLIENT_NAMES.map(n => String(n).trim().toLowerCase())
+  return {
+    excluded_client_names: (names.length ? names : ['']).map(PHMETRIC_quote_).join(', '),
+    stripe_subscription_table: String(stripeSubTableExpr || '').trim()
+  }
+}
+
+/**
+ * One query for a batch of emails: base_users (postgres.users by email) and
+ * their orgs, one CTE per included metric, then one row per user with
+ * email_key, email and every registry column (defaults for excluded metrics).
+ */
+function PHMETRIC_buildHogQL_(emailKeys, params) {
+  const quoted = emailKeys.map(PHMETRIC_quote_).join(', ')
+  const ctes = []
+  const joins = []
+  const selects = []
+
+  PHMETRIC_REGISTRY.forEach(m => {
+    const hogql = PHMETRIC_fillParams_(m.hogql, params)
+    if (hogql == null) {
+      m.columns.forEach(c => selects.push(`  ${PHMETRIC_sqlDefault_(c.type)} AS ${c.name}`))
+      return
+    }
+
+    const cte = `m_${m.name}`
+    if (m.level === 'org') {
+      ctes.push(`, ${cte}_by_org AS (${hogql.trim()}\n)`)
+      const aggs = m.columns.map(c => `    ${c.org_agg || (c.type === 'number' || c.type === 'boolean' ? 'max' : 'any')}(x.${c.name}) AS ${c.name}`)
+      ctes.push(`, ${cte} AS (
+  SELECT
+    uo.user_id AS user_id,
+${aggs.join(',\n')}
+  FROM user_orgs AS uo
+  JOIN ${cte}_by_org AS x
+    ON toString(x.${m.key}) = toString(uo.org_id)
+  GROUP BY uo.user_id
+)`)
+      joins.push(`LEFT JOIN ${cte} ON toString(${cte}.user_id) = toString(u.user_id)`)
+    } else {
+      ctes.push(`, ${cte} AS (${hogql.trim()}\n)`)
+      joins.push(`LEFT JOIN ${cte} ON toString(${cte}.${m.key}) = toString(u.user_id)`)
+    }
+    m.columns.forEach(c => selects.push(`  coalesce(${cte}.${c.name}, ${PHMETRIC_sqlDefault_(c.type)}) AS ${c.name}`))
+  })
+
+  return `
+WITH [${quoted}] AS input_emails
+
+, base_users AS (
+  SELECT
+    u.id AS user_id,
+    lower(u.email) AS email_key,
+    u.email AS email
+  FROM postgres.users AS u
+  WHERE lower(u.email) IN (SELECT arrayJoin(input_emails))
+)
+
+, user_orgs AS (
+  SELECT DISTINCT
+    bu.user_id,
+    uo.org_id
+  FROM base_users AS bu
+  JOIN postgres.users_orgs AS uo
+    ON uo.user_id = bu.user_id
+)
+
+${ctes.join('\n\n')}
+
+SELECT
+  u.email_key,
+  u.email,
+${selects.join(',\n')}
+FROM base_users AS u
+${joins.join('\n')}
+
+ORDER BY u.email_key
+LIMIT 50000
+  `.trim()
+}
+
+/**
+ * One query for a batch of org ids: one row per org with org_id and every
+ * PHMETRIC_orgColumns_() column, read from the org fragments directly
+ * (not through users, so an org's value is never another org's max).
+ */
+function PHMETRIC_buildOrgHogQL_(orgIds, params) {
+  const quoted = orgIds.map(PHMETRIC_quote_).join(', ')
+  const wanted = new Set(PHMETRIC_orgColumns_().map(c => c.name))
+  const ctes = []
+  const joins = []
+  const selects = []
+
+  PHMETRIC_REGISTRY.forEach(m => {
+    const columns = m.level === 'org' ? m.columns.filter(c => wanted.has(c.name)) : []
+    if (!columns.length) return
+
+    const hogql = PHMETRIC_fillParams_(m.hogql, params)
+    if (hogql == null) {
+      columns.forEach(c => selects.push(`  ${PHMETRIC_sqlDefault_(c.type)} AS ${c.name}`))
+      return
+    }
+
+    const cte = `m_${m.name}_by_org`
+    ctes.push(`, ${cte} AS (${hogql.trim()}\n)`)
+    joins.push(`LEFT JOIN ${cte} ON toString(${cte}.${m.key}) = o.org_id`)
+    columns.forEach(c => selects.push(`  coalesce(${cte}.${c.name}, ${PHMETRIC_sqlDefault_(c.type)}) AS ${c.name}`))
+  })
+
+  return `
+WITH [${quoted}] AS input_orgs
+
+, base_orgs AS (
+  SELECT arrayJoin(input_orgs) AS org_id
+)
+
+${ctes.join('\n\n')}
+
+SELECT
+  o.org_id,
+${selects.join(',\n')}
+FROM base_orgs AS o
+${joins.join('\n')}
+
+ORDER BY o.org_id
+LIMIT 50000
+  `.trim()
+}
+
+/** Org query result row (by column name) -> { org_id, <org columns> } */
+function PHMETRIC_parseOrgRow_(obj) {
+  const out = { org_id: String(obj.org_id || '').trim() }
+  PHMETRIC_orgColumns_().forEach(c => { out[c.name] = PHMETRIC_coerce_(obj[c.name], c.type) })
+  return out
+}
+
+/** Query result row (by column name) -> { email_key, email, <registry columns> } */
+function PHMETRIC_parseRow_(obj) {
+  const out = {
+    email_key: normalizeEmail(String(obj.email_key || '')),
+    email: String(obj.email || '')
+  }
+  PHMETRIC_columns_().forEach(c => { out[c.name] = PHMETRIC_coerce_(obj[c.name], c.type) })
+  return out
+}
+
+/** Registry columns (default: all) at their type's default (users / orgs PostHog does not know). */
+function PHMETRIC_defaults_(columns) {
+  const out = {}
+  ;(columns || PHMETRIC_columns_()).forEach(c => { out[c.name] = PHMETRIC_coerce_(null, c.type) })
+  return out
+}
+
+function PHMETRIC_coerce_(v, type) {
+  if (type === 'number') return Number(v ?? 0) || 0
+  if (type === 'boolean') {
+    if (v === true || v === false) return v
+    const s = String(v || '').toLowerCase().trim()
+    return s === 'yes' || s === 'true' || s === '1'
+  }
+  return v == null ? '' : String(v)
+}
+
+function PHMETRIC_sqlDefault_(type) {
+  if (type === 'number') return '0'
+  if (type === 'boolean') return `'no'`
+  return `''`
+}
+
+/** Fills {{param}}s; null when a used param is blank (metric left out). */
+function PHMETRIC_fillParams_(hogql, params) {
+  let blank = false
+  const out = String(hogql).replace(/\{\{(\w+)\}\}/g, (_, name) => {
+    const v = params[name]
+    if (v == null) throw new Error(`PostHog metric registry: unknown param {{${name}}}`)
+    if (v === '') blank = true
+    return v
+  })
+  return blank ? null : out
+}
+
+function PHMETRIC_quote_(s) {
+  return `'${String(s).replace(/'/g, "''")}'`
+}
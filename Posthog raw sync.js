@@ -2,40 +2,57 @@
  * PostHog Raw Sync (overwrite-only) — HARDENED AGAINST 504s
  *
  * Creates/overwrites:
- *  - raw_posthog_user_metrics
+ *  - raw_posthog_user_daily (one row per email_key + day, filled incrementally)
+ *  - raw_posthog_user_metrics (derived from the daily rows + current state)
+ *  - raw_posthog_org_metrics (per org_id: member rollups + org-level state)
  *
- * Pulls (per email_key):
- *  - meetings_recorded
- *  - hours_recorded
- *  - ask_meeting
- *  - ask_global
- *  - stripe_subscription_id (from Postgres Stripe subscription metadata.orgId -> users_orgs)
- *  - client_page_views
- *  - active_days (distinct days with ANY events)
- *  - clients_count (ORG-level; fanned back to user)
- *  - calendar_connected + first_calendar_connected_date
- *  - email_connected + first_email_connected_date
- *  - PM providers + first connected dates (one column per provider)
- *  - other_integrations (comma-separated list of providers not in the core set)
- *  - action_items_synced
- *  - meeting_notes_synced
+ * Daily rollups (per email_key + date):
+ *  - events (ANY events), page_views (client pages)
+ *  - meetings_recorded, hours_recorded
+ *  - asks (ask_meeting + ask_global)
+ *  Each run pulls the days since the last finished window (POSTHOG_DAILY_CURSOR);
+ *  the first run backfills (all time for meetings / asks, EVENT_LOOKBACK_DAYS
+ *  for events). Days older than the longest rollup window are folded into one
+ *  carry-forward row per email_key, so the tab stays bounded and the all-time
+ *  sums stay exact.
+ *
+ * Metrics (per email_key):
+ *  - meetings_recorded, hours_recorded, ask_meeting, ask_global (all time, from the daily rows)
+ *  - client_page_views, active_days (distinct days with ANY events) over EVENT_LOOKBACK_DAYS
+ *  - <metric>_7d / _30d / _90d trend columns (TREND_DAYS), and <metric>_prev_7d
+ *    (the 7 days before those) for week-over-week deltas
+ *  - current-state columns from the metric registry (Posthog Metric Registry.js):
+ *    clients_count + first_client_added_date (ORG-level; fanned back to user), calendar / email / PM
+ *    connections + first connected dates, other_integrations,
+ *    action_items_synced, meeting_notes_synced, first_meeting_recorded_date, first_ask_date,
+ *    stripe_subscription_id
+ *
+ * Org metrics (per org_id, over live raw_clerk_memberships):
+ *  - members_count, active_users_7d / _30d (members active in the window, ORG_ACTIVE_DAYS)
+ *  - meetings_recorded, hours_recorded, meetings_recorded_30d (summed over members)
+ *  - integrations (providers any member connected), last_activity_date
+ *  - org-level registry columns (clients_count) queried per org, not fanned out
  *
  * Key improvements:
  * 1) Retries + exponential backoff for PostHog 429/502/503/504 (common transient failures)
  * 2) Smaller batches + longer pauses (reduces load)
  * 3) Event queries bounded by a lookback window (reduces scan size → fewer timeouts)
- * 4) Writes partial progress only at end (same behavior), but logs where it failed
+ * 4) Incremental: only the days since the last finished window are queried
+ * 5) Checkpointed: every batch is written as it finishes; a failed run continues
+ *    at the failed batch, and a long pipeline run pauses between batches and
+ *    continues in the next execution (Pipeline Run State.js)
  *
  * Uses Script Properties:
  *  - POSTHOG_API_KEY
  *  - POSTHOG_PROJECT_ID (optional; falls back to config)
+ *  - POSTHOG_DAILY_CURSOR (written by the sync)
  *
  * Email source:
  *  - Reads emails from raw_clerk_users by default (recommended)
  *
  * Notes:
  * - No semicolons in HogQL
- * - Overwrite-only raw table. Canon tables handle editability rules.
+ * - Raw tables only. Canon tables handle editability rules.
  **************************************************************/
 
 const POSTHOG_RAW_CFG = {
@@ -51,9 +68,18 @@ const POSTHOG_RAW_CFG = {
   // ↓ Write chunking to Sheets
   WRITE_CHUNK: 5000,
 
+  // ↓ Rows per page of the daily HogQL queries (PostHog caps a page at 50k)
+  QUERY_PAGE_SIZE: 50000,
+
   // ↓ Event query bounds (reduce workload). Adjust if you truly need “all time”.
   EVENT_LOOKBACK_DAYS: 365,
 
+  // ↓ Trend windows (days, ending today) rolled up from raw_posthog_user_daily
+  TREND_DAYS: [7, 30, 90],
+
+  // ↓ Also roll up the WOW_DAYS before the last WOW_DAYS (<metric>_prev_7d), for week-over-week deltas
+  WOW_DAYS: 7,
+
   // ↓ Retry policy for PostHog API
   RETRY: {
     MAX_ATTEMPTS: 6,          // total attempts per query
@@ -71,7 +97,53 @@ const POSTHOG_RAW_CFG = {
 
   SHEETS: {
     SOURCE_USERS: 'raw_clerk_users',
-    DEST: 'raw_posthog_user_metrics'
+    DEST: 'raw_posthog_user_metrics',
+    DAILY: 'raw_posthog_user_daily',
+    MEMBERSHIPS: 'raw_clerk_memberships',
+    ORG_METRICS: 'raw_posthog_org_metrics'
+  },
+
+  DAILY: {
+    CURSOR_PROP: 'POSTHOG_DAILY_CURSOR',
+    HEADERS: [
+      'email_key',
+      'date',
+      'events',
+      'meetings_recorded',
+      'hours_recorded',
+      'asks',
+      'ask_meeting',
+      'ask_global',
+      'page_views'
+    ]
+  },
+
+  // raw_posthog_user_metrics: these, then the registry columns (Posthog Metric Registry.js),
+  // the trend columns and pulled_at
+  METRICS_HEADERS: [
+    'email_key',
+    'email',
+
+    'meetings_recorded',
+    'hours_recorded',
+    'ask_meeting',
+    'ask_global',
+    'client_page_views',
+    'active_days',
+    'last_active_date'
+  ],
+
+  // raw_posthog_org_metrics: active_users_<n>d for each of these (each one of TREND_DAYS)
+  ORG_ACTIVE_DAYS: [7, 30],
+
+  // raw_posthog_org_metrics integrations: connection flag -> provider
+  // (other_integrations already lists providers)
+  ORG_INTEGRATION_FLAGS: {
+    calendar_connected: 'CALENDAR',
+    email_connected: 'EMAIL',
+    pm_karbon_connected: 'KARBON',
+    pm_keeper_connected: 'KEEPER',
+    pm_financial_cents_connected: 'FINANCIAL_CENTS'
   },
 
   SOURCE_HEADERS: {
@@ -93,12 +165,12 @@ function posthog_pull_user_metrics_to_raw() {
 
   const ss = SpreadsheetApp.getActive()
 
-  // 1) Get email list (prefer raw_clerk_users)
+  // 1) Get email list (prefer raw_clerk_users); sorted so batch boundaries are stable across runs
   const source = ss.getSheetByName(POSTHOG_RAW_CFG.SHEETS.SOURCE_USERS)
   if (!source) throw new Error(`Source sheet not found: ${POSTHOG_RAW_CFG.SHEETS.SOURCE_USERS}`)
 
   const emails = posthogReadEmails_(source, 1, POSTHOG_RAW_CFG.SOURCE_HEADERS.EMAIL)
-  const uniqueEmailKeys = Array.from(new Set(emails.filter(Boolean).map(e => normalizeEmail(e))))
+  const uniqueEmailKeys = Array.from(new Set(emails.filter(Boolean).map(e => normalizeEmail(e)))).sort()
 
   Logger.log(`PostHog: unique emails to query = ${uniqueEmailKeys.length}`)
   if (uniqueEmailKeys.length === 0) {
@@ -114,188 +186,69 @@ function posthog_pull_user_metrics_to_raw() {
   }
 
   // 2) Query PostHog in batches
-  const metricsMap = new Map()     // email_key -> record (db metrics)
-  const pageViewsMap = new Map()   // email_key -> client_page_views
-  const activeDaysMap = new Map()  // email_key -> active_days (ANY events)
+  // Every finished batch is written right away (daily rows and current-state
+  // columns upserted) and checkpointed in POSTHOG_DAILY_CURSOR: a batch that fails
+  // only loses itself, and the next run (or the next execution of a paused
+  // pipeline run) continues at that batch.
+  const resumeStep = 'posthog_pull_user_metrics_to_raw'
+  const daily = getOrCreateSheet(ss, POSTHOG_RAW_CFG.SHEETS.DAILY)
+  const dest = getOrCreateSheet(ss, POSTHOG_RAW_CFG.SHEETS.DEST)
+
+  const cursor = posthogStartDailyRun_(daily, uniqueEmailKeys)
+  const run = cursor.run
+  const startIndex = run.next_index
+  const dailyIndex = posthogDailyRowIndex_(daily)
+  const stateRows = posthogStateRowIndex_(dest)
+  let dailyRowsOut = 0
+
+  for (let i = startIndex; i < uniqueEmailKeys.length; i += POSTHOG_RAW_CFG.BATCH_SIZE) {
+    if (i > startIndex && RUNSTATE_shouldYield_()) RUNSTATE_yield_(resumeStep, { next_index: i })
 
-  for (let i = 0; i < uniqueEmailKeys.length; i += POSTHOG_RAW_CFG.BATCH_SIZE) {
     const batch = uniqueEmailKeys.slice(i, i + POSTHOG_RAW_CFG.BATCH_SIZE)
     const batchNum = Math.floor(i / POSTHOG_RAW_CFG.BATCH_SIZE) + 1
-    Logger.log(`PostHog batch ${batchNum}: ${batch.length} emails`)
-
-    // 2a) DB-backed metrics (postgres.* tables via HogQL)
-    {
-      const rows = posthogRunDbMetricsQueryWithStripe_(apiKey, projectId, batch, batchNum)
-
-      rows.forEach(r => {
-        const emailKey = normalizeEmail(r?.[0] || '')
-        if (!emailKey) return
-
-        metricsMap.set(emailKey, {
-          email_key: emailKey,
-          email: String(r?.[1] || ''),
-
-          meetings_recorded: Number(r?.[2] ?? 0),
-          hours_recorded: Number(r?.[3] ?? 0),
-          ask_meeting: Number(r?.[4] ?? 0),
-          ask_global: Number(r?.[5] ?? 0),
-          clients_count: Number(r?.[6] ?? 0),
-
-          calendar_connected: String(r?.[7] || '').toLowerCase() === 'yes',
-          first_calendar_connected_date: String(r?.[8] || ''),
-
-          email_connected: String(r?.[9] || '').toLowerCase() === 'yes',
-          first_email_connected_date: String(r?.[10] || ''),
+    Logger.log(`PostHog batch ${batchNum}: ${batch.length} emails (daily ${run.from || 'backfill'}..${run.to})`)
 
-          pm_karbon_connected: String(r?.[11] || '').toLowerCase() === 'yes',
-          pm_karbon_first_connected_date: String(r?.[12] || ''),
+    // 2a) Current-state metrics (metric registry, postgres.* tables via HogQL)
+    const stateRecords = posthogRunDbMetricsQueryWithStripe_(apiKey, projectId, batch, batchNum)
+      .map(PHMETRIC_parseRow_)
+      .filter(rec => rec.email_key)
 
-          pm_keeper_connected: String(r?.[13] || '').toLowerCase() === 'yes',
-          pm_keeper_first_connected_date: String(r?.[14] || ''),
+    // 2b) Daily rollups (events, meetings, asks) for the run's window
+    const dailyRows = posthogQueryDailyRows_(apiKey, projectId, batch, run, batchNum)
 
-          pm_financial_cents_connected: String(r?.[15] || '').toLowerCase() === 'yes',
-          pm_financial_cents_first_connected_date: String(r?.[16] || ''),
-
-          other_integrations: String(r?.[17] || ''),
-
-          action_items_synced: Number(r?.[18] ?? 0),
-          meeting_notes_synced: Number(r?.[19] ?? 0),
-          stripe_subscription_id: String(r?.[20] || '')
-        })
-      })
-    }
-
-    // 2b) Event metrics (client page views from events/persons) — bounded by lookback
-    {
-      const sql = posthogBuildHogQL_clientPageViews_(batch, POSTHOG_RAW_CFG.EVENT_LOOKBACK_DAYS)
-      const rows = posthogRunQuery_(apiKey, projectId, sql, `clientPageViews batch ${batchNum}`)
-
-      rows.forEach(r => {
-        const emailKey = normalizeEmail(r?.[0] || '')
-        if (!emailKey) return
-        pageViewsMap.set(emailKey, Number(r?.[1] ?? 0))
-      })
-    }
-
-    // 2c) Active days (ANY events) — bounded by lookback
-    {
-      const sql = posthogBuildHogQL_activeDays_(batch, POSTHOG_RAW_CFG.EVENT_LOOKBACK_DAYS)
-      const rows = posthogRunQuery_(apiKey, projectId, sql, `activeDays batch ${batchNum}`)
-
-      rows.forEach(r => {
-        const emailKey = normalizeEmail(r?.[0] || '')
-        if (!emailKey) return
-        activeDaysMap.set(emailKey, Number(r?.[1] ?? 0))
-      })
-    }
+    // 2c) Checkpoint
+    posthogUpsertDailyRows_(daily, dailyIndex, dailyRows)
+    posthogUpsertStateRows_(dest, stateRows, stateRecords)
+    run.next_index = i + POSTHOG_RAW_CFG.BATCH_SIZE
+    posthogSaveDailyCursor_(cursor)
+    dailyRowsOut += dailyRows.length
 
     Utilities.sleep(POSTHOG_RAW_CFG.PAUSE_MS)
   }
 
-  // 3) Build output rows (one row per email_key we queried)
-  const headers = [
-    'email_key',
-    'email',
-
-    'meetings_recorded',
-    'hours_recorded',
-    'ask_meeting',
-    'ask_global',
-    'client_page_views',
-    'active_days',
-    'clients_count',
-
-    'calendar_connected',
-    'first_calendar_connected_date',
-    'email_connected',
-    'first_email_connected_date',
-
-    'pm_karbon_connected',
-    'pm_karbon_first_connected_date',
-    'pm_keeper_connected',
-    'pm_keeper_first_connected_date',
-    'pm_financial_cents_connected',
-    'pm_financial_cents_first_connected_date',
-    'other_integrations',
-    'action_items_synced',
-    'meeting_notes_synced',
-    'stripe_subscription_id',
-
-    'pulled_at'
-  ]
+  // 3) raw_posthog_user_metrics: current-state columns (written by the batches)
+  // + all-time / lookback / trend columns rolled up from raw_posthog_user_daily
+  // (days older than the rollup windows folded into one row per email first)
+  posthogFoldOldDailyRows_(daily)
+  const headers = posthogMetricsHeaders_()
+  const stateByEmail = new Map(readSheetObjects(dest, 1).map(r => [normalizeEmail(r.email_key || ''), r]))
+  const rollups = posthogDailyRollups_(daily)
 
   const pulledAt = new Date()
-  const rowsOut = uniqueEmailKeys.map(emailKey => {
-    const base = metricsMap.get(emailKey) || {
-      email_key: emailKey,
-      email: '',
-
-      meetings_recorded: 0,
-      hours_recorded: 0,
-      ask_meeting: 0,
-      ask_global: 0,
-      clients_count: 0,
-
-      calendar_connected: false,
-      first_calendar_connected_date: '',
-
-      email_connected: false,
-      first_email_connected_date: '',
-
-      pm_karbon_connected: false,
-      pm_karbon_first_connected_date: '',
-
-      pm_keeper_connected: false,
-      pm_keeper_first_connected_date: '',
-
-      pm_financial_cents_connected: false,
-      pm_financial_cents_first_connected_date: '',
-
-      other_integrations: '',
-
-      action_items_synced: 0,
-      meeting_notes_synced: 0,
-      stripe_subscription_id: ''
-    }
-
-    const clientViews = pageViewsMap.has(emailKey) ? pageViewsMap.get(emailKey) : 0
-    const activeDays  = activeDaysMap.has(emailKey) ? activeDaysMap.get(emailKey) : 0
-
-    return [
-      base.email_key,
-      base.email,
-
-      base.meetings_recorded,
-      base.hours_recorded,
-      base.ask_meeting,
-      base.ask_global,
-      clientViews,
-      activeDays,
-      base.clients_count,
-
-      base.calendar_connected,
-      base.first_calendar_connected_date || '',
-      base.email_connected,
-      base.first_email_connected_date || '',
-
-      base.pm_karbon_connected,
-      base.pm_karbon_first_connected_date || '',
-      base.pm_keeper_connected,
-      base.pm_keeper_first_connected_date || '',
-      base.pm_financial_cents_connected,
-      base.pm_financial_cents_first_connected_date || '',
-      base.other_integrations,
-      base.action_items_synced,
-      base.meeting_notes_synced,
-      base.stripe_subscription_id || '',
-
-      pulledAt
-    ]
-  })
-
-  // 4) Overwrite destination
-  const dest = getOrCreateSheetSafe_(ss, POSTHOG_RAW_CFG.SHEETS.DEST)
+  const metricsByEmail = new Map(uniqueEmailKeys.map(emailKey => [emailKey, Object.assign(
+    PHMETRIC_defaults_(),
+    stateByEmail.get(emailKey) || {},
+    rollups.get(emailKey) || posthogEmptyRollup_(),
+    { email_key: emailKey, pulled_at: pulledAt }
+  )]))
+  const rowsOut = Array.from(metricsByEmail.values()).map(values => headers.map(h => values[h] ?? ''))
+
+  // 4) Overwrite destination; the daily window is done
   posthogOverwriteSheet_(dest, headers, rowsOut)
+  posthogSaveDailyCursor_({ through: run.to })
+
+  // 5) raw_posthog_org_metrics from the users' rows + one org-level query per batch of orgs
+  const orgRowsOut = posthogWriteOrgMetrics_(apiKey, projectId, ss, metricsByEmail, pulledAt)
 
   posthogWriteSyncLogSafe_(
     'posthog_pull_user_metrics_to_raw',
@@ -303,224 +256,436 @@ function posthog_pull_user_metrics_to_raw() {
     uniqueEmailKeys.length,
     rowsOut.length,
     (new Date() - t0) / 1000,
-    `lookback_days=${POSTHOG_RAW_CFG.EVENT_LOOKBACK_DAYS} batch_size=${POSTHOG_RAW_CFG.BATCH_SIZE}`
+    `daily ${run.from || 'backfill'}..${run.to} (${dailyRowsOut} rows) orgs=${orgRowsOut} lookback_days=${POSTHOG_RAW_CFG.EVENT_LOOKBACK_DAYS} batch_size=${POSTHOG_RAW_CFG.BATCH_SIZE}`
   )
 
-  return { rows_in: uniqueEmailKeys.length, rows_out: rowsOut.length }
+  return { rows_in: uniqueEmailKeys.length, rows_out: rowsOut.length, daily_from: run.from, daily_to: run.to }
 }
 
 /* =========================
- * HogQL builders
+ * Daily rollups (raw_posthog_user_daily)
  * ========================= */
 
-function posthogBuildHogQL_dbMetrics_(emailKeys, stripeSubTableExpr) {
-  const quoted = emailKeys.map(e => `'${String(e).replace(/'/g, "''")}'`).join(', ')
-  const stripeTable = String(stripeSubTableExpr || '').trim()
+/**
+ * Cursor (Script Property POSTHOG_DAILY_CURSOR):
+ *   { through: last day of the last finished window (yyyy-MM-dd),
+ *     run: { from, to, next_index, emails_hash } while a window is in progress }
+ *
+ * Returns the cursor with the run to work on. An unfinished run over the
+ * same email list (emails_hash) is continued at its next batch; an email
+ * added or removed since shifts the batch boundaries, so it restarts the
+ * window instead (emails past next_index would be skipped or pulled
+ * twice). Otherwise a new
+ * window starts at `through` (that day was still in progress when pulled,
+ * so it is pulled again) and ends today. The first window ('' = backfill)
+ * has no lower bound for meetings / asks and EVENT_LOOKBACK_DAYS for events.
+ * Daily rows from the window start on are dropped before it is pulled.
+ */
+function posthogStartDailyRun_(dailySheet, emailKeys) {
+  const cursor = posthogLoadDailyCursor_()
+  const emailsHash = posthogEmailsHash_(emailKeys)
+  if (cursor.run && cursor.run.emails_hash === emailsHash) {
+    Logger.log(`PostHog: resuming daily ${cursor.run.from || 'backfill'}..${cursor.run.to} at email index ${cursor.run.next_index}`)
+    return cursor
+  }
+  if (cursor.run) Logger.log(`PostHog: email list changed since daily ${cursor.run.from || 'backfill'}..${cursor.run.to} started; restarting it`)
 
-  const stripeCtes = stripeTable
-    ? `
-, stripe_sub_per_org AS (
-  SELECT
-    JSONExtractString(toString(ss.metadata), 'orgId') AS org_id,
-    any(ss.id) AS stripe_subscription_id
-  FROM ${stripeTable} AS ss
-  WHERE length(coalesce(JSONExtractString(toString(ss.metadata), 'orgId'), '')) > 0
-  GROUP BY org_id
-)
+  const from = String(cursor.through || '')
+  const to = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd')
+  posthogDropDailyRowsFrom_(dailySheet, from)
 
-, stripe_sub_per_user AS (
-  SELECT
-    uo.user_id,
-    any(sso.stripe_subscription_id) AS stripe_subscription_id
-  FROM user_orgs AS uo
-  LEFT JOIN stripe_sub_per_org AS sso
-    ON toString(sso.org_id) = toString(uo.org_id)
-  GROUP BY uo.user_id
-)
-`
-    : `
-, stripe_sub_per_user AS (
-  SELECT
-    bu.user_id,
-    '' AS stripe_subscription_id
-  FROM base_users AS bu
-)
-`
+  const started = { through: from, run: { from, to, next_index: 0, emails_hash: emailsHash } }
+  posthogSaveDailyCursor_(started)
+  return started
+}
 
-  return `
-WITH [${quoted}] AS input_emails
+/** MD5 (base64) of the sorted email keys: identifies the list a run's batches were cut from. */
+function posthogEmailsHash_(emailKeys) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, emailKeys.join('\n'), Utilities.Charset.UTF_8)
+  return Utilities.base64Encode(digest)
+}
 
-, base_users AS (
-  SELECT
-    u.id AS user_id,
-    lower(u.email) AS email_key,
-    u.email AS email
-  FROM postgres.users AS u
-  WHERE lower(u.email) IN (SELECT arrayJoin(input_emails))
-)
+function posthogLoadDailyCursor_() {
+  const raw = PropertiesService.getScriptProperties().getProperty(POSTHOG_RAW_CFG.DAILY.CURSOR_PROP)
+  if (!raw) return {}
+  try { return JSON.parse(raw) || {} } catch (e) { return {} }
+}
 
- , meeting_bot_stats AS (
-  SELECT
-    mb.user_id,
-    countIf(
-      mb.recording_started_at IS NOT NULL
-      AND mb.recording_ended_at IS NOT NULL
-    ) AS meetings_recorded,
-    round(
-      sumIf(
-        dateDiff('second', mb.recording_started_at, mb.recording_ended_at),
-        mb.recording_started_at IS NOT NULL
-        AND mb.recording_ended_at IS NOT NULL
-      ) / 3600,
-      2
-    ) AS hours_recorded
-  FROM postgres.meeting_bots AS mb
-  GROUP BY mb.user_id
-)
+function posthogSaveDailyCursor_(cursor) {
+  PropertiesService.getScriptProperties().setProperty(POSTHOG_RAW_CFG.DAILY.CURSOR_PROP, JSON.stringify(cursor))
+}
 
-, ask_counts AS (
-  SELECT
-    t.resource_id AS user_id,
-    countIf(t.id LIKE 'meeting%') AS ask_meeting,
-    countIf(t.id LIKE 'global%')  AS ask_global
-  FROM postgres.mastra.mastra_threads AS t
-  GROUP BY t.resource_id
-)
+/** Rewrites the daily tab without rows dated `from` or later ('' = all rows). */
+function posthogDropDailyRowsFrom_(sheet, from) {
+  const H = POSTHOG_RAW_CFG.DAILY.HEADERS
+  const tz = Session.getScriptTimeZone()
+  const kept = !from ? [] : readSheetObjects(sheet, 1)
+    .map(r => Object.assign(r, { date: posthogYmd_(r.date, tz) }))
+    .filter(r => r.date && r.date < from)
+    .map(r => H.map(h => r[h] ?? ''))
+  posthogOverwriteSheet_(sheet, H, kept)
+}
 
--- ORG-LEVEL client counts (no fan-out)
-, user_orgs AS (
-  SELECT DISTINCT
-    bu.user_id,
-    uo.org_id
-  FROM base_users AS bu
-  JOIN postgres.users_orgs AS uo
-    ON uo.user_id = bu.user_id
-)
+/** `email_key|date` -> sheet row of every raw_posthog_user_daily row. */
+function posthogDailyRowIndex_(sheet) {
+  const index = new Map()
+  const lastRow = sheet.getLastRow()
+  if (lastRow < 2) return index
 
-, org_scope AS (
-  SELECT DISTINCT org_id
-  FROM user_orgs
-)
+  const tz = Session.getScriptTimeZone()
+  sheet.getRange(2, 1, lastRow - 1, 2).getValues().forEach((r, i) => {
+    const emailKey = normalizeEmail(r[0] || '')
+    const date = posthogYmd_(r[1], tz)
+    if (emailKey && date) index.set(`${emailKey}|${date}`, i + 2)
+  })
+  return index
+}
 
-, org_client_counts AS (
-  SELECT
-    os.org_id,
-    countIf(
-      c.id IS NOT NULL
-      AND lower(trim(coalesce(c.name, ''))) != 'camden bean'
-    ) AS clients_count
-  FROM org_scope AS os
-  LEFT JOIN postgres.clients AS c
-    ON c.org_id = os.org_id
-  GROUP BY os.org_id
-)
+/**
+ * Writes daily rows (DAILY.HEADERS order) keyed by email_key + date: a
+ * row already on the tab is overwritten in place, the rest are appended,
+ * so a batch written twice (its checkpoint lost) never doubles a day.
+ * `index` comes from posthogDailyRowIndex_ and is kept up to date.
+ */
+function posthogUpsertDailyRows_(sheet, index, rows) {
+  const appended = []
+  rows.forEach(row => {
+    const key = `${row[0]}|${row[1]}`
+    if (index.has(key)) sheet.getRange(index.get(key), 1, 1, row.length).setValues([row])
+    else appended.push(row)
+  })
 
-, clients_count_per_user AS (
-  SELECT
-    uo.user_id,
-    max(coalesce(occ.clients_count, 0)) AS clients_count
-  FROM user_orgs AS uo
-  LEFT JOIN org_client_counts AS occ
-    ON occ.org_id = uo.org_id
-  GROUP BY uo.user_id
-)
-${stripeCtes}
+  const firstRow = Math.max(sheet.getLastRow(), 1) + 1
+  posthogAppendRows_(sheet, POSTHOG_RAW_CFG.DAILY.HEADERS, appended)
+  appended.forEach((row, i) => index.set(`${row[0]}|${row[1]}`, firstRow + i))
+}
 
-, oauth_rollup AS (
-  SELECT
-    oc.user_id,
+/**
+ * Daily rows for the batch's emails within run.from..run.to, in
+ * POSTHOG_RAW_CFG.DAILY.HEADERS order (one row per email_key + date).
+ */
+function posthogQueryDailyRows_(apiKey, projectId, emailKeys, run, batchNum) {
+  const inBatch = new Set(emailKeys)
+  const byKey = new Map()
+
+  const acc = (r, label) => {
+    const emailKey = normalizeEmail(r?.[0] || '')
+    const date = String(r?.[1] || '').slice(0, 10)
+    if (!emailKey || !inBatch.has(emailKey) || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return null
+    if ((run.from && date < run.from) || date > run.to) return null
+
+    const key = `${emailKey}|${date}`
+    if (!byKey.has(key)) {
+      byKey.set(key, { email_key: emailKey, date, events: 0, meetings_recorded: 0, hours_recorded: 0, ask_meeting: 0, ask_global: 0, page_views: 0 })
+    }
+    return byKey.get(key)
+  }
 
-    if(countIf(oc.scope_type = 'CALENDAR') > 0, 'yes', 'no') AS calendar_connected,
-    formatDateTime(minIf(oc.created_at, oc.scope_type = 'CALENDAR'), '%Y-%m-%d') AS first_calendar_connected_date,
+  posthogRunQueryPaged_(apiKey, projectId, posthogBuildHogQL_dailyEvents_(emailKeys, run.from, POSTHOG_RAW_CFG.EVENT_LOOKBACK_DAYS), `dailyEvents batch ${batchNum}`)
+    .forEach(r => {
+      const d = acc(r)
+      if (!d) return
+      d.events += Number(r?.[2] ?? 0)
+      d.page_views += Number(r?.[3] ?? 0)
+    })
 
-    if(countIf(oc.scope_type = 'EMAIL') > 0, 'yes', 'no') AS email_connected,
-    formatDateTime(minIf(oc.created_at, oc.scope_type = 'EMAIL'), '%Y-%m-%d') AS first_email_connected_date,
+  posthogRunQueryPaged_(apiKey, projectId, posthogBuildHogQL_dailyDb_(emailKeys, run.from), `dailyDb batch ${batchNum}`)
+    .forEach(r => {
+      const d = acc(r)
+      if (!d) return
+      d.meetings_recorded += Number(r?.[2] ?? 0)
+      d.hours_recorded += Number(r?.[3] ?? 0)
+      d.ask_meeting += Number(r?.[4] ?? 0)
+      d.ask_global += Number(r?.[5] ?? 0)
+    })
 
-    if(countIf(oc.provider = 'KARBON') > 0, 'yes', 'no') AS pm_karbon_connected,
-    formatDateTime(minIf(oc.created_at, oc.provider = 'KARBON'), '%Y-%m-%d') AS pm_karbon_first_connected_date,
+  return Array.from(byKey.values()).map(d => [
+    d.email_key,
+    d.date,
+    d.events,
+    d.meetings_recorded,
+    Math.round(d.hours_recorded * 100) / 100,
+    d.ask_meeting + d.ask_global,
+    d.ask_meeting,
+    d.ask_global,
+    d.page_views
+  ])
+}
 
-    if(countIf(oc.provider = 'KEEPER') > 0, 'yes', 'no') AS pm_keeper_connected,
-    formatDateTime(minIf(oc.created_at, oc.provider = 'KEEPER'), '%Y-%m-%d') AS pm_keeper_first_connected_date,
+/** Days of raw_posthog_user_daily the rollups read day by day (the longest window). */
+function posthogDailyRetentionDays_() {
+  return Math.max(POSTHOG_RAW_CFG.EVENT_LOOKBACK_DAYS, 2 * POSTHOG_RAW_CFG.WOW_DAYS, ...POSTHOG_RAW_CFG.TREND_DAYS)
+}
 
-    if(countIf(oc.provider = 'FINANCIAL_CENTS') > 0, 'yes', 'no') AS pm_financial_cents_connected,
-    formatDateTime(minIf(oc.created_at, oc.provider = 'FINANCIAL_CENTS'), '%Y-%m-%d') AS pm_financial_cents_first_connected_date,
+/**
+ * Folds each email_key's daily rows older than posthogDailyRetentionDays_()
+ * into one carry-forward row, keeping the tab at about one row per email
+ * per retained day. No window reads those days one by one any more, but
+ * meetings / hours / asks are summed over all rows (all time), so the
+ * carry row holds their sums (events and page_views too). It is dated the
+ * last of the folded days with events (else the last folded day), which
+ * keeps last_active_date exact and stays before every window and before
+ * the next run's `from`, so later windows never drop it.
+ */
+function posthogFoldOldDailyRows_(sheet) {
+  const H = POSTHOG_RAW_CFG.DAILY.HEADERS
+  const tz = Session.getScriptTimeZone()
+  const cutoff = Utilities.formatDate(new Date(Date.now() - (posthogDailyRetentionDays_() - 1) * 24 * 60 * 60 * 1000), tz, 'yyyy-MM-dd')
+
+  const rows = readSheetObjects(sheet, 1).map(r => Object.assign(r, { date: posthogYmd_(r.date, tz) }))
+  const kept = []
+  const carry = new Map()
+  let folded = 0
+  rows.forEach(r => {
+    const emailKey = normalizeEmail(r.email_key || '')
+    if (!emailKey || !r.date || r.date >= cutoff) return kept.push(r)
+
+    folded += 1
+    if (!carry.has(emailKey)) carry.set(emailKey, { email_key: emailKey, date: '', last_day: '' })
+    const c = carry.get(emailKey)
+    H.slice(2).forEach(h => { c[h] = (c[h] || 0) + (Number(r[h]) || 0) })
+    if (r.date > c.last_day) c.last_day = r.date
+    if (Number(r.events) > 0 && r.date > c.date) c.date = r.date
+  })
+  if (folded === carry.size) return 0
 
-    arrayStringConcat(
-      arraySort(
-        groupUniqArrayIf(
-          oc.provider,
-          oc.provider NOT IN ('FINANCIAL_CENTS', 'KEEPER', 'KARBON', 'GOOGLE', 'COMPOSIO', 'MICROSOFT')
-          AND length(coalesce(oc.provider, '')) > 0
-        )
-      ),
-      ', '
-    ) AS other_integrations
+  carry.forEach(c => {
+    if (!c.date) c.date = c.last_day
+    c.hours_recorded = Math.round(c.hours_recorded * 100) / 100
+  })
+  posthogOverwriteSheet_(sheet, H, Array.from(carry.values()).concat(kept).map(r => H.map(h => r[h] ?? '')))
+  Logger.log(`PostHog: folded ${folded} daily rows before ${cutoff} into ${carry.size} carry-forward rows`)
+  return folded
+}
 
-  FROM postgres.oauth_credentials AS oc
-  GROUP BY oc.user_id
-)
+/**
+ * email_key -> rollup of raw_posthog_user_daily:
+ *  - meetings_recorded, hours_recorded, ask_meeting, ask_global: all rows (all time)
+ *  - client_page_views, active_days (days with events): last EVENT_LOOKBACK_DAYS
+ *  - <metric>_<n>d for each TREND_DAYS window (n days up to today)
+ *  - <metric>_prev_<n>d for the WOW_DAYS window before the last one
+ */
+function posthogDailyRollups_(sheet) {
+  const tz = Session.getScriptTimeZone()
+  const dayMs = 24 * 60 * 60 * 1000
+  const daysAgo = days => Utilities.formatDate(new Date(Date.now() - days * dayMs), tz, 'yyyy-MM-dd')
+  const today = daysAgo(0)
+  const lookbackFrom = daysAgo(POSTHOG_RAW_CFG.EVENT_LOOKBACK_DAYS - 1)
+  const wow = POSTHOG_RAW_CFG.WOW_DAYS
+  const windows = POSTHOG_RAW_CFG.TREND_DAYS
+    .map(n => ({ suffix: `${n}d`, from: daysAgo(n - 1), to: today }))
+    .concat([{ suffix: `prev_${wow}d`, from: daysAgo(2 * wow - 1), to: daysAgo(wow) }])
+
+  const out = new Map()
+  readSheetObjects(sheet, 1).forEach(r => {
+    const emailKey = normalizeEmail(r.email_key || '')
+    const date = posthogYmd_(r.date, tz)
+    if (!emailKey || !date) return
+    if (!out.has(emailKey)) out.set(emailKey, posthogEmptyRollup_())
+    const acc = out.get(emailKey)
+
+    const v = {
+      events: Number(r.events) || 0,
+      meetings_recorded: Number(r.meetings_recorded) || 0,
+      hours_recorded: Number(r.hours_recorded) || 0,
+      asks: Number(r.asks) || 0,
+      page_views: Number(r.page_views) || 0
+    }
 
-, action_items_counts AS (
-  SELECT
-    ai.user_id,
-    countIf(ai.synced_to_practice_management = true) AS action_items_synced
-  FROM postgres.action_items AS ai
-  GROUP BY ai.user_id
-)
+    acc.meetings_recorded += v.meetings_recorded
+    acc.hours_recorded += v.hours_recorded
+    acc.ask_meeting += Number(r.ask_meeting) || 0
+    acc.ask_global += Number(r.ask_global) || 0
+    if (v.events > 0 && date > acc.last_active_date) acc.last_active_date = date
+    if (date >= lookbackFrom) {
+      acc.client_page_views += v.page_views
+      if (v.events > 0) acc.active_days += 1
+    }
 
-, meeting_notes_counts AS (
-  SELECT
-    m.user_id,
-    count() AS meeting_notes_synced
-  FROM postgres.meetings AS m
-  WHERE m.sync_status IS NOT NULL
-  GROUP BY m.user_id
-)
+    windows.forEach(w => {
+      if (date < w.from || date > w.to) return
+      acc[`events_${w.suffix}`] += v.events
+      if (v.events > 0) acc[`active_days_${w.suffix}`] += 1
+      acc[`meetings_recorded_${w.suffix}`] += v.meetings_recorded
+      acc[`hours_recorded_${w.suffix}`] += v.hours_recorded
+      acc[`asks_${w.suffix}`] += v.asks
+      acc[`page_views_${w.suffix}`] += v.page_views
+    })
+  })
 
-SELECT
-  u.email_key,
-  u.email,
+  // Sums of 2-decimal hours pick up float noise
+  out.forEach(acc => Object.keys(acc).forEach(k => {
+    if (k.indexOf('hours_recorded') === 0) acc[k] = Math.round(acc[k] * 100) / 100
+  }))
+  return out
+}
+
+function posthogEmptyRollup_() {
+  const out = {
+    meetings_recorded: 0,
+    hours_recorded: 0,
+    ask_meeting: 0,
+    ask_global: 0,
+    client_page_views: 0,
+    active_days: 0,
+    last_active_date: ''
+  }
+  posthogTrendHeaders_().forEach(h => { out[h] = 0 })
+  return out
+}
+
+/** events_7d, active_days_7d, ... for each TREND_DAYS window, then the prev_<WOW_DAYS>d window. */
+function posthogTrendHeaders_() {
+  const metrics = ['events', 'active_days', 'meetings_recorded', 'hours_recorded', 'asks', 'page_views']
+  const suffixes = POSTHOG_RAW_CFG.TREND_DAYS.map(n => `${n}d`).concat([`prev_${POSTHOG_RAW_CFG.WOW_DAYS}d`])
+  return suffixes.reduce((all, suffix) => all.concat(metrics.map(m => `${m}_${suffix}`)), [])
+}
+
+function posthogMetricsHeaders_() {
+  return POSTHOG_RAW_CFG.METRICS_HEADERS.concat(PHMETRIC_columns_().map(c => c.name), posthogTrendHeaders_(), ['pulled_at'])
+}
 
-  coalesce(mbs.meetings_recorded, 0) AS meetings_recorded,
-  coalesce(mbs.hours_recorded, 0) AS hours_recorded,
-  coalesce(a.ask_meeting, 0) AS ask_meeting,
-  coalesce(a.ask_global, 0)  AS ask_global,
+/* =========================
+ * Org metrics (raw_posthog_org_metrics)
+ * ========================= */
 
-  coalesce(ccpu.clients_count, 0) AS clients_count,
+/**
+ * Overwrites raw_posthog_org_metrics: one row per org with a live membership
+ * in raw_clerk_memberships. Member columns roll up the members' rows of
+ * raw_posthog_user_metrics (`metricsByEmail`); the org-level registry
+ * columns come from PHMETRIC_buildOrgHogQL_. Returns the number of rows.
+ */
+function posthogWriteOrgMetrics_(apiKey, projectId, ss, metricsByEmail, pulledAt) {
+  // No memberships pulled yet: the tab is written with headers only
+  const memSheet = ss.getSheetByName(POSTHOG_RAW_CFG.SHEETS.MEMBERSHIPS)
+  const memRows = memSheet ? readSheetObjects(memSheet, 1) : []
+
+  const membersByOrg = new Map()
+  memRows.forEach(m => {
+    if (String(m.is_deleted).trim().toLowerCase() === 'true') return
+    const orgId = String(m.org_id || '').trim()
+    const emailKey = normalizeEmail(String(m.email_key || m.email || ''))
+    if (!orgId || !emailKey) return
+    if (!membersByOrg.has(orgId)) membersByOrg.set(orgId, new Set())
+    membersByOrg.get(orgId).add(emailKey)
+  })
+
+  const orgIds = Array.from(membersByOrg.keys()).sort()
+  const orgColumns = PHMETRIC_orgColumns_()
+  const stateByOrg = new Map()
+  if (orgColumns.length) {
+    for (let i = 0; i < orgIds.length; i += POSTHOG_RAW_CFG.BATCH_SIZE) {
+      const batch = orgIds.slice(i, i + POSTHOG_RAW_CFG.BATCH_SIZE)
+      const batchNum = Math.floor(i / POSTHOG_RAW_CFG.BATCH_SIZE) + 1
+      const sql = PHMETRIC_buildOrgHogQL_(batch, PHMETRIC_params_(POSTHOG_STRIPE_TABLE_RESOLVED || ''))
+      posthogRunQueryObjects_(apiKey, projectId, sql, `orgMetrics batch ${batchNum}`)
+        .map(PHMETRIC_parseOrgRow_)
+        .forEach(rec => { if (rec.org_id) stateByOrg.set(rec.org_id, rec) })
+    }
+  }
 
-  coalesce(o.calendar_connected, 'no') AS calendar_connected,
-  coalesce(o.first_calendar_connected_date, '') AS first_calendar_connected_date,
+  const headers = posthogOrgMetricsHeaders_()
+  const rows = orgIds.map(orgId => {
+    const emailKeys = Array.from(membersByOrg.get(orgId))
+    const values = Object.assign(
+      PHMETRIC_defaults_(orgColumns),
+      stateByOrg.get(orgId) || {},
+      posthogOrgRollup_(emailKeys.map(k => metricsByEmail.get(k)).filter(Boolean)),
+      { org_id: orgId, members_count: emailKeys.length, pulled_at: pulledAt }
+    )
+    return headers.map(h => values[h] ?? '')
+  })
+
+  posthogOverwriteSheet_(getOrCreateSheet(ss, POSTHOG_RAW_CFG.SHEETS.ORG_METRICS), headers, rows)
+  return rows.length
+}
+
+/** Member columns of one org's row, from its members' raw_posthog_user_metrics values. */
+function posthogOrgRollup_(members) {
+  const out = {
+    meetings_recorded: 0,
+    hours_recorded: 0,
+    meetings_recorded_30d: 0,
+    integrations: '',
+    integrations_count: 0,
+    last_activity_date: ''
+  }
+  POSTHOG_RAW_CFG.ORG_ACTIVE_DAYS.forEach(n => {
+    out[`active_users_${n}d`] = members.filter(u => (Number(u[`active_days_${n}d`]) || 0) > 0).length
+  })
 
-  coalesce(o.email_connected, 'no') AS email_connected,
-  coalesce(o.first_email_connected_date, '') AS first_email_connected_date,
+  const providers = new Set()
+  members.forEach(u => {
+    out.meetings_recorded += Number(u.meetings_recorded) || 0
+    out.hours_recorded += Number(u.hours_recorded) || 0
+    out.meetings_recorded_30d += Number(u.meetings_recorded_30d) || 0
+    if (String(u.last_active_date || '') > out.last_activity_date) out.last_activity_date = String(u.last_active_date)
 
-  coalesce(o.pm_karbon_connected, 'no') AS pm_karbon_connected,
-  coalesce(o.pm_karbon_first_connected_date, '') AS pm_karbon_first_connected_date,
+    Object.keys(POSTHOG_RAW_CFG.ORG_INTEGRATION_FLAGS).forEach(flag => {
+      if (PHMETRIC_coerce_(u[flag], 'boolean')) providers.add(POSTHOG_RAW_CFG.ORG_INTEGRATION_FLAGS[flag])
+    })
+    String(u.other_integrations || '').split(',').map(p => p.trim()).filter(Boolean).forEach(p => providers.add(p))
+  })
 
-  coalesce(o.pm_keeper_connected, 'no') AS pm_keeper_connected,
-  coalesce(o.pm_keeper_first_connected_date, '') AS pm_keeper_first_connected_date,
+  out.hours_recorded = Math.round(out.hours_recorded * 100) / 100
+  out.integrations = Array.from(providers).sort().join(', ')
+  out.integrations_count = providers.size
+  return out
+}
 
-  coalesce(o.pm_financial_cents_connected, 'no') AS pm_financial_cents_connected,
-  coalesce(o.pm_financial_cents_first_connected_date, '') AS pm_financial_cents_first_connected_date,
+function posthogOrgMetricsHeaders_() {
+  return ['org_id', 'members_count']
+    .concat(POSTHOG_RAW_CFG.ORG_ACTIVE_DAYS.map(n => `active_users_${n}d`))
+    .concat(['meetings_recorded', 'hours_recorded', 'meetings_recorded_30d'])
+    .concat(PHMETRIC_orgColumns_().map(c => c.name))
+    .concat(['integrations', 'integrations_count', 'last_activity_date', 'pulled_at'])
+}
 
-  coalesce(o.other_integrations, '') AS other_integrations,
+/* =========================
+ * Current-state metrics (raw_posthog_user_metrics)
+ * ========================= */
 
-  coalesce(aic.action_items_synced, 0) AS action_items_synced,
-  coalesce(mnc.meeting_notes_synced, 0) AS meeting_notes_synced,
-  coalesce(sspu.stripe_subscription_id, '') AS stripe_subscription_id
+/**
+ * raw_posthog_user_metrics read once per execution for posthogUpsertStateRows_:
+ * { headers, rows (values below the header), byEmail: email_key -> index in rows }.
+ * A tab whose header is not posthogMetricsHeaders_() (empty, or the metric
+ * registry changed) is rewritten under the current header first.
+ */
+function posthogStateRowIndex_(sheet) {
+  const headers = posthogMetricsHeaders_()
+  const lastCol = sheet.getLastColumn()
+  const current = lastCol ? sheet.getRange(1, 1, 1, lastCol).getValues()[0].map(h => String(h || '').trim()) : []
+  const objects = readSheetObjects(sheet, 1).filter(r => normalizeEmail(r.email_key || ''))
+  const rows = objects.map(obj => headers.map(h => obj[h] ?? ''))
+  if (current.join('|') !== headers.join('|')) posthogOverwriteSheet_(sheet, headers, rows)
+
+  const byEmail = new Map(objects.map((obj, i) => [normalizeEmail(obj.email_key), i]))
+  return { headers, rows, byEmail }
+}
 
-FROM base_users AS u
-LEFT JOIN meeting_bot_stats       AS mbs  ON mbs.user_id = u.user_id
-LEFT JOIN ask_counts              AS a    ON a.user_id = u.user_id
-LEFT JOIN clients_count_per_user  AS ccpu ON ccpu.user_id = u.user_id
-LEFT JOIN oauth_rollup            AS o    ON o.user_id = u.user_id
-LEFT JOIN action_items_counts     AS aic  ON aic.user_id = u.user_id
-LEFT JOIN meeting_notes_counts    AS mnc  ON mnc.user_id = u.user_id
-LEFT JOIN stripe_sub_per_user     AS sspu ON sspu.user_id = u.user_id
+/**
+ * Upserts the batch's current-state columns into raw_posthog_user_metrics
+ * (by email_key): the batch's rows are rewritten in place, new emails are
+ * appended, and only the span of rows the batch touched is written.
+ */
+function posthogUpsertStateRows_(sheet, state, records) {
+  const { headers, rows, byEmail } = state
+  const touched = []
+  records.forEach(rec => {
+    if (!byEmail.has(rec.email_key)) {
+      byEmail.set(rec.email_key, rows.length)
+      rows.push(headers.map(() => ''))
+    }
+    const i = byEmail.get(rec.email_key)
+    rows[i] = headers.map((h, c) => (h in rec ? rec[h] ?? '' : rows[i][c]))
+    touched.push(i)
+  })
+  if (!touched.length) return
 
-ORDER BY u.email_key
-LIMIT 50000
-  `.trim()
+  const first = Math.min(...touched)
+  const span = rows.slice(first, Math.max(...touched) + 1)
+  if (typeof batchSetValues === 'function') batchSetValues(sheet, first + 2, 1, span, POSTHOG_RAW_CFG.WRITE_CHUNK)
+  else sheet.getRange(first + 2, 1, span.length, headers.length).setValues(span)
 }
 
 function posthogRunDbMetricsQueryWithStripe_(apiKey, projectId, emailKeys, batchNum) {
@@ -535,11 +700,11 @@ function posthogRunDbMetricsQueryWithStripe_(apiKey, projectId, emailKeys, batch
 
   let lastErr = null
   for (const tableExpr of candidates) {
-    const sql = posthogBuildHogQL_dbMetrics_(emailKeys, tableExpr)
+    const sql = PHMETRIC_buildHogQL_(emailKeys, PHMETRIC_params_(tableExpr))
     const tag = tableExpr ? tableExpr : 'no_stripe_join_fallback'
 
     try {
-      const rows = posthogRunQuery_(apiKey, projectId, sql, `${labelBase} [${tag}]`)
+      const rows = posthogRunQueryObjects_(apiKey, projectId, sql, `${labelBase} [${tag}]`)
 
       if (tableExpr && !POSTHOG_STRIPE_TABLE_RESOLVED) {
         POSTHOG_STRIPE_TABLE_RESOLVED = tableExpr
@@ -559,48 +724,103 @@ function posthogRunDbMetricsQueryWithStripe_(apiKey, projectId, emailKeys, batch
   throw lastErr || new Error('PostHog dbMetrics failed with all Stripe table fallbacks.')
 }
 
-function posthogBuildHogQL_clientPageViews_(emailKeys, lookbackDays) {
+/* =========================
+ * HogQL builders
+ * ========================= */
+
+/**
+ * Events per email_key + day: all events, and client page views.
+ * From `fromYmd` on, or the last `lookbackDays` when there is no window start.
+ * No LIMIT: run it through posthogRunQueryPaged_.
+ */
+function posthogBuildHogQL_dailyEvents_(emailKeys, fromYmd, lookbackDays) {
   const quoted = emailKeys.map(e => `'${String(e).replace(/'/g, "''")}'`).join(', ')
   const days = Math.max(1, Number(lookbackDays || 365) || 365)
+  const since = fromYmd
+    ? `toDate(e.timestamp) >= toDate('${fromYmd}')`
+    : `e.timestamp >= now() - INTERVAL ${days} DAY`
 
   return `
 WITH [${quoted}] AS input_emails
 SELECT
   lower(p.properties.email) AS email_key,
-  count() AS client_page_views
+  formatDateTime(toDate(e.timestamp), '%Y-%m-%d') AS date,
+  count() AS events,
+  countIf(
+    e.event = '$pageview'
+    AND (
+      lower(e.properties.$current_url) LIKE '%/clients%'
+      OR lower(e.properties.$pathname) LIKE '%/clients%'
+    )
+  ) AS page_views
 FROM events AS e
 JOIN persons AS p
   ON e.person_id = p.id
-WHERE e.event = '$pageview'
-  AND e.timestamp >= now() - INTERVAL ${days} DAY
-  AND lower(p.properties.email) IN input_emails
-  AND (
-    lower(e.properties.$current_url) LIKE '%/clients%'
-    OR lower(e.properties.$pathname) LIKE '%/clients%'
-  )
-GROUP BY email_key
-ORDER BY client_page_views DESC
-LIMIT 50000
+WHERE ${since}
+  AND lower(p.properties.email) IN (SELECT arrayJoin(input_emails))
+GROUP BY email_key, date
+ORDER BY email_key, date
   `.trim()
 }
 
-function posthogBuildHogQL_activeDays_(emailKeys, lookbackDays) {
+/**
+ * Recorded meetings / hours and asks per email_key + day (postgres.* tables).
+ * From `fromYmd` on; all time when there is no window start.
+ * A day can have a meetings row and an asks row; the order is total so pages don't overlap.
+ */
+function posthogBuildHogQL_dailyDb_(emailKeys, fromYmd) {
   const quoted = emailKeys.map(e => `'${String(e).replace(/'/g, "''")}'`).join(', ')
-  const days = Math.max(1, Number(lookbackDays || 365) || 365)
+  const meetingsSince = fromYmd ? `\n    AND toDate(mb.recording_started_at) >= toDate('${fromYmd}')` : ''
+  const asksSince = fromYmd ? `\n  WHERE toDate(t.created_at) >= toDate('${fromYmd}')` : ''
 
   return `
 WITH [${quoted}] AS input_emails
-SELECT
-  lower(p.properties.email) AS email_key,
-  count(DISTINCT toDate(e.timestamp)) AS active_days
-FROM events AS e
-JOIN persons AS p
-  ON e.person_id = p.id
-WHERE e.timestamp >= now() - INTERVAL ${days} DAY
-  AND lower(p.properties.email) IN (SELECT arrayJoin(input_emails))
-GROUP BY email_key
-ORDER BY active_days DESC
-LIMIT 50000
+
+, base_users AS (
+  SELECT
+    u.id AS user_id,
+    lower(u.email) AS email_key
+  FROM postgres.users AS u
+  WHERE lower(u.email) IN (SELECT arrayJoin(input_emails))
+)
+
+, meetings_daily AS (
+  SELECT
+    mb.user_id,
+    formatDateTime(toDate(mb.recording_started_at), '%Y-%m-%d') AS date,
+    count() AS meetings_recorded,
+    round(sum(dateDiff('second', mb.recording_started_at, mb.recording_ended_at)) / 3600, 2) AS hours_recorded
+  FROM postgres.meeting_bots AS mb
+  WHERE mb.recording_started_at IS NOT NULL
+    AND mb.recording_ended_at IS NOT NULL${meetingsSince}
+  GROUP BY mb.user_id, date
+)
+
+, asks_daily AS (
+  SELECT
+    t.resource_id AS user_id,
+    formatDateTime(toDate(t.created_at), '%Y-%m-%d') AS date,
+    countIf(t.id LIKE 'meeting%') AS ask_meeting,
+    countIf(t.id LIKE 'global%')  AS ask_global
+  FROM postgres.mastra.mastra_threads AS t${asksSince}
+  GROUP BY t.resource_id, date
+)
+
+, daily_rows AS (
+  SELECT bu.email_key AS email_key, md.date AS date, md.meetings_recorded AS meetings_recorded, md.hours_recorded AS hours_recorded, 0 AS ask_meeting, 0 AS ask_global
+  FROM base_users AS bu
+  JOIN meetings_daily AS md ON md.user_id = bu.user_id
+
+  UNION ALL
+
+  SELECT bu.email_key, ad.date, 0, 0, ad.ask_meeting, ad.ask_global
+  FROM base_users AS bu
+  JOIN asks_daily AS ad ON toString(ad.user_id) = toString(bu.user_id)
+)
+
+SELECT email_key, date, meetings_recorded, hours_recorded, ask_meeting, ask_global
+FROM daily_rows
+ORDER BY email_key, date, meetings_recorded
   `.trim()
 }
 
@@ -609,6 +829,39 @@ LIMIT 50000
  * ========================= */
 
 function posthogRunQuery_(apiKey, projectId, hogql, label) {
+  return posthogRunQueryResponse_(apiKey, projectId, hogql, label).results || []
+}
+
+/**
+ * All rows of an ordered query without its own LIMIT, a page at a time
+ * until PostHog stops reporting hasMore (a backfill can run past one page).
+ */
+function posthogRunQueryPaged_(apiKey, projectId, hogql, label) {
+  const rows = []
+  for (let page = 1; ; page++) {
+    const json = posthogRunQueryResponse_(apiKey, projectId, `${hogql}\nLIMIT ${POSTHOG_RAW_CFG.QUERY_PAGE_SIZE} OFFSET ${rows.length}`, `${label} page ${page}`)
+    const results = json.results || []
+    results.forEach(r => rows.push(r))
+
+    if (!json.hasMore) return rows
+    if (!results.length) throw new Error(`PostHog ${label}: hasMore with an empty page at offset ${rows.length}`)
+  }
+}
+
+/** Result rows as objects keyed by the query's column names. */
+function posthogRunQueryObjects_(apiKey, projectId, hogql, label) {
+  const json = posthogRunQueryResponse_(apiKey, projectId, hogql, label)
+  const columns = json.columns || []
+  if (!columns.length && (json.results || []).length) throw new Error(`PostHog ${label || 'query'}: response has no columns`)
+
+  return (json.results || []).map(r => {
+    const obj = {}
+    columns.forEach((c, i) => { obj[c] = r?.[i] })
+    return obj
+  })
+}
+
+function posthogRunQueryResponse_(apiKey, projectId, hogql, label) {
   const payload = { query: { kind: 'HogQLQuery', query: hogql } }
   const url = `${POSTHOG_RAW_CFG.API_BASE}/projects/${projectId}/query`
 
@@ -632,8 +885,7 @@ function posthogRunQuery_(apiKey, projectId, hogql, label) {
     const text = res.getContentText() || ''
 
     if (code >= 200 && code < 300) {
-      const json = JSON.parse(text)
-      return json.results || []
+      return JSON.parse(text)
     }
 
     // Retry on transient statuses
@@ -681,6 +933,25 @@ function posthogOverwriteSheet_(sheet, headers, rows) {
   sheet.autoResizeColumns(1, headers.length)
 }
 
+function posthogAppendRows_(sheet, headers, rows) {
+  if (sheet.getLastRow() === 0) {
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers])
+    sheet.setFrozenRows(1)
+  }
+  if (!rows || !rows.length) return
+
+  const startRow = sheet.getLastRow() + 1
+  if (typeof batchSetValues === 'function') batchSetValues(sheet, startRow, 1, rows, POSTHOG_RAW_CFG.WRITE_CHUNK)
+  else sheet.getRange(startRow, 1, rows.length, rows[0].length).setValues(rows)
+}
+
+/** Sheet date cell (Date or 'yyyy-MM-dd…' text) -> 'yyyy-MM-dd' ('' if not a date). */
+function posthogYmd_(value, tz) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? '' : Utilities.formatDate(value, tz, 'yyyy-MM-dd')
+  const s = String(value || '').trim()
+  return /^\d{4}-\d{2}-\d{2}/.test(s) ? s.slice(0, 10) : ''
+}
+
 /* =========================
  * Minimal shared utilities (fallbacks)
  * ========================= */
@@ -0,0 +1,367 @@
+/**************************************************************
+ * Product funnel (funnel_steps + the funnel stats sections)
+ *
+ * build_funnel_steps() overwrites "funnel_steps": one row per user
+ * and one per org with the day each funnel step was first reached.
+ *
+ * Steps:
+ * - FUNNEL_STEP_DEFS says where a step's day comes from: user(ctx)
+ *   for a user, org(ctx) for an org; a step without org() takes the
+ *   earliest day among the org's members
+ * - Config key funnel_steps picks the steps and their order; signup
+ *   always comes first (cohorts are by signup month)
+ * - A user / org has reached step n when it has a day for every step
+ *   up to n (steps_reached); the days need not be in order
+ *
+ * Inputs:
+ * - raw_clerk_users, raw_clerk_orgs, raw_clerk_memberships (past and
+ *   present members)
+ * - raw_posthog_user_metrics (first meeting / ask days from the metric
+ *   registry: all time, unlike raw_posthog_user_daily, whose old days
+ *   fold into one row), raw_posthog_org_metrics
+ * - org_info (purchase_date = paid)
+ *
+ * Stats ("Conversion & Onboarding stats", Conversion Onboarding Stats.js):
+ * - cohort conversion matrix by signup month, for users and for orgs
+ * - median days between consecutive steps (a step reached before the
+ *   step it follows counts as 0 days)
+ *
+ * Adding a step: add a FUNNEL_STEP_DEFS entry, then list it in the
+ * funnel_steps config key.
+ **************************************************************/
+
+const FUNNEL_CFG = {
+  SHEET_NAME: 'funnel_steps',
+
+  INPUTS: {
+    CLERK_USERS: 'raw_clerk_users',
+    CLERK_ORGS: 'raw_clerk_orgs',
+    CLERK_MEMBERSHIPS: 'raw_clerk_memberships',
+    POSTHOG_USERS: 'raw_posthog_user_metrics',
+    POSTHOG_ORGS: 'raw_posthog_org_metrics',
+    ORG_INFO: 'org_info'
+  },
+
+  // funnel_steps: these, one column per step (day reached), then these
+  KEY_HEADERS: ['level', 'key', 'org_id', 'cohort_month'],
+  TAIL_HEADERS: ['steps_reached', 'last_step'],
+
+  MONTH_FMT: 'yyyy-MM',
+  DATE_FMT: 'yyyy-MM-dd',
+  DATE_CELL_FMT: 'yyyy-mm-dd',
+
+  USERS_TITLE: 'Product funnel (users)',
+  ORGS_TITLE: 'Product funnel (orgs)',
+  MEDIAN_TITLE: 'Median days between funnel steps',
+  MEDIAN_HEADERS: ['from_step', 'to_step', 'users', 'user_median_days', 'orgs', 'org_median_days'],
+
+  COUNT_FMT: '0',
+  PCT_FMT: '0.0%',
+  DAYS_FMT: '0.0'
+}
+
+/**
+ * user(u): u = { user: raw_clerk_users row, metrics: raw_posthog_user_metrics row,
+ *                orgs: [org ctx] }
+ * org(o):  o = { org: raw_clerk_orgs row, metrics: raw_posthog_org_metrics row,
+ *                info: org_info row }
+ * Return a Date or date text; blank = not reached.
+ */
+const FUNNEL_STEP_DEFS = [
+  { name: 'signup', user: u => u.user.created_at, org: o => o.org.created_at },
+  { name: 'calendar_connected', user: u => u.metrics.first_calendar_connected_date },
+  { name: 'email_connected', user: u => u.metrics.first_email_connected_date },
+  {
+    name: 'pm_connected',
+    user: u => FUNNEL_earliest_([
+      u.metrics.pm_karbon_first_connected_date,
+      u.metrics.pm_keeper_first_connected_date,
+      u.metrics.pm_financial_cents_first_connected_date
+    ])
+  },
+  { name: 'first_meeting_recorded', user: u => u.metrics.first_meeting_recorded_date },
+  { name: 'first_ask', user: u => u.metrics.first_ask_date },
+  // Clients belong to orgs: the org's own day (users get the earliest of their orgs)
+  {
+    name: 'first_client_added',
+    user: u => u.metrics.first_client_added_date,
+    org: o => o.metrics.first_client_added_date
+  },
+  {
+    name: 'paid',
+    user: u => FUNNEL_earliest_(u.orgs.map(o => o.info.purchase_date)),
+    org: o => o.info.purchase_date
+  }
+]
+
+/* =========================
+ * Public entrypoints
+ * ========================= */
+
+function build_funnel_steps() {
+  return lockWrap('build_funnel_steps', () => {
+    const t0 = new Date()
+    const ss = SpreadsheetApp.getActive()
+
+    const read = (name, required) => {
+      const sh = ss.getSheetByName(name)
+      if (!sh && required) throw new Error(`Missing input sheet: ${name}`)
+      return sh ? readSheetObjects(sh, 1) : []
+    }
+    const users = read(FUNNEL_CFG.INPUTS.CLERK_USERS, true)
+    const orgs = read(FUNNEL_CFG.INPUTS.CLERK_ORGS, true)
+    const mems = read(FUNNEL_CFG.INPUTS.CLERK_MEMBERSHIPS, true)
+    const metricsByEmail = FUNNEL_indexBy_(read(FUNNEL_CFG.INPUTS.POSTHOG_USERS, false), r => normalizeEmail(r.email_key || ''))
+    const orgMetricsById = FUNNEL_indexBy_(read(FUNNEL_CFG.INPUTS.POSTHOG_ORGS, false), r => String(r.org_id || '').trim())
+    const infoById = FUNNEL_indexBy_(read(FUNNEL_CFG.INPUTS.ORG_INFO, false), r => String(r.org_id || '').trim())
+
+    const steps = FUNNEL_steps_()
+
+    const orgCtxById = new Map()
+    orgs.forEach(o => {
+      const orgId = String(o.org_id || '').trim()
+      if (!orgId) return
+      orgCtxById.set(orgId, { org: o, metrics: orgMetricsById.get(orgId) || {}, info: infoById.get(orgId) || {} })
+    })
+
+    const orgIdsByEmail = new Map()
+    const emailsByOrgId = new Map()
+    mems.forEach(m => {
+      const orgId = String(m.org_id || '').trim()
+      const emailKey = normalizeEmail(m.email_key || m.email || '')
+      if (!orgId || !emailKey) return
+      if (!orgIdsByEmail.has(emailKey)) orgIdsByEmail.set(emailKey, new Set())
+      if (!emailsByOrgId.has(orgId)) emailsByOrgId.set(orgId, new Set())
+      orgIdsByEmail.get(emailKey).add(orgId)
+      emailsByOrgId.get(orgId).add(emailKey)
+    })
+
+    // ---- Users ----
+    const userDaysByEmail = new Map()
+    const userRows = []
+    users.forEach(u => {
+      const emailKey = normalizeEmail(u.email_key || u.email || '')
+      if (!emailKey || userDaysByEmail.has(emailKey)) return
+
+      const orgIds = Array.from(orgIdsByEmail.get(emailKey) || [])
+      const ctx = {
+        user: u,
+        metrics: metricsByEmail.get(emailKey) || {},
+        orgs: orgIds.map(id => orgCtxById.get(id)).filter(Boolean)
+      }
+      const days = steps.map(s => FUNNEL_ymd_(s.user(ctx)))
+      userDaysByEmail.set(emailKey, days)
+      if (days[0]) userRows.push(FUNNEL_row_('user', emailKey, String(u.org_id || '').trim() || orgIds[0] || '', days, steps))
+    })
+
+    // ---- Orgs ----
+    const orgRows = []
+    orgCtxById.forEach((ctx, orgId) => {
+      const memberDays = Array.from(emailsByOrgId.get(orgId) || []).map(k => userDaysByEmail.get(k)).filter(Boolean)
+      const days = steps.map((s, i) => (s.org ? FUNNEL_ymd_(s.org(ctx)) : FUNNEL_earliest_(memberDays.map(d => d[i]))))
+      if (days[0]) orgRows.push(FUNNEL_row_('org', orgId, orgId, days, steps))
+    })
+
+    const byKey = (a, b) => String(a[1]).localeCompare(String(b[1]))
+    const rows = userRows.sort(byKey).concat(orgRows.sort(byKey))
+
+    const headers = FUNNEL_CFG.KEY_HEADERS.concat(steps.map(s => s.name), FUNNEL_CFG.TAIL_HEADERS)
+    const sh = getOrCreateSheet(ss, FUNNEL_CFG.SHEET_NAME)
+    sh.clearContents()
+    sh.getRange(1, 1, 1, headers.length).setValues([headers])
+    sh.setFrozenRows(1)
+    if (rows.length) {
+      // cohort_month stays text ('2026-01' would become a date)
+      sh.getRange(2, FUNNEL_CFG.KEY_HEADERS.indexOf('cohort_month') + 1, rows.length, 1).setNumberFormat('@')
+      sh.getRange(2, FUNNEL_CFG.KEY_HEADERS.length + 1, rows.length, steps.length).setNumberFormat(FUNNEL_CFG.DATE_CELL_FMT)
+      batchSetValues(sh, 2, 1, rows)
+    }
+
+    writeSyncLog('build_funnel_steps', 'ok', users.length + orgs.length, rows.length, (new Date() - t0) / 1000, '')
+    return { rows_in: users.length + orgs.length, rows_out: rows.length }
+  })
+}
+
+/* =========================
+ * Steps
+ * ========================= */
+
+/** Configured step defs in order, signup first. */
+function FUNNEL_steps_() {
+  const byName = {}
+  FUNNEL_STEP_DEFS.forEach(d => { byName[d.name] = d })
+  const names = ['signup'].concat(CONFIG_get_('funnel_steps'))
+  return Array.from(new Set(names)).map(n => byName[n]).filter(Boolean)
+}
+
+function FUNNEL_row_(level, key, orgId, days, steps) {
+  const reached = FUNNEL_stepsReached_(days)
+  return [level, key, orgId, days[0].slice(0, 7)]
+    .concat(days, [reached, reached ? steps[reached - 1].name : ''])
+}
+
+/** Leading steps with a day. */
+function FUNNEL_stepsReached_(days) {
+  let n = 0
+  while (n < days.length && days[n]) n++
+  return n
+}
+
+/* =========================
+ * Stats sections
+ * ========================= */
+
+/**
+ * funnel_steps as written last: { steps: [names], user: [row], org: [row] }
+ * with row = { cohort, days: ['yyyy-MM-dd' | ''] }; null before the first build.
+ */
+function FUNNEL_readSteps_(ss) {
+  const sh = ss.getSheetByName(FUNNEL_CFG.SHEET_NAME)
+  if (!sh || sh.getLastRow() < 1 || sh.getLastColumn() < 1) return null
+
+  const header = sh.getRange(1, 1, 1, sh.getLastColumn()).getValues()[0].map(h => String(h || '').trim())
+  const end = header.indexOf(FUNNEL_CFG.TAIL_HEADERS[0])
+  if (end < 0) return null
+  const steps = header.slice(FUNNEL_CFG.KEY_HEADERS.length, end)
+
+  const tz = Session.getScriptTimeZone()
+  const out = { steps, user: [], org: [] }
+  readSheetObjects(sh, 1).forEach(r => {
+    const rows = out[String(r.level || '').trim()]
+    if (!rows) return
+    const cohort = r.cohort_month instanceof Date
+      ? Utilities.formatDate(r.cohort_month, tz, FUNNEL_CFG.MONTH_FMT)
+      : String(r.cohort_month || '').trim()
+    rows.push({ cohort, days: steps.map(s => FUNNEL_ymd_(r[s])) })
+  })
+  return out
+}
+
+function FUNNEL_cohortHeaders_(steps) {
+  return ['cohort_month', 'signups'].concat(...steps.slice(1).map(s => [s, `${s}_pct`]))
+}
+
+/** One row per signup month, then TOTAL: signups, then count + share of signups per later step. */
+function FUNNEL_cohortRows_(rows, steps) {
+  const newBucket = label => ({ label, reached: steps.map(() => 0) })
+  const buckets = new Map()
+  const total = newBucket('TOTAL')
+
+  rows.forEach(r => {
+    if (!r.cohort) return
+    if (!buckets.has(r.cohort)) buckets.set(r.cohort, newBucket(r.cohort))
+    const n = FUNNEL_stepsReached_(r.days)
+    ;[buckets.get(r.cohort), total].forEach(b => {
+      for (let i = 0; i < n; i++) b.reached[i] += 1
+    })
+  })
+
+  const toRow = b => {
+    const signups = b.reached[0]
+    return [b.label, signups].concat(...b.reached.slice(1).map(c => [c, signups ? c / signups : 0]))
+  }
+  return Array.from(buckets.keys()).sort().map(k => toRow(buckets.get(k))).concat([toRow(total)])
+}
+
+/** Per pair of consecutive steps: how many users / orgs reached both and the median days between. */
+function FUNNEL_medianRows_(data) {
+  const steps = data.steps
+  return steps.slice(1).map((to, i) => {
+    const gaps = level => data[level]
+      .filter(r => FUNNEL_stepsReached_(r.days) > i + 1)
+      .map(r => Math.max(0, FUNNEL_daysBetween_(r.days[i], r.days[i + 1])))
+    const users = gaps('user')
+    const orgs = gaps('org')
+    return [steps[i], to, users.length, FUNNEL_median_(users), orgs.length, FUNNEL_median_(orgs)]
+  })
+}
+
+/**
+ * Writes the users matrix, the orgs matrix and the medians table from
+ * startRow down, gapRows apart. Returns { rows, cols } written.
+ */
+function FUNNEL_renderStatsAt_(sheet, startRow, data, gapRows) {
+  const cohortHeaders = FUNNEL_cohortHeaders_(data.steps)
+  const tables = [
+    { title: FUNNEL_CFG.USERS_TITLE, headers: cohortHeaders, rows: FUNNEL_cohortRows_(data.user, data.steps), totalRow: true },
+    { title: FUNNEL_CFG.ORGS_TITLE, headers: cohortHeaders, rows: FUNNEL_cohortRows_(data.org, data.steps), totalRow: true },
+    { title: FUNNEL_CFG.MEDIAN_TITLE, headers: FUNNEL_CFG.MEDIAN_HEADERS, rows: FUNNEL_medianRows_(data), totalRow: false }
+  ]
+
+  let row = startRow
+  tables.forEach((t, i) => {
+    if (i > 0) row += gapRows
+    sheet.getRange(row, 1).setValue(t.title).setFontWeight('bold')
+    row += 1
+
+    sheet.getRange(row, 1, 1, t.headers.length).setValues([t.headers])
+      .setFontWeight('bold')
+      .setBackground('#F3F3F3')
+    row += 1
+
+    if (t.rows.length) {
+      sheet.getRange(row, 1, t.rows.length, t.headers.length).setValues(t.rows)
+      FUNNEL_applyFormatsAt_(sheet, row, t.headers, t.rows.length, t.totalRow)
+    }
+    row += t.rows.length
+  })
+
+  return { rows: row - startRow, cols: Math.max(cohortHeaders.length, FUNNEL_CFG.MEDIAN_HEADERS.length) }
+}
+
+function FUNNEL_applyFormatsAt_(sheet, dataStartRow, headers, numRows, totalRow) {
+  headers.forEach((h, i) => {
+    let fmt = FUNNEL_CFG.COUNT_FMT
+    if (/_pct$/.test(h)) fmt = FUNNEL_CFG.PCT_FMT
+    else if (/_days$/.test(h)) fmt = FUNNEL_CFG.DAYS_FMT
+    else if (h === 'cohort_month' || /_step$/.test(h)) return
+    sheet.getRange(dataStartRow, i + 1, numRows, 1).setNumberFormat(fmt)
+  })
+
+  if (totalRow) {
+    sheet.getRange(dataStartRow + numRows - 1, 1, 1, headers.length)
+      .setFontWeight('bold')
+      .setBackground('#F6F4F0')
+  }
+}
+
+/* =========================
+ * Helpers
+ * ========================= */
+
+function FUNNEL_indexBy_(rows, keyFn) {
+  const out = new Map()
+  rows.forEach(r => {
+    const k = keyFn(r)
+    if (k && !out.has(k)) out.set(k, r)
+  })
+  return out
+}
+
+/** Date / ISO timestamp / 'yyyy-MM-dd' text -> 'yyyy-MM-dd' in the script time zone ('' if none). */
+function FUNNEL_ymd_(v) {
+  if (v == null || v === '') return ''
+  const tz = Session.getScriptTimeZone()
+  if (v instanceof Date) return isNaN(v.getTime()) ? '' : Utilities.formatDate(v, tz, FUNNEL_CFG.DATE_FMT)
+
+  const s = String(v).trim()
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s
+  const d = new Date(s)
+  return s && !isNaN(d.getTime()) ? Utilities.formatDate(d, tz, FUNNEL_CFG.DATE_FMT) : ''
+}
+
+function FUNNEL_earliest_(values) {
+  return (values || []).map(FUNNEL_ymd_).filter(Boolean).sort()[0] || ''
+}
+
+function FUNNEL_daysBetween_(fromYmd, toYmd) {
+  const utc = ymd => Date.UTC(Number(ymd.slice(0, 4)), Number(ymd.slice(5, 7)) - 1, Number(ymd.slice(8, 10)))
+  return Math.round((utc(toYmd) - utc(fromYmd)) / (24 * 60 * 60 * 1000))
+}
+
+function FUNNEL_median_(values) {
+  if (!values.length) return ''
+  const sorted = values.slice().sort((a, b) => a - b)
+  const mid = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
@@ -3,6 +3,7 @@
  *
  * Copies a polished dashboard + table view from "The Ring"
  * into an external spreadsheet tab named "The Good Stuff".
+ * Refuses to publish while a critical data quality check fails.
  **************************************************************/
 
 const GOOD_STUFF_CFG = {
@@ -13,7 +14,7 @@ const GOOD_STUFF_CFG = {
     START_COL: 2 // Ring table starts at column B
   },
   TARGET: {
-    SPREADSHEET_ID: '147yUcx8Eb7LE-jhAALwfmddIIOoBYcvEJpXhJR0c8qc',
+    // Spreadsheet id: config "good_stuff_spreadsheet_id" (Config.js)
     SHEET_NAME: 'The Good Stuff'
   },
   KPI: {
@@ -27,11 +28,13 @@ const GOOD_STUFF_CFG = {
 
 function publish_the_good_stuff() {
   return GOOD_lockWrapCompat_('publish_the_good_stuff', () => {
+    DQ_assertPublishable_('publish_the_good_stuff')
+
     const sourceSs = SpreadsheetApp.getActive()
     const ring = sourceSs.getSheetByName(GOOD_STUFF_CFG.SOURCE.RING_SHEET)
     if (!ring) throw new Error(`Missing source sheet: ${GOOD_STUFF_CFG.SOURCE.RING_SHEET}`)
 
-    const targetSs = SpreadsheetApp.openById(GOOD_STUFF_CFG.TARGET.SPREADSHEET_ID)
+    const targetSs = SpreadsheetApp.openById(CONFIG_get_('good_stuff_spreadsheet_id'))
     const out = GOOD_getOrCreateSheet_(targetSs, GOOD_STUFF_CFG.TARGET.SHEET_NAME)
 
     const metrics = GOOD_readRingMetrics_(ring)
@@ -376,7 +379,7 @@ function GOOD_getOrCreateSheet_(ss, name) {
 
 function GOOD_lockWrapCompat_(name, fn) {
   if (typeof lockWrap === 'function') {
-    try { return lockWrap(name, fn) } catch (e) { return lockWrap(fn) }
+    return lockWrap(name, fn)
   }
   const lock = LockService.getScriptLock()
   const ok = lock.tryLock(300000)
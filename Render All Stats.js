@@ -3,6 +3,13 @@
  *
  * Builds/overwrites the "All the Stats" sheet with org-level
  * metrics and lists derived from Stripe + Clerk + ARR snapshots.
+ *
+ * Subscription MRR / seats follow The Ring: per item from
+ * raw_stripe_subscription_items (Stripe Subscription Items.js), the
+ * summed subscription row only when a subscription has no items.
+ * MRR / ARR are net of the discounts active today (Net MRR.js), in
+ * the reporting currency (Currency Rates.js); the title block warns
+ * when non-reporting currencies were converted.
  **************************************************************/
 
 const ALL_STATS_CFG = {
@@ -19,9 +26,6 @@ const ALL_STATS_CFG = {
     ARR_SNAPSHOT: 'arr_snapshot',
     ARR_WATERFALL_FACTS: 'arr_waterfall_facts'
   },
-  EXCLUDED_REASON_TERMS: ['internal', 'testing', 'duplicate'],
-  FREE_SEAT_MONTHLY_DISCOUNT: 30,
-  FREE_SEAT_YEARLY_DISCOUNT: 288,
   CURRENCY_FMT: '$#,##0.00',
   INT_FMT: '0',
   PCT_FMT: '0.0%',
@@ -55,6 +59,7 @@ function render_all_stats_view() {
 
     const stripeRows = ALLSTATS_readSheetObjects_(shStripe, 1)
     const manualBySubId = ALLSTATS_buildManualStripeChangesBySubId_(shManual)
+    const netCtx = NETMRR_context_(ss)
     const promoRedemptions = shPromoRedemptions
       ? ALLSTATS_readSheetObjects_(shPromoRedemptions, 1)
       : ALLSTATS_fetchPromoRedemptionsFallback_()
@@ -67,10 +72,12 @@ function render_all_stats_view() {
 
     const indexes = ALLSTATS_buildIndexes_(clerkUsers, clerkMems, clerkOrgs, posthogUsers)
     const orgAggByKey = new Map()
+    const includedCurrencies = []
 
     for (const row of stripeRows) {
-      const sub = ALLSTATS_normalizeSubscription_(row, manualBySubId, indexes)
+      const sub = ALLSTATS_normalizeSubscription_(row, manualBySubId, indexes, netCtx)
       if (!sub.include) continue
+      includedCurrencies.push(sub.currency)
 
       const orgKey = ALLSTATS_orgKey_(sub)
       if (!orgAggByKey.has(orgKey)) {
@@ -104,6 +111,7 @@ function render_all_stats_view() {
 
     ALLSTATS_renderAllStatsSheet_(out, {
       generatedAt: new Date(),
+      fxWarning: FX_warning_(netCtx.fx, includedCurrencies),
       stripeRowsCount: stripeRows.length,
       orgs,
       metrics: allMetrics,
@@ -123,7 +131,7 @@ function render_all_stats_view() {
   })
 }
 
-function ALLSTATS_normalizeSubscription_(r, manualBySubId, indexes) {
+function ALLSTATS_normalizeSubscription_(r, manualBySubId, indexes, netCtx) {
   const statusRaw = ALLSTATS_str_(r.status).toLowerCase()
   const hasPaymentMethod = ALLSTATS_toBool_(r.has_payment_method)
 
@@ -138,7 +146,7 @@ function ALLSTATS_normalizeSubscription_(r, manualBySubId, indexes) {
   const manualQuantity = manual ? manual.quantity : 0
   const manualTrialExtended = manual ? manual.trialExtendedDays : 0
 
-  if (manualReason && ALL_STATS_CFG.EXCLUDED_REASON_TERMS.some(term => manualReason.indexOf(term) >= 0)) {
+  if (manualReason && CONFIG_get_('excluded_reason_terms').some(term => manualReason.indexOf(term) >= 0)) {
     return { include: false }
   }
 
@@ -153,12 +161,16 @@ function ALLSTATS_normalizeSubscription_(r, manualBySubId, indexes) {
     return { include: false }
   }
 
-  const interval = ALLSTATS_str_(r.interval).toLowerCase()
-  const amountRaw = ALLSTATS_moneyAmount_(r.amount)
+  const itemTotals = (subId && netCtx && netCtx.itemTotalsBySubId.get(subId)) || null
+  const interval = (itemTotals && itemTotals.interval) || ALLSTATS_str_(r.interval).toLowerCase()
+  // Item MRR expressed in the seat interval's billing amount (same as The Ring)
+  const amountRaw = itemTotals
+    ? ALLSTATS_moneyAmount_(interval === 'year' ? itemTotals.mrr * 12 : itemTotals.mrr)
+    : ALLSTATS_moneyAmount_(r.amount)
   const amount = ALLSTATS_applyManualAmountOverride_(amountRaw, interval, manualReason, manualQuantity)
-  const mrrArr = ALLSTATS_computeMrrArr_(amount, interval)
+  const net = NETMRR_forSubscription_(r, netCtx, new Date(), { list_mrr: ALLSTATS_computeMrrArr_(amount, interval).mrr })
 
-  const seats = ALLSTATS_safeInt_(r.quantity_total)
+  const seats = itemTotals ? itemTotals.seats : ALLSTATS_safeInt_(r.quantity_total)
 
   const firstPaymentAtIso = ALLSTATS_str_(r.first_payment_at)
   const firstPaymentAtDate = ALLSTATS_isoToDateOrNull_(firstPaymentAtIso)
@@ -196,8 +208,9 @@ function ALLSTATS_normalizeSubscription_(r, manualBySubId, indexes) {
     stage,
     interval,
     amount,
-    mrr: mrrArr.mrr,
-    arr: mrrArr.arr,
+    currency: net.currency,
+    mrr: net.reporting_mrr,
+    arr: net.reporting_mrr * 12,
     seats,
 
     discount_percent: discountPercent,
@@ -852,6 +865,10 @@ function ALLSTATS_renderAllStatsSheet_(sheet, data) {
   let row = 1
 
   row = ALLSTATS_writeTitle_(sheet, row, 'All the Stats', data.generatedAt)
+  if (data.fxWarning) {
+    sheet.getRange(row - 1, 1, 1, 10).merge()
+    sheet.getRange(row - 1, 1).setValue(data.fxWarning).setFontColor('#b45309')
+  }
 
   row = ALLSTATS_writeSection_(sheet, row, 'ARR / MRR Summary (Org Level)')
   row = ALLSTATS_writeTable_(sheet, row, 1,
@@ -1272,8 +1289,8 @@ function ALLSTATS_applyManualAmountOverride_(amount, interval, reason, quantity)
   if (why.indexOf('free seat') < 0) return amt
   if (!qty) return amt
 
-  if (intv === 'month') return Math.max(0, amt - (ALL_STATS_CFG.FREE_SEAT_MONTHLY_DISCOUNT * qty))
-  if (intv === 'year') return Math.max(0, amt - (ALL_STATS_CFG.FREE_SEAT_YEARLY_DISCOUNT * qty))
+  if (intv === 'month') return Math.max(0, amt - (CONFIG_get_('free_seat_monthly_discount') * qty))
+  if (intv === 'year') return Math.max(0, amt - (CONFIG_get_('free_seat_yearly_discount') * qty))
   return amt
 }
 
@@ -1368,7 +1385,6 @@ function ALLSTATS_fmtMoney_(n) {
 }
 
 function ALLSTATS_getOrCreateSheet_(ss, name) {
-  if (typeof getOrCreateSheetCompat_ === 'function') return getOrCreateSheetCompat_(ss, name)
   if (typeof getOrCreateSheet === 'function') {
     try { return getOrCreateSheet(ss, name) } catch (e1) {}
     try { return getOrCreateSheet(name) } catch (e2) {}
@@ -1386,7 +1402,6 @@ function ALLSTATS_lockWrap_(name, fn) {
 }
 
 function ALLSTATS_writeSyncLog_(step, status, rowsIn, rowsOut, seconds, error) {
-  if (typeof writeSyncLogCompat_ === 'function') return writeSyncLogCompat_(step, status, rowsIn, rowsOut, seconds, error)
   if (typeof writeSyncLog === 'function') return writeSyncLog(step, status, rowsIn, rowsOut, seconds, error || '')
   Logger.log('[SYNCLOG missing] ' + step + ' ' + status)
 }
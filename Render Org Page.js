@@ -6,8 +6,12 @@
  * - Trial Start Date + Trial End Date (same org-based logic as arr_raw_data)
  * - Subscription Start Date + Purchase Date (from Stripe)
  * - In clerk (member count from raw_clerk_memberships)
- * - Seats (paid seats from Stripe quantity_total via stripe_subscription_id)
+ * - Seats (paid seats via stripe_subscription_id: quantity of seat items in
+ *   raw_stripe_subscription_items, add-on products excluded; quantity_total
+ *   when a subscription has no item rows)
  * - Diff (In clerk - Seats)
+ * - Active Users (7d / 30d), Seat Utilization, Meetings Recorded, Hours Recorded,
+ *   Clients, Integrations and Last Activity from canon_orgs (raw_posthog_org_metrics)
  * - UpSale (manual checkbox) ✅ NEW: appended at end and preserved by Org ID
  *
  * Conditional formatting on Diff:
@@ -34,7 +38,6 @@ const ORG_INFO_CFG = {
   DATA_START_ROW: 2,
 
   // Trial standard length (same as arr_raw_data)
-  TRIAL_DAYS: 14,
 
   // ✅ UpSale moved to the END and will be preserved
   HEADERS: [
@@ -49,6 +52,14 @@ const ORG_INFO_CFG = {
     'purchase_date',
     'trial_start_date',
     'trial_end_date',
+    'Active Users (7d)',
+    'Active Users (30d)',
+    'Seat Utilization',
+    'Meetings Recorded',
+    'Hours Recorded',
+    'Clients',
+    'Integrations',
+    'Last Activity',
     'UpSale'
   ],
 
@@ -56,7 +67,7 @@ const ORG_INFO_CFG = {
 }
 
 function render_org_info_view() {
-  lockWrapCompat_('render_org_info_view', () => {
+  lockWrap('render_org_info_view', () => {
     const t0 = new Date()
     try {
       const ss = SpreadsheetApp.getActive()
@@ -91,7 +102,7 @@ function render_org_info_view() {
 
       // Seats from Stripe: build indexes
       const subIdByEmailKey = ORGINFO_buildSubIdByEmailKey_(users)                 // email_key -> stripe_subscription_id
-      const qtyBySubId = ORGINFO_buildQuantityBySubId_(subs)                      // stripe_subscription_id -> quantity_total
+      const qtyBySubId = ORGINFO_buildQuantityBySubId_(subs, SUBITEMS_totalsBySubscription_(ss)) // stripe_subscription_id -> seats
       const seatsByOrgId = ORGINFO_buildSeatsByOrgId_(memAgg, subIdByEmailKey, qtyBySubId) // org_id -> seats
 
       const out = []
@@ -100,7 +111,15 @@ function render_org_info_view() {
         .map(o => ({
           orgId: String(o.org_id || '').trim(),
           orgName: String(o.org_name || '').trim(),
-          orgCreatedAt: o.org_created_at || o.created_at || ''
+          orgCreatedAt: o.org_created_at || o.created_at || '',
+          activeUsers7d: o.active_users_7d ?? '',
+          activeUsers30d: o.active_users_30d ?? '',
+          seatUtilization: o.seat_utilization ?? '',
+          meetingsRecorded: o.meetings_recorded ?? '',
+          hoursRecorded: o.hours_recorded ?? '',
+          clientsCount: o.clients_count ?? '',
+          integrations: o.integrations ?? '',
+          lastActivityDate: o.last_activity_date ?? ''
         }))
         .filter(o => o.orgId || o.orgName)
         .sort((a, b) => (a.orgName || '').localeCompare(b.orgName || '') || (a.orgId || '').localeCompare(b.orgId || ''))
@@ -135,7 +154,7 @@ function render_org_info_view() {
         const trialEnd = ORGINFO_computeTrialEndIso_({
           trialStartIso: trialStart,
           subscriptions: subRows,
-          trialDays: ORG_INFO_CFG.TRIAL_DAYS
+          trialDays: CONFIG_get_('trial_days')
         })
 
         const subscriptionStart = ORGINFO_minIso_(
@@ -157,6 +176,14 @@ function render_org_info_view() {
           ORGINFO_isoToDateOrBlank_(purchaseDate),
           ORGINFO_isoToDateOrBlank_(trialStart),
           ORGINFO_isoToDateOrBlank_(trialEnd),
+          o.activeUsers7d,
+          o.activeUsers30d,
+          o.seatUtilization,
+          o.meetingsRecorded,
+          o.hoursRecorded,
+          o.clientsCount,
+          o.integrations,
+          o.lastActivityDate,
           upsale
         ])
       }
@@ -253,7 +280,7 @@ function ORGINFO_buildSubIdByEmailKey_(source) {
   if (Array.isArray(source)) {
     ;(source || []).forEach(u => {
       const emailKeyRaw = String(u.email_key || u.email || '').trim()
-      const emailKey = normalizeEmailCompat_(emailKeyRaw)
+      const emailKey = normalizeEmail(emailKeyRaw)
       const subId = String(u.stripe_subscription_id || u.stripeSubscriptionId || '').trim()
       if (!emailKey || !subId) return
       out.set(emailKey, subId)
@@ -285,14 +312,24 @@ function ORGINFO_buildSubIdByEmailKey_(source) {
   return out
 }
 
-function ORGINFO_buildQuantityBySubId_(source) {
+/**
+ * stripe_subscription_id -> seats. Seat-item quantity from
+ * itemTotalsBySubId (SUBITEMS_totalsBySubscription_) wins over quantity_total.
+ */
+function ORGINFO_buildQuantityBySubId_(source, itemTotalsBySubId) {
+  const itemSeats = subId => {
+    const t = itemTotalsBySubId ? itemTotalsBySubId.get(subId) : null
+    return t ? t.seats : null
+  }
+
   const out = new Map()
 
   if (Array.isArray(source)) {
     ;(source || []).forEach(r => {
       const subId = String(r.stripe_subscription_id || r.subscription_id || r.id || '').trim()
       if (!subId) return
-      const qty = ORGINFO_safeInt_(r.quantity_total)
+      const seats = itemSeats(subId)
+      const qty = seats != null ? seats : ORGINFO_safeInt_(r.quantity_total)
       out.set(subId, qty)
     })
     return out
@@ -315,7 +352,8 @@ function ORGINFO_buildQuantityBySubId_(source) {
   data.forEach(r => {
     const subId = String(r[subIdIdx] || '').trim()
     if (!subId) return
-    const qty = ORGINFO_safeInt_(r[qtyIdx])
+    const seats = itemSeats(subId)
+    const qty = seats != null ? seats : ORGINFO_safeInt_(r[qtyIdx])
     out.set(subId, qty)
   })
 
@@ -354,7 +392,7 @@ function ORGINFO_buildMembershipAgg_(mems) {
     if (!orgId) return
 
     const email = String(m.email || '').trim()
-    const emailKey = normalizeEmailCompat_(email) || email
+    const emailKey = normalizeEmail(email) || email
     if (!emailKey) return
 
     const role = String(m.role || '').toLowerCase().trim()
@@ -485,7 +523,7 @@ function ORGINFO_computeTrialEndIso_({ trialStartIso, subscriptions, trialDays }
   const ts = ORGINFO_parseIsoDate_(trialStartIso)
   if (!ts) return ''
 
-  const standardEnd = new Date(ts.getTime() + Number(trialDays || 14) * 24 * 60 * 60 * 1000)
+  const standardEnd = new Date(ts.getTime() + Number(trialDays || CONFIG_get_('trial_days')) * 24 * 60 * 60 * 1000)
   const candidate = ORGINFO_pickTrialExtensionSub_(subscriptions, ts, standardEnd)
 
   if (candidate) {
@@ -589,6 +627,13 @@ function ORGINFO_applyFormats_(sheet, numDataRows) {
   const colPurchase = ORG_INFO_CFG.HEADERS.indexOf('purchase_date') + 1
   const colTrialStart = ORG_INFO_CFG.HEADERS.indexOf('trial_start_date') + 1
   const colTrialEnd = ORG_INFO_CFG.HEADERS.indexOf('trial_end_date') + 1
+  const colActive7 = ORG_INFO_CFG.HEADERS.indexOf('Active Users (7d)') + 1
+  const colActive30 = ORG_INFO_CFG.HEADERS.indexOf('Active Users (30d)') + 1
+  const colUtilization = ORG_INFO_CFG.HEADERS.indexOf('Seat Utilization') + 1
+  const colMeetings = ORG_INFO_CFG.HEADERS.indexOf('Meetings Recorded') + 1
+  const colHours = ORG_INFO_CFG.HEADERS.indexOf('Hours Recorded') + 1
+  const colClients = ORG_INFO_CFG.HEADERS.indexOf('Clients') + 1
+  const colLastActivity = ORG_INFO_CFG.HEADERS.indexOf('Last Activity') + 1
 
   if (colInClerk > 0) sheet.getRange(2, colInClerk, numDataRows, 1).setNumberFormat('0').setHorizontalAlignment('center')
   if (colSeats > 0) sheet.getRange(2, colSeats, numDataRows, 1).setNumberFormat('0').setHorizontalAlignment('center')
@@ -597,6 +642,13 @@ function ORGINFO_applyFormats_(sheet, numDataRows) {
   if (colPurchase > 0) sheet.getRange(2, colPurchase, numDataRows, 1).setNumberFormat('MM-dd-yy')
   if (colTrialStart > 0) sheet.getRange(2, colTrialStart, numDataRows, 1).setNumberFormat('MM-dd-yy')
   if (colTrialEnd > 0) sheet.getRange(2, colTrialEnd, numDataRows, 1).setNumberFormat('MM-dd-yy')
+  if (colActive7 > 0) sheet.getRange(2, colActive7, numDataRows, 1).setNumberFormat('0').setHorizontalAlignment('center')
+  if (colActive30 > 0) sheet.getRange(2, colActive30, numDataRows, 1).setNumberFormat('0').setHorizontalAlignment('center')
+  if (colUtilization > 0) sheet.getRange(2, colUtilization, numDataRows, 1).setNumberFormat('0%').setHorizontalAlignment('center')
+  if (colMeetings > 0) sheet.getRange(2, colMeetings, numDataRows, 1).setNumberFormat('0').setHorizontalAlignment('center')
+  if (colHours > 0) sheet.getRange(2, colHours, numDataRows, 1).setNumberFormat('0.0').setHorizontalAlignment('center')
+  if (colClients > 0) sheet.getRange(2, colClients, numDataRows, 1).setNumberFormat('0').setHorizontalAlignment('center')
+  if (colLastActivity > 0) sheet.getRange(2, colLastActivity, numDataRows, 1).setNumberFormat('MM-dd-yy')
 }
 
 function ORGINFO_applyServiceDropdown_(sheet) {
@@ -787,11 +839,6 @@ function ORGINFO_colLetter_(colNum1Based) {
   return s
 }
 
-function normalizeEmailCompat_(email) {
-  if (typeof normalizeEmail === 'function') return normalizeEmail(email)
-  return String(email || '').trim().toLowerCase()
-}
-
 /* =========================
  * Compatibility wrappers
  * ========================= */
@@ -813,13 +860,3 @@ function ORGINFO_batchSetValues_(sheet, startRow, startCol, values, chunkSize) {
     sheet.getRange(startRow + i, startCol, chunk.length, chunk[0].length).setValues(chunk)
   }
 }
-
-function lockWrapCompat_(lockName, fn) {
-  if (typeof lockWrap === 'function') {
-    try { return lockWrap(lockName, fn) } catch (e) { return lockWrap(fn) }
-  }
-  const lock = LockService.getScriptLock()
-  const ok = lock.tryLock(300000)
-  if (!ok) throw new Error(`Could not acquire lock: ${lockName}`)
-  try { return fn() } finally { lock.releaseLock() }
-}
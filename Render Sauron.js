@@ -5,6 +5,8 @@
  *
  * ✅ Key features:
  * - Pulls Active Days (PostHog) from raw_posthog_user_metrics (email_key -> active_days)
+ * - 7 / 30 / 90 day engagement columns + week-over-week deltas from canon_users,
+ *   and a Trend arrow (▲ / ▼ / ▬) from the summed deltas
  * - Preserves manual columns (Service, In Onboarding, Task Type, Create Task, etc)
  * - ✅ Service is overridden by org_info.Service (org-level manual) via Org ID
  * - ✅ Days since last Login now PREFERS canon_users.days_since_last_login
@@ -77,6 +79,44 @@ const SAURON_CFG = {
     'Org Sign Up Date'
   ],
 
+  // Rendered last, after EXTRA_HEADERS (canon_users engagement windows)
+  ENGAGEMENT_HEADERS: [
+    'Trend',
+    'Meetings 7d',
+    'Meetings 30d',
+    'Meetings 90d',
+    'Meetings WoW',
+    'Active Days 7d',
+    'Active Days 30d',
+    'Active Days 90d',
+    'Active Days WoW',
+    'Login Days 7d',
+    'Login Days 30d',
+    'Login Days 90d',
+    'Login Days WoW',
+    'Asks 30d'
+  ],
+
+  // Sauron header -> canon_users column
+  ENGAGEMENT_FIELDS: {
+    'Meetings 7d': 'meetings_recorded_7d',
+    'Meetings 30d': 'meetings_recorded_30d',
+    'Meetings 90d': 'meetings_recorded_90d',
+    'Meetings WoW': 'meetings_recorded_wow',
+    'Active Days 7d': 'active_days_7d',
+    'Active Days 30d': 'active_days_30d',
+    'Active Days 90d': 'active_days_90d',
+    'Active Days WoW': 'active_days_wow',
+    'Login Days 7d': 'login_days_7d',
+    'Login Days 30d': 'login_days_30d',
+    'Login Days 90d': 'login_days_90d',
+    'Login Days WoW': 'login_days_wow',
+    'Asks 30d': 'asks_30d'
+  },
+
+  // Week-over-week deltas summed into the Trend arrow
+  TREND_FROM: ['Meetings WoW', 'Active Days WoW', 'Login Days WoW'],
+
   MANUAL_HEADERS: new Set([
     'Service',
     'In Onboarding',
@@ -191,9 +231,11 @@ function render_sauron_view() {
       // Preserve manual values from existing Sauron (per-email)
       const existingManualByEmail = SAURON_readExistingManual_(sh)
 
-      const headers = SAURON_CFG.ENABLE_EXTRA_COLUMNS
+      // Engagement last: snap_users_daily keeps its columns and only gains new ones
+      const headers = (SAURON_CFG.ENABLE_EXTRA_COLUMNS
         ? SAURON_CFG.HEADERS.concat(SAURON_CFG.EXTRA_HEADERS)
-        : SAURON_CFG.HEADERS.slice()
+        : SAURON_CFG.HEADERS
+      ).concat(SAURON_CFG.ENGAGEMENT_HEADERS)
 
       // basic header sanity
       if (SAURON_DEBUG.ENABLED) {
@@ -370,6 +412,12 @@ function render_sauron_view() {
           'Org Sign Up Date': orgSignUpDate
         }
 
+        Object.keys(SAURON_CFG.ENGAGEMENT_FIELDS).forEach(h => {
+          const v = u[SAURON_CFG.ENGAGEMENT_FIELDS[h]]
+          baseRow[h] = v != null ? v : ''
+        })
+        baseRow['Trend'] = SAURON_trendArrow_(baseRow)
+
         if (SAURON_CFG.ENABLE_EXTRA_COLUMNS) {
           const orgMembers = orgId ? (memCounts.get(orgId) || '') : ''
 
@@ -691,6 +739,21 @@ function SAURON_computeActivation_(row) {
   return { score, stage }
 }
 
+/**
+ * ▲ / ▼ / ▬ from the sum of the TREND_FROM week-over-week deltas;
+ * blank when none of them is known (no PostHog or login history).
+ */
+function SAURON_trendArrow_(row) {
+  const deltas = SAURON_CFG.TREND_FROM
+    .map(h => row[h])
+    .filter(v => v !== '' && v != null && isFinite(Number(v)))
+    .map(Number)
+  if (!deltas.length) return ''
+
+  const sum = deltas.reduce((a, b) => a + b, 0)
+  return sum > 0 ? '▲' : sum < 0 ? '▼' : '▬'
+}
+
 function SAURON_activationMissing_(row) {
   const missing = []
   if (row['Cal Connected'] !== true) missing.push('calendar')
@@ -21,20 +21,34 @@
  * - Include trialing subscriptions ONLY when has_payment_method is true
  * - Exclude subscriptions listed in Manual Stripe Changes when effective reason
  *   (cancel_reason first, else exclude_reason) contains:
- *     "internal", "testing", or "duplicate" (case-insensitive)
+ *     any config "excluded_reason_terms" (default internal, testing,
+ *     duplicate; case-insensitive)
  * - If effective reason contains "free seat":
- *     monthly subscription amount -= 30 * quantity
- *     yearly subscription amount -= 288 * quantity
+ *     monthly subscription amount -= free_seat_monthly_discount (30) * quantity
+ *     yearly subscription amount -= free_seat_yearly_discount (288) * quantity
  * - Display status labels:
  *     active -> "Paid"
  *     trialing(+payment method) -> "Promo Trial"
  * - Exclude subscriptions where:
  *     discount_percent == 100 AND discount_duration == 'forever'
- * - Total Seats comes from quantity_total
+ * - Total Seats = quantity of seat items (raw_stripe_subscription_items;
+ *   add-on products from config "stripe_addon_product_ids" excluded),
+ *   quantity_total when the subscription has no item rows
  *
  * ARR/MRR calculation:
- * - If interval == "year":  ARR = amount, MRR = amount / 12
- * - If interval == "month": MRR = amount, ARR = amount * 12
+ * - MRR is summed per item, each at its own interval (Stripe
+ *   Subscription Items.js); Amount is that MRR in the seat item's
+ *   interval (x12 for yearly) so the free-seat discount still applies
+ * - Without item rows: amount from raw_stripe_subscriptions and
+ *   - If interval == "year":  ARR = amount, MRR = amount / 12
+ *   - If interval == "month": MRR = amount, ARR = amount * 12
+ * - MRR, ARR and the KPIs are net of every discount active today
+ *   (raw_stripe_discounts via Net MRR.js: amount_off, stacked coupons,
+ *   expiry); Amount is the list price
+ * - Discount % = share of list MRR discounted today
+ * - Currency / Amount are as billed; MRR, ARR and the KPIs are in the
+ *   reporting currency (Currency Rates.js, this month's rate). A
+ *   warning next to the KPIs names any non-reporting currencies
  *
  * Discount Duration display:
  * - 'forever' OR the number in discount_duration_months
@@ -100,6 +114,7 @@ const RING_CFG = {
     'Status',
     'First Payment At',     // ✅ NEW
     'Interval',
+    'Currency',
     'Amount',
     'MRR',
     'ARR',
@@ -109,25 +124,26 @@ const RING_CFG = {
     'Seats'
   ],
 
+  // Non-reporting-currency warning (Currency Rates.js), next to the KPI blocks
+  KPI_FX_NOTE_COL: 14,   // N
+
   // Formatting
   CURRENCY_FMT: '$#,##0.00',
+  AMOUNT_FMT: '#,##0.00',  // Amount is in the subscription's own currency
   INT_FMT: '0',
   PERCENT_FMT: '0.##%',
   TEXT_FMT: '@',
   DATETIME_FMT: 'yyyy-mm-dd hh:mm:ss' // ✅ NEW
 }
 
-const RING_EXCLUDED_REASON_TERMS = ['internal', 'testing', 'duplicate']
-const RING_FREE_SEAT_MONTHLY_DISCOUNT = 30
-const RING_FREE_SEAT_YEARLY_DISCOUNT = 288
-const RING_AUTO_PUBLISH_GOOD_STUFF = true
+// Exclusion terms + free-seat discounts live in the config tab (Config.js)
 
 function render_ring_view() {
-  lockWrapCompat_('render_ring_view', () => {
+  lockWrap('render_ring_view', () => {
     const t0 = new Date()
     try {
       const ss = SpreadsheetApp.getActive()
-      const sh = getOrCreateSheetCompat_(ss, RING_CFG.SHEET_NAME)
+      const sh = getOrCreateSheet(ss, RING_CFG.SHEET_NAME)
 
       const src = ss.getSheetByName(RING_CFG.INPUT_SHEET)
       if (!src) throw new Error(`Missing input sheet: ${RING_CFG.INPUT_SHEET}`)
@@ -139,18 +155,22 @@ function render_ring_view() {
       const clerkOrgsSh  = ss.getSheetByName(RING_CFG.CLERK_ORGS_SHEET)
       const posthogUsersSh = ss.getSheetByName(RING_CFG.POSTHOG_USERS_SHEET)
 
-      const clerkUsers = clerkUsersSh ? readSheetObjects_(clerkUsersSh, 1) : []
-      const clerkMems  = clerkMemsSh  ? readSheetObjects_(clerkMemsSh, 1)  : []
-      const clerkOrgs  = clerkOrgsSh  ? readSheetObjects_(clerkOrgsSh, 1)  : []
-      const posthogUsers = posthogUsersSh ? readSheetObjects_(posthogUsersSh, 1) : []
+      const clerkUsers = clerkUsersSh ? readSheetObjects(clerkUsersSh, 1) : []
+      const clerkMems  = clerkMemsSh  ? readSheetObjects(clerkMemsSh, 1)  : []
+      const clerkOrgs  = clerkOrgsSh  ? readSheetObjects(clerkOrgsSh, 1)  : []
+      const posthogUsers = posthogUsersSh ? readSheetObjects(posthogUsersSh, 1) : []
 
       const ringIndexes = buildRingIndexes_(clerkUsers, clerkMems, clerkOrgs, posthogUsers)
 
       // Stripe subscriptions
-      const rows = readSheetObjects_(src, 1)
+      const rows = readSheetObjects(src, 1)
       const manualChangesBySubId = buildManualStripeChangesBySubId_(manualChangesSrc)
+      const excludedTerms = CONFIG_get_('excluded_reason_terms')
+      const netCtx = NETMRR_context_(ss)
+      const asOf = new Date()
 
       const out = []
+      const includedCurrencies = []
       let combinedARR = 0
       let combinedSeats = 0
       let combinedSubs = 0
@@ -162,20 +182,20 @@ function render_ring_view() {
       let paidWithFirstPaymentSubs = 0
 
       for (const r of rows) {
-        const statusRaw = str_(r.status).toLowerCase()
+        const statusRaw = strOrBlank(r.status).toLowerCase()
         const hasPaymentMethod = toBool_(r.has_payment_method)
 
         const stripeSubscriptionId =
-          str_(r.stripe_subscription_id) ||
-          str_(r.subscription_id) ||
-          str_(r.subscription) ||
-          str_(r.id) ||
+          strOrBlank(r.stripe_subscription_id) ||
+          strOrBlank(r.subscription_id) ||
+          strOrBlank(r.subscription) ||
+          strOrBlank(r.id) ||
           ''
 
         const manualChange = stripeSubscriptionId ? (manualChangesBySubId.get(stripeSubscriptionId) || null) : null
         const manualReason = manualChange ? (manualChange.reason || '') : ''
         const manualQuantity = manualChange ? manualChange.quantity : 0
-        if (manualReason && RING_EXCLUDED_REASON_TERMS.some(term => manualReason.includes(term))) continue
+        if (manualReason && excludedTerms.some(term => manualReason.includes(term))) continue
 
         let displayStatus = ''
         if (statusRaw === 'active') displayStatus = 'Paid'
@@ -183,43 +203,48 @@ function render_ring_view() {
         else continue
 
         const discountPercentRaw = num_(r.discount_percent) // 0-100
-        const discountDuration = str_(r.discount_duration).toLowerCase()
+        const discountDuration = strOrBlank(r.discount_duration).toLowerCase()
         const discountDurationMonths = num_(r.discount_duration_months)
 
         // Exclude 100% forever discounts
         if (discountPercentRaw === 100 && discountDuration === 'forever') continue
 
-        const interval = str_(r.interval).toLowerCase()
+        const itemTotals = netCtx.itemTotalsBySubId.get(stripeSubscriptionId) || null
+        const interval = (itemTotals && itemTotals.interval) || strOrBlank(r.interval).toLowerCase()
 
         // Treat raw amount as whole dollars always (1800 => $1,800.00)
-        const amountRaw = moneyAmount_(r.amount)
+        const amountRaw = itemTotals ? moneyAmount_(amountFromMrr_(itemTotals.mrr, interval)) : moneyAmount_(r.amount)
         const amount = applyManualAmountOverride_(amountRaw, interval, manualReason, manualQuantity)
 
-        const { mrr, arr } = computeMrrArr_(amount, interval)
+        // MRR/ARR are net of the discounts active today (Net MRR.js); Amount stays list
+        const net = NETMRR_forSubscription_(r, netCtx, asOf, { list_mrr: computeMrrArr_(amount, interval).mrr })
+        const mrr = net.reporting_mrr
+        const arr = net.reporting_mrr * 12
 
-        // Seat count from quantity_total
-        const seats = safeInt_(r.quantity_total)
+        // Seat count from seat items (add-ons excluded), else quantity_total
+        const seats = itemTotals ? itemTotals.seats : safeInt_(r.quantity_total)
 
         // ✅ NEW: first payment at (ISO string from raw)
-        const firstPaymentAtIso = str_(r.first_payment_at)
+        const firstPaymentAtIso = strOrBlank(r.first_payment_at)
         const firstPaymentAtDate = isoToDateOrBlank_(firstPaymentAtIso) // Date object or ''
 
         // Stripe identifiers for enrichment
-        const stripeEmailRaw = str_(r.customer_email || r.email || r.billing_email)
-        const stripeEmailKey = normalizeEmailCompat_(stripeEmailRaw)
+        const stripeEmailRaw = strOrBlank(r.customer_email || r.email || r.billing_email)
+        const stripeEmailKey = normalizeEmail(stripeEmailRaw)
 
         const resolved = resolveRingCustomer_(stripeEmailKey, stripeSubscriptionId, ringIndexes)
 
         const email = resolved.email || stripeEmailRaw
-        const customerName = resolved.customerName || str_(r.customer_name || r.name)
-        const orgName = resolved.orgName || str_(r.org_name || r.organization_name || r.org)
+        const customerName = resolved.customerName || strOrBlank(r.customer_name || r.name)
+        const orgName = resolved.orgName || strOrBlank(r.org_name || r.organization_name || r.org)
 
-        const promoCode = str_(r.promo_code)
+        const promoCode = strOrBlank(r.promo_code)
         const durationDisplay = formatDiscountDuration_(discountDuration, discountDurationMonths)
 
-        // Convert percent to decimal for Sheets percent format (25 -> 0.25)
-        const discountPctDecimal = clamp01_(discountPercentRaw / 100)
+        // Share of list MRR discounted today, as a decimal for Sheets percent format (25 -> 0.25)
+        const discountPctDecimal = clamp01(net.discount_pct / 100)
 
+        includedCurrencies.push(net.currency)
         combinedSubs += 1
         combinedARR += arr
         combinedSeats += seats
@@ -243,9 +268,10 @@ function render_ring_view() {
           displayStatus,
           firstPaymentAtDate,   // ✅ NEW column value
           interval || '',
+          net.currency,
           amount,
-          mrr,
-          arr,
+          net.fx_missing ? '' : mrr,   // no rate: listed, but not in the KPIs
+          net.fx_missing ? '' : arr,
           discountPctDecimal,
           durationDisplay,
           promoCode,
@@ -272,7 +298,8 @@ function render_ring_view() {
           arr: paidWithFirstPaymentARR,
           subscriptions: paidWithFirstPaymentSubs,
           totalSeats: paidWithFirstPaymentSeats
-        }
+        },
+        fxWarning: FX_warning_(netCtx.fx, includedCurrencies)
       })
 
       // Headers
@@ -281,7 +308,7 @@ function render_ring_view() {
 
       // Data
       if (out.length) {
-        batchSetValuesCompat_(sh, RING_CFG.DATA_START_ROW, RING_CFG.START_COL, out, 3000)
+        batchSetValues(sh, RING_CFG.DATA_START_ROW, RING_CFG.START_COL, out, 3000)
       }
 
       // Formatting
@@ -290,7 +317,7 @@ function render_ring_view() {
       // Resize
       sh.autoResizeColumns(RING_CFG.START_COL, RING_CFG.HEADERS.length)
 
-      writeSyncLogCompat_(
+      writeSyncLog(
         'render_ring_view',
         'ok',
         rows.length,
@@ -299,26 +326,11 @@ function render_ring_view() {
         ''
       )
 
-      // Best effort: publish external dashboard after a successful Ring render.
-      // Do not fail Ring if publish encounters an external permission/network issue.
-      if (RING_AUTO_PUBLISH_GOOD_STUFF && typeof publish_the_good_stuff === 'function') {
-        try {
-          publish_the_good_stuff()
-        } catch (pubErr) {
-          writeSyncLogCompat_(
-            'publish_the_good_stuff (auto)',
-            'error',
-            '',
-            '',
-            '',
-            String(pubErr && pubErr.message ? pubErr.message : pubErr)
-          )
-        }
-      }
+      // The Good Stuff is published by its own pipeline step, after the data quality checks
 
       return { rows_in: rows.length, rows_out: out.length }
     } catch (err) {
-      writeSyncLogCompat_(
+      writeSyncLog(
         'render_ring_view',
         'error',
         '',
@@ -339,9 +351,9 @@ function buildRingIndexes_(clerkUsers, clerkMems, clerkOrgs, posthogUsers) {
   // org_id -> org_name
   const orgNameByOrgId = new Map()
   for (const o of (clerkOrgs || [])) {
-    const orgId = str_(o.org_id)
+    const orgId = strOrBlank(o.org_id)
     if (!orgId) continue
-    const name = str_(o.org_name) || str_(o.org_slug)
+    const name = strOrBlank(o.org_name) || strOrBlank(o.org_slug)
     if (name) orgNameByOrgId.set(orgId, name)
   }
 
@@ -349,13 +361,13 @@ function buildRingIndexes_(clerkUsers, clerkMems, clerkOrgs, posthogUsers) {
   const membershipsByEmailKey = new Map()
   for (const m of (clerkMems || [])) {
     const emailKey =
-      str_(m.email_key) ||
-      normalizeEmailCompat_(str_(m.email))
+      strOrBlank(m.email_key) ||
+      normalizeEmail(strOrBlank(m.email))
 
-    const orgId = str_(m.org_id)
+    const orgId = strOrBlank(m.org_id)
     if (!emailKey || !orgId) continue
 
-    const role = str_(m.role).toLowerCase()
+    const role = strOrBlank(m.role).toLowerCase()
     const isOwnerish =
       role.includes('owner') ||
       role.includes('admin') ||
@@ -371,14 +383,14 @@ function buildRingIndexes_(clerkUsers, clerkMems, clerkOrgs, posthogUsers) {
   const usersByStripeSubId = new Map()
   const usersByEmailKey = new Map()
   for (const u of (clerkUsers || [])) {
-    const subId = str_(u.stripe_subscription_id || u.stripeSubscriptionId)
+    const subId = strOrBlank(u.stripe_subscription_id || u.stripeSubscriptionId)
 
-    const email = str_(u.email)
-    const emailKey = str_(u.email_key) || normalizeEmailCompat_(email)
+    const email = strOrBlank(u.email)
+    const emailKey = strOrBlank(u.email_key) || normalizeEmail(email)
     if (!emailKey) continue
 
-    const name = str_(u.name)
-    const orgId = str_(u.org_id)
+    const name = strOrBlank(u.name)
+    const orgId = strOrBlank(u.org_id)
     const userObj = { email, emailKey, name, orgId }
 
     if (!usersByEmailKey.has(emailKey)) usersByEmailKey.set(emailKey, userObj)
@@ -392,10 +404,10 @@ function buildRingIndexes_(clerkUsers, clerkMems, clerkOrgs, posthogUsers) {
   // Fallback map from PostHog: stripe_subscription_id -> Set(email_key)
   const posthogEmailKeysByStripeSubId = new Map()
   for (const p of (posthogUsers || [])) {
-    const subId = str_(p.stripe_subscription_id || p.subscription_id || p.subscription)
+    const subId = strOrBlank(p.stripe_subscription_id || p.subscription_id || p.subscription)
     if (!subId) continue
 
-    const emailKey = str_(p.email_key) || normalizeEmailCompat_(str_(p.email))
+    const emailKey = strOrBlank(p.email_key) || normalizeEmail(strOrBlank(p.email))
     if (!emailKey) continue
 
     if (!posthogEmailKeysByStripeSubId.has(subId)) posthogEmailKeysByStripeSubId.set(subId, new Set())
@@ -412,7 +424,7 @@ function buildRingIndexes_(clerkUsers, clerkMems, clerkOrgs, posthogUsers) {
 }
 
 function resolveRingCustomer_(stripeEmailKey, stripeSubscriptionId, idx) {
-  const subId = str_(stripeSubscriptionId)
+  const subId = strOrBlank(stripeSubscriptionId)
   let candidates = (subId && idx.usersByStripeSubId.has(subId))
     ? idx.usersByStripeSubId.get(subId).slice()
     : []
@@ -479,7 +491,7 @@ function resolveRingCustomer_(stripeEmailKey, stripeSubscriptionId, idx) {
  * KPI + Formatting helpers
  * ========================= */
 
-function writeKpis_(sheet, { combined, paidOnly, paidWithFirstPayment }) {
+function writeKpis_(sheet, { combined, paidOnly, paidWithFirstPayment, fxWarning }) {
   const combinedCols = RING_CFG.KPI_COLS.COMBINED
   const paidCols = RING_CFG.KPI_COLS.PAID_ONLY
   const paidWithFirstPaymentCols = RING_CFG.KPI_COLS.PAID_WITH_FIRST_PAYMENT
@@ -512,6 +524,11 @@ function writeKpis_(sheet, { combined, paidOnly, paidWithFirstPayment }) {
   formatKpiGroup_(sheet, paidCols)
   formatKpiGroup_(sheet, paidWithFirstPaymentCols)
 
+  sheet.getRange(RING_CFG.KPI_ROW_VALUE, RING_CFG.KPI_FX_NOTE_COL)
+    .setValue(fxWarning || '')
+    .setFontColor('#b45309')
+    .setWrap(true)
+
   sheet.getRange(1, 1, 2, Math.max(sheet.getLastColumn(), 14)).setVerticalAlignment('middle')
 }
 
@@ -553,7 +570,7 @@ function applyRingFormats_(sheet, numDataRows) {
   // ✅ date format
   sheet.getRange(startRow, colFirstPay, nRows, 1).setNumberFormat(RING_CFG.DATETIME_FMT)
 
-  sheet.getRange(startRow, colAmount, nRows, 1).setNumberFormat(RING_CFG.CURRENCY_FMT)
+  sheet.getRange(startRow, colAmount, nRows, 1).setNumberFormat(RING_CFG.AMOUNT_FMT)
   sheet.getRange(startRow, colMrr, nRows, 1).setNumberFormat(RING_CFG.CURRENCY_FMT)
   sheet.getRange(startRow, colArr, nRows, 1).setNumberFormat(RING_CFG.CURRENCY_FMT)
 
@@ -579,6 +596,13 @@ function computeMrrArr_(amount, interval) {
   return { mrr: amt, arr: amt * 12 }
 }
 
+/** Inverse of computeMrrArr_: the billed amount for `interval` that gives this MRR. */
+function amountFromMrr_(mrr, interval) {
+  const intv = String(interval || '').toLowerCase().trim()
+  if (intv === 'year' || intv === 'annual' || intv === 'yr') return mrr * 12
+  return mrr
+}
+
 function moneyAmount_(raw) {
   if (raw === null || raw === undefined || raw === '') return 0
   const n = num_(raw)
@@ -594,12 +618,6 @@ function formatDiscountDuration_(duration, durationMonths) {
   return ''
 }
 
-function clamp01_(n) {
-  const x = Number(n)
-  if (!isFinite(x)) return 0
-  return Math.max(0, Math.min(1, x))
-}
-
 function isoToDateOrBlank_(iso) {
   const s = String(iso || '').trim()
   if (!s) return ''
@@ -612,12 +630,12 @@ function buildManualStripeChangesBySubId_(sheet) {
   const out = new Map()
   if (!sheet) return out
 
-  const rows = readSheetObjects_(sheet, 1)
+  const rows = readSheetObjects(sheet, 1)
   for (const r of rows) {
     const subId =
-      str_(r.subscription_id) ||
-      str_(r.stripe_subscription_id) ||
-      str_(r.subscription) ||
+      strOrBlank(r.subscription_id) ||
+      strOrBlank(r.stripe_subscription_id) ||
+      strOrBlank(r.subscription) ||
       ''
     if (!subId) continue
 
@@ -642,11 +660,11 @@ function buildManualStripeChangesBySubId_(sheet) {
 }
 
 function pickManualReason_(row) {
-  const cancelReason = str_(row.cancel_reason).toLowerCase()
+  const cancelReason = strOrBlank(row.cancel_reason).toLowerCase()
   if (cancelReason) return cancelReason
-  const excludeReason = str_(row.exclude_reason).toLowerCase()
+  const excludeReason = strOrBlank(row.exclude_reason).toLowerCase()
   if (excludeReason) return excludeReason
-  return str_(row.free_seats || row.free_seat).toLowerCase()
+  return strOrBlank(row.free_seats || row.free_seat).toLowerCase()
 }
 
 function applyManualAmountOverride_(amount, interval, reason, quantity) {
@@ -658,49 +676,15 @@ function applyManualAmountOverride_(amount, interval, reason, quantity) {
 
   if (!why.includes('free seat')) return amt
   if (!qty) return amt
-  if (intv === 'month') return Math.max(0, amt - (RING_FREE_SEAT_MONTHLY_DISCOUNT * qty))
-  if (intv === 'year') return Math.max(0, amt - (RING_FREE_SEAT_YEARLY_DISCOUNT * qty))
+  if (intv === 'month') return Math.max(0, amt - (CONFIG_get_('free_seat_monthly_discount') * qty))
+  if (intv === 'year') return Math.max(0, amt - (CONFIG_get_('free_seat_yearly_discount') * qty))
   return amt
 }
 
-/* =========================
- * Sheet reading helpers
- * ========================= */
-
-function readSheetObjects_(sheet, headerRow) {
-  const lastRow = sheet.getLastRow()
-  const lastCol = sheet.getLastColumn()
-  if (lastRow < headerRow + 1) return []
-
-  const header = sheet.getRange(headerRow, 1, 1, lastCol).getValues()[0].map(h => String(h || '').trim())
-  const data = sheet.getRange(headerRow + 1, 1, lastRow - headerRow, lastCol).getValues()
-
-  return data.map(r => {
-    const obj = {}
-    header.forEach((h, i) => {
-      if (!h) return
-      obj[key_(h)] = r[i]
-    })
-    return obj
-  })
-}
-
-function key_(h) {
-  return String(h || '')
-    .trim()
-    .toLowerCase()
-    .replace(/\s+/g, '_')
-}
-
 /* =========================
  * Tiny helpers
  * ========================= */
 
-function str_(v) {
-  if (v === null || v === undefined) return ''
-  return String(v).trim()
-}
-
 function num_(v) {
   if (v === null || v === undefined || v === '') return 0
   if (typeof v === 'number') return v
@@ -721,45 +705,3 @@ function toBool_(v) {
   const s = String(v || '').trim().toLowerCase()
   return s === 'true' || s === '1' || s === 'yes' || s === 'y'
 }
-
-function normalizeEmailCompat_(email) {
-  if (typeof normalizeEmail === 'function') return normalizeEmail(email)
-  return String(email || '').trim().toLowerCase()
-}
-
-/* =========================
- * Compatibility wrappers
- * ========================= */
-
-function getOrCreateSheetCompat_(ss, name) {
-  if (typeof getOrCreateSheet === 'function') {
-    try { return getOrCreateSheet(ss, name) } catch (e) {}
-    try { return getOrCreateSheet(name) } catch (e) {}
-  }
-  const sh = ss.getSheetByName(name)
-  return sh || ss.insertSheet(name)
-}
-
-function batchSetValuesCompat_(sheet, startRow, startCol, values, chunkSize) {
-  if (typeof batchSetValues === 'function') return batchSetValues(sheet, startRow, startCol, values, chunkSize)
-  const size = chunkSize || 2000
-  for (let i = 0; i < values.length; i += size) {
-    const chunk = values.slice(i, i + size)
-    sheet.getRange(startRow + i, startCol, chunk.length, chunk[0].length).setValues(chunk)
-  }
-}
-
-function lockWrapCompat_(lockName, fn) {
-  if (typeof lockWrap === 'function') {
-    try { return lockWrap(lockName, fn) } catch (e) { return lockWrap(fn) }
-  }
-  const lock = LockService.getScriptLock()
-  const ok = lock.tryLock(300000)
-  if (!ok) throw new Error(`Could not acquire lock: ${lockName}`)
-  try { return fn() } finally { lock.releaseLock() }
-}
-
-function writeSyncLogCompat_(step, status, rowsIn, rowsOut, seconds, error) {
-  if (typeof writeSyncLog === 'function') return writeSyncLog(step, status, rowsIn, rowsOut, seconds, error || '')
-  Logger.log(`[SYNCLOG missing] ${step} ${status} rows_in=${rowsIn} rows_out=${rowsOut} seconds=${seconds} error=${error || ''}`)
-}
@@ -1,78 +1,121 @@
 /**************************************************************
  * run_daily_pipeline()
  *
- * Orchestrates the daily job in the recommended order.
+ * Orchestrates the daily job: every step in PIPELINE_STEPS
+ * (Pipeline DAG.js), in dependency order.
  *
- * Order:
+ * Order (computed from each step's reads/writes):
  * 1) Clerk raw pulls + login event sync
  * 2) Stripe raw pull
  * 3) PostHog raw pull
- * 4) build_canon_orgs
- * 5) build_canon_users
- * 6) render_sauron_view
+ * 4) build_canon_orgs / build_canon_users
+ * 5) org_info, ARR + analytics sheets (no backfill), Paying Users snapshot
+ * 6) Sauron, The Ring, Conversion & Onboarding stats
  * 7) writeSyncLog summary
- * 8) ARR + analytics sheets (no backfill)
- * 9) Paying Users snapshot
  *
  * Notes:
  * - Each step is wrapped so one failure does not stop later steps
  * - Whole pipeline is protected by LockService to avoid overlaps
+ * - Resumable: if an execution runs out of time the run pauses and
+ *   run_daily_pipeline_continue() picks it up (Pipeline Run State.js);
+ *   all sync_log rows of the run share one run_id
+ * - sync_log rows carry run_id / trigger_source / parent_step / attempt;
+ *   see the "Pipeline Runs" view (Pipeline Runs.js)
  * - Uses writeSyncLog(step, status, rows_in, rows_out, seconds, error)
  * - Compatible with either lockWrap(lockName, fn) OR lockWrap(fn)
  **************************************************************/
 
-function run_daily_pipeline() {
-  lockWrapCompat_('run_daily_pipeline', () => {
-    const pipelineStart = new Date()
-    const results = []
+function run_daily_pipeline(e) {
+  // Time-driven triggers pass an event with triggerUid; menu clicks already have a run (source "menu")
+  const triggerSource = e && e.triggerUid ? 'trigger' : 'manual'
 
-    const steps = [
-      { name: 'clerk_pull_users_to_raw',         fn: clerk_pull_users_to_raw },
-      { name: 'clerk_pull_orgs_to_raw',          fn: clerk_pull_orgs_to_raw },
-      { name: 'clerk_pull_memberships_to_raw',   fn: clerk_pull_memberships_to_raw },
+  return runInSyncLogRun('run_daily_pipeline', { trigger_source: triggerSource }, () =>
+    lockWrap('run_daily_pipeline', () => {
+      RUNSTATE_begin_('run_daily_pipeline')
+      return runDailyPipelineExecution_()
+    })
+  )
+}
+
+/**
+ * Continuation trigger handler (scheduled by a paused run).
+ * Picks the run back up from the ledger in a fresh execution.
+ */
+function run_daily_pipeline_continue() {
+  const pending = RUNSTATE_load_()
+  if (!pending) {
+    RUNSTATE_deleteContinuationTriggers_()
+    return { status: 'nothing_to_continue' }
+  }
+
+  // Killed (not paused) every time: give up rather than loop on the watchdog
+  if (Number(pending.executions || 0) >= RUNSTATE_CFG.MAX_EXECUTIONS) {
+    const runOpts = { run_id: pending.run_id, trigger_source: 'continuation', attempts: pending.attempts }
+    return runInSyncLogRun('run_daily_pipeline', runOpts, () => {
+      writeSyncLog(pending.pipeline, 'abandoned', '', '', pending.seconds, `gave up after ${pending.executions} executions`)
+      RUNSTATE_finish_()
+      return { run_id: pending.run_id, status: 'abandoned' }
+    })
+  }
+
+  const runOpts = { run_id: pending.run_id, trigger_source: 'continuation', attempts: pending.attempts }
+  return runInSyncLogRun('run_daily_pipeline', runOpts, () =>
+    lockWrap('run_daily_pipeline_continue', () => {
+      if (!RUNSTATE_resume_()) return { status: 'nothing_to_continue' }
+      return runDailyPipelineExecution_()
+    })
+  )
+}
 
-      // Your existing login history job (append-only login_events + clerk_master rollups)
-      { name: 'syncClerkUsers',                  fn: syncClerkUsers },
+/**
+ * One execution's share of the active run. Either finishes the run
+ * (summary row) or pauses it and schedules the continuation.
+ */
+function runDailyPipelineExecution_() {
+  const ledger = RUNSTATE_ACTIVE
 
-      { name: 'stripe_pull_subscriptions_to_raw', fn: stripe_pull_subscriptions_to_raw },
-      { name: 'posthog_pull_user_metrics_to_raw', fn: posthog_pull_user_metrics_to_raw },
+  // Armed before any work: if Apps Script kills this execution mid-step
+  // (no cooperative yield), the watchdog still continues the run
+  RUNSTATE_scheduleContinuation_(RUNSTATE_CFG.WATCHDOG_AFTER_MS)
 
-      { name: 'build_canon_orgs',                fn: build_canon_orgs },
-      { name: 'build_canon_users',               fn: build_canon_users },
-      { name: 'render_org_info_view',            fn: render_org_info_view },
+  try {
+    // Steps, order and dependencies live in PIPELINE_STEPS (Pipeline DAG.js).
+    // force: every step runs even if an earlier one failed.
+    PIPELINE_runFrom_(PIPELINE_STEPS.map(s => s.name), { force: true, resumable: true })
+  } catch (err) {
+    if (!RUNSTATE_isYield_(err)) throw err
 
-      { name: 'render_arr_raw_data_view',        fn: render_arr_raw_data_view },
-      { name: 'write_arr_snapshot',              fn: write_arr_snapshot },
-      { name: 'render_arr_waterfall_facts',      fn: render_arr_waterfall_facts },
-      { name: 'render_paying_users_snapshot',    fn: render_paying_users_snapshot },
+    const seconds = RUNSTATE_addExecutionSeconds_()
+    RUNSTATE_scheduleContinuation_()
+    writeSyncLog('run_daily_pipeline', 'continued', '', '', seconds, `paused at ${err.step} (execution ${ledger.executions})`)
+    return { run_id: ledger.run_id, status: 'continued', paused_at: err.step }
+  }
 
-      { name: 'render_sauron_view',              fn: render_sauron_view },
-      { name: 'render_ring_view',                fn: render_ring_view },
+  // Final pipeline summary row (covers every execution of this run)
+  RUNSTATE_addExecutionSeconds_()
+  const totalSeconds = ledger.seconds
+  const results = ledger.results
+  const errors = results.filter(r => r.status === 'error')
 
-      { name: 'render_conversion_onboarding_stats', fn: render_conversion_onboarding_stats }
-    ]
+  writeSyncLog(
+    'run_daily_pipeline',
+    errors.length ? 'error' : 'ok',
+    '',
+    '',
+    totalSeconds,
+    errors.length ? safeJson(errors) : ''
+  )
 
-    for (const step of steps) {
-      const t0 = new Date()
-      const res = runStepSafe_(step.name, step.fn, t0)
-      results.push(res)
-    }
+  RUNSTATE_finish_()
+
+  // Best effort: refresh the run history view; never fail the run over it
+  try {
+    render_pipeline_runs_view()
+  } catch (err) {
+    Logger.log(`render_pipeline_runs_view failed: ${err && err.message ? err.message : err}`)
+  }
 
-    // Final pipeline summary row
-    const totalSeconds = ((new Date()) - pipelineStart) / 1000
-    const errors = results.filter(r => r.status === 'error')
-
-    writeSyncLog(
-      'run_daily_pipeline',
-      errors.length ? 'error' : 'ok',
-      '',
-      '',
-      totalSeconds,
-      errors.length ? safeJson_(errors) : ''
-    )
-
-    return { total_seconds: totalSeconds, steps: results }
-  })
+  return { run_id: ledger.run_id, total_seconds: totalSeconds, executions: ledger.executions, steps: results }
 }
 
 /**
@@ -103,7 +146,7 @@ function runStepSafe_(name, fn, t0) {
   ])
 
   try {
-    const out = fn() // may return { rows_in, rows_out }
+    const out = withSyncLogStep(name, fn) // may return { rows_in, rows_out }
     const seconds = ((new Date()) - t0) / 1000
 
     const rowsIn = out && out.rows_in != null ? out.rows_in : ''
@@ -115,6 +158,9 @@ function runStepSafe_(name, fn, t0) {
 
     return { step: name, status: 'ok', seconds, rows_in: rowsIn, rows_out: rowsOut }
   } catch (err) {
+    // A paused step is not a failure; let the run handle it
+    if (RUNSTATE_isYield_(err)) throw err
+
     const seconds = ((new Date()) - t0) / 1000
     const msg = String(err && err.message ? err.message : err)
 
@@ -125,45 +171,3 @@ function runStepSafe_(name, fn, t0) {
     return { step: name, status: 'error', seconds, error: msg }
   }
 }
-
-/* =========================
- * Compatibility wrapper (LockService)
- * ========================= */
-
-function lockWrap(lockNameOrFn, maybeFn) {
-  let lockName = 'lockWrap'
-  let fn = lockNameOrFn
-
-  // Support: lockWrap('name', fn)
-  if (typeof lockNameOrFn === 'string') {
-    lockName = lockNameOrFn
-    fn = maybeFn
-  }
-
-  // Support: lockWrap(fn)
-  if (typeof fn !== 'function') {
-    throw new Error('lockWrap: fn must be a function')
-  }
-
-  const lock = LockService.getScriptLock()
-  const ok = lock.tryLock(300000) // 5 minutes
-  if (!ok) throw new Error(`Could not acquire lock: ${lockName}`)
-
-  try {
-    return fn()
-  } finally {
-    lock.releaseLock()
-  }
-}
-
-/* =========================
- * Small helper
- * ========================= */
-
-function safeJson_(obj) {
-  try {
-    return JSON.stringify(obj)
-  } catch (e) {
-    return String(obj)
-  }
-}
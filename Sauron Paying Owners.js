@@ -54,14 +54,14 @@ const SAURON_OWNER_CFG = {
 }
 
 function render_sauron_paying_owners() {
-  return lockWrapCompat_('render_sauron_paying_owners', () => {
+  return lockWrap('render_sauron_paying_owners', () => {
     const t0 = new Date()
     const ss = SpreadsheetApp.getActive()
 
     const src = ss.getSheetByName(SAURON_OWNER_CFG.SOURCE_SHEET)
     if (!src) throw new Error(`Source sheet not found: ${SAURON_OWNER_CFG.SOURCE_SHEET}`)
 
-    const outSheet = getOrCreateSheetCompat_(ss, SAURON_OWNER_CFG.OUT_SHEET)
+    const outSheet = getOrCreateSheet(ss, SAURON_OWNER_CFG.OUT_SHEET)
 
     // ---- Read Sauron headers (contiguous from B3) ----
     const maxColsFromStart = src.getLastColumn() - SAURON_OWNER_CFG.START_COL + 1
@@ -177,7 +177,7 @@ function SAURON_ownerWriteOut_(sheet, headers, rows) {
   sheet.getRange(1, 1, 1, headers.length).setValues([headers])
   sheet.setFrozenRows(1)
   if (rows && rows.length) {
-    batchSetValuesCompat_(sheet, 2, 1, rows, SAURON_OWNER_CFG.WRITE_CHUNK)
+    batchSetValues(sheet, 2, 1, rows, SAURON_OWNER_CFG.WRITE_CHUNK)
   }
   sheet.autoResizeColumns(1, headers.length)
 }
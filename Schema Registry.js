@@ -0,0 +1,400 @@
+/**************************************************************
+ * Schema registry (contracts for raw_* / canon_* tabs)
+ *
+ * Jobs look columns up by header text, so a renamed or missing
+ * header used to turn into silent blanks downstream. Each tab
+ * below declares the columns its consumers rely on:
+ *
+ *   { name, type, required }
+ *   type: string | number | boolean | date | json
+ *
+ * - SCHEMA_assertTabs_(tabs) runs before every pipeline step on the
+ *   tabs it reads (Pipeline DAG.js). It throws one error naming the
+ *   tab and every missing required column / mistyped value
+ * - Only declared columns are checked; extra columns are fine.
+ *   Types are checked on the first SAMPLE_ROWS non-blank values
+ * - SCHEMA_recordDrift_(tab, step) runs after each raw pull and
+ *   appends to "schema_drift" when the tab's header gained or lost
+ *   columns since the last pull (last header kept in Script
+ *   Properties under SCHEMA_HEADERS_<tab>)
+ **************************************************************/
+
+const SCHEMA_CFG = {
+  DRIFT_SHEET: 'schema_drift',
+  DRIFT_HEADERS: ['detected_at', 'tab', 'step', 'added_columns', 'removed_columns', 'missing_required', 'run_id'],
+  HEADERS_PROP_PREFIX: 'SCHEMA_HEADERS_',
+  SAMPLE_ROWS: 200
+}
+
+const SCHEMA_TABS = {
+  raw_stripe_subscriptions: {
+    header_row: 1,
+    columns: [
+      { name: 'stripe_subscription_id', type: 'string', required: true },
+      { name: 'status', type: 'string', required: true },
+      { name: 'created_at', type: 'date', required: true },
+      { name: 'first_payment_at', type: 'date' },
+      { name: 'stripe_customer_id', type: 'string', required: true },
+      { name: 'customer_email', type: 'string', required: true },
+      { name: 'has_payment_method', type: 'boolean', required: true },
+      { name: 'interval', type: 'string', required: true },
+      { name: 'quantity_total', type: 'number', required: true },
+      { name: 'amount_monthly', type: 'number', required: true },
+      { name: 'amount_yearly', type: 'number', required: true },
+      { name: 'discount_percent', type: 'number' },
+      { name: 'promo_code', type: 'string' },
+      { name: 'cancel_at_period_end', type: 'boolean' },
+      { name: 'metadata_json', type: 'json' }
+    ]
+  },
+  raw_stripe_subscription_items: {
+    header_row: 1,
+    columns: [
+      { name: 'stripe_subscription_id', type: 'string', required: true },
+      { name: 'stripe_item_id', type: 'string', required: true },
+      { name: 'product_id', type: 'string', required: true },
+      { name: 'price_id', type: 'string', required: true },
+      { name: 'interval', type: 'string', required: true },
+      { name: 'interval_count', type: 'number', required: true },
+      { name: 'usage_type', type: 'string' },
+      { name: 'quantity', type: 'number', required: true },
+      { name: 'unit_amount', type: 'number', required: true },
+      { name: 'tiered', type: 'boolean', required: true }
+    ]
+  },
+  raw_stripe_discounts: {
+    header_row: 1,
+    columns: [
+      { name: 'stripe_subscription_id', type: 'string', required: true },
+      { name: 'stripe_discount_id', type: 'string', required: true },
+      { name: 'coupon_id', type: 'string' },
+      { name: 'percent_off', type: 'number' },
+      { name: 'amount_off', type: 'number' },
+      { name: 'currency', type: 'string' },
+      { name: 'duration', type: 'string', required: true },
+      { name: 'duration_in_months', type: 'number' },
+      { name: 'start_at', type: 'date' },
+      { name: 'end_at', type: 'date' }
+    ]
+  },
+  raw_stripe_invoices: {
+    header_row: 1,
+    columns: [
+      { name: 'stripe_invoice_id', type: 'string', required: true },
+      { name: 'stripe_subscription_id', type: 'string', required: true },
+      { name: 'stripe_customer_id', type: 'string', required: true },
+      { name: 'status', type: 'string', required: true },
+      { name: 'billing_reason', type: 'string' },
+      { name: 'discount_amount', type: 'number' },
+      { name: 'tax', type: 'number' },
+      { name: 'amount_due', type: 'number', required: true },
+      { name: 'amount_paid', type: 'number', required: true },
+      { name: 'period_start', type: 'date' },
+      { name: 'period_end', type: 'date' },
+      { name: 'created_at', type: 'date', required: true },
+      { name: 'paid_at', type: 'date' },
+      { name: 'attempt_count', type: 'number' }
+    ]
+  },
+  raw_clerk_users: {
+    header_row: 1,
+    columns: [
+      { name: 'clerk_user_id', type: 'string', required: true },
+      { name: 'email', type: 'string', required: true },
+      { name: 'email_key', type: 'string', required: true },
+      { name: 'name', type: 'string' },
+      { name: 'created_at', type: 'date', required: true },
+      { name: 'org_id', type: 'string' },
+      { name: 'last_sign_in_at', type: 'date' },
+      { name: 'last_login_date', type: 'date' },
+      { name: 'login_count', type: 'number' },
+      { name: 'stripe_customer_id', type: 'string' },
+      { name: 'stripe_subscription_id', type: 'string' },
+      { name: 'private_meta_json', type: 'json' },
+      { name: 'deleted_at', type: 'date' },
+      { name: 'is_deleted', type: 'boolean' }
+    ]
+  },
+  raw_clerk_orgs: {
+    header_row: 1,
+    columns: [
+      { name: 'org_id', type: 'string', required: true },
+      { name: 'org_name', type: 'string', required: true },
+      { name: 'org_slug', type: 'string' },
+      { name: 'created_at', type: 'date', required: true },
+      { name: 'members_count', type: 'number' },
+      { name: 'org_owner_user_id', type: 'string' },
+      { name: 'deleted_at', type: 'date' },
+      { name: 'is_deleted', type: 'boolean' }
+    ]
+  },
+  raw_clerk_memberships: {
+    header_row: 1,
+    columns: [
+      { name: 'org_id', type: 'string', required: true },
+      { name: 'clerk_user_id', type: 'string', required: true },
+      { name: 'email', type: 'string' },
+      { name: 'email_key', type: 'string', required: true },
+      { name: 'role', type: 'string', required: true },
+      { name: 'created_at', type: 'date' },
+      { name: 'membership_id', type: 'string' },
+      { name: 'deleted_at', type: 'date' },
+      { name: 'is_deleted', type: 'boolean' }
+    ]
+  },
+  raw_clerk_sessions: {
+    header_row: 1,
+    columns: [
+      { name: 'session_id', type: 'string', required: true },
+      { name: 'clerk_user_id', type: 'string', required: true },
+      { name: 'email', type: 'string' },
+      { name: 'status', type: 'string', required: true },
+      { name: 'created_at', type: 'date', required: true },
+      { name: 'last_active_at', type: 'date' },
+      { name: 'updated_at', type: 'date' },
+      { name: 'is_mobile', type: 'boolean' }
+    ]
+  },
+  raw_posthog_user_metrics: {
+    header_row: 1,
+    columns: [
+      { name: 'email_key', type: 'string', required: true },
+      { name: 'meetings_recorded', type: 'number', required: true },
+      { name: 'hours_recorded', type: 'number' },
+      { name: 'client_page_views', type: 'number', required: true },
+      { name: 'active_days', type: 'number', required: true },
+      { name: 'last_active_date', type: 'date' },
+      { name: 'clients_count', type: 'number' },
+      { name: 'calendar_connected', type: 'boolean' },
+      { name: 'first_calendar_connected_date', type: 'date' },
+      { name: 'email_connected', type: 'boolean' },
+      { name: 'first_email_connected_date', type: 'date' },
+      { name: 'events_7d', type: 'number' },
+      { name: 'active_days_7d', type: 'number' },
+      { name: 'events_30d', type: 'number' },
+      { name: 'active_days_30d', type: 'number' },
+      { name: 'active_days_90d', type: 'number' },
+      { name: 'active_days_prev_7d', type: 'number' }
+    ]
+  },
+  raw_posthog_user_daily: {
+    header_row: 1,
+    columns: [
+      { name: 'email_key', type: 'string', required: true },
+      { name: 'date', type: 'date', required: true },
+      { name: 'events', type: 'number', required: true },
+      { name: 'meetings_recorded', type: 'number', required: true },
+      { name: 'hours_recorded', type: 'number' },
+      { name: 'asks', type: 'number' },
+      { name: 'page_views', type: 'number' }
+    ]
+  },
+  raw_posthog_org_metrics: {
+    header_row: 1,
+    columns: [
+      { name: 'org_id', type: 'string', required: true },
+      { name: 'members_count', type: 'number', required: true },
+      { name: 'active_users_7d', type: 'number', required: true },
+      { name: 'active_users_30d', type: 'number', required: true },
+      { name: 'meetings_recorded', type: 'number' },
+      { name: 'hours_recorded', type: 'number' },
+      { name: 'clients_count', type: 'number' },
+      { name: 'integrations', type: 'string' },
+      { name: 'last_activity_date', type: 'date' }
+    ]
+  },
+  funnel_steps: {
+    header_row: 1,
+    columns: [
+      { name: 'level', type: 'string', required: true },
+      { name: 'key', type: 'string', required: true },
+      { name: 'org_id', type: 'string' },
+      { name: 'cohort_month', type: 'string', required: true },
+      { name: 'signup', type: 'date', required: true },
+      { name: 'steps_reached', type: 'number', required: true },
+      { name: 'last_step', type: 'string' }
+    ]
+  },
+  canon_orgs: {
+    header_row: 1,
+    columns: [
+      { name: 'org_id', type: 'string', required: true },
+      { name: 'org_name', type: 'string', required: true },
+      { name: 'is_paying', type: 'boolean', required: true },
+      { name: 'seats', type: 'number' },
+      { name: 'service', type: 'string' },
+      { name: 'white_glove', type: 'boolean' },
+      { name: 'in_onboarding', type: 'boolean' },
+      { name: 'billing_email', type: 'string' },
+      { name: 'billing_customer_id', type: 'string', required: true },
+      { name: 'active_users_30d', type: 'number' },
+      { name: 'seat_utilization', type: 'number' },
+      { name: 'meetings_recorded', type: 'number' },
+      { name: 'hours_recorded', type: 'number' },
+      { name: 'clients_count', type: 'number' },
+      { name: 'integrations', type: 'string' },
+      { name: 'last_activity_date', type: 'date' },
+      { name: 'is_deleted', type: 'boolean' }
+    ]
+  },
+  canon_users: {
+    header_row: 1,
+    columns: [
+      { name: 'email_key', type: 'string', required: true },
+      { name: 'email', type: 'string', required: true },
+      { name: 'clerk_user_id', type: 'string', required: true },
+      { name: 'org_id', type: 'string', required: true },
+      { name: 'org_role', type: 'string' },
+      { name: 'logged_in_days_count', type: 'number' },
+      { name: 'logged_in_weeks_count', type: 'number' },
+      { name: 'sessions_count', type: 'number' },
+      { name: 'sessions_per_week', type: 'number' },
+      { name: 'last_login_date', type: 'date' },
+      { name: 'days_since_last_login', type: 'number' },
+      { name: 'meetings_recorded', type: 'number' },
+      { name: 'active_days', type: 'number' },
+      { name: 'meetings_recorded_30d', type: 'number' },
+      { name: 'meetings_recorded_wow', type: 'number' },
+      { name: 'active_days_30d', type: 'number' },
+      { name: 'active_days_wow', type: 'number' },
+      { name: 'login_days_30d', type: 'number' },
+      { name: 'login_days_wow', type: 'number' },
+      { name: 'is_deleted', type: 'boolean' }
+    ]
+  },
+  arr_snapshot: {
+    header_row: 1,
+    columns: [
+      { name: 'snapshot_date', type: 'date', required: true },
+      { name: 'org_id', type: 'string', required: true },
+      { name: 'org_name', type: 'string' },
+      { name: 'trial_start_date', type: 'date', required: true },
+      { name: 'subscription_start_date', type: 'date', required: true },
+      { name: 'purchase_date', type: 'date', required: true },
+      { name: 'trial_cohort_month', type: 'date', required: true },
+      { name: 'total_arr', type: 'number', required: true },
+      { name: 'bom_arr', type: 'number' },
+      { name: 'eom_arr', type: 'number' }
+    ]
+  }
+}
+
+/* =========================
+ * Validation
+ * ========================= */
+
+/**
+ * Validates every registered tab in `tabs` (unregistered names and
+ * tabs that do not exist yet are ignored). Throws on any violation.
+ */
+function SCHEMA_assertTabs_(tabs) {
+  const ss = SpreadsheetApp.getActive()
+  const problems = []
+
+  ;(tabs || []).forEach(tab => {
+    if (!SCHEMA_TABS[tab]) return
+    const sh = ss.getSheetByName(tab)
+    if (!sh) return
+    const issues = SCHEMA_validate_(tab, sh)
+    if (issues.length) problems.push(`${tab}: ${issues.join('; ')}`)
+  })
+
+  if (problems.length) throw new Error(`Schema check failed. ${problems.join(' | ')}`)
+}
+
+/** Returns a list of human-readable problems for one tab (empty = ok). */
+function SCHEMA_validate_(tab, sh) {
+  const schema = SCHEMA_TABS[tab]
+  const lastCol = sh.getLastColumn()
+  if (sh.getLastRow() < schema.header_row || lastCol < 1) return []
+
+  const header = sh.getRange(schema.header_row, 1, 1, lastCol).getValues()[0].map(h => String(h || '').trim())
+  const colByName = {}
+  header.forEach((h, i) => { if (h && colByName[h] == null) colByName[h] = i })
+
+  const issues = []
+  const missing = schema.columns.filter(c => c.required && colByName[c.name] == null).map(c => c.name)
+  if (missing.length) issues.push(`missing required column${missing.length > 1 ? 's' : ''} ${missing.join(', ')}`)
+
+  const dataRows = Math.min(sh.getLastRow() - schema.header_row, SCHEMA_CFG.SAMPLE_ROWS)
+  if (dataRows < 1) return issues
+  const data = sh.getRange(schema.header_row + 1, 1, dataRows, lastCol).getValues()
+
+  schema.columns.forEach(c => {
+    const idx = colByName[c.name]
+    if (idx == null) return
+    for (let r = 0; r < data.length; r++) {
+      const v = data[r][idx]
+      if (v === '' || v == null) continue
+      if (!SCHEMA_matchesType_(v, c.type)) {
+        issues.push(`column ${c.name} should be ${c.type} (row ${schema.header_row + 1 + r}: ${JSON.stringify(String(v).slice(0, 40))})`)
+        break
+      }
+    }
+  })
+
+  return issues
+}
+
+function SCHEMA_matchesType_(v, type) {
+  if (type === 'string') return true
+  if (type === 'number') return typeof v === 'number' ? isFinite(v) : String(v).trim() !== '' && isFinite(Number(v))
+  if (type === 'boolean') return typeof v === 'boolean' || /^(true|false|yes|no)$/i.test(String(v).trim())
+  if (type === 'date') return v instanceof Date ? !isNaN(v.getTime()) : !isNaN(new Date(String(v)).getTime())
+  if (type === 'json') {
+    try { JSON.parse(String(v)); return true } catch (e) { return false }
+  }
+  throw new Error(`Unknown schema type: ${type}`)
+}
+
+/* =========================
+ * Drift
+ * ========================= */
+
+/**
+ * Compares the tab's header with the one seen after the previous pull
+ * and appends a schema_drift row when columns were added or dropped.
+ * First sighting only stores the baseline. Returns the drift row or null.
+ */
+function SCHEMA_recordDrift_(tab, stepName) {
+  const sh = SpreadsheetApp.getActive().getSheetByName(tab)
+  if (!sh || sh.getLastColumn() < 1) return null
+
+  const headerRow = SCHEMA_TABS[tab] ? SCHEMA_TABS[tab].header_row : 1
+  const header = sh.getRange(headerRow, 1, 1, sh.getLastColumn()).getValues()[0]
+    .map(h => String(h || '').trim())
+    .filter(Boolean)
+
+  const props = PropertiesService.getScriptProperties()
+  const key = SCHEMA_CFG.HEADERS_PROP_PREFIX + tab
+  const prevJson = props.getProperty(key)
+  props.setProperty(key, JSON.stringify(header))
+  if (!prevJson) return null
+
+  let prev
+  try { prev = JSON.parse(prevJson) } catch (e) { return null }
+
+  const added = header.filter(h => prev.indexOf(h) < 0)
+  const removed = prev.filter(h => header.indexOf(h) < 0)
+  if (!added.length && !removed.length) return null
+
+  const required = SCHEMA_TABS[tab] ? SCHEMA_TABS[tab].columns.filter(c => c.required).map(c => c.name) : []
+  const run = getSyncLogRun()
+  const row = [
+    new Date(),
+    tab,
+    stepName || '',
+    added.join(', '),
+    removed.join(', '),
+    required.filter(c => header.indexOf(c) < 0).join(', '),
+    run ? run.run_id : ''
+  ]
+
+  const out = getOrCreateSheet(SpreadsheetApp.getActive(), SCHEMA_CFG.DRIFT_SHEET)
+  if (out.getLastRow() < 1) {
+    out.getRange(1, 1, 1, SCHEMA_CFG.DRIFT_HEADERS.length).setValues([SCHEMA_CFG.DRIFT_HEADERS])
+    out.setFrozenRows(1)
+  }
+  out.getRange(out.getLastRow() + 1, 1, 1, row.length).setValues([row])
+  return row
+}
@@ -6,30 +6,46 @@
  *
  * Notes:
  * - Header-based: readHeaderMap() builds {headerLower: colIndex1Based}
+ * - Row objects: readSheetObjects() -> [{header_key: value}]
  * - Email key: normalizeEmail() -> lower(trim(email))
  * - Batch writes: batchSetValues() writes in chunks to avoid limits
  * - Upserts: buildIndexByKey() builds {key: rowIndex0BasedInArray}
- * - Logging: writeSyncLog() appends to a "sync_log" tab
+ * - Logging: writeSyncLog() appends to a "sync_log" tab, tagged with the
+ *   run context (startSyncLogRun / withSyncLogStep)
  * - Locking: lockWrap() prevents overlapping runs
+ * - Small helpers: strOrBlank(), safeJson(), clamp01()
+ *
+ * Every file shares one global scope, so this is the ONLY place
+ * these names may be defined. File-local helpers use a prefix
+ * (STRIPE_, ORGINFO_, ...). scripts/check_globals.js fails the
+ * push if two files define the same top-level name.
  **************************************************************/
 
 const UTIL_CFG = {
   SYNC_LOG_SHEET: 'sync_log',
   DEFAULT_BATCH_ROWS: 5000,
   LOCK_TIMEOUT_MS: 5 * 60 * 1000, // 5 minutes
+  SYNC_LOG_HEADERS: [
+    'timestamp', 'step', 'status', 'rows_in', 'rows_out', 'seconds', 'error',
+    'run_id', 'trigger_source', 'parent_step', 'attempt'
+  ],
 };
 
+// Run context for this execution (see startSyncLogRun). Stamped on every sync_log row.
+let UTIL_SYNC_LOG_RUN = null;
+
 /**
  * Get or create a sheet by name.
- * @param {SpreadsheetApp.Spreadsheet} ss
+ * @param {SpreadsheetApp.Spreadsheet=} ss defaults to the active spreadsheet
  * @param {string} name
  * @returns {GoogleAppsScript.Spreadsheet.Sheet}
  */
 function getOrCreateSheet(ss, name) {
-  if (!ss) throw new Error('getOrCreateSheet: ss is required');
-  if (!name) throw new Error('getOrCreateSheet: name is required');
-  const existing = ss.getSheetByName(name);
-  return existing || ss.insertSheet(name);
+  const book = ss || SpreadsheetApp.getActive();
+  const sheetName = String(name || '').trim();
+  if (!sheetName) throw new Error('getOrCreateSheet: name is required');
+  const existing = book.getSheetByName(sheetName);
+  return existing || book.insertSheet(sheetName);
 }
 
 /**
@@ -61,6 +77,44 @@ function readHeaderMap(sheet, headerRow) {
   return { map, headers };
 }
 
+/**
+ * Read a table into row objects keyed by normalized header
+ * (lowercase, spaces -> underscores), e.g. "Org ID" -> org_id.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {number} headerRow 1-based
+ * @returns {Object[]}
+ */
+function readSheetObjects(sheet, headerRow) {
+  const lastRow = sheet.getLastRow();
+  const lastCol = sheet.getLastColumn();
+  if (lastRow < headerRow + 1) return [];
+
+  const header = sheet.getRange(headerRow, 1, 1, lastCol).getValues()[0].map(h => String(h || '').trim());
+  const data = sheet.getRange(headerRow + 1, 1, lastRow - headerRow, lastCol).getValues();
+
+  return data.map(r => {
+    const obj = {};
+    header.forEach((h, i) => {
+      if (!h) return;
+      obj[headerKey(h)] = r[i];
+    });
+    return obj;
+  });
+}
+
+/**
+ * Header text -> object key used by readSheetObjects().
+ * @param {string} h
+ * @returns {string}
+ */
+function headerKey(h) {
+  return String(h || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '_');
+}
+
 /**
  * Normalize an email address into a stable key.
  * @param {string} email
@@ -134,7 +188,13 @@ function buildIndexByKey(rows, keyColIndex0, opts) {
  * Append a row to sync_log (creates the tab + header if needed).
  *
  * Columns:
- * timestamp | step | status | rows_in | rows_out | seconds | error
+ * timestamp | step | status | rows_in | rows_out | seconds | error |
+ * run_id | trigger_source | parent_step | attempt
+ *
+ * The last four come from the execution's run context (startSyncLogRun /
+ * withSyncLogStep). Rows written outside any run start one with
+ * trigger_source "direct", so every row carries a run id. Older tabs
+ * get the new headers added on first write.
  *
  * @param {string} step
  * @param {string} status e.g. "ok" | "error"
@@ -146,12 +206,22 @@ function buildIndexByKey(rows, keyColIndex0, opts) {
 function writeSyncLog(step, status, rowsIn, rowsOut, seconds, errorMsg) {
   const ss = SpreadsheetApp.getActive();
   const sh = getOrCreateSheet(ss, UTIL_CFG.SYNC_LOG_SHEET);
+  const headers = UTIL_CFG.SYNC_LOG_HEADERS;
 
   if (sh.getLastRow() === 0) {
-    sh.appendRow(['timestamp', 'step', 'status', 'rows_in', 'rows_out', 'seconds', 'error']);
+    sh.appendRow(headers);
     sh.setFrozenRows(1);
+  } else if (String(sh.getRange(1, headers.length).getValue() || '') !== headers[headers.length - 1]) {
+    sh.getRange(1, 1, 1, headers.length).setValues([headers]);
   }
 
+  const run = UTIL_SYNC_LOG_RUN || startSyncLogRun({ trigger_source: 'direct' });
+  const stack = run.steps;
+
+  // Parent = innermost running step that is not this step itself
+  let i = stack.length - 1;
+  if (i >= 0 && stack[i] === step) i -= 1;
+
   sh.appendRow([
     new Date(),
     step || '',
@@ -159,27 +229,127 @@ function writeSyncLog(step, status, rowsIn, rowsOut, seconds, errorMsg) {
     rowsIn != null ? rowsIn : '',
     rowsOut != null ? rowsOut : '',
     seconds != null ? seconds : '',
-    errorMsg || ''
+    errorMsg || '',
+    run.run_id,
+    run.trigger_source,
+    i >= 0 ? stack[i] : '',
+    run.attempts[step] || ''
   ]);
 }
 
 /**
- * Wrap a function call in a document lock to prevent overlapping runs.
+ * New run id, e.g. run_20260302_090000_1a2b3c4d (script time zone).
+ * @returns {string}
+ */
+function newRunId() {
+  const stamp = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyyMMdd_HHmmss');
+  return `run_${stamp}_${Utilities.getUuid().slice(0, 8)}`;
+}
+
+/**
+ * Start the run context for this execution (run id + trigger source).
+ * If a run is already active (e.g. a menu click that calls
+ * run_daily_pipeline) it is kept, so nested entry points share one id.
+ * Passing opts.run_id always switches to that run (resuming a run).
+ *
+ * @param {Object=} opts
+ * @param {string=} opts.run_id
+ * @param {string=} opts.trigger_source menu | trigger | webhook | continuation | manual | direct
+ * @param {Object<string, number>=} opts.attempts step -> attempt count (persisted by resumable runs)
+ * @returns {{ run_id: string, trigger_source: string, steps: string[], attempts: Object<string, number> }}
+ */
+function startSyncLogRun(opts) {
+  const o = opts || {};
+  if (UTIL_SYNC_LOG_RUN && !o.run_id) return UTIL_SYNC_LOG_RUN;
+
+  UTIL_SYNC_LOG_RUN = {
+    run_id: o.run_id || newRunId(),
+    trigger_source: o.trigger_source || 'direct',
+    steps: [],
+    attempts: o.attempts || {}
+  };
+  return UTIL_SYNC_LOG_RUN;
+}
+
+/**
+ * Current run context (null if none started in this execution).
+ */
+function getSyncLogRun() {
+  return UTIL_SYNC_LOG_RUN;
+}
+
+/**
+ * End the run context; later rows start a new one.
+ */
+function endSyncLogRun() {
+  UTIL_SYNC_LOG_RUN = null;
+}
+
+/**
+ * Entry-point wrapper (menu handlers, triggers, doPost): runs fn as
+ * `step` inside a run context, starting one if none is active and
+ * ending it afterwards only if it was started here.
  *
  * Usage:
- *   lockWrap('daily_pipeline', () => run_daily_pipeline_impl_());
+ *   runInSyncLogRun('ui_run_only_stripe', { trigger_source: 'menu' }, () => ...);
  *
- * @param {string} lockName used only for log labeling
+ * @param {string} step
+ * @param {Object=} opts same as startSyncLogRun()
  * @param {Function} fn
+ * @returns {any} return value of fn
+ */
+function runInSyncLogRun(step, opts, fn) {
+  const owns = !UTIL_SYNC_LOG_RUN || !!(opts && opts.run_id);
+  if (owns) startSyncLogRun(opts);
+  try {
+    return withSyncLogStep(step, fn);
+  } finally {
+    if (owns) endSyncLogRun();
+  }
+}
+
+/**
+ * Run fn as a named step of the current run: rows written inside get
+ * parent_step = step, and the step's attempt counter goes up by one.
+ *
+ * @param {string} step
+ * @param {Function} fn
+ * @returns {any} return value of fn
+ */
+function withSyncLogStep(step, fn) {
+  const run = UTIL_SYNC_LOG_RUN || startSyncLogRun({ trigger_source: 'direct' });
+  run.attempts[step] = (run.attempts[step] || 0) + 1;
+  run.steps.push(step);
+  try {
+    return fn();
+  } finally {
+    run.steps.pop();
+  }
+}
+
+/**
+ * Wrap a function call in the script lock to prevent overlapping runs.
+ * Script (not document) lock so menu runs, triggers and webhooks all
+ * exclude each other.
+ *
+ * Usage:
+ *   lockWrap('daily_pipeline', () => run_daily_pipeline_impl_());
+ *   lockWrap(() => ...);   // unnamed
+ *
+ * @param {string|Function} lockNameOrFn used only for log labeling
+ * @param {Function=} maybeFn
  * @param {Object=} opts
  * @param {number=} opts.timeoutMs
  * @returns {any} return value of fn
  */
-function lockWrap(lockName, fn, opts) {
+function lockWrap(lockNameOrFn, maybeFn, opts) {
+  const named = typeof lockNameOrFn !== 'function';
+  const lockName = named ? lockNameOrFn : '';
+  const fn = named ? maybeFn : lockNameOrFn;
   if (typeof fn !== 'function') throw new Error('lockWrap: fn must be a function');
 
   const timeoutMs = (opts && opts.timeoutMs) || UTIL_CFG.LOCK_TIMEOUT_MS;
-  const lock = LockService.getDocumentLock();
+  const lock = LockService.getScriptLock();
 
   const t0 = new Date();
   const got = lock.tryLock(timeoutMs);
@@ -199,4 +369,38 @@ function lockWrap(lockName, fn, opts) {
   } finally {
     try { lock.releaseLock(); } catch (e) {}
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Trimmed string, '' for null/undefined.
+ * @param {any} v
+ * @returns {string}
+ */
+function strOrBlank(v) {
+  if (v === null || v === undefined) return '';
+  return String(v).trim();
+}
+
+/**
+ * JSON.stringify that never throws ('{}' for null or unserializable values).
+ * @param {any} value
+ * @returns {string}
+ */
+function safeJson(value) {
+  try {
+    return JSON.stringify(value == null ? {} : value);
+  } catch (e) {
+    return '{}';
+  }
+}
+
+/**
+ * Clamp a number into [0, 1] (non-numbers -> 0).
+ * @param {any} n
+ * @returns {number}
+ */
+function clamp01(n) {
+  const x = Number(n);
+  if (!isFinite(x)) return 0;
+  return Math.max(0, Math.min(1, x));
+}
@@ -38,14 +38,14 @@ const SNAP_CFG = {
 }
 
 function write_daily_snapshot() {
-  lockWrapCompat_('write_daily_snapshot', () => {
+  lockWrap('write_daily_snapshot', () => {
     const t0 = new Date()
     const ss = SpreadsheetApp.getActive()
 
     const src = ss.getSheetByName(SNAP_CFG.SOURCE_SHEET)
     if (!src) throw new Error(`Source sheet not found: ${SNAP_CFG.SOURCE_SHEET}`)
 
-    const snap = getOrCreateSheetCompat_(ss, SNAP_CFG.SNAP_SHEET)
+    const snap = getOrCreateSheet(ss, SNAP_CFG.SNAP_SHEET)
 
     // Compute today snapshot_date in your script timezone
     const tz = Session.getScriptTimeZone()
@@ -82,7 +82,7 @@ function write_daily_snapshot() {
     const rowsWithEmail = []
     for (const r of srcData) {
       const email = String(r[emailIdxInSrc] || '').trim()
-      if (normalizeEmailCompat_(email)) rowsWithEmail.push(r)
+      if (normalizeEmail(email)) rowsWithEmail.push(r)
     }
 
     if (!rowsWithEmail.length) {
@@ -108,7 +108,7 @@ function write_daily_snapshot() {
 
     for (const r of rowsWithEmail) {
       const email = String(r[emailIdxInSrc] || '').trim()
-      const emailKey = normalizeEmailCompat_(email)
+      const emailKey = normalizeEmail(email)
       const key = snapshotDate + '|' + emailKey
 
       if (existingKeys.has(key)) {
@@ -125,7 +125,7 @@ function write_daily_snapshot() {
 
     // ---- Append to snapshot sheet ----
     const startRow = snap.getLastRow() + 1
-    batchSetValuesCompat_(snap, startRow, 1, out, SNAP_CFG.WRITE_CHUNK)
+    batchSetValues(snap, startRow, 1, out, SNAP_CFG.WRITE_CHUNK)
 
     Logger.log(
       `Snapshot ${snapshotDate}: appended ${out.length} rows. ` +
@@ -201,7 +201,7 @@ function buildExistingSnapshotKeySet_(sheet, snapshotDate, snapDateHeader, email
     if (d !== snapshotDate) continue
 
     const email = String(r[emailIdx] || '').trim()
-    const emailKey = normalizeEmailCompat_(email)
+    const emailKey = normalizeEmail(email)
     if (!emailKey) continue
 
     set.add(snapshotDate + '|' + emailKey)
@@ -238,59 +238,3 @@ function buildExistingSnapshotKeySetGeneric_(sheet, snapshotDate, snapDateHeader
 
   return set
 }
-
-/* =========================
- * Shared util compatibility wrappers
- * ========================= */
-
-function getOrCreateSheetCompat_(ss, name) {
-  if (!ss) ss = SpreadsheetApp.getActive()
-  name = String(name || '').trim()
-  if (!name) throw new Error('getOrCreateSheetCompat_: sheet name is required')
-
-  if (typeof getOrCreateSheet === 'function') {
-    try { return getOrCreateSheet(ss, name) } catch (e) {}
-    try { return getOrCreateSheet(name) } catch (e) {}
-  }
-
-  const sh = ss.getSheetByName(name)
-  return sh || ss.insertSheet(name)
-}
-
-function normalizeEmailCompat_(email) {
-  if (typeof normalizeEmail === 'function') return normalizeEmail(email)
-  return String(email || '').trim().toLowerCase()
-}
-
-function batchSetValuesCompat_(sheet, startRow, startCol, values, chunkSize) {
-  if (typeof batchSetValues === 'function') {
-    return batchSetValues(sheet, startRow, startCol, values, chunkSize)
-  }
-
-  const size = chunkSize || 2000
-  for (let i = 0; i < values.length; i += size) {
-    const chunk = values.slice(i, i + size)
-    sheet.getRange(startRow + i, startCol, chunk.length, chunk[0].length).setValues(chunk)
-  }
-}
-
-function lockWrapCompat_(lockName, fn) {
-  if (typeof lockWrap === 'function') {
-    try {
-      // preferred: lockWrap(lockName, fn)
-      return lockWrap(lockName, fn)
-    } catch (e) {
-      // alternate: lockWrap(fn)
-      return lockWrap(fn)
-    }
-  }
-
-  const lock = LockService.getScriptLock()
-  const ok = lock.tryLock(300000) // 5 minutes
-  if (!ok) throw new Error(`Could not acquire lock: ${lockName}`)
-  try {
-    return fn()
-  } finally {
-    lock.releaseLock()
-  }
-}
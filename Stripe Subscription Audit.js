@@ -18,11 +18,11 @@ const STRA_CFG = {
 }
 
 function render_stripe_multi_sub_audit() {
-  return lockWrapCompat_('render_stripe_multi_sub_audit', () => {
+  return lockWrap('render_stripe_multi_sub_audit', () => {
     const t0 = new Date()
     const ss = SpreadsheetApp.getActive()
 
-    const shOut = getOrCreateSheetCompat_(ss, STRA_CFG.SHEET_NAME)
+    const shOut = getOrCreateSheet(ss, STRA_CFG.SHEET_NAME)
     const shStripe = ss.getSheetByName(STRA_CFG.SOURCE_STRIPE)
     const shUsers = ss.getSheetByName(STRA_CFG.SOURCE_USERS)
     const shMems = ss.getSheetByName(STRA_CFG.SOURCE_MEMBERSHIPS)
@@ -0,0 +1,116 @@
+/**************************************************************
+ * Stripe subscription items (per line item MRR + seats)
+ *
+ * Source: raw_stripe_subscription_items (written by the Stripe sync)
+ *   stripe_subscription_id | stripe_item_id | product_id | price_id |
+ *   price_nickname | currency | interval | interval_count |
+ *   usage_type | quantity | unit_amount | tiered
+ *
+ * raw_stripe_subscriptions keeps quantity_total / amount summed over
+ * all items with the first item's interval, which misprices add-ons
+ * and mixed intervals. Money and seat consumers (The Ring, All Stats,
+ * arr_raw_data, Paying Users, org_info Seats) read
+ * SUBITEMS_totalsBySubscription_() instead:
+ *
+ * - Item MRR = unit_amount * quantity / months in the item's own
+ *   interval (interval_count respected)
+ * - Items whose product is listed in config "stripe_addon_product_ids"
+ *   are add-ons: they add to MRR but not to seats. Every other
+ *   licensed item is a seat item
+ * - Tiered and metered prices have no fixed unit amount: they add 0
+ *   and mark the subscription priced: false
+ * - Subscriptions without item rows are not in the map; callers fall
+ *   back to the summed subscription columns
+ **************************************************************/
+
+const SUBITEMS_CFG = {
+  SHEET_NAME: 'raw_stripe_subscription_items'
+}
+
+/**
+ * stripe_subscription_id -> {
+ *   mrr, arr, seat_mrr, addon_mrr, seats, addon_quantity,
+ *   interval (of the first seat item), items, priced
+ * }
+ */
+function SUBITEMS_totalsBySubscription_(ss) {
+  const sh = (ss || SpreadsheetApp.getActive()).getSheetByName(SUBITEMS_CFG.SHEET_NAME)
+  if (!sh || sh.getLastRow() < 2) return new Map()
+  return SUBITEMS_summarize_(readSheetObjects(sh, 1), CONFIG_get_('stripe_addon_product_ids'))
+}
+
+/** Item row objects -> per-subscription totals. Free of Sheets calls for testing. */
+function SUBITEMS_summarize_(items, addonProductIds) {
+  const addons = new Set((addonProductIds || []).map(id => String(id).trim().toLowerCase()))
+  const out = new Map()
+
+  ;(items || []).forEach(it => {
+    const subId = String(it.stripe_subscription_id || '').trim()
+    if (!subId) return
+
+    if (!out.has(subId)) {
+      out.set(subId, { mrr: 0, arr: 0, seat_mrr: 0, addon_mrr: 0, seats: 0, addon_quantity: 0, interval: '', items: 0, priced: true })
+    }
+    const t = out.get(subId)
+
+    const qty = SUBITEMS_quantity_(it)
+    const mrr = SUBITEMS_itemMrr_(it)
+    const isAddon = addons.has(String(it.product_id || '').trim().toLowerCase())
+    const isMetered = String(it.usage_type || '').toLowerCase() === 'metered'
+
+    t.items += 1
+    if (mrr == null) t.priced = false
+
+    if (isAddon) {
+      t.addon_mrr += mrr || 0
+      t.addon_quantity += qty
+    } else {
+      t.seat_mrr += mrr || 0
+      if (!isMetered) t.seats += qty
+      if (!t.interval) t.interval = String(it.interval || '').toLowerCase()
+    }
+  })
+
+  out.forEach(t => {
+    t.seat_mrr = SUBITEMS_round_(t.seat_mrr)
+    t.addon_mrr = SUBITEMS_round_(t.addon_mrr)
+    t.mrr = SUBITEMS_round_(t.seat_mrr + t.addon_mrr)
+    t.arr = SUBITEMS_round_(t.mrr * 12)
+  })
+
+  return out
+}
+
+/** Monthly amount of one item, or null when the price has no fixed unit amount. */
+function SUBITEMS_itemMrr_(it) {
+  if (it.tiered === true || String(it.tiered).toLowerCase() === 'true') return null
+  if (String(it.usage_type || '').toLowerCase() === 'metered') return null
+  if (it.unit_amount === '' || it.unit_amount == null) return null
+
+  const unit = Number(it.unit_amount)
+  if (!isFinite(unit)) return null
+
+  const months = SUBITEMS_intervalMonths_(it.interval, it.interval_count)
+  if (!months) return null
+  return unit * SUBITEMS_quantity_(it) / months
+}
+
+function SUBITEMS_intervalMonths_(interval, intervalCount) {
+  const count = Math.max(1, Number(intervalCount) || 1)
+  const intv = String(interval || '').toLowerCase().trim()
+  if (intv === 'month') return count
+  if (intv === 'year') return count * 12
+  if (intv === 'week') return count * 12 / 52
+  if (intv === 'day') return count * 12 / 365
+  return 0
+}
+
+function SUBITEMS_quantity_(it) {
+  if (it.quantity === '' || it.quantity == null) return 1
+  const n = Number(it.quantity)
+  return isFinite(n) && n > 0 ? Math.floor(n) : 0
+}
+
+function SUBITEMS_round_(n) {
+  return Math.round(n * 100) / 100
+}
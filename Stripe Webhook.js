@@ -0,0 +1,217 @@
+/**************************************************************
+ * Stripe webhook (doPost route "stripe", see Dopost.js)
+ *
+ * Stripe endpoint URL: <web app url>?route=stripe
+ *
+ * Per delivery:
+ * 1) doPost verifies the Stripe-Signature header (t=<unix>,v1=<hex
+ *    HMAC-SHA256 of "<t>.<raw body>">, STRIPEWH_verifySignature_)
+ *    with the signing secret in Script Property STRIPE_WEBHOOK_SECRET.
+ *    Any v1 may match (secret rotation)
+ * 2) Timestamps more than TOLERANCE_SEC away from now are rejected (replays)
+ * 3) Record the event in "stripe_webhook_inbox" by event id. An event
+ *    already applied or ignored is answered as a duplicate and not
+ *    applied again; one that errored is retried on redelivery
+ * 4) Apply subscription / invoice / customer events to the raw_stripe_*
+ *    tabs with the same code as the incremental pull
+ *    (stripeApplyEventList_, which writes only the touched rows), then
+ *    schedule one The Ring refresh REFRESH_AFTER_MS later (several
+ *    deliveries share one refresh). The refresh stops before
+ *    publish_the_good_stuff: publishing is left to the scheduled run
+ *
+ * Apps Script limits:
+ * - Web apps do not see request headers, so Stripe has to post through
+ *   a relay that copies Stripe-Signature into ?stripe_signature=...
+ *   (e.headers is used when the runtime provides it)
+ * - Responses are always HTTP 200, so Stripe does not retry rejected
+ *   or failed deliveries. Nothing is lost: the daily incremental pull
+ *   reads the same events from /v1/events
+ *
+ * Sheets:
+ * - stripe_webhook_inbox (one row per event id)
+ * - webhook_inbox / sync_log (every request, written by doPost;
+ *   root step "stripe_webhook")
+ **************************************************************/
+
+const STRIPEWH_CFG = {
+  TOLERANCE_SEC: 300,
+
+  INBOX_SHEET: 'stripe_webhook_inbox',
+  INBOX_HEADERS: [
+    'event_id',
+    'type',
+    'event_created_at',
+    'livemode',
+    'object_id',
+    'status',              // applied | ignored | error
+    'error',
+    'attempts',
+    'received_at',
+    'processed_at',
+    'payload'
+  ],
+  MAX_PAYLOAD_CHARS: 50000,
+
+  REFRESH_HANDLER: 'stripe_webhook_refresh_views',
+  REFRESH_AFTER_MS: 60 * 1000,
+  // External / heavy steps the refresh leaves to the scheduled daily run
+  REFRESH_EXCLUDE: ['publish_the_good_stuff']
+}
+
+/* =========================
+ * Public entrypoints
+ * ========================= */
+
+/** Time-based trigger set by the webhook: re-renders The Ring (and what depends on it, short of publishing). */
+function stripe_webhook_refresh_views() {
+  STRIPEWH_deleteRefreshTriggers_()
+  return runInSyncLogRun(STRIPEWH_CFG.REFRESH_HANDLER, { trigger_source: 'trigger' }, () =>
+    lockWrap(STRIPEWH_CFG.REFRESH_HANDLER, () => PIPELINE_runFrom_(['render_ring_view'], { exclude: STRIPEWH_CFG.REFRESH_EXCLUDE }))
+  )
+}
+
+/* =========================
+ * Request handling
+ * ========================= */
+
+/**
+ * doPost handler for the "stripe" route (signature already verified):
+ * { ok, event_id, status (applied | ignored | error), duplicate, error }.
+ */
+function STRIPEWH_handleEvent_(req) {
+  const event = req.parsed
+  if (!event.id || !event.type) return { ok: false, error: 'Not a Stripe event' }
+
+  const res = lockWrap('stripe_webhook', () => STRIPEWH_process_(event, req.raw_body))
+  return {
+    ok: res.status !== 'error',
+    error: res.error || '',
+    event_id: String(event.id),
+    status: res.status,
+    duplicate: !!res.duplicate,
+    rows_in: 1,
+    rows_out: res.status === 'applied' ? 1 : 0
+  }
+}
+
+/** Inbox bookkeeping + apply for one verified event. Caller holds the lock. */
+function STRIPEWH_process_(event, rawBody) {
+  const sh = STRIPEWH_ensureInbox_()
+  const eventId = String(event.id)
+  const existing = STRIPEWH_findInboxRow_(sh, eventId)
+
+  if (existing && existing.status !== 'error') return { status: existing.status, duplicate: true }
+
+  const rowNum = existing ? existing.row : sh.getLastRow() + 1
+  const attempts = (existing ? Number(existing.attempts) || 0 : 0) + 1
+  const obj = (event.data && event.data.object) || {}
+  const receivedAt = existing ? existing.received_at : new Date().toISOString()
+
+  let status = 'ignored'
+  let error = ''
+  try {
+    if (STRIPE_RAW_CFG.EVENTS.TYPES.indexOf(String(event.type)) >= 0) {
+      const applied = stripeApplyEventList_(stripeGetSecretKey_(), stripeGetRawSheets_(), [event])
+      status = 'applied'
+      if (applied.upserted || applied.invoice_updates) STRIPEWH_scheduleRefresh_()
+    }
+  } catch (err) {
+    status = 'error'
+    error = String(err && err.message ? err.message : err)
+  }
+
+  sh.getRange(rowNum, 1, 1, STRIPEWH_CFG.INBOX_HEADERS.length).setValues([[
+    eventId,
+    strOrBlank(event.type),
+    stripeUnixToIso_(event.created),
+    event.livemode === true,
+    strOrBlank(obj.id),
+    status,
+    error,
+    attempts,
+    receivedAt,
+    new Date().toISOString(),
+    clip_(rawBody, STRIPEWH_CFG.MAX_PAYLOAD_CHARS)
+  ]])
+
+  return { status, error }
+}
+
+/* =========================
+ * Signature
+ * ========================= */
+
+/** { ok, error } for a raw body + Stripe-Signature header at nowSec. */
+function STRIPEWH_verifySignature_(rawBody, header, secret, nowSec) {
+  if (!header) return { ok: false, error: 'Missing Stripe-Signature' }
+
+  let timestamp = null
+  const signatures = []
+  String(header).split(',').forEach(part => {
+    const i = part.indexOf('=')
+    if (i < 0) return
+    const key = part.slice(0, i).trim()
+    const value = part.slice(i + 1).trim()
+    if (key === 't') timestamp = Number(value)
+    if (key === 'v1' && value) signatures.push(value.toLowerCase())
+  })
+
+  if (!timestamp || !isFinite(timestamp)) return { ok: false, error: 'Stripe-Signature has no timestamp' }
+  if (!signatures.length) return { ok: false, error: 'Stripe-Signature has no v1 signature' }
+
+  const expected = STRIPEWH_hex_(Utilities.computeHmacSha256Signature(`${timestamp}.${rawBody}`, secret, Utilities.Charset.UTF_8))
+  if (!signatures.some(sig => WEBHOOK_safeEqual_(sig, expected))) return { ok: false, error: 'Stripe-Signature does not match' }
+
+  if (Math.abs(nowSec - timestamp) > STRIPEWH_CFG.TOLERANCE_SEC) {
+    return { ok: false, error: `Stripe-Signature timestamp outside the ${STRIPEWH_CFG.TOLERANCE_SEC}s tolerance` }
+  }
+  return { ok: true, error: '' }
+}
+
+function STRIPEWH_hex_(bytes) {
+  return bytes.map(b => ((b < 0 ? b + 256 : b).toString(16)).padStart(2, '0')).join('')
+}
+
+/* =========================
+ * Inbox + refresh
+ * ========================= */
+
+function STRIPEWH_ensureInbox_() {
+  const sh = getOrCreateSheet(SpreadsheetApp.getActive(), STRIPEWH_CFG.INBOX_SHEET)
+  if (sh.getLastRow() < 1) {
+    sh.getRange(1, 1, 1, STRIPEWH_CFG.INBOX_HEADERS.length).setValues([STRIPEWH_CFG.INBOX_HEADERS])
+    sh.setFrozenRows(1)
+  }
+  return sh
+}
+
+/** { row, status, attempts, received_at } of an event already in the inbox, or null. */
+function STRIPEWH_findInboxRow_(sh, eventId) {
+  if (sh.getLastRow() < 2) return null
+  const h = STRIPEWH_CFG.INBOX_HEADERS
+  const values = sh.getRange(2, 1, sh.getLastRow() - 1, h.length).getValues()
+  const i = values.findIndex(r => String(r[0]) === eventId)
+  if (i < 0) return null
+  return {
+    row: i + 2,
+    status: String(values[i][h.indexOf('status')] || ''),
+    attempts: values[i][h.indexOf('attempts')],
+    received_at: values[i][h.indexOf('received_at')]
+  }
+}
+
+/** One pending refresh at a time: deliveries inside the window share it. */
+function STRIPEWH_scheduleRefresh_() {
+  const pending = ScriptApp.getProjectTriggers().some(t => t.getHandlerFunction() === STRIPEWH_CFG.REFRESH_HANDLER)
+  if (pending) return
+  ScriptApp.newTrigger(STRIPEWH_CFG.REFRESH_HANDLER)
+    .timeBased()
+    .after(STRIPEWH_CFG.REFRESH_AFTER_MS)
+    .create()
+}
+
+function STRIPEWH_deleteRefreshTriggers_() {
+  ScriptApp.getProjectTriggers().forEach(t => {
+    if (t.getHandlerFunction() === STRIPEWH_CFG.REFRESH_HANDLER) ScriptApp.deleteTrigger(t)
+  })
+}
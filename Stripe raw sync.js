@@ -1,11 +1,33 @@
 /**************************************************************
- * Stripe Raw Sync (overwrite-only) — IMPROVED (FIXED first_payment_at)
+ * Stripe Raw Sync — IMPROVED (FIXED first_payment_at)
  *
- * Creates/overwrites:
- *  - raw_stripe_subscriptions
+ * Creates/updates:
+ *  - raw_stripe_subscriptions (quantity_total / amount summed over items)
+ *  - raw_stripe_subscription_items (one row per item, for per-item MRR
+ *    and seat vs add-on split; see Stripe Subscription Items.js)
+ *  - raw_stripe_discounts (every subscription-level discount with its
+ *    start/end; Net MRR.js turns these into net MRR as of a date)
+ *  - raw_stripe_invoices (every invoice in the lookback window, any
+ *    status; amounts in major units like the subscriptions tab)
+ *  Amounts are converted from Stripe's smallest unit with
+ *  stripeMajorUnits_ (÷100, except zero-decimal currencies like JPY)
  *
- * Uses Script Property:
+ * Uses Script Properties:
  *  - STRIPE_KEY
+ *  - STRIPE_EVENTS_CURSOR (JSON, written by this file)
+ *
+ * Sync modes:
+ *  - Incremental (normal daily run): reads /v1/events since the cursor,
+ *    re-fetches only the subscriptions those events touch and upserts
+ *    them by stripe_subscription_id. invoice.paid events keep
+ *    first_payment_at current without the bulk invoice scan; invoice.*
+ *    events re-fetch their invoice and upsert raw_stripe_invoices by
+ *    stripe_invoice_id (invoice.deleted drops the row)
+ *  - Full rebuild: lists every subscription + bulk invoice scan and
+ *    overwrites the tab. Runs when there is no cursor, the cursor is
+ *    older than Stripe's 30 day event retention, or the last full
+ *    rebuild is older than config "stripe_full_rebuild_days"
+ *    (menu: Stripe full rebuild forces one)
  *
  * Key fixes:
  * 1) Pulls ALL subscriptions (does not exclude metadata.exclude_from_ring)
@@ -27,31 +49,13 @@ const STRIPE_RAW_CFG = {
   WRITE_CHUNK: 2000,
 
   SHEETS: {
-    SUBSCRIPTIONS: 'raw_stripe_subscriptions'
-  }
-}
-
-// ===== Metadata field config =====
-const STRIPE_EXCLUDE_META_KEY = 'exclude_from_ring'
-
-// ===== First payment settings (bulk invoice scan) =====
-const STRIPE_INVOICE_LOOKBACK_DAYS = 540          // ~18 months
-const STRIPE_INVOICE_PAGE_LIMIT = 100             // Stripe max 100
-const STRIPE_MAX_INVOICE_PAGES_TOTAL = 120        // safety cap
-const STRIPE_MAX_INVOICES_TOTAL = 12000           // safety cap
-
-// ✅ If you only want "money moved", keep this true.
-// If you want to treat $0 invoices (e.g. credits) as "paid", set false.
-const STRIPE_REQUIRE_AMOUNT_PAID_POSITIVE = true
-
-function stripe_pull_subscriptions_to_raw() {
-  const t0 = new Date()
-  const apiKey = stripeGetSecretKey_()
+    SUBSCRIPTIONS: 'raw_stripe_subscriptions',
+    INVOICES: 'raw_stripe_invoices',
+    ITEMS: 'raw_stripe_subscription_items',
+    DISCOUNTS: 'raw_stripe_discounts'
+  },
 
-  const ss = SpreadsheetApp.getActive()
-  const sh = getOrCreateSheetSafe_(ss, STRIPE_RAW_CFG.SHEETS.SUBSCRIPTIONS)
-
-  const headers = [
+  SUB_HEADERS: [
     'stripe_subscription_id',
     'status',
     'created_at',
@@ -89,22 +93,318 @@ function stripe_pull_subscriptions_to_raw() {
 
     'metadata_json',
     'metadata_exclude_from_ring'
-  ]
+  ],
+
+  ITEM_HEADERS: [
+    'stripe_subscription_id',
+    'stripe_item_id',
+    'product_id',
+    'price_id',
+    'price_nickname',
+    'currency',
+    'interval',
+    'interval_count',
+    'usage_type',
+    'quantity',
+    'unit_amount',
+    'tiered'
+  ],
+
+  DISCOUNT_HEADERS: [
+    'stripe_subscription_id',
+    'stripe_discount_id',
+    'coupon_id',
+    'coupon_name',
+    'promo_code',
+    'percent_off',
+    'amount_off',
+    'currency',
+    'duration',
+    'duration_in_months',
+    'start_at',
+    'end_at'
+  ],
+
+  INVOICE_HEADERS: [
+    'stripe_invoice_id',
+    'invoice_number',
+    'stripe_subscription_id',
+    'stripe_customer_id',
+    'customer_email',
+    'status',
+    'billing_reason',
+    'currency',
+
+    'subtotal',
+    'discount_amount',
+    'tax',
+    'total',
+    'amount_due',
+    'amount_paid',
+    'amount_remaining',
+
+    'period_start',
+    'period_end',
+    'created_at',
+    'paid_at',
+    'attempt_count',
+    'next_payment_attempt_at'
+  ],
+
+  // Incremental sync (Events API)
+  EVENTS: {
+    CURSOR_PROP: 'STRIPE_EVENTS_CURSOR',
+    // Stripe keeps events for 30 days; an older cursor means a full rebuild
+    MAX_CURSOR_AGE_DAYS: 29,
+    // Re-read a little before the cursor; upserts make replays harmless
+    OVERLAP_SEC: 60 * 60,
+    TYPES: [
+      'customer.subscription.created',
+      'customer.subscription.updated',
+      'customer.subscription.deleted',
+      'customer.subscription.paused',
+      'customer.subscription.resumed',
+      'customer.subscription.pending_update_applied',
+      'customer.subscription.pending_update_expired',
+      'invoice.created',
+      'invoice.finalized',
+      'invoice.updated',
+      'invoice.paid',
+      'invoice.payment_failed',
+      'invoice.voided',
+      'invoice.marked_uncollectible',
+      'invoice.deleted',
+      'customer.updated',
+      'payment_method.attached'
+    ]
+  },
+
+  // Stripe amounts are in the currency's smallest unit; these have no minor
+  // unit (1 JPY is sent as 1, not 100). https://docs.stripe.com/currencies#zero-decimal
+  ZERO_DECIMAL_CURRENCIES: ['BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF']
+}
+
+// ===== Metadata field config =====
+const STRIPE_EXCLUDE_META_KEY = 'exclude_from_ring'
+
+// ===== First payment settings (bulk invoice scan) =====
+const STRIPE_INVOICE_PAGE_LIMIT = 100             // Stripe max 100
+const STRIPE_MAX_INVOICE_PAGES_TOTAL = 120        // safety cap
+const STRIPE_MAX_INVOICES_TOTAL = 12000           // safety cap
+
+// ✅ If you only want "money moved", keep this true.
+// If you want to treat $0 invoices (e.g. credits) as "paid", set false.
+const STRIPE_REQUIRE_AMOUNT_PAID_POSITIVE = true
+
+/**
+ * Daily entrypoint (pipeline step).
+ * - Incremental by default: applies Stripe events since the stored cursor
+ *   as upserts keyed by stripe_subscription_id
+ * - Full rebuild (list every subscription + bulk invoice scan) when there
+ *   is no cursor, the tab is empty, the cursor is older than Stripe's
+ *   event retention, the last full rebuild is older than config
+ *   "stripe_full_rebuild_days", or a started one has not finished
+ *   (cursor.full_in_progress). stripe_request_full_rebuild() forces one
+ */
+function stripe_pull_subscriptions_to_raw() {
+  const t0 = new Date()
+  const apiKey = stripeGetSecretKey_()
+
+  const sheets = stripeGetRawSheets_()
+
+  const cursor = stripeLoadEventsCursor_()
+  const fullReason = stripeFullRebuildReason_(sheets, cursor)
+  if (fullReason) Logger.log(`Stripe: full rebuild (${fullReason})`)
+
+  const res = fullReason ? stripeFullRebuild_(apiKey, sheets, cursor, fullReason) : stripeApplyEvents_(apiKey, sheets, cursor)
+
+  const seconds = (new Date() - t0) / 1000
+  writeSyncLog('stripe_pull_subscriptions_to_raw', 'ok', res.rows_in, res.rows_out, seconds, '')
+  return res
+}
+
+/** The raw_stripe_* tabs the sync writes, created when missing. */
+function stripeGetRawSheets_() {
+  const ss = SpreadsheetApp.getActive()
+  return {
+    subs: getOrCreateSheet(ss, STRIPE_RAW_CFG.SHEETS.SUBSCRIPTIONS),
+    items: getOrCreateSheet(ss, STRIPE_RAW_CFG.SHEETS.ITEMS),
+    discounts: getOrCreateSheet(ss, STRIPE_RAW_CFG.SHEETS.DISCOUNTS),
+    invoices: getOrCreateSheet(ss, STRIPE_RAW_CFG.SHEETS.INVOICES)
+  }
+}
+
+/** Drops the events cursor so the next pull is a full rebuild. */
+function stripe_request_full_rebuild() {
+  PropertiesService.getScriptProperties().deleteProperty(STRIPE_RAW_CFG.EVENTS.CURSOR_PROP)
+}
+
+function stripeFullRebuild_(apiKey, sheets, cursor, reason) {
+  // A rebuild that pauses (or dies) part-way leaves partial tabs behind:
+  // flag it so every later pull carries on with a full rebuild until one completes
+  if (cursor && !cursor.full_in_progress) {
+    cursor = Object.assign({}, cursor, { full_in_progress: reason, full_started_sec: Math.floor(Date.now() / 1000) })
+    stripeSaveEventsCursor_(cursor)
+  }
+
+  // Events from the (first) start on are picked up by the next incremental run
+  const startedSec = Number(cursor && cursor.full_started_sec) || Math.floor(Date.now() / 1000)
 
   // 1) Fetch subscriptions (expanded customer + discounts)
   const subs = stripeFetchAllSubscriptionsExpanded_(apiKey)
   Logger.log(`Fetched ${subs.length} subscriptions total`)
 
-  // 2) Build first_payment_at map from PAID invoices (bulk scan)
-  const firstPaidBySubId = stripeBuildFirstPaidAtBySubscription_(apiKey, {
-    lookbackDays: STRIPE_INVOICE_LOOKBACK_DAYS,
+  // 2) Bulk invoice scan: rewrites raw_stripe_invoices, returns first_payment_at by subscription
+  const scan = stripeScanInvoices_(apiKey, sheets.invoices, {
+    lookbackDays: CONFIG_get_('stripe_invoice_lookback_days'),
     pageLimit: STRIPE_INVOICE_PAGE_LIMIT,
     maxPages: STRIPE_MAX_INVOICE_PAGES_TOTAL,
     maxInvoices: STRIPE_MAX_INVOICES_TOTAL,
-    requireAmountPaidPositive: STRIPE_REQUIRE_AMOUNT_PAID_POSITIVE
+    requireAmountPaidPositive: STRIPE_REQUIRE_AMOUNT_PAID_POSITIVE,
+    resumeStep: 'stripe_pull_subscriptions_to_raw'
+  })
+
+  // 3) Coupons, promotion codes, payment methods
+  const lookups = stripeFetchLookups_(apiKey, subs)
+
+  // 4) Build rows
+  const rows = subs.map(sub => stripeBuildSubscriptionRow_(sub, scan.firstPaidBySubId, lookups))
+
+  stripeOverwriteSheet_(sheets.subs, STRIPE_RAW_CFG.SUB_HEADERS, rows)
+  stripeReplaceChildRows_(sheets.items, STRIPE_RAW_CFG.ITEM_HEADERS, subs, sub => stripeBuildItemRows_(sub), { all: true })
+  stripeReplaceChildRows_(sheets.discounts, STRIPE_RAW_CFG.DISCOUNT_HEADERS, subs, sub => stripeBuildDiscountRows_(sub, lookups), { all: true })
+
+  const nowIso = new Date().toISOString()
+  stripeSaveEventsCursor_({ created: startedSec, event_id: '', last_full_at: nowIso, last_sync_at: nowIso })
+
+  return { mode: 'full', rows_in: subs.length, rows_out: rows.length, invoices: scan.invoices, excluded: 0 }
+}
+
+/** Incremental: apply the events since the cursor, then move the cursor. */
+function stripeApplyEvents_(apiKey, sheets, cursor) {
+  const cfg = STRIPE_RAW_CFG.EVENTS
+  const events = stripeFetchEventsSince_(apiKey, Number(cursor.created) - cfg.OVERLAP_SEC)
+  const applied = stripeApplyEventList_(apiKey, sheets, events)
+
+  const newest = events.length ? events[events.length - 1] : null
+  stripeSaveEventsCursor_({
+    created: newest ? Number(newest.created) : Number(cursor.created),
+    event_id: newest ? String(newest.id) : (cursor.event_id || ''),
+    last_full_at: cursor.last_full_at,
+    last_sync_at: new Date().toISOString()
+  })
+
+  Logger.log(`Stripe incremental: events=${events.length} subscriptions_upserted=${applied.upserted} invoice_updates=${applied.invoice_updates}`)
+  return {
+    mode: 'incremental',
+    rows_in: events.length,
+    rows_out: applied.rows_out,
+    upserted: applied.upserted,
+    invoices: applied.invoices,
+    excluded: 0
+  }
+}
+
+/**
+ * Applies Stripe events (oldest first) to the raw tabs: re-fetches only
+ * the touched subscriptions and invoices and writes only their rows
+ * (the webhook applies one event per delivery, so whole-tab rewrites
+ * would add up). invoice.paid events fill first_payment_at. Invoices
+ * are re-fetched rather than taken from the event, whose snapshot can
+ * be older than the row (a late invoice.payment_failed after
+ * invoice.paid); one Stripe no longer has (a deleted draft) loses its
+ * row. Re-applying an event is harmless. Used by the incremental pull
+ * and the Stripe webhook.
+ */
+function stripeApplyEventList_(apiKey, sheets, events) {
+  const H = STRIPE_RAW_CFG.SUB_HEADERS
+  const subRowById = stripeRowIndex_(sheets.subs, H, 'stripe_subscription_id')
+  const invRowById = stripeRowIndex_(sheets.invoices, STRIPE_RAW_CFG.INVOICE_HEADERS, 'stripe_invoice_id')
+
+  const subIds = new Set()
+  const invoiceIds = new Set()
+  const customerIds = new Set()
+  const paidAtSecBySubId = new Map()
+
+  events.forEach(ev => {
+    const obj = (ev.data && ev.data.object) || {}
+    const type = String(ev.type || '')
+
+    if (type.indexOf('invoice.') === 0 && obj.id) invoiceIds.add(String(obj.id))
+
+    if (type.indexOf('customer.subscription.') === 0) {
+      if (obj.id) subIds.add(String(obj.id))
+    } else if (type === 'invoice.paid') {
+      const subId = stripeExtractSubscriptionIdFromInvoice_(obj)
+      const paidAtSec = Number(obj.status_transitions && obj.status_transitions.paid_at)
+      if (!subId || !isFinite(paidAtSec) || paidAtSec <= 0) return
+      if (STRIPE_REQUIRE_AMOUNT_PAID_POSITIVE && !(Number(obj.amount_paid) > 0)) return
+      subIds.add(subId)
+      const prev = paidAtSecBySubId.get(subId)
+      if (!prev || paidAtSec < prev) paidAtSecBySubId.set(subId, paidAtSec)
+    } else if (type === 'customer.updated') {
+      if (obj.id) customerIds.add(String(obj.id))
+    } else if (type === 'payment_method.attached') {
+      const customerId = stripeExtractId_(obj.customer)
+      if (customerId) customerIds.add(customerId)
+    }
+  })
+
+  // Customer-level changes (email, default payment method) touch all their subscriptions
+  if (customerIds.size) {
+    const customers = stripeColumnByRow_(sheets.subs, H, 'stripe_customer_id', subRowById)
+    customers.forEach((customerId, subId) => {
+      if (customerIds.has(String(customerId || ''))) subIds.add(subId)
+    })
+  }
+
+  const subs = []
+  subIds.forEach(id => {
+    const sub = stripeFetchSubscriptionExpanded_(apiKey, id)
+    if (sub) subs.push(sub)
+  })
+
+  // first_payment_at: keep what the tab has unless an event shows an earlier payment
+  const firstPaidCol = H.indexOf('first_payment_at') + 1
+  const firstPaidBySubId = new Map()
+  subs.forEach(sub => {
+    const id = String(sub.id)
+    const existing = subRowById.has(id) ? strOrBlank(sheets.subs.getRange(subRowById.get(id), firstPaidCol).getValue()) : ''
+    const eventSec = paidAtSecBySubId.get(id)
+    const existingSec = existing ? new Date(existing).getTime() / 1000 : null
+    if (eventSec && (!existingSec || eventSec < existingSec)) firstPaidBySubId.set(id, stripeUnixToIso_(eventSec))
+    else if (existing) firstPaidBySubId.set(id, existing)
   })
 
-  // 3) Collect discount coupon ids + promotion code ids for lookup
+  const invoiceRows = new Map()
+  const invoicesGone = new Set()
+  invoiceIds.forEach(id => {
+    const inv = stripeFetchInvoice_(apiKey, id)
+    if (inv) invoiceRows.set(id, stripeBuildInvoiceRow_(inv))
+    else if (invRowById.has(id)) invoicesGone.add(id)
+  })
+
+  const lookups = stripeFetchLookups_(apiKey, subs)
+  const subRows = new Map(subs.map(sub => [String(sub.id), stripeBuildSubscriptionRow_(sub, firstPaidBySubId, lookups)]))
+
+  if (subs.length) {
+    stripeWriteRows_(sheets.subs, H, subRowById, subRows)
+    stripeReplaceChildRows_(sheets.items, STRIPE_RAW_CFG.ITEM_HEADERS, subs, sub => stripeBuildItemRows_(sub))
+    stripeReplaceChildRows_(sheets.discounts, STRIPE_RAW_CFG.DISCOUNT_HEADERS, subs, sub => stripeBuildDiscountRows_(sub, lookups))
+  }
+  const invoicesUpserted = invoiceRows.size + invoicesGone.size
+  if (invoicesUpserted) stripeWriteRows_(sheets.invoices, STRIPE_RAW_CFG.INVOICE_HEADERS, invRowById, invoiceRows, invoicesGone)
+
+  return {
+    rows_out: Math.max(0, sheets.subs.getLastRow() - 1),
+    upserted: subs.length,
+    invoice_updates: invoicesUpserted,
+    invoices: Math.max(0, sheets.invoices.getLastRow() - 1)
+  }
+}
+
+/** Coupon / promotion code / payment method objects referenced by subs. */
+function stripeFetchLookups_(apiKey, subs) {
   const couponIds = new Set()
   const promoIds = new Set()
   const paymentMethodIds = new Set()
@@ -133,191 +433,287 @@ function stripe_pull_subscriptions_to_raw() {
   const promoMap = stripeFetchPromotionCodesMap_(apiKey, Array.from(promoIds))
   const paymentMethodMap = stripeFetchPaymentMethodsMap_(apiKey, Array.from(paymentMethodIds))
 
-  // 4) Build rows
-  const rows = subs.map(sub => {
-    const subId = strOrBlank_(sub.id)
-    const firstPaymentAt = firstPaidBySubId.get(subId) || ''
-
-    // amounts / quantities (sum of items)
-    let totalCents = 0
-    let totalQty = 0
-    let currency = ''
-    let interval = ''
-    let intervalCount = 1
-    let unitCents = null
-
-    const items = sub.items && sub.items.data ? sub.items.data : []
-    items.forEach((it, idx) => {
-      const qty = it.quantity != null ? Number(it.quantity) : 1
-      totalQty += qty
-
-      const price = it.price
-      if (!price) return
-
-      if (!currency && price.currency) currency = String(price.currency).toUpperCase()
-
-      if (!interval && price.recurring && price.recurring.interval) {
-        interval = String(price.recurring.interval)
-        intervalCount = Number(price.recurring.interval_count || 1)
-      }
+  return { couponMap, promoMap, paymentMethodMap }
+}
 
-      if (price.unit_amount != null) {
-        if (idx === 0) unitCents = Number(price.unit_amount)
-        totalCents += Number(price.unit_amount) * qty
-      }
-    })
+/** One raw_stripe_subscriptions row (column order = STRIPE_RAW_CFG.SUB_HEADERS). */
+function stripeBuildSubscriptionRow_(sub, firstPaidBySubId, lookups) {
+  const subId = strOrBlank(sub.id)
+  const firstPaymentAt = firstPaidBySubId.get(subId) || ''
+
+  // amounts / quantities (sum of items)
+  let totalCents = 0
+  let totalQty = 0
+  let currency = ''
+  let interval = ''
+  let intervalCount = 1
+  let unitCents = null
 
-    const unitPrice = unitCents != null ? unitCents / 100 : ''
-    const amount = totalCents ? totalCents / 100 : ''
+  const items = sub.items && sub.items.data ? sub.items.data : []
+  items.forEach((it, idx) => {
+    const qty = it.quantity != null ? Number(it.quantity) : 1
+    totalQty += qty
 
-    // normalize monthly/yearly
-    let months = null
-    if (interval === 'month') months = intervalCount || 1
-    if (interval === 'year') months = (intervalCount || 1) * 12
+    const price = it.price
+    if (!price) return
 
-    let unitMonthly = ''
-    let unitYearly = ''
-    let amountMonthly = ''
-    let amountYearly = ''
+    if (!currency && price.currency) currency = String(price.currency).toUpperCase()
 
-    if (months && unitPrice !== '') {
-      unitMonthly = unitPrice / months
-      unitYearly = unitPrice * (12 / months)
+    if (!interval && price.recurring && price.recurring.interval) {
+      interval = String(price.recurring.interval)
+      intervalCount = Number(price.recurring.interval_count || 1)
     }
-    if (months && amount !== '') {
-      amountMonthly = amount / months
-      amountYearly = amount * (12 / months)
+
+    if (price.unit_amount != null) {
+      if (idx === 0) unitCents = Number(price.unit_amount)
+      totalCents += Number(price.unit_amount) * qty
     }
+  })
 
-    // customer
-    const customerObj = (sub && sub.customer && typeof sub.customer === 'object') ? sub.customer : null
-    const customerId = customerObj && customerObj.id ? String(customerObj.id) : strOrBlank_(sub.customer)
-    const email =
-      (customerObj && customerObj.email) ||
-      sub.customer_email ||
-      ''
+  const unitPrice = unitCents != null ? stripeMajorUnits_(unitCents, currency) : ''
+  const amount = totalCents ? stripeMajorUnits_(totalCents, currency) : ''
 
-    // payment method presence (subscription-level first, then customer-level)
-    const subDefaultPmId = stripeExtractId_(sub.default_payment_method)
-    const customerDefaultPmId = stripeExtractId_(customerObj && customerObj.invoice_settings && customerObj.invoice_settings.default_payment_method)
-    const subDefaultSourceId = stripeExtractId_(sub.default_source)
-    const customerDefaultSourceId = stripeExtractId_(customerObj && customerObj.default_source)
-
-    let hasPaymentMethod = false
-    let paymentMethodSource = ''
-    let paymentMethodId = ''
-    if (subDefaultPmId) {
-      hasPaymentMethod = true
-      paymentMethodSource = 'subscription.default_payment_method'
-      paymentMethodId = subDefaultPmId
-    } else if (customerDefaultPmId) {
-      hasPaymentMethod = true
-      paymentMethodSource = 'customer.invoice_settings.default_payment_method'
-      paymentMethodId = customerDefaultPmId
-    } else if (subDefaultSourceId) {
-      hasPaymentMethod = true
-      paymentMethodSource = 'subscription.default_source'
-      paymentMethodId = subDefaultSourceId
-    } else if (customerDefaultSourceId) {
-      hasPaymentMethod = true
-      paymentMethodSource = 'customer.default_source'
-      paymentMethodId = customerDefaultSourceId
+  // normalize monthly/yearly
+  let months = null
+  if (interval === 'month') months = intervalCount || 1
+  if (interval === 'year') months = (intervalCount || 1) * 12
+
+  let unitMonthly = ''
+  let unitYearly = ''
+  let amountMonthly = ''
+  let amountYearly = ''
+
+  if (months && unitPrice !== '') {
+    unitMonthly = unitPrice / months
+    unitYearly = unitPrice * (12 / months)
+  }
+  if (months && amount !== '') {
+    amountMonthly = amount / months
+    amountYearly = amount * (12 / months)
+  }
+
+  // customer
+  const customerObj = (sub && sub.customer && typeof sub.customer === 'object') ? sub.customer : null
+  const customerId = customerObj && customerObj.id ? String(customerObj.id) : strOrBlank(sub.customer)
+  const email =
+    (customerObj && customerObj.email) ||
+    sub.customer_email ||
+    ''
+
+  // payment method presence (subscription-level first, then customer-level)
+  const subDefaultPmId = stripeExtractId_(sub.default_payment_method)
+  const customerDefaultPmId = stripeExtractId_(customerObj && customerObj.invoice_settings && customerObj.invoice_settings.default_payment_method)
+  const subDefaultSourceId = stripeExtractId_(sub.default_source)
+  const customerDefaultSourceId = stripeExtractId_(customerObj && customerObj.default_source)
+
+  let hasPaymentMethod = false
+  let paymentMethodSource = ''
+  let paymentMethodId = ''
+  if (subDefaultPmId) {
+    hasPaymentMethod = true
+    paymentMethodSource = 'subscription.default_payment_method'
+    paymentMethodId = subDefaultPmId
+  } else if (customerDefaultPmId) {
+    hasPaymentMethod = true
+    paymentMethodSource = 'customer.invoice_settings.default_payment_method'
+    paymentMethodId = customerDefaultPmId
+  } else if (subDefaultSourceId) {
+    hasPaymentMethod = true
+    paymentMethodSource = 'subscription.default_source'
+    paymentMethodId = subDefaultSourceId
+  } else if (customerDefaultSourceId) {
+    hasPaymentMethod = true
+    paymentMethodSource = 'customer.default_source'
+    paymentMethodId = customerDefaultSourceId
+  }
+
+  // NOTE: Stripe does not expose an "attached_at" on payment_method objects.
+  // This is payment_method.created (best-effort proxy), not exact attach time.
+  let paymentMethodCreatedAt = ''
+  if (paymentMethodId && /^pm_/.test(paymentMethodId)) {
+    const pmObj = lookups.paymentMethodMap[paymentMethodId]
+    if (pmObj && pmObj.created) paymentMethodCreatedAt = stripeUnixToIso_(pmObj.created)
+  }
+
+  // discount fields (first discount only; every discount is in raw_stripe_discounts)
+  let discountPercent = ''
+  let discountDuration = ''
+  let discountDurationMonths = ''
+  let promoCode = ''
+
+  const discountsArr = stripeNormalizeDiscounts_(sub)
+  if (discountsArr.length > 0) {
+    const d = discountsArr[0]
+
+    const couponId =
+      (d.source && d.source.coupon) ||
+      (d.coupon && (typeof d.coupon === 'string' ? d.coupon : d.coupon.id))
+
+    if (couponId && lookups.couponMap[String(couponId)]) {
+      const c = lookups.couponMap[String(couponId)]
+      if (c.percent_off != null) discountPercent = c.percent_off
+      if (c.duration) discountDuration = c.duration
+      if (c.duration_in_months != null) discountDurationMonths = c.duration_in_months
     }
 
-    // NOTE: Stripe does not expose an "attached_at" on payment_method objects.
-    // This is payment_method.created (best-effort proxy), not exact attach time.
-    let paymentMethodCreatedAt = ''
-    if (paymentMethodId && /^pm_/.test(paymentMethodId)) {
-      const pmObj = paymentMethodMap[paymentMethodId]
-      if (pmObj && pmObj.created) paymentMethodCreatedAt = stripeUnixToIso_(pmObj.created)
+    if (d.promotion_code) {
+      const promoId = String(d.promotion_code)
+      const promoObj = lookups.promoMap[promoId]
+      if (promoObj && promoObj.code) promoCode = promoObj.code
+      else promoCode = promoId
     }
+  }
 
-    // discount fields (use first discount)
-    let discountPercent = ''
-    let discountDuration = ''
-    let discountDurationMonths = ''
-    let promoCode = ''
+  // metadata trace
+  const md = sub.metadata || {}
+  const mdExclude = strOrBlank(md[STRIPE_EXCLUDE_META_KEY])
+  const metadataJson = safeJson(md)
 
-    const discountsArr = stripeNormalizeDiscounts_(sub)
-    if (discountsArr.length > 0) {
-      const d = discountsArr[0]
+  return [
+    subId,
+    strOrBlank(sub.status),
+    stripeUnixToIso_(sub.created),
 
-      const couponId =
-        (d.source && d.source.coupon) ||
-        (d.coupon && (typeof d.coupon === 'string' ? d.coupon : d.coupon.id))
+    firstPaymentAt,
 
-      if (couponId && couponMap[String(couponId)]) {
-        const c = couponMap[String(couponId)]
-        if (c.percent_off != null) discountPercent = c.percent_off
-        if (c.duration) discountDuration = c.duration
-        if (c.duration_in_months != null) discountDurationMonths = c.duration_in_months
-      }
+    strOrBlank(customerId),
+    strOrBlank(email),
+    hasPaymentMethod,
+    paymentMethodSource,
+    paymentMethodId,
+    paymentMethodCreatedAt,
 
-      if (d.promotion_code) {
-        const promoId = String(d.promotion_code)
-        const promoObj = promoMap[promoId]
-        if (promoObj && promoObj.code) promoCode = promoObj.code
-        else promoCode = promoId
-      }
-    }
+    strOrBlank(currency),
+    strOrBlank(interval),
+    intervalCount || '',
 
-    // metadata trace
-    const md = sub.metadata || {}
-    const mdExclude = strOrBlank_(md[STRIPE_EXCLUDE_META_KEY])
-    const metadataJson = stripeSafeJson_(md)
+    totalQty || '',
+    unitPrice,
+    amount,
 
-    return [
-      subId,
-      strOrBlank_(sub.status),
-      stripeUnixToIso_(sub.created),
+    unitMonthly,
+    unitYearly,
+    amountMonthly,
+    amountYearly,
 
-      firstPaymentAt,
+    discountPercent,
+    discountDuration,
+    discountDurationMonths,
 
-      strOrBlank_(customerId),
-      strOrBlank_(email),
-      hasPaymentMethod,
-      paymentMethodSource,
-      paymentMethodId,
-      paymentMethodCreatedAt,
+    promoCode,
 
-      strOrBlank_(currency),
-      strOrBlank_(interval),
-      intervalCount || '',
+    sub.cancel_at_period_end === true,
+    stripeUnixToIso_(sub.canceled_at),
 
-      totalQty || '',
-      unitPrice,
-      amount,
+    metadataJson,
+    mdExclude
+  ]
+}
 
-      unitMonthly,
-      unitYearly,
-      amountMonthly,
-      amountYearly,
+function stripe_pull_all_raw() {
+  lockWrap('stripe_pull_all_raw', () => {
+    stripe_pull_subscriptions_to_raw()
+  })
+}
 
-      discountPercent,
-      discountDuration,
-      discountDurationMonths,
+/* =========================
+ * Incremental sync helpers
+ * ========================= */
 
-      promoCode,
+function stripeLoadEventsCursor_() {
+  const raw = PropertiesService.getScriptProperties().getProperty(STRIPE_RAW_CFG.EVENTS.CURSOR_PROP)
+  if (!raw) return null
+  try { return JSON.parse(raw) } catch (e) { return null }
+}
+
+function stripeSaveEventsCursor_(cursor) {
+  PropertiesService.getScriptProperties().setProperty(STRIPE_RAW_CFG.EVENTS.CURSOR_PROP, JSON.stringify(cursor))
+}
 
-      sub.cancel_at_period_end === true,
-      stripeUnixToIso_(sub.canceled_at),
+/** Why the next pull must list everything ('' = incremental is fine). */
+function stripeFullRebuildReason_(sheets, cursor) {
+  if (!cursor || !Number(cursor.created)) return 'no events cursor'
+  if (cursor.full_in_progress) return `unfinished full rebuild (${cursor.full_in_progress})`
+  if (sheets.subs.getLastRow() < 2) return `${STRIPE_RAW_CFG.SHEETS.SUBSCRIPTIONS} is empty`
 
-      metadataJson,
-      mdExclude
-    ]
+  // A tab added after the cursor was set has to be filled once
+  const unbuilt = ['items', 'discounts', 'invoices'].filter(k => sheets[k].getLastRow() < 1)
+  if (unbuilt.length) return `${unbuilt.map(k => sheets[k].getName()).join(', ')} never built`
+
+  const dayMs = 24 * 60 * 60 * 1000
+  const cursorAgeDays = (Date.now() - Number(cursor.created) * 1000) / dayMs
+  if (cursorAgeDays > STRIPE_RAW_CFG.EVENTS.MAX_CURSOR_AGE_DAYS) return `cursor is ${Math.floor(cursorAgeDays)} days old`
+
+  const lastFullMs = cursor.last_full_at ? new Date(cursor.last_full_at).getTime() : NaN
+  if (isNaN(lastFullMs)) return 'no previous full rebuild'
+  const fullAgeDays = (Date.now() - lastFullMs) / dayMs
+  if (fullAgeDays >= CONFIG_get_('stripe_full_rebuild_days')) return `last full rebuild ${Math.floor(fullAgeDays)} days ago`
+
+  return ''
+}
+
+/** id column value -> sheet row number (reads the id column only). */
+function stripeRowIndex_(sh, headers, idHeader) {
+  const index = new Map()
+  if (sh.getLastRow() < 2) return index
+
+  sh.getRange(2, headers.indexOf(idHeader) + 1, sh.getLastRow() - 1, 1).getValues().forEach((r, i) => {
+    const id = String(r[0] || '').trim()
+    if (id) index.set(id, i + 2)
   })
+  return index
+}
 
-  stripeOverwriteSheet_(sh, headers, rows)
+/** id -> value of one more column, for the rows in rowById. */
+function stripeColumnByRow_(sh, headers, header, rowById) {
+  const out = new Map()
+  if (sh.getLastRow() < 2) return out
 
-  const seconds = (new Date() - t0) / 1000
-  writeSyncLogSafe_('stripe_pull_subscriptions_to_raw', 'ok', subs.length, rows.length, seconds, '')
-  return { rows_in: subs.length, rows_out: rows.length, excluded: 0 }
+  const values = sh.getRange(2, headers.indexOf(header) + 1, sh.getLastRow() - 1, 1).getValues()
+  rowById.forEach((row, id) => out.set(id, values[row - 2][0]))
+  return out
 }
 
-function stripe_pull_all_raw() {
-  lockWrapSafe_('stripe_pull_all_raw', () => {
-    stripe_pull_subscriptions_to_raw()
+/**
+ * Writes rowsById (id -> row) over their existing rows, appends the new
+ * ones and deletes the rows of removeIds; the rest of the tab is not
+ * touched. rowById is the tab's stripeRowIndex_.
+ */
+function stripeWriteRows_(sh, headers, rowById, rowsById, removeIds) {
+  if (sh.getLastRow() < 1) {
+    sh.getRange(1, 1, 1, headers.length).setValues([headers])
+    sh.setFrozenRows(1)
+  }
+
+  const appended = []
+  rowsById.forEach((row, id) => {
+    if (rowById.has(id)) sh.getRange(rowById.get(id), 1, 1, headers.length).setValues([row])
+    else appended.push(row)
   })
+  if (appended.length) sh.getRange(sh.getLastRow() + 1, 1, appended.length, headers.length).setValues(appended)
+
+  // Bottom-up so earlier row numbers stay valid
+  Array.from(removeIds || [])
+    .map(id => rowById.get(id))
+    .filter(Boolean)
+    .sort((a, b) => b - a)
+    .forEach(row => sh.deleteRow(row))
+}
+
+/**
+ * Per-subscription child tabs (items, discounts): swaps the rows of the
+ * given subscriptions for buildRows(sub). opts.all: rewrite the whole tab.
+ */
+function stripeReplaceChildRows_(sheet, headers, subs, buildRows, opts) {
+  const subIdCol = headers.indexOf('stripe_subscription_id')
+  const touched = new Set(subs.map(sub => String(sub.id)))
+  const existing = (opts && opts.all) || sheet.getLastRow() < 2
+    ? []
+    : sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues()
+
+  const rows = existing.filter(r => !touched.has(String(r[subIdCol] || '').trim()))
+  subs.forEach(sub => rows.push(...buildRows(sub)))
+  stripeOverwriteSheet_(sheet, headers, rows)
 }
 
 /* =========================
@@ -370,11 +766,17 @@ function stripeExtractSubscriptionIdFromInvoice_(inv) {
 }
 
 /**
- * Bulk invoice scan:
- * subscription_id -> earliest paid_at (ISO)
+ * Bulk invoice scan (every status, created within the lookback):
+ * - rewrites raw_stripe_invoices page by page
+ * - returns { firstPaidBySubId: subscription_id -> earliest paid_at (ISO), invoices }
+ *
+ * opts.resumeStep: inside a resumable pipeline run the scan can pause
+ * between pages; the cursor (starting_after + map so far) is saved
+ * under that step and picked up by the next execution, which keeps
+ * appending to the rows already written.
  */
-function stripeBuildFirstPaidAtBySubscription_(apiKey, opts) {
-  const lookbackDays = Number(opts && opts.lookbackDays) || STRIPE_INVOICE_LOOKBACK_DAYS
+function stripeScanInvoices_(apiKey, invSh, opts) {
+  const lookbackDays = Number(opts && opts.lookbackDays) || CONFIG_get_('stripe_invoice_lookback_days')
   const pageLimit = Math.min(100, Math.max(1, Number(opts && opts.pageLimit) || 100))
   const maxPages = Math.max(1, Number(opts && opts.maxPages) || STRIPE_MAX_INVOICE_PAGES_TOTAL)
   const maxInvoices = Math.max(100, Number(opts && opts.maxInvoices) || STRIPE_MAX_INVOICES_TOTAL)
@@ -383,14 +785,31 @@ function stripeBuildFirstPaidAtBySubscription_(apiKey, opts) {
   const nowSec = Math.floor(Date.now() / 1000)
   const gteSec = nowSec - Math.floor(lookbackDays * 24 * 60 * 60)
 
-  const out = new Map() // subId -> minPaidAtSec
+  const resumeStep = (opts && opts.resumeStep) || ''
+  const cursor = resumeStep ? RUNSTATE_getCursor_(resumeStep) : null
 
-  let startingAfter = null
-  let pages = 0
-  let seen = 0
+  const out = new Map(cursor ? Object.entries(cursor.first_paid || {}) : []) // subId -> minPaidAtSec
+
+  let startingAfter = cursor ? cursor.starting_after : null
+  let pages = cursor ? Number(cursor.pages || 0) : 0
+  let seen = cursor ? Number(cursor.seen || 0) : 0
+  let pagesThisExecution = 0
+
+  if (cursor) Logger.log(`Invoice scan: resuming after ${startingAfter} (pages=${pages}, seen=${seen})`)
+  else stripeOverwriteSheet_(invSh, STRIPE_RAW_CFG.INVOICE_HEADERS, [])
 
   while (true) {
+    if (resumeStep && pagesThisExecution > 0 && RUNSTATE_shouldYield_()) {
+      RUNSTATE_yield_(resumeStep, {
+        starting_after: startingAfter,
+        pages,
+        seen,
+        first_paid: Object.fromEntries(out)
+      })
+    }
+
     pages += 1
+    pagesThisExecution += 1
     if (pages > maxPages) {
       Logger.log(`Invoice scan: hit maxPages=${maxPages}, stopping early.`)
       break
@@ -398,8 +817,7 @@ function stripeBuildFirstPaidAtBySubscription_(apiKey, opts) {
 
     let url =
       `${STRIPE_RAW_CFG.API_BASE}/invoices` +
-      `?status=paid` +
-      `&limit=${pageLimit}` +
+      `?limit=${pageLimit}` +
       `&created[gte]=${encodeURIComponent(String(gteSec))}`
 
     if (startingAfter) url += `&starting_after=${encodeURIComponent(startingAfter)}`
@@ -412,7 +830,7 @@ function stripeBuildFirstPaidAtBySubscription_(apiKey, opts) {
 
     const code = res.getResponseCode()
     if (code >= 300) {
-      Logger.log(`Warning: Stripe API error ${code} while listing paid invoices: ${res.getContentText()}`)
+      Logger.log(`Warning: Stripe API error ${code} while listing invoices: ${res.getContentText()}`)
       break
     }
 
@@ -420,6 +838,7 @@ function stripeBuildFirstPaidAtBySubscription_(apiKey, opts) {
     const data = body.data || []
     if (!data.length) break
 
+    const pageRows = []
     for (const inv of data) {
       seen += 1
       if (seen > maxInvoices) {
@@ -427,6 +846,8 @@ function stripeBuildFirstPaidAtBySubscription_(apiKey, opts) {
         break
       }
 
+      pageRows.push(stripeBuildInvoiceRow_(inv))
+
       // ✅ subscription id (robust)
       const subId = stripeExtractSubscriptionIdFromInvoice_(inv)
       if (!subId) continue
@@ -446,6 +867,8 @@ function stripeBuildFirstPaidAtBySubscription_(apiKey, opts) {
       if (!prev || paidAtSec < prev) out.set(subId, paidAtSec)
     }
 
+    batchSetValues(invSh, invSh.getLastRow() + 1, 1, pageRows, STRIPE_RAW_CFG.WRITE_CHUNK)
+
     if (seen > maxInvoices) break
     if (!body.has_more) break
 
@@ -458,8 +881,125 @@ function stripeBuildFirstPaidAtBySubscription_(apiKey, opts) {
     isoMap.set(subId, stripeUnixToIso_(sec))
   })
 
-  Logger.log(`Invoice scan done. subscriptions_with_paid_invoices=${isoMap.size}, invoices_scanned≈${seen}`)
-  return isoMap
+  const invoices = Math.max(0, invSh.getLastRow() - 1)
+  Logger.log(`Invoice scan done. subscriptions_with_paid_invoices=${isoMap.size}, invoices_written=${invoices}`)
+  return { firstPaidBySubId: isoMap, invoices }
+}
+
+/**
+ * raw_stripe_discounts rows for one subscription, in Stripe's order
+ * (the order they apply in). amount_off in major units.
+ */
+function stripeBuildDiscountRows_(sub, lookups) {
+  return stripeNormalizeDiscounts_(sub).map(d => {
+    const couponId =
+      (d.source && d.source.coupon) ||
+      (d.coupon && (typeof d.coupon === 'string' ? d.coupon : d.coupon.id))
+
+    // Older API versions embed the coupon; newer ones only reference it
+    const c = (d.coupon && typeof d.coupon === 'object' ? d.coupon : null) || lookups.couponMap[String(couponId || '')] || {}
+
+    let promoCode = ''
+    if (d.promotion_code) {
+      const promoId = stripeExtractId_(d.promotion_code)
+      const promoObj = lookups.promoMap[promoId]
+      promoCode = promoObj && promoObj.code ? promoObj.code : promoId
+    }
+
+    return [
+      strOrBlank(sub.id),
+      strOrBlank(d.id),
+      strOrBlank(couponId),
+      strOrBlank(c.name),
+      promoCode,
+      c.percent_off != null ? Number(c.percent_off) : '',
+      stripeMajorUnits_(c.amount_off, c.currency),
+      strOrBlank(c.currency).toUpperCase(),
+      strOrBlank(c.duration),
+      c.duration_in_months != null ? Number(c.duration_in_months) : '',
+      stripeUnixToIso_(d.start),
+      stripeUnixToIso_(d.end)
+    ]
+  })
+}
+
+/** raw_stripe_subscription_items rows for one subscription (column order = STRIPE_RAW_CFG.ITEM_HEADERS). */
+function stripeBuildItemRows_(sub) {
+  const items = sub.items && sub.items.data ? sub.items.data : []
+  return items.map(it => {
+    const price = it.price || {}
+    const recurring = price.recurring || {}
+    const unitCents =
+      price.unit_amount != null ? Number(price.unit_amount) :
+      (price.unit_amount_decimal != null && price.unit_amount_decimal !== '') ? Number(price.unit_amount_decimal) :
+      null
+
+    return [
+      strOrBlank(sub.id),
+      strOrBlank(it.id),
+      stripeExtractId_(price.product),
+      strOrBlank(price.id),
+      strOrBlank(price.nickname),
+      strOrBlank(price.currency).toUpperCase(),
+      strOrBlank(recurring.interval),
+      recurring.interval ? Number(recurring.interval_count || 1) : '',
+      strOrBlank(recurring.usage_type || (recurring.interval ? 'licensed' : '')),
+      it.quantity != null ? Number(it.quantity) : 1,
+      stripeMajorUnits_(unitCents, price.currency),
+      price.billing_scheme === 'tiered'
+    ]
+  })
+}
+
+/**
+ * One raw_stripe_invoices row (column order = STRIPE_RAW_CFG.INVOICE_HEADERS).
+ * period_start/end is the service period of the lines (for subscription
+ * invoices the invoice-level period is the previous cycle).
+ */
+function stripeBuildInvoiceRow_(inv) {
+  const cents = v => stripeMajorUnits_(v, inv.currency)
+  const sumAmounts = list => (Array.isArray(list) ? list : []).reduce((sum, x) => sum + (Number(x && x.amount) || 0), 0)
+
+  const lines = inv.lines && Array.isArray(inv.lines.data) ? inv.lines.data : []
+  let periodStart = null
+  let periodEnd = null
+  lines.forEach(line => {
+    const p = line && line.period
+    if (!p) return
+    if (p.start && (periodStart == null || p.start < periodStart)) periodStart = p.start
+    if (p.end && (periodEnd == null || p.end > periodEnd)) periodEnd = p.end
+  })
+  if (periodStart == null) periodStart = inv.period_start
+  if (periodEnd == null) periodEnd = inv.period_end
+
+  // Newer API versions replace `tax` with total_taxes[]
+  const tax = inv.tax != null ? cents(inv.tax) : Array.isArray(inv.total_taxes) ? cents(sumAmounts(inv.total_taxes)) : ''
+
+  return [
+    strOrBlank(inv.id),
+    strOrBlank(inv.number),
+    stripeExtractSubscriptionIdFromInvoice_(inv),
+    stripeExtractId_(inv.customer),
+    strOrBlank(inv.customer_email),
+    strOrBlank(inv.status),
+    strOrBlank(inv.billing_reason),
+    strOrBlank(inv.currency).toUpperCase(),
+
+    cents(inv.subtotal),
+    cents(sumAmounts(inv.total_discount_amounts)),
+    tax,
+    cents(inv.total),
+    cents(inv.amount_due),
+    cents(inv.amount_paid),
+    cents(inv.amount_remaining),
+
+    stripeUnixToIso_(periodStart),
+    stripeUnixToIso_(periodEnd),
+    stripeUnixToIso_(inv.created),
+    stripeUnixToIso_(inv.status_transitions && inv.status_transitions.paid_at),
+    inv.attempt_count != null ? Number(inv.attempt_count) : '',
+    stripeUnixToIso_(inv.next_payment_attempt)
+  ]
 }
 
 function stripeFetchAllSubscriptionsExpanded_(apiKey) {
@@ -498,6 +1038,87 @@ function stripeFetchAllSubscriptionsExpanded_(apiKey) {
   return all
 }
 
+/** Single subscription with the same expansions as the full list; null if Stripe no longer has it. */
+function stripeFetchSubscriptionExpanded_(apiKey, subId) {
+  const url =
+    `${STRIPE_RAW_CFG.API_BASE}/subscriptions/${encodeURIComponent(subId)}` +
+    `?expand[]=customer` +
+    `&expand[]=discounts`
+
+  const res = UrlFetchApp.fetch(url, {
+    method: 'get',
+    headers: { Authorization: `Bearer ${apiKey}` },
+    muteHttpExceptions: true
+  })
+
+  const code = res.getResponseCode()
+  if (code === 404) {
+    Logger.log(`Warning: subscription ${subId} not found, keeping existing row`)
+    return null
+  }
+  if (code >= 300) throw new Error(`Stripe API error ${code} while fetching subscription ${subId}: ${res.getContentText()}`)
+
+  return JSON.parse(res.getContentText())
+}
+
+/** Single invoice as it is now; null if Stripe no longer has it (a deleted draft). */
+function stripeFetchInvoice_(apiKey, invoiceId) {
+  const url = `${STRIPE_RAW_CFG.API_BASE}/invoices/${encodeURIComponent(invoiceId)}`
+
+  const res = UrlFetchApp.fetch(url, {
+    method: 'get',
+    headers: { Authorization: `Bearer ${apiKey}` },
+    muteHttpExceptions: true
+  })
+
+  const code = res.getResponseCode()
+  if (code === 404) {
+    Logger.log(`Invoice ${invoiceId} not found, dropping its row`)
+    return null
+  }
+  if (code >= 300) throw new Error(`Stripe API error ${code} while fetching invoice ${invoiceId}: ${res.getContentText()}`)
+
+  return JSON.parse(res.getContentText())
+}
+
+/** Events of STRIPE_RAW_CFG.EVENTS.TYPES created at/after createdGte, oldest first. */
+function stripeFetchEventsSince_(apiKey, createdGte) {
+  const all = []
+  let startingAfter = null
+
+  while (true) {
+    let url =
+      `${STRIPE_RAW_CFG.API_BASE}/events` +
+      `?limit=${STRIPE_RAW_CFG.PAGE_LIMIT}` +
+      `&created[gte]=${Math.floor(createdGte)}` +
+      STRIPE_RAW_CFG.EVENTS.TYPES.map(t => `&types[]=${encodeURIComponent(t)}`).join('')
+
+    if (startingAfter) url += `&starting_after=${encodeURIComponent(startingAfter)}`
+
+    const res = UrlFetchApp.fetch(url, {
+      method: 'get',
+      headers: { Authorization: `Bearer ${apiKey}` },
+      muteHttpExceptions: true
+    })
+
+    const code = res.getResponseCode()
+    if (code >= 300) throw new Error(`Stripe API error ${code} while listing events: ${res.getContentText()}`)
+
+    const body = JSON.parse(res.getContentText())
+    const data = body.data || []
+    all.push(...data)
+
+    if (!body.has_more || !data.length) break
+    startingAfter = data[data.length - 1].id
+    Utilities.sleep(STRIPE_RAW_CFG.PAUSE_MS)
+  }
+
+  // Stripe lists newest first
+  all.reverse().sort((a, b) => Number(a.created) - Number(b.created))
+  Logger.log(`Fetched ${all.length} Stripe events since ${stripeUnixToIso_(createdGte)}`)
+  return all
+}
+
 function stripeNormalizeDiscounts_(sub) {
   const out = []
   if (Array.isArray(sub.discounts)) out.push(...sub.discounts)
@@ -585,6 +1206,13 @@ function stripeFetchPaymentMethodsMap_(apiKey, pmIds) {
   return map
 }
 
+/** Stripe amount (smallest currency unit) -> major units; '' when missing or not a number. */
+function stripeMajorUnits_(amount, currency) {
+  if (amount == null || amount === '' || !isFinite(Number(amount))) return ''
+  const zeroDecimal = STRIPE_RAW_CFG.ZERO_DECIMAL_CURRENCIES.indexOf(String(currency || '').toUpperCase()) !== -1
+  return zeroDecimal ? Number(amount) : Number(amount) / 100
+}
+
 function stripeUnixToIso_(sec) {
   if (!sec) return ''
   const d = new Date(Number(sec) * 1000)
@@ -598,57 +1226,8 @@ function stripeOverwriteSheet_(sheet, headers, rows) {
   sheet.setFrozenRows(1)
 
   if (rows && rows.length) {
-    batchSetValuesSafe_(sheet, 2, 1, rows, STRIPE_RAW_CFG.WRITE_CHUNK)
+    batchSetValues(sheet, 2, 1, rows, STRIPE_RAW_CFG.WRITE_CHUNK)
   }
 
   sheet.autoResizeColumns(1, headers.length)
 }
-
-/* =========================
- * Minimal shared utilities (fallbacks)
- * ========================= */
-
-function getOrCreateSheetSafe_(ss, name) {
-  if (typeof getOrCreateSheet === 'function') {
-    try { return getOrCreateSheet(ss, name) } catch (e) {}
-    try { return getOrCreateSheet(name) } catch (e) {}
-  }
-  const sh = ss.getSheetByName(name)
-  return sh || ss.insertSheet(name)
-}
-
-function batchSetValuesSafe_(sheet, startRow, startCol, values, chunkSize) {
-  if (typeof batchSetValues === 'function') return batchSetValues(sheet, startRow, startCol, values, chunkSize)
-  const size = chunkSize || 2000
-  for (let i = 0; i < values.length; i += size) {
-    const chunk = values.slice(i, i + size)
-    sheet.getRange(startRow + i, startCol, chunk.length, chunk[0].length).setValues(chunk)
-  }
-}
-
-function writeSyncLogSafe_(step, status, rowsIn, rowsOut, seconds, error) {
-  if (typeof writeSyncLog === 'function') {
-    return writeSyncLog(step, status, rowsIn, rowsOut, seconds, error || '')
-  }
-  Logger.log(`[SYNCLOG missing] ${step} ${status} rows_in=${rowsIn} rows_out=${rowsOut} seconds=${seconds} error=${error || ''}`)
-}
-
-function lockWrapSafe_(name, fn) {
-  if (typeof lockWrap === 'function') return lockWrap(fn)
-  const lock = LockService.getScriptLock()
-  if (!lock.tryLock(30000)) throw new Error(`Could not obtain lock: ${name}`)
-  try { return fn() } finally { lock.releaseLock() }
-}
-
-function strOrBlank_(v) {
-  if (v === null || v === undefined) return ''
-  return String(v).trim()
-}
-
-function stripeSafeJson_(obj) {
-  try {
-    return JSON.stringify(obj == null ? {} : obj)
-  } catch (e) {
-    return '{}'
-  }
-}
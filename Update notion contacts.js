@@ -10,7 +10,7 @@
  *   notion_fix_contact_names_from_canon()
  */
 function notion_fix_contact_names_from_canon() {
-  return notionLockWrap_("notion_fix_contact_names_from_canon", () => {
+  return lockWrap("notion_fix_contact_names_from_canon", () => {
     const props = PropertiesService.getScriptProperties()
     const notion = notionClient_()
     const contactsDbId = mustGetProp_(props, PROP_NOTION_CONTACTS_DB_ID)
@@ -8,13 +8,26 @@
  *  1) raw_clerk_users row: email_key, email, name, created_at, clerk_user_id, last_login_date-ish
  *     - Supports Date objects like: Wed Nov 19 2025 00:00:00 GMT-0700 ...
  *     - Supports ISO strings like: 2025-12-23T20:13:50.179Z
- *  2) raw_clerk_memberships: org_id + org_role per user (prefer clerk_user_id join)
- *  3) raw_posthog_user_metrics: metrics (prefer email_key, fallback email)
- *  4) login_events: only used for logged_in_days_count + fallback last_login if clerk missing
+ *  2) raw_clerk_memberships: org_id + org_role per user (prefer clerk_user_id join;
+ *     live memberships first, soft-deleted ones only as a fallback)
+ *  3) raw_posthog_user_metrics: metrics (prefer email_key, fallback email);
+ *     metric registry columns (Posthog Metric Registry.js) not listed in
+ *     CANON_HEADERS are added before the manual override columns
+ *  4) login_events (one row per Clerk session): logged_in_days_count,
+ *     logged_in_weeks_count (distinct days / Monday-start UTC weeks with a
+ *     login), sessions_count, sessions_per_week (sessions started in the
+ *     last SESSIONS_WINDOW_DAYS days, per week) + fallback last_login if
+ *     clerk missing
  *  5) clerk_master fallback
  *
+ * Engagement windows (ENGAGEMENT_WINDOWS_DAYS, ending today):
+ *  - meetings_recorded / active_days / asks _7d, _30d, _90d from the PostHog
+ *    trend columns, login_days_* (distinct login days) from login_events
+ *  - *_wow: last 7 days minus the 7 days before (week over week)
+ *
  * Output:
  *  - canon_users (overwrite), preserves manual override columns from prior canon_users
+ *  - users deleted in Clerk stay, with is_deleted / deleted_at from raw_clerk_users
  *
  * Optional shared utils used if present:
  *  - lockWrap(step, fn)
@@ -60,6 +73,9 @@ function build_canon_users() {
           'org_role',
 
           'logged_in_days_count',
+          'logged_in_weeks_count',
+          'sessions_count',
+          'sessions_per_week',
           'last_login_date',
           'days_with_ping',
           'days_since_last_login',
@@ -74,6 +90,23 @@ function build_canon_users() {
           'action_items_synced',
           'meeting_notes_synced',
 
+          'meetings_recorded_7d',
+          'meetings_recorded_30d',
+          'meetings_recorded_90d',
+          'meetings_recorded_wow',
+          'active_days_7d',
+          'active_days_30d',
+          'active_days_90d',
+          'active_days_wow',
+          'asks_7d',
+          'asks_30d',
+          'asks_90d',
+          'asks_wow',
+          'login_days_7d',
+          'login_days_30d',
+          'login_days_90d',
+          'login_days_wow',
+
           'calendar_connected',
           'first_calendar_connected_date',
           'email_connected',
@@ -99,18 +132,36 @@ function build_canon_users() {
           'in_onboarding_effective',
           'tags_effective',
 
+          // deleted in Clerk (from raw_clerk_users)
+          'is_deleted',
+          'deleted_at',
+
           'updated_at'
         ],
 
+        SESSIONS_WINDOW_DAYS: 28,
+
+        // <metric>_<n>d columns; <metric>_wow compares the last 7 days with the 7 before
+        ENGAGEMENT_WINDOWS_DAYS: [7, 30, 90],
+        ENGAGEMENT_METRICS: ['meetings_recorded', 'active_days', 'asks'],
+
         MANUAL_FIELDS: new Set([
           'service_override',
           'white_glove_override',
           'in_onboarding_override',
           'tags_override',
           'note_override'
-        ])
+        ]),
+
+        REGISTRY_COLUMNS: (typeof PHMETRIC_canonColumns_ === 'function') ? PHMETRIC_canonColumns_() : []
       }
 
+      // Registry columns canon_users does not list yet, written before the manual overrides
+      const registryExtras = CFG.REGISTRY_COLUMNS.filter(c => CFG.CANON_HEADERS.indexOf(c.name) < 0)
+      const extrasAt = CFG.CANON_HEADERS.indexOf('service_override')
+      const canonHeaders = CFG.CANON_HEADERS.slice(0, extrasAt)
+        .concat(registryExtras.map(c => c.name), CFG.CANON_HEADERS.slice(extrasAt))
+
       // ---------- Sheet helpers ----------
       function getSheet_(name) {
         return ss.getSheetByName(name)
@@ -296,10 +347,10 @@ function build_canon_users() {
         if (!userIdField) throw new Error('raw_clerk_memberships missing clerk_user_id (or user_id)')
         if (!orgIdField) throw new Error('raw_clerk_memberships missing org_id')
 
-        function add_(mapAll, key, orgId, role) {
+        function add_(mapAll, key, orgId, role, deleted) {
           if (!key) return
           if (!mapAll.has(key)) mapAll.set(key, [])
-          mapAll.get(key).push({ org_id: orgId, role })
+          mapAll.get(key).push({ org_id: orgId, role, deleted })
         }
 
         memsTbl.rows.forEach(r => {
@@ -308,11 +359,12 @@ function build_canon_users() {
           if (!userId || !orgId) return
 
           const role = roleField ? String(r[memsTbl.col(roleField)] || '').trim() : ''
-          add_(byUserIdAll, userId, orgId, role)
+          const deleted = bool_(memsTbl, r, 'is_deleted')
+          add_(byUserIdAll, userId, orgId, role, deleted)
 
           if (emailKeyField) {
             const emailKey = normalizeEmailSafe_(String(r[memsTbl.col(emailKeyField)] || ''))
-            add_(byEmailAll, emailKey, orgId, role)
+            add_(byEmailAll, emailKey, orgId, role, deleted)
           }
         })
 
@@ -328,6 +380,7 @@ function build_canon_users() {
         function chooseBest_(arr) {
           if (!arr || !arr.length) return { org_id: '', role: '' }
           const copy = arr.slice().sort((a, b) => {
+            if (a.deleted !== b.deleted) return a.deleted ? 1 : -1
             const pa = priority(a.role)
             const pb = priority(b.role)
             if (pa !== pb) return pa - pb
@@ -388,10 +441,49 @@ function build_canon_users() {
           pm_keeper_connected: false,
           pm_keeper_first_connected_date: '',
           pm_financial_cents_connected: false,
-          pm_financial_cents_first_connected_date: ''
+          pm_financial_cents_first_connected_date: '',
+
+          windows: {},
+          extras: readRegistryExtras_(null, null)
         }
       }
 
+      // registryExtras values by column type (defaults when tbl is null or lacks the column)
+      function readRegistryExtras_(tbl, r) {
+        const out = {}
+        registryExtras.forEach(c => {
+          const has = tbl && tbl.has(c.name)
+          out[c.name] =
+            c.type === 'number' ? (has ? num_(tbl, r, c.name) : 0) :
+            c.type === 'boolean' ? (has ? bool_(tbl, r, c.name) : false) :
+            (has ? str_(tbl, r, c.name) : '')
+        })
+        return out
+      }
+
+      // PostHog trend columns: { meetings_recorded_7d, ..., meetings_recorded_prev_7d, ... }
+      function readEngagementWindows_(metricsTbl, r) {
+        const out = {}
+        const suffixes = CFG.ENGAGEMENT_WINDOWS_DAYS.map(n => `${n}d`).concat(['prev_7d'])
+        CFG.ENGAGEMENT_METRICS.forEach(metric => suffixes.forEach(suffix => {
+          const field = `${metric}_${suffix}`
+          out[field] = metricsTbl.has(field) ? num_(metricsTbl, r, field) : ''
+        }))
+        return out
+      }
+
+      // Values for the engagement columns, in CANON_HEADERS order
+      function engagementValues_(windows) {
+        const metrics = CFG.ENGAGEMENT_METRICS.concat(['login_days'])
+        return metrics.reduce((all, metric) => {
+          const counts = CFG.ENGAGEMENT_WINDOWS_DAYS.map(n => windows[`${metric}_${n}d`] ?? '')
+          const last = windows[`${metric}_7d`]
+          const prev = windows[`${metric}_prev_7d`]
+          const wow = (last === '' || last == null || prev === '' || prev == null) ? '' : last - prev
+          return all.concat(counts, [wow])
+        }, [])
+      }
+
       function buildMetricsIndex_(metricsTbl) {
         const out = new Map()
         const emailKeyField = metricsTbl.has('email_key') ? 'email_key' : ''
@@ -428,16 +520,33 @@ function build_canon_users() {
             pm_keeper_first_connected_date: str_(metricsTbl, r, 'pm_keeper_first_connected_date'),
 
             pm_financial_cents_connected: bool_(metricsTbl, r, 'pm_financial_cents_connected'),
-            pm_financial_cents_first_connected_date: str_(metricsTbl, r, 'pm_financial_cents_first_connected_date')
+            pm_financial_cents_first_connected_date: str_(metricsTbl, r, 'pm_financial_cents_first_connected_date'),
+
+            windows: readEngagementWindows_(metricsTbl, r),
+            extras: readRegistryExtras_(metricsTbl, r)
           })
         })
 
         return out
       }
 
-      // ---------- Login rollups (keep for logged_in_days_count + fallback last_login) ----------
+      // ---------- Login rollups (login / session counts + fallback last_login) ----------
       function emptyLogin_() {
-        return { logged_in_days_count: '', last_login_date: '' }
+        return {
+          logged_in_days_count: '',
+          logged_in_weeks_count: '',
+          sessions_count: '',
+          sessions_per_week: '',
+          last_login_date: '',
+          windows: {}
+        }
+      }
+
+      // Monday (UTC) of the week a yyyy-MM-dd falls in
+      function weekOfYMD_(ymd) {
+        const d = new Date(ymd + 'T00:00:00Z')
+        d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7))
+        return Utilities.formatDate(d, 'UTC', 'yyyy-MM-dd')
       }
 
       function buildLoginRollups_() {
@@ -445,7 +554,7 @@ function build_canon_users() {
         // 1) login_events
         // 2) clerk_master (for rollups)
         // NOTE: last_login_date truth is raw_clerk_users row, but we keep this as fallback.
-        // Returns Map(email_key -> { logged_in_days_count, last_login_date })
+        // Returns Map(email_key -> emptyLogin_() shape)
         // ---- 1) login_events ----
         const shEvents = ss.getSheetByName(CFG.SHEETS.LOGIN_EVENTS)
         if (shEvents && shEvents.getLastRow() >= 2) {
@@ -458,20 +567,42 @@ function build_canon_users() {
             const lastCol = shEvents.getLastColumn()
             const data = shEvents.getRange(2, 1, lastRow - 1, lastCol).getValues()
 
-            const datesByEmail = new Map() // email_key -> Set(yyyy-MM-dd)
+            const todayYMD = Utilities.formatDate(new Date(), 'UTC', 'yyyy-MM-dd')
+            const byEmail = new Map() // email_key -> { dates: Set(yyyy-MM-dd), sessions, recent }
             data.forEach(r => {
               const emailKey = normalizeEmailSafe_(String(r[cEmail - 1] || ''))
               const loginDate = asYMD_(r[cLoginDate - 1]) // normalize if it’s Date/ISO
               if (!emailKey || !loginDate) return
-              if (!datesByEmail.has(emailKey)) datesByEmail.set(emailKey, new Set())
-              datesByEmail.get(emailKey).add(loginDate)
+              if (!byEmail.has(emailKey)) byEmail.set(emailKey, { dates: new Set(), sessions: 0, recent: 0 })
+              const acc = byEmail.get(emailKey)
+              acc.dates.add(loginDate)
+              acc.sessions += 1
+              if (daysBetweenYMD_(loginDate, todayYMD) < CFG.SESSIONS_WINDOW_DAYS) acc.recent += 1
             })
 
             const out = new Map()
-            datesByEmail.forEach((set, emailKey) => {
-              const dates = Array.from(set).sort()
-              const last = dates.length ? dates[dates.length - 1] : ''
-              out.set(emailKey, { logged_in_days_count: dates.length, last_login_date: last })
+            byEmail.forEach((acc, emailKey) => {
+              const dates = Array.from(acc.dates).sort()
+              const weeks = new Set(dates.map(weekOfYMD_))
+
+              // Distinct login days per engagement window (days ago: 0 = today)
+              const windows = { login_days_prev_7d: 0 }
+              CFG.ENGAGEMENT_WINDOWS_DAYS.forEach(n => { windows[`login_days_${n}d`] = 0 })
+              dates.forEach(ymd => {
+                const ago = daysBetweenYMD_(ymd, todayYMD)
+                if (ago < 0) return
+                CFG.ENGAGEMENT_WINDOWS_DAYS.forEach(n => { if (ago < n) windows[`login_days_${n}d`] += 1 })
+                if (ago >= 7 && ago < 14) windows.login_days_prev_7d += 1
+              })
+
+              out.set(emailKey, {
+                logged_in_days_count: dates.length,
+                logged_in_weeks_count: weeks.size,
+                sessions_count: acc.sessions,
+                sessions_per_week: Math.round((acc.recent * 7 / CFG.SESSIONS_WINDOW_DAYS) * 10) / 10,
+                last_login_date: dates.length ? dates[dates.length - 1] : '',
+                windows
+              })
             })
             return out
           }
@@ -496,7 +627,7 @@ function build_canon_users() {
               if (!emailKey) return
               const lastLogin = cLast ? asYMD_(r[cLast - 1]) : ''
               const count = cCount ? (Number(r[cCount - 1] ?? '') || '') : ''
-              out.set(emailKey, { logged_in_days_count: count, last_login_date: lastLogin })
+              out.set(emailKey, Object.assign(emptyLogin_(), { logged_in_days_count: count, last_login_date: lastLogin }))
             })
             return out
           }
@@ -632,7 +763,7 @@ function build_canon_users() {
         const inOnbEff = manual.in_onboarding_override === true
         const tagsEff = manual.tags_override || ''
 
-        out.push([
+        const row = [
           emailKey,
           email,
           name,
@@ -644,6 +775,9 @@ function build_canon_users() {
           mem.role,
 
           login.logged_in_days_count,
+          login.logged_in_weeks_count,
+          login.sessions_count,
+          login.sessions_per_week,
           lastLoginYMD,              // ✅ write normalized last_login_date
           daysWithPing,
           daysSinceLastLogin,        // ✅ write computed difference
@@ -658,6 +792,8 @@ function build_canon_users() {
           m.action_items_synced,
           m.meeting_notes_synced,
 
+          ...engagementValues_(Object.assign({}, m.windows, login.windows)),
+
           m.calendar_connected,
           m.first_calendar_connected_date,
           m.email_connected,
@@ -681,11 +817,16 @@ function build_canon_users() {
           inOnbEff,
           tagsEff,
 
+          bool_(users, r, 'is_deleted'),
+          users.has('deleted_at') ? r[users.col('deleted_at')] : '',
+
           today
-        ])
+        ]
+        row.splice(extrasAt, 0, ...registryExtras.map(c => m.extras[c.name]))
+        out.push(row)
       })
 
-      writeCanonOverwrite_(canonSheet, CFG.CANON_HEADERS, out)
+      writeCanonOverwrite_(canonSheet, canonHeaders, out)
 
       if (typeof writeSyncLog === 'function') {
         writeSyncLog(STEP, 'ok', rowsIn, out.length, (new Date() - t0) / 1000, '')
@@ -0,0 +1,439 @@
+/**************************************************************
+ * Webhook queue (async processing for slow doPost routes)
+ *
+ * Routes with `queue` in WEBHOOK_ROUTES (calendar, notion, run_step)
+ * do not run inside doPost. doPost authenticates, enqueues and
+ * answers { ok: true, code: 202, status: "queued", queue_id } right
+ * away; webhook_queue_worker() (one-off time trigger) does the work.
+ *
+ * - Coalescing: a request whose coalesce key (route, or route + step)
+ *   already has a pending item is folded into it (coalesced + 1,
+ *   latest payload kept, attempts back to 0 if it was backing off), so
+ *   five calendar pings inside WORKER_DELAY_MS cause one import
+ * - The worker drains due items oldest first under lockWrap, until
+ *   WORKER_BUDGET_MS is used up
+ * - A failed item is retried with exponential backoff (BACKOFF_BASE_MS
+ *   doubling, capped at BACKOFF_MAX_MS); after MAX_ATTEMPTS it is
+ *   dead-lettered (status "dead", kept with its last error) and left
+ *   alone
+ * - Every worker run first sweeps the queue: an item left "running" by
+ *   an execution that was cut off goes back to pending after
+ *   STALE_RUNNING_MS (counted as a failed attempt), or is dead-lettered
+ *   if that was its last attempt; a pending item over MAX_ATTEMPTS is
+ *   dead-lettered. Claiming an item schedules a worker for when it
+ *   would go stale, so the sweep runs even if nothing else is pending
+ * - Only one worker trigger is pending at a time; it is moved earlier
+ *   when something becomes due sooner, and dropped when the queue has
+ *   nothing pending or running. Done items are pruned after
+ *   DONE_RETENTION_DAYS
+ * - Queue rows never store secrets or signatures from the query string,
+ *   nor the shared secret from the body (body.secret / data.secret, see
+ *   WEBHOOK_bodySecret_): the worker does not authenticate again
+ * - When an item is done or dead, its webhook_inbox rows (status
+ *   "queued" until then) get the outcome: done, or error with the last
+ *   error, so replay filters such as "status=error" find them
+ *
+ * Sheet "webhook_queue" (one row per item):
+ *   queue_id | route | coalesce_key | status | attempts | coalesced |
+ *   request_ids | enqueued_at | next_attempt_at | last_attempt_at |
+ *   finished_at | last_error | result_json | params_json | payload
+ *
+ * status: pending | running | done | dead
+ **************************************************************/
+
+const WHQ_CFG = {
+  SHEET_NAME: 'webhook_queue',
+  HEADERS: [
+    'queue_id',
+    'route',
+    'coalesce_key',
+    'status',
+    'attempts',
+    'coalesced',
+    'request_ids',
+    'enqueued_at',
+    'next_attempt_at',
+    'last_attempt_at',
+    'finished_at',
+    'last_error',
+    'result_json',
+    'params_json',
+    'payload'
+  ],
+  MAX_PAYLOAD_CHARS: 50000,
+  MAX_REQUEST_IDS: 20,
+  SECRET_PARAM_RE: /secret|signature|svix/i,
+
+  WORKER_HANDLER: 'webhook_queue_worker',
+  WORKER_DELAY_MS: 60 * 1000,
+  WORKER_BUDGET_MS: 4 * 60 * 1000,
+  NEXT_RUN_PROP: 'WEBHOOK_QUEUE_NEXT_RUN_AT',
+
+  MAX_ATTEMPTS: 5,
+  BACKOFF_BASE_MS: 60 * 1000,
+  BACKOFF_MAX_MS: 60 * 60 * 1000,
+
+  // A running item older than this was cut off by the 6 minute limit
+  STALE_RUNNING_MS: 10 * 60 * 1000,
+
+  DONE_RETENTION_DAYS: 7,
+  QUEUE_LOCK_TIMEOUT_MS: 30 * 1000
+}
+
+/* =========================
+ * Public entrypoints
+ * ========================= */
+
+/** Time-based trigger (and menu): runs every due queue item. */
+function webhook_queue_worker() {
+  PropertiesService.getScriptProperties().deleteProperty(WHQ_CFG.NEXT_RUN_PROP)
+  WHQ_deleteWorkerTriggers_()
+  return runInSyncLogRun(WHQ_CFG.WORKER_HANDLER, { trigger_source: 'trigger' }, () =>
+    lockWrap(WHQ_CFG.WORKER_HANDLER, () => WHQ_drain_())
+  )
+}
+
+/* =========================
+ * Enqueue (doPost)
+ * ========================= */
+
+/** Adds the request to the queue (or folds it into a pending twin): { queue_id, coalesced }. */
+function WHQ_enqueue_(route, req) {
+  const key = route.queue.coalesce(req)
+  const nowMs = Date.now()
+
+  const out = WHQ_withQueueLock_(() => {
+    const sh = WHQ_ensureSheet_()
+    const twin = WHQ_readItems_(sh).find(it => it.coalesce_key === key && it.status === 'pending')
+
+    if (twin) {
+      const ids = String(twin.request_ids || '').split(',').filter(Boolean).concat(req.request_id)
+      twin.coalesced = (Number(twin.coalesced) || 0) + 1
+      twin.request_ids = ids.slice(-WHQ_CFG.MAX_REQUEST_IDS).join(',')
+      twin.params_json = safeJson(WHQ_safeParams_(req.params))
+      twin.payload = clip_(WHQ_safePayload_(req.raw_body), WHQ_CFG.MAX_PAYLOAD_CHARS)
+      // A retry waiting out its backoff runs with the new request instead,
+      // with a fresh attempt budget
+      twin.attempts = 0
+      twin.next_attempt_at = new Date(Math.min(WHQ_ms_(twin.next_attempt_at) || Infinity, nowMs + WHQ_CFG.WORKER_DELAY_MS)).toISOString()
+      WHQ_writeItem_(sh, twin)
+      WHQ_scheduleWorker_(WHQ_ms_(twin.next_attempt_at))
+      return { queue_id: twin.queue_id, coalesced: true }
+    }
+
+    const item = {
+      row: sh.getLastRow() + 1,
+      queue_id: Utilities.getUuid(),
+      route: route.name,
+      coalesce_key: key,
+      status: 'pending',
+      attempts: 0,
+      coalesced: 0,
+      request_ids: req.request_id,
+      enqueued_at: new Date(nowMs).toISOString(),
+      next_attempt_at: new Date(nowMs + WHQ_CFG.WORKER_DELAY_MS).toISOString(),
+      params_json: safeJson(WHQ_safeParams_(req.params)),
+      payload: clip_(WHQ_safePayload_(req.raw_body), WHQ_CFG.MAX_PAYLOAD_CHARS)
+    }
+    WHQ_writeItem_(sh, item)
+    WHQ_scheduleWorker_(WHQ_ms_(item.next_attempt_at))
+    return { queue_id: item.queue_id, coalesced: false }
+  })
+
+  return { ok: true, queue_id: out.queue_id, coalesced: out.coalesced }
+}
+
+/* =========================
+ * Worker
+ * ========================= */
+
+function WHQ_drain_() {
+  const t0 = Date.now()
+  let processed = 0
+  let failed = 0
+
+  const swept = WHQ_withQueueLock_(() => {
+    const sh = WHQ_ensureSheet_()
+    WHQ_pruneDone_(sh)
+    return WHQ_sweep_(sh)
+  })
+  swept.forEach(it => {
+    const route = WEBHOOK_ROUTES.find(r => r.name === it.route)
+    writeSyncLog(route ? route.log_step : String(it.route), 'error', '', '', '', it.last_error)
+    WHQ_finishInboxRows_(it, {}, it.last_error)
+  })
+
+  while (Date.now() - t0 < WHQ_CFG.WORKER_BUDGET_MS) {
+    const item = WHQ_claimNext_()
+    if (!item) break
+
+    const res = WHQ_runItem_(item)
+    processed++
+    if (!res.ok) failed++
+  }
+
+  // Next run: the earliest pending item, or a running one going stale
+  WHQ_withQueueLock_(() => {
+    const next = WHQ_readItems_(WHQ_ensureSheet_())
+      .map(it => (it.status === 'pending' ? WHQ_ms_(it.next_attempt_at) : it.status === 'running' ? WHQ_staleAtMs_(it) : Infinity))
+      .reduce((a, b) => Math.min(a, b), Infinity)
+    if (isFinite(next)) WHQ_scheduleWorker_(next)
+    else WHQ_cancelWorker_()
+  })
+
+  return { rows_in: processed, rows_out: processed - failed }
+}
+
+/**
+ * Marks the oldest due item running and returns it; null when nothing
+ * is due. Schedules a worker for when the item would go stale, in case
+ * this execution is cut off while running it.
+ */
+function WHQ_claimNext_() {
+  return WHQ_withQueueLock_(() => {
+    const sh = WHQ_ensureSheet_()
+    const nowMs = Date.now()
+    const item = WHQ_readItems_(sh)
+      .filter(it => it.status === 'pending' && WHQ_ms_(it.next_attempt_at) <= nowMs)
+      .sort((a, b) => WHQ_ms_(a.enqueued_at) - WHQ_ms_(b.enqueued_at))[0]
+    if (!item) return null
+
+    item.status = 'running'
+    item.attempts = (Number(item.attempts) || 0) + 1
+    item.last_attempt_at = new Date(nowMs).toISOString()
+    WHQ_writeItem_(sh, item)
+    WHQ_scheduleWorker_(WHQ_staleAtMs_(item))
+    return item
+  })
+}
+
+/**
+ * Start of every worker run: a running item cut off by the 6 minute
+ * limit goes back to pending (its attempt is used up), or dead when it
+ * was the last one; pending items over MAX_ATTEMPTS go dead too.
+ * Returns the items dead-lettered here. Caller holds the queue lock.
+ */
+function WHQ_sweep_(sh) {
+  const nowMs = Date.now()
+  const dead = []
+
+  WHQ_readItems_(sh).forEach(it => {
+    const attempts = Number(it.attempts) || 0
+    const stale = it.status === 'running' && nowMs >= WHQ_staleAtMs_(it)
+    if (!stale && !(it.status === 'pending' && attempts >= WHQ_CFG.MAX_ATTEMPTS)) return
+
+    const error = stale ? `cut off while running attempt ${attempts}` : String(it.last_error || '')
+    if (attempts >= WHQ_CFG.MAX_ATTEMPTS) {
+      it.status = 'dead'
+      it.finished_at = new Date(nowMs).toISOString()
+      it.last_error = `dead-lettered after ${attempts} attempts: ${error}`
+      dead.push(it)
+    } else {
+      it.status = 'pending'
+      it.next_attempt_at = new Date(nowMs).toISOString()
+      it.last_error = error
+    }
+    WHQ_writeItem_(sh, it)
+  })
+  return dead
+}
+
+/** When a running item counts as cut off. */
+function WHQ_staleAtMs_(item) {
+  return WHQ_ms_(item.last_attempt_at) + WHQ_CFG.STALE_RUNNING_MS
+}
+
+/** Runs one claimed item through its route's handler and records the outcome. */
+function WHQ_runItem_(item) {
+  const t0 = Date.now()
+  const route = WEBHOOK_ROUTES.find(r => r.name === item.route)
+
+  let res
+  try {
+    if (!route) throw new Error(`Unknown webhook route: ${item.route}`)
+    const req = WEBHOOK_request_({
+      parameter: JSON.parse(item.params_json || '{}'),
+      postData: { contents: String(item.payload || '') }
+    })
+    req.request_id = String(item.request_ids || '').split(',').filter(Boolean).pop() || req.request_id
+    res = withSyncLogStep(route.log_step, () => route.handle(req)) || {}
+  } catch (err) {
+    res = { ok: false, error: String(err && err.message ? err.message : err) }
+  }
+
+  const ok = res.ok !== false
+  const error = ok ? '' : String(res.error || 'unknown error')
+  const dead = !ok && Number(item.attempts) >= WHQ_CFG.MAX_ATTEMPTS
+  const logStep = route ? route.log_step : String(item.route)
+
+  writeSyncLog(
+    logStep,
+    ok ? 'ok' : 'error',
+    res.rows_in != null ? res.rows_in : '',
+    res.rows_out != null ? res.rows_out : '',
+    (Date.now() - t0) / 1000,
+    dead ? `dead-lettered after ${item.attempts} attempts: ${error}` : error
+  )
+
+  WHQ_withQueueLock_(() => {
+    const sh = WHQ_ensureSheet_()
+    const current = WHQ_readItems_(sh).find(it => it.queue_id === item.queue_id) || item
+    current.last_error = error
+    current.result_json = safeJson(res)
+
+    if (ok || dead) {
+      current.status = ok ? 'done' : 'dead'
+      current.finished_at = new Date().toISOString()
+    } else {
+      current.status = 'pending'
+      current.next_attempt_at = new Date(Date.now() + WHQ_backoffMs_(item.attempts)).toISOString()
+    }
+    WHQ_writeItem_(sh, current)
+  })
+
+  if (ok || dead) WHQ_finishInboxRows_(item, res, dead ? `dead-lettered after ${item.attempts} attempts: ${error}` : '')
+  return { ok, dead }
+}
+
+/** Writes a done / dead item's outcome onto the original (not replayed) webhook_inbox rows of its requests. */
+function WHQ_finishInboxRows_(item, res, error) {
+  const sh = SpreadsheetApp.getActive().getSheetByName(WEBHOOK_RUN.SHEET)
+  if (!sh || sh.getLastRow() < 2) return
+
+  const ids = String(item.request_ids || '').split(',').filter(Boolean)
+  const col = name => WEBHOOK_RUN.HEADER.indexOf(name)
+  const values = sh.getRange(2, 1, sh.getLastRow() - 1, WEBHOOK_RUN.HEADER.length).getValues()
+
+  values.forEach((r, i) => {
+    if (ids.indexOf(String(r[col('request_id')])) < 0 || r[col('replay_of')]) return
+    r[col('status')] = error ? 'error' : 'done'
+    r[col('ok')] = !error
+    r[col('error')] = error
+    r[col('code')] = error ? 500 : 200
+    r[col('steps_json')] = JSON.stringify(res.steps || [])
+    r[col('processed_at')] = new Date().toISOString()
+    sh.getRange(i + 2, 1, 1, r.length).setValues([r])
+  })
+}
+
+/** Wait before attempt n + 1 after n failed attempts. */
+function WHQ_backoffMs_(attempts) {
+  const n = Math.max(1, Number(attempts) || 1)
+  return Math.min(WHQ_CFG.BACKOFF_MAX_MS, WHQ_CFG.BACKOFF_BASE_MS * Math.pow(2, n - 1))
+}
+
+function WHQ_pruneDone_(sh) {
+  const cutoff = Date.now() - WHQ_CFG.DONE_RETENTION_DAYS * 24 * 60 * 60 * 1000
+  WHQ_readItems_(sh)
+    .filter(it => it.status === 'done' && WHQ_ms_(it.finished_at) < cutoff)
+    .map(it => it.row)
+    .sort((a, b) => b - a)
+    .forEach(row => sh.deleteRow(row))
+}
+
+/* =========================
+ * Worker trigger
+ * ========================= */
+
+/** Makes sure a worker runs at (or before) atMs; keeps at most one pending trigger. */
+function WHQ_scheduleWorker_(atMs) {
+  const props = PropertiesService.getScriptProperties()
+  const nowMs = Date.now()
+  const scheduled = Number(props.getProperty(WHQ_CFG.NEXT_RUN_PROP)) || 0
+  const pending = ScriptApp.getProjectTriggers().some(t => t.getHandlerFunction() === WHQ_CFG.WORKER_HANDLER)
+  if (pending && scheduled && scheduled <= atMs) return
+
+  WHQ_deleteWorkerTriggers_()
+  const at = Math.max(atMs, nowMs)
+  ScriptApp.newTrigger(WHQ_CFG.WORKER_HANDLER)
+    .timeBased()
+    .after(Math.max(1000, at - nowMs))
+    .create()
+  props.setProperty(WHQ_CFG.NEXT_RUN_PROP, String(at))
+}
+
+/** Nothing pending or running: no worker needed. */
+function WHQ_cancelWorker_() {
+  PropertiesService.getScriptProperties().deleteProperty(WHQ_CFG.NEXT_RUN_PROP)
+  WHQ_deleteWorkerTriggers_()
+}
+
+function WHQ_deleteWorkerTriggers_() {
+  ScriptApp.getProjectTriggers().forEach(t => {
+    if (t.getHandlerFunction() === WHQ_CFG.WORKER_HANDLER) ScriptApp.deleteTrigger(t)
+  })
+}
+
+/* =========================
+ * Sheet helpers
+ * ========================= */
+
+/**
+ * Short document lock around queue reads/writes, so doPost can enqueue
+ * while the worker (script lock) is busy running an item.
+ */
+function WHQ_withQueueLock_(fn) {
+  const lock = LockService.getDocumentLock()
+  if (!lock.tryLock(WHQ_CFG.QUEUE_LOCK_TIMEOUT_MS)) {
+    throw new Error(`Could not lock ${WHQ_CFG.SHEET_NAME} within ${WHQ_CFG.QUEUE_LOCK_TIMEOUT_MS}ms`)
+  }
+  try {
+    return fn()
+  } finally {
+    try { lock.releaseLock() } catch (e) {}
+  }
+}
+
+function WHQ_ensureSheet_() {
+  const sh = getOrCreateSheet(SpreadsheetApp.getActive(), WHQ_CFG.SHEET_NAME)
+  if (sh.getLastRow() < 1) {
+    sh.getRange(1, 1, 1, WHQ_CFG.HEADERS.length).setValues([WHQ_CFG.HEADERS])
+    sh.setFrozenRows(1)
+  }
+  return sh
+}
+
+/** Row objects keyed by header, plus `row` (sheet row number). */
+function WHQ_readItems_(sh) {
+  if (sh.getLastRow() < 2) return []
+  const values = sh.getRange(2, 1, sh.getLastRow() - 1, WHQ_CFG.HEADERS.length).getValues()
+  return values.map((r, i) => {
+    const item = { row: i + 2 }
+    WHQ_CFG.HEADERS.forEach((h, c) => { item[h] = r[c] })
+    return item
+  })
+}
+
+function WHQ_writeItem_(sh, item) {
+  sh.getRange(item.row, 1, 1, WHQ_CFG.HEADERS.length)
+    .setValues([WHQ_CFG.HEADERS.map(h => (item[h] == null ? '' : item[h]))])
+}
+
+/** Query params minus secrets / signatures (they were checked in doPost). */
+function WHQ_safeParams_(params) {
+  const out = {}
+  Object.keys(params || {}).forEach(k => {
+    if (!WHQ_CFG.SECRET_PARAM_RE.test(k)) out[k] = params[k]
+  })
+  return out
+}
+
+/** raw_body without body.secret / data.secret; anything else (and non-JSON bodies) is kept verbatim. */
+function WHQ_safePayload_(rawBody) {
+  const raw = String(rawBody || '')
+  let parsed
+  try { parsed = JSON.parse(raw) } catch (e) { return raw }
+  if (!parsed || typeof parsed !== 'object') return raw
+
+  const data = parsed.data && typeof parsed.data === 'object' ? parsed.data : null
+  if (!('secret' in parsed) && !(data && 'secret' in data)) return raw
+  delete parsed.secret
+  if (data) delete data.secret
+  return JSON.stringify(parsed)
+}
+
+function WHQ_ms_(v) {
+  if (v instanceof Date) return v.getTime()
+  const ms = new Date(String(v || '')).getTime()
+  return isNaN(ms) ? 0 : ms
+}
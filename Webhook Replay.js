@@ -0,0 +1,211 @@
+/**************************************************************
+ * Webhook replay (re-run logged doPost requests)
+ *
+ * Picks rows of webhook_inbox by request_id or by a filter and sends
+ * their logged query params + raw_body through the same routing and
+ * handlers as doPost (WEBHOOK_ROUTES), e.g. to redo the calendar
+ * import after a Notion outage without waiting for new events.
+ *
+ * replay_webhook_requests(selector, opts)
+ *   selector: a request_id, or a filter string / object:
+ *     "status=error date=yesterday route=calendar"
+ *     { status, route, date, from, to }   (dates yyyy-MM-dd, script
+ *     time zone; date also takes "today" / "yesterday")
+ *   Filters match original requests only (not earlier replays).
+ *   Queued requests say "queued" until the worker is done with them,
+ *   then "done", or "error" once dead-lettered (Webhook Queue.js)
+ *   opts.live: false (default) = dry run: resolve the route and
+ *     validate, but do not call the handler
+ *
+ * - Each replay is appended to webhook_inbox as a new row (new
+ *   request_id, status done | error | dry_run | invalid | not_found)
+ *   with replay_of = the original request_id
+ * - Auth, rate limits and the queue are skipped: the operator starts
+ *   the replay and the handler runs right away (under lockWrap)
+ * - Only rows whose auth passed when received (authenticated) are
+ *   replayed: not rows that failed auth, nor rows that errored before
+ *   auth finished. Rows whose raw_body was clipped when logged are
+ *   not replayed either
+ * - At most MAX_ROWS rows per call (6 minute execution limit)
+ *
+ * Menu: Replay webhook requests… (prompts for the selector, then
+ * asks live or dry run).
+ **************************************************************/
+
+const WHREPLAY_CFG = {
+  MAX_ROWS: 50,
+  CLIPPED_MARK: '\n...[clipped ',
+  FILTER_KEYS: ['status', 'route', 'date', 'from', 'to']
+}
+
+/* =========================
+ * Public entrypoints
+ * ========================= */
+
+/**
+ * Replays the selected webhook_inbox rows (dry run unless opts.live).
+ * Returns { rows_in, rows_out, results: [{ request_id, replay_request_id, route, status, error }] }.
+ */
+function replay_webhook_requests(selector, opts) {
+  const live = !!(opts && opts.live)
+  return runInSyncLogRun('replay_webhook_requests', { trigger_source: 'direct' }, () =>
+    lockWrap('replay_webhook_requests', () => {
+      const filter = WHREPLAY_parseSelector_(selector)
+      const rows = WHREPLAY_selectRows_(filter)
+      if (rows.length > WHREPLAY_CFG.MAX_ROWS) {
+        throw new Error(`${rows.length} webhook requests match; replay at most ${WHREPLAY_CFG.MAX_ROWS} at a time (narrow the filter)`)
+      }
+
+      const results = rows.map(row => WHREPLAY_replayRow_(row, live))
+      const failed = results.filter(r => r.status !== 'done' && r.status !== 'dry_run').length
+      writeSyncLog('replay_webhook_requests', failed ? 'error' : 'ok', rows.length, results.length - failed, '',
+        failed ? `${failed} of ${results.length} replays failed` : '')
+      return { rows_in: rows.length, rows_out: results.length - failed, results }
+    })
+  )
+}
+
+/* =========================
+ * Selection
+ * ========================= */
+
+/** request_id string, filter string ("key=value ...") or filter object -> filter object. */
+function WHREPLAY_parseSelector_(selector) {
+  if (selector && typeof selector === 'object') return selector
+
+  const text = String(selector || '').trim()
+  if (!text) throw new Error('Give a request_id or a filter like "status=error date=yesterday"')
+  if (text.indexOf('=') < 0) return { request_id: text }
+
+  const filter = {}
+  text.split(/\s+/).forEach(part => {
+    const i = part.indexOf('=')
+    const key = part.slice(0, i).trim().toLowerCase()
+    if (WHREPLAY_CFG.FILTER_KEYS.indexOf(key) < 0) {
+      throw new Error(`Unknown replay filter "${key}" (use ${WHREPLAY_CFG.FILTER_KEYS.join(', ')})`)
+    }
+    filter[key] = part.slice(i + 1).trim()
+  })
+  return filter
+}
+
+function WHREPLAY_selectRows_(filter) {
+  const sh = SpreadsheetApp.getActive().getSheetByName(WEBHOOK_RUN.SHEET)
+  if (!sh) throw new Error(`Missing ${WEBHOOK_RUN.SHEET} sheet`)
+  const rows = readSheetObjects(sh, 1)
+
+  if (filter.request_id) {
+    const row = rows.find(r => String(r.request_id) === String(filter.request_id))
+    if (!row) throw new Error(`No ${WEBHOOK_RUN.SHEET} row with request_id ${filter.request_id}`)
+    return [row]
+  }
+
+  const from = WHREPLAY_day_(filter.date || filter.from)
+  const to = WHREPLAY_day_(filter.date || filter.to)
+  return rows.filter(r => {
+    if (r.replay_of) return false
+    if (filter.status && String(r.status) !== filter.status) return false
+    if (filter.route && String(r.route) !== filter.route) return false
+    const day = WHREPLAY_day_(r.received_at)
+    if (from && day < from) return false
+    if (to && day > to) return false
+    return true
+  })
+}
+
+/** yyyy-MM-dd (script time zone) for a date, ISO string, yyyy-MM-dd, "today" or "yesterday"; '' when blank. */
+function WHREPLAY_day_(v) {
+  if (v == null || v === '') return ''
+  const tz = Session.getScriptTimeZone()
+  const s = String(v).trim().toLowerCase()
+  if (s === 'today') return Utilities.formatDate(new Date(), tz, 'yyyy-MM-dd')
+  if (s === 'yesterday') return Utilities.formatDate(new Date(Date.now() - 24 * 60 * 60 * 1000), tz, 'yyyy-MM-dd')
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s
+
+  const d = v instanceof Date ? v : new Date(String(v))
+  if (isNaN(d.getTime())) throw new Error(`Not a date: ${v}`)
+  return Utilities.formatDate(d, tz, 'yyyy-MM-dd')
+}
+
+/* =========================
+ * Replay
+ * ========================= */
+
+/** Re-runs one logged request and appends the replay row. */
+function WHREPLAY_replayRow_(row, live) {
+  const t0 = Date.now()
+  const rawBody = String(row.raw_body || '')
+  const params = safeParseJson_(String(row.query_params_json || '')).value || {}
+  const req = WEBHOOK_request_({ parameter: params, postData: { contents: rawBody } })
+  const route = WEBHOOK_resolveRoute_(req)
+  const invalid = route && route.validate ? route.validate(req) : ''
+
+  let status = 'dry_run'
+  let code = 200
+  let error = ''
+  let result = {}
+
+  if (row.authenticated !== true) {
+    status = 'error'
+    code = 401
+    error = String(row.status) === 'auth_error'
+      ? 'failed auth when received; not replayed'
+      : 'auth did not pass when received; not replayed'
+  } else if (rawBody.indexOf(WHREPLAY_CFG.CLIPPED_MARK) >= 0) {
+    status = 'error'
+    code = 500
+    error = 'raw_body was clipped when logged; cannot replay'
+  } else if (!route) {
+    status = 'not_found'
+    code = 404
+    error = req.route ? `Unknown webhook route: ${req.route}` : 'No webhook route matches this request'
+  } else if (invalid) {
+    status = 'invalid'
+    code = 400
+    error = invalid
+  } else if (live) {
+    try {
+      result = withSyncLogStep(route.log_step, () => route.handle(req)) || {}
+      if (result.ok === false) error = String(result.error || 'unknown error')
+    } catch (err) {
+      error = String(err && err.message ? err.message : err)
+    }
+    status = error ? 'error' : 'done'
+    code = error ? 500 : 200
+  } else {
+    result = { would_run: route.name }
+  }
+
+  if (route && live) {
+    writeSyncLog(route.log_step, error ? 'error' : 'ok', '', '', (Date.now() - t0) / 1000, error ? `replay of ${row.request_id}: ${error}` : '')
+  }
+
+  ensureWebhookSheet_()
+  writeWebhookRow_({
+    received_at: new Date().toISOString(),
+    request_id: req.request_id,
+    status,
+    ok: code === 200,
+    error,
+    secret_source: 'replay',
+    query_params_json: row.query_params_json,
+    raw_body: rawBody,
+    parsed_json: safeJson(req.parsed),
+    steps_json: JSON.stringify(result.steps || []),
+    processed_at: new Date().toISOString(),
+    duration_ms: String(Date.now() - t0),
+    route: route ? route.name : req.route,
+    code,
+    result_json: safeJson(result),
+    replay_of: row.request_id,
+    authenticated: row.authenticated === true
+  })
+
+  return {
+    request_id: String(row.request_id),
+    replay_request_id: req.request_id,
+    route: route ? route.name : req.route,
+    status,
+    error
+  }
+}
@@ -0,0 +1,218 @@
+/**************************************************************
+ * Incremental Clerk pulls (Clerk raw sync.js)
+ *
+ * - After a full pull, runs keep what was updated since the high-water
+ *   mark (users: newest-updated first; orgs / memberships: filtered
+ *   after listing, Clerk cannot sort them by updated_at); rows are
+ *   upserted by key
+ * - A full sync soft-deletes users / orgs Clerk no longer lists, and
+ *   canon_users / canon_orgs keep them
+ * - A full users listing paused by a pipeline run keeps its rows in
+ *   the tab, not in pipeline_run_state
+ **************************************************************/
+
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { HARNESS_NOW, runDailyPipeline, loadFixture } = require('./harness')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function createClerkHarness_() {
+  const fixture = loadFixture('clerk').routes
+  const listOf = part => {
+    const body = fixture.find(r => r.url.includes(part)).body
+    return JSON.parse(JSON.stringify(Array.isArray(body) ? body : body.data))
+      .map(item => Object.assign({ updated_at: item.created_at }, item))
+  }
+  const state = {
+    users: listOf('/v1/users'),
+    orgs: listOf('/v1/organizations'),
+    memberships: listOf('/v1/organization_memberships'),
+    // Each list call takes this long (to make a pipeline run pause)
+    slowMs: 0
+  }
+
+  // Offset pages in the order asked for (like Clerk); the fixture route's
+  // `query` rejects sort keys the endpoint does not support
+  const list = (key, part) => {
+    const route = fixture.find(r => r.url.includes(part))
+    return {
+      method: 'get',
+      url: route.url,
+      query: route.query,
+      respond: req => {
+        if (state.slowMs) h.env.clock.advance(state.slowMs)
+        const q = new URL(req.url).searchParams
+        const order = String(q.get('order_by') || '')
+        const field = order.replace(/^[-+]/, '')
+        const items = state[key].slice()
+        if (field) items.sort((a, b) => (order[0] === '-' ? b[field] - a[field] : a[field] - b[field]))
+        const offset = Number(q.get('offset') || 0)
+        return { status: 200, body: { data: items.slice(offset, offset + Number(q.get('limit') || 100)), total_count: items.length } }
+      }
+    }
+  }
+
+  const h = runDailyPipeline({
+    routes: [list('users', '/v1/users'), list('orgs', '/v1/organizations'), list('memberships', '/v1/organization_memberships')]
+  })
+  return { h, state }
+}
+
+const pullClerk_ = h => ['clerk_pull_users_to_raw', 'clerk_pull_orgs_to_raw', 'clerk_pull_memberships_to_raw'].map(step => h.call(step))
+const rowOf_ = (h, tab, key, id) => h.readTable(tab).find(r => r[key] === id)
+
+test('later pulls only read what changed since the high-water mark', () => {
+  const { h, state } = createClerkHarness_()
+  const usersBefore = h.readTable('raw_clerk_users').length
+  const cursor = JSON.parse(h.eval(`PropertiesService.getScriptProperties().getProperty('CLERK_SYNC_CURSOR')`))
+  assert.deepEqual(Object.keys(cursor).sort(), ['memberships', 'orgs', 'sessions', 'users'])
+  assert.equal(cursor.users.updated_at, Date.parse(HARNESS_NOW))
+
+  h.env.clock.advance(DAY_MS)
+  const bob = state.users.find(u => u.id === 'user_bob')
+  bob.first_name = 'Robert'
+  bob.updated_at = h.eval('Date.now()') - 60 * 1000
+  // Clerk cannot sort orgs / memberships by updated_at: they are filtered after listing
+  const acme = state.orgs.find(o => o.id === 'org_acme')
+  acme.name = 'Acme Holdings'
+  acme.updated_at = bob.updated_at
+  state.memberships.find(m => m.id === 'orgmem_bob').updated_at = bob.updated_at
+
+  const fetched = h.env.fetches.length
+  const [users, orgs, memberships] = pullClerk_(h)
+  assert.equal(users.mode, 'incremental')
+  assert.equal(users.rows_in, 1)
+  assert.equal(orgs.mode, 'incremental')
+  assert.equal(orgs.rows_in, 1)
+  assert.equal(memberships.rows_in, 1)
+  assert.equal(rowOf_(h, 'raw_clerk_orgs', 'org_id', 'org_acme').org_name, 'Acme Holdings')
+  // Every list call was accepted; no per-org membership listing
+  const calls = h.env.fetches.slice(fetched).filter(f => f.url.includes('clerk.com'))
+  assert.ok(calls.every(f => f.status === 200))
+  assert.ok(!calls.some(f => /\/organizations\/[^/?]+\/memberships/.test(f.url)))
+
+  assert.equal(h.readTable('raw_clerk_users').length, usersBefore)
+  assert.equal(rowOf_(h, 'raw_clerk_users', 'clerk_user_id', 'user_bob').name, 'Robert Baker')
+  // Derived columns stay current on rows Clerk did not return
+  assert.equal(rowOf_(h, 'raw_clerk_users', 'clerk_user_id', 'user_alice').org_id, 'org_acme')
+  assert.equal(rowOf_(h, 'raw_clerk_orgs', 'org_id', 'org_acme').members_count, 2)
+
+  const next = JSON.parse(h.eval(`PropertiesService.getScriptProperties().getProperty('CLERK_SYNC_CURSOR')`))
+  assert.equal(next.users.updated_at, bob.updated_at)
+  assert.equal(next.users.last_full_at, cursor.users.last_full_at)
+})
+
+test('a full sync soft-deletes what Clerk no longer lists; canon tables keep it', () => {
+  const { h, state } = createClerkHarness_()
+
+  // org_beta is deleted (with Carol's membership), Dave deletes his account,
+  // Bob leaves Acme
+  state.orgs = state.orgs.filter(o => o.id !== 'org_beta')
+  state.memberships = state.memberships.filter(m => m.id !== 'orgmem_carol' && m.id !== 'orgmem_bob')
+  state.users = state.users.filter(u => u.id !== 'user_dave')
+
+  // Nothing is marked deleted until a full sync
+  h.env.clock.advance(DAY_MS)
+  assert.equal(pullClerk_(h)[0].mode, 'incremental')
+  assert.equal(rowOf_(h, 'raw_clerk_orgs', 'org_id', 'org_beta').is_deleted, false)
+
+  h.env.clock.advance(h.call('CONFIG_get_', 'clerk_full_sync_days') * DAY_MS)
+  const [users, orgs, memberships] = pullClerk_(h)
+  assert.equal(users.mode, 'full')
+  assert.equal(users.deleted, 1)
+  assert.equal(orgs.deleted, 1)
+  assert.equal(memberships.deleted, 1)
+
+  const beta = rowOf_(h, 'raw_clerk_orgs', 'org_id', 'org_beta')
+  assert.equal(beta.is_deleted, true)
+  assert.equal(new Date(beta.deleted_at).getTime(), h.eval('Date.now()'))
+  assert.equal(rowOf_(h, 'raw_clerk_users', 'clerk_user_id', 'user_dave').is_deleted, true)
+  // Kept as history of the deleted org; Bob simply left (both still exist)
+  assert.equal(rowOf_(h, 'raw_clerk_memberships', 'membership_id', 'orgmem_carol').is_deleted, true)
+  assert.equal(rowOf_(h, 'raw_clerk_memberships', 'membership_id', 'orgmem_bob'), undefined)
+
+  // Users / orgs read raw_clerk_memberships, pulled after them: counts catch up next run
+  h.env.clock.advance(DAY_MS)
+  pullClerk_(h)
+  assert.equal(rowOf_(h, 'raw_clerk_orgs', 'org_id', 'org_acme').members_count, 1)
+  assert.equal(rowOf_(h, 'raw_clerk_users', 'clerk_user_id', 'user_carol').org_id, '')
+
+  h.call('build_canon_orgs')
+  h.call('build_canon_users')
+  const canonBeta = rowOf_(h, 'canon_orgs', 'org_id', 'org_beta')
+  assert.equal(canonBeta.is_deleted, true)
+  assert.equal(canonBeta.billing_customer_id, 'cus_beta')
+  assert.equal(rowOf_(h, 'canon_orgs', 'org_id', 'org_acme').is_deleted, false)
+  const carol = rowOf_(h, 'canon_users', 'clerk_user_id', 'user_carol')
+  assert.equal(carol.org_id, 'org_beta')
+  assert.equal(rowOf_(h, 'canon_users', 'clerk_user_id', 'user_dave').is_deleted, true)
+
+  // Coming back un-deletes the row
+  state.users.push(Object.assign(JSON.parse(JSON.stringify(loadFixture('clerk').routes[0].body.find(u => u.id === 'user_dave'))), { updated_at: h.eval('Date.now()') }))
+  h.call('clerk_pull_users_to_raw')
+  assert.equal(rowOf_(h, 'raw_clerk_users', 'clerk_user_id', 'user_dave').is_deleted, false)
+})
+
+test('an org whose members all left keeps its row until Clerk deletes it', () => {
+  const { h, state } = createClerkHarness_()
+
+  // Carol, Beta's only member, leaves
+  state.memberships = state.memberships.filter(m => m.id !== 'orgmem_carol')
+  h.call('clerk_request_full_sync')
+  h.env.clock.advance(DAY_MS)
+  pullClerk_(h)
+  assert.equal(rowOf_(h, 'raw_clerk_memberships', 'membership_id', 'orgmem_carol'), undefined)
+
+  h.env.clock.advance(DAY_MS)
+  pullClerk_(h)
+  const beta = rowOf_(h, 'raw_clerk_orgs', 'org_id', 'org_beta')
+  assert.equal(beta.members_count, 0)
+  assert.equal(beta.is_deleted, false)
+
+  // Then the org itself goes
+  state.orgs = state.orgs.filter(o => o.id !== 'org_beta')
+  h.call('clerk_request_full_sync')
+  h.env.clock.advance(DAY_MS)
+  pullClerk_(h)
+  assert.equal(rowOf_(h, 'raw_clerk_orgs', 'org_id', 'org_beta').is_deleted, true)
+})
+
+test('a paused full users listing writes its pages to the tab and keeps only the offset in the ledger', () => {
+  const { h, state } = createClerkHarness_()
+  h.eval('CLERK_CFG.PAGE_SIZE = 1')
+  h.call('clerk_request_full_sync')
+
+  // Listed by created_at: alice, bob, dave, carol. Bob deletes his account
+  state.users = state.users.filter(u => u.id !== 'user_bob')
+  state.users.find(u => u.id === 'user_carol').first_name = 'Caroline'
+  h.env.clock.advance(DAY_MS)
+  state.slowMs = 2.5 * 60 * 1000
+  const first = h.call('run_daily_pipeline')
+  state.slowMs = 0
+  assert.equal(first.status, 'continued')
+  assert.equal(first.paused_at, 'clerk_pull_users_to_raw')
+
+  const cursor = h.call('RUNSTATE_load_').cursors.clerk_pull_users_to_raw
+  assert.equal(cursor.position.offset, 2)
+  assert.equal(cursor.rows_in, 2)
+  assert.ok(!JSON.stringify(cursor).includes('alice@acme.com'), 'no rows in the ledger')
+  // Alice and Dave are in the tab; Bob, created between them, is settled as deleted
+  assert.equal(rowOf_(h, 'raw_clerk_users', 'clerk_user_id', 'user_bob').is_deleted, true)
+  assert.equal(rowOf_(h, 'raw_clerk_users', 'clerk_user_id', 'user_carol').name, 'Carol Chen')
+
+  // The sessions fixture ignores offset: back to full pages
+  h.eval('CLERK_CFG.PAGE_SIZE = 100')
+  let last = first
+  for (let i = 0; i < 5 && last.status === 'continued'; i++) last = h.call('run_daily_pipeline_continue')
+  assert.notEqual(last.status, 'continued')
+
+  const users = h.readTable('raw_clerk_users')
+  assert.deepEqual(users.filter(r => r.is_deleted).map(r => r.clerk_user_id), ['user_bob'])
+  assert.equal(rowOf_(h, 'raw_clerk_users', 'clerk_user_id', 'user_carol').name, 'Caroline Chen')
+  const log = h.readTable('sync_log').filter(r => r.step === 'clerk_pull_users_to_raw' && r.status === 'ok').pop()
+  assert.equal(log.rows_in, 3)
+})
@@ -0,0 +1,160 @@
+/**************************************************************
+ * Clerk sessions -> login history (Clerk raw sync.js)
+ *
+ * - clerk_pull_sessions_to_raw lists each user's sessions into
+ *   raw_clerk_sessions (upsert by session_id); incremental runs only
+ *   ask for users active since the high-water mark
+ * - syncClerkUsers rebuilds login_events with one row per session,
+ *   keeping older polled rows no session covers
+ * - canon_users counts login days / weeks and sessions per week
+ * - A paused sessions pull keeps its rows in the tab and only the
+ *   user index in pipeline_run_state
+ **************************************************************/
+
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { runDailyPipeline, loadFixture } = require('./harness')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function createSessionsHarness_() {
+  const fixture = loadFixture('clerk').routes
+  const state = {
+    users: JSON.parse(JSON.stringify(fixture.find(r => r.url.includes('/v1/users')).body)),
+    sessions: fixture
+      .filter(r => r.url.includes('/v1/sessions'))
+      .reduce((all, r) => all.concat(JSON.parse(JSON.stringify(r.body))), []),
+    // Each sessions call takes this long (to make a pipeline run pause)
+    slowMs: 0
+  }
+
+  const h = runDailyPipeline({
+    routes: [
+      { method: 'get', url: '^https://api\\.clerk\\.com/v1/users\\?', respond: () => ({ status: 200, body: state.users }) },
+      {
+        method: 'get',
+        url: '^https://api\\.clerk\\.com/v1/sessions\\?',
+        respond: req => {
+          if (state.slowMs) h.env.clock.advance(state.slowMs)
+          const userId = new URL(req.url).searchParams.get('user_id')
+          return { status: 200, body: state.sessions.filter(s => s.user_id === userId) }
+        }
+      }
+    ]
+  })
+  return { h, state }
+}
+
+const sessionFetches_ = (h, from) => h.env.fetches.slice(from)
+  .filter(f => f.url.includes('/v1/sessions?'))
+  .map(f => new URL(f.url).searchParams.get('user_id'))
+
+test('every session becomes a login; canon_users counts days, weeks and sessions per week', () => {
+  const { h } = createSessionsHarness_()
+
+  const sessions = h.readTable('raw_clerk_sessions')
+  assert.deepEqual(sessions.map(r => r.session_id).sort(), [
+    'sess_alice_1', 'sess_alice_2', 'sess_alice_3', 'sess_alice_4', 'sess_bob_1', 'sess_carol_1'
+  ])
+  const phone = sessions.find(r => r.session_id === 'sess_alice_2')
+  assert.equal(phone.email, 'Alice@Acme.com')
+  assert.equal(phone.status, 'expired')
+  assert.equal(phone.device_type, 'iPhone')
+  assert.equal(phone.is_mobile, true)
+
+  const logins = h.readTable('login_events')
+  assert.equal(logins.length, 6)
+  assert.ok(logins.every(r => r.source === 'clerk_session'))
+  assert.equal(logins.filter(r => r.user_id === 'user_alice').length, 4)
+
+  // Alice: 4 sessions on 3 days (Feb 16, Feb 23 twice, Mar 1) in 2 weeks, all in the last 28 days
+  const alice = h.readTable('canon_users').find(r => r.clerk_user_id === 'user_alice')
+  assert.equal(alice.logged_in_days_count, 3)
+  assert.equal(alice.logged_in_weeks_count, 2)
+  assert.equal(alice.sessions_count, 4)
+  assert.equal(alice.sessions_per_week, 1)
+  assert.equal(h.readTable('canon_users').find(r => r.clerk_user_id === 'user_dave').sessions_count, '')
+})
+
+test('incremental runs only list sessions of recently active users and keep older polled logins', () => {
+  const { h, state } = createSessionsHarness_()
+
+  // Two rows from the old last_sign_in_at poll: Bob's is sess_bob_1, Alice's predates the sessions
+  const poll = (userId, email, iso) => h.eval(`(() => {
+    const at = new Date('${iso}')
+    const tz = Session.getScriptTimeZone()
+    SpreadsheetApp.getActive().getSheetByName('login_events').appendRow(['${userId}', '${email}',
+      Utilities.formatDate(at, tz, 'yyyy-MM-dd HH:mm:ss'), Utilities.formatDate(at, tz, 'yyyy-MM-dd'), 'clerk_poll', ''])
+  })()`)
+  poll('user_bob', 'bob@acme.com', '2026-02-27T18:00:00Z')
+  poll('user_alice', 'Alice@Acme.com', '2026-01-10T09:00:00Z')
+
+  h.env.clock.advance(DAY_MS)
+  const now = h.eval('Date.now()')
+  const bob = state.users.find(u => u.id === 'user_bob')
+  bob.last_sign_in_at = bob.last_active_at = bob.updated_at = now - 60 * 1000
+  state.sessions.push({
+    id: 'sess_bob_2',
+    object: 'session',
+    user_id: 'user_bob',
+    client_id: 'client_bob_pc',
+    status: 'active',
+    created_at: now - 60 * 1000,
+    last_active_at: now - 60 * 1000,
+    updated_at: now - 60 * 1000,
+    expire_at: now + 7 * DAY_MS
+  })
+
+  const fetched = h.env.fetches.length
+  h.call('clerk_pull_users_to_raw')
+  const res = h.call('clerk_pull_sessions_to_raw')
+  assert.equal(res.mode, 'incremental')
+  assert.deepEqual(sessionFetches_(h, fetched), ['user_bob'])
+  assert.equal(h.readTable('raw_clerk_sessions').length, 7)
+
+  h.call('syncClerkUsers')
+  const logins = h.readTable('login_events')
+  assert.deepEqual(logins.filter(r => r.user_id === 'user_bob').map(r => r.session_id), ['sess_bob_1', 'sess_bob_2'])
+  const polled = logins.filter(r => r.source === 'clerk_poll')
+  assert.equal(polled.length, 1)
+  assert.equal(polled[0].user_id, 'user_alice')
+  // Oldest first
+  assert.equal(logins[0].source, 'clerk_poll')
+
+  h.call('build_canon_users')
+  const alice = h.readTable('canon_users').find(r => r.clerk_user_id === 'user_alice')
+  assert.equal(alice.logged_in_days_count, 4)
+  assert.equal(alice.sessions_count, 5)
+  // The January login is outside the 28-day window
+  assert.equal(alice.sessions_per_week, 1)
+})
+
+test('a paused sessions pull writes what it listed to the tab and keeps only the user index in the ledger', () => {
+  const { h, state } = createSessionsHarness_()
+  h.sheet('raw_clerk_sessions').clearContents()
+
+  // Alice, then Bob, then Carol: the budget runs out after Bob
+  h.env.clock.advance(DAY_MS)
+  state.slowMs = 2.5 * 60 * 1000
+  const first = h.call('run_daily_pipeline')
+  state.slowMs = 0
+  assert.equal(first.paused_at, 'clerk_pull_sessions_to_raw')
+
+  const cursor = h.call('RUNSTATE_load_').cursors.clerk_pull_sessions_to_raw
+  assert.equal(cursor.position.done, 2)
+  assert.equal(cursor.full_reason, 'tab is empty')
+  assert.ok(!JSON.stringify(cursor).includes('client_alice'), 'no rows in the ledger')
+  assert.deepEqual(h.readTable('raw_clerk_sessions').map(r => r.session_id).sort(), [
+    'sess_alice_1', 'sess_alice_2', 'sess_alice_3', 'sess_alice_4', 'sess_bob_1'
+  ])
+
+  const fetched = h.env.fetches.length
+  let last = first
+  for (let i = 0; i < 5 && last.status === 'continued'; i++) last = h.call('run_daily_pipeline_continue')
+  assert.notEqual(last.status, 'continued')
+  assert.deepEqual(sessionFetches_(h, fetched), ['user_carol'])
+  assert.equal(h.readTable('raw_clerk_sessions').length, 6)
+})
@@ -0,0 +1,137 @@
+/**************************************************************
+ * Clerk webhook route (Clerk Webhook.js via doPost ?route=clerk)
+ *
+ * - Svix-signed user / organization / membership events upsert into
+ *   the raw_clerk_* tabs
+ * - Every session.created appends one login_events row at its exact
+ *   timestamp; redeliveries are not counted twice
+ **************************************************************/
+
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const crypto = require('node:crypto')
+
+const { HARNESS_NOW, runDailyPipeline } = require('./harness')
+
+const SVIX_KEY = Buffer.from('clerk-webhook-test-key').toString('base64')
+
+function createClerkHarness_() {
+  return runDailyPipeline({ properties: { CLERK_WEBHOOK_SECRET: `whsec_${SVIX_KEY}` } })
+}
+
+let msgSeq = 0
+function deliver_(h, type, data, msgId) {
+  const id = msgId || `msg_${++msgSeq}`
+  const body = JSON.stringify({ object: 'event', type, data })
+  const ts = String(Math.floor(h.eval('Date.now()') / 1000))
+  const sig = crypto.createHmac('sha256', Buffer.from(SVIX_KEY, 'base64')).update(`${id}.${ts}.${body}`).digest('base64')
+  const out = h.call('doPost', {
+    parameter: { route: 'clerk', svix_id: id, svix_timestamp: ts, svix_signature: `v1,${sig}` },
+    postData: { contents: body, type: 'application/json' }
+  })
+  return JSON.parse(out.getContent())
+}
+
+const userOf_ = (h, id) => h.readTable('raw_clerk_users').find(r => r.clerk_user_id === id)
+const webhookLogins_ = h => h.readTable('login_events').filter(r => r.source === 'clerk_webhook')
+
+test('session.created appends each login at its exact time, once per session', () => {
+  const h = createClerkHarness_()
+
+  const first = Date.parse('2026-03-02T15:04:05.250Z')
+  const second = Date.parse('2026-03-02T15:30:10Z')
+  const res = deliver_(h, 'session.created', { id: 'sess_1', object: 'session', user_id: 'user_bob', created_at: first })
+  assert.equal(res.code, 200)
+  assert.equal(res.status, 'applied')
+  assert.equal(res.object_id, 'sess_1')
+
+  // Svix redelivers the same message
+  assert.equal(deliver_(h, 'session.created', { id: 'sess_1', object: 'session', user_id: 'user_bob', created_at: first }).status, 'ignored')
+  deliver_(h, 'session.created', { id: 'sess_2', object: 'session', user_id: 'user_bob', created_at: second })
+
+  const logins = webhookLogins_(h)
+  assert.deepEqual(logins.map(r => [r.user_id, r.email, r.session_id]), [
+    ['user_bob', 'bob@acme.com', 'sess_1'],
+    ['user_bob', 'bob@acme.com', 'sess_2']
+  ])
+  // Stored to the second, in the script time zone (as the poll does)
+  assert.equal(new Date(logins[0].login_timestamp).toISOString(), '2026-03-02T15:04:05.000Z')
+  assert.equal(new Date(logins[1].login_timestamp).toISOString(), '2026-03-02T15:30:10.000Z')
+
+  const bob = userOf_(h, 'user_bob')
+  assert.equal(bob.last_sign_in_at, new Date(second).toISOString())
+  assert.equal(Number(bob.login_count), h.readTable('login_events').filter(r => r.user_id === 'user_bob').length)
+})
+
+test('user, organization and membership events upsert the raw Clerk tabs', () => {
+  const h = createClerkHarness_()
+  const usersBefore = h.readTable('raw_clerk_users').length
+
+  deliver_(h, 'user.updated', {
+    id: 'user_bob',
+    first_name: 'Robert',
+    last_name: 'Baker',
+    primary_email_address_id: 'idn_bob',
+    email_addresses: [{ id: 'idn_bob', email_address: 'bob@acme.com' }],
+    created_at: 1762362000000,
+    private_metadata: {}
+  })
+  deliver_(h, 'user.created', {
+    id: 'user_erin',
+    first_name: 'Erin',
+    last_name: 'Evans',
+    primary_email_address_id: 'idn_erin',
+    email_addresses: [{ id: 'idn_erin', email_address: 'erin@delta.co' }],
+    created_at: Date.parse(HARNESS_NOW),
+    private_metadata: {}
+  })
+  assert.equal(h.readTable('raw_clerk_users').length, usersBefore + 1)
+  assert.equal(userOf_(h, 'user_bob').name, 'Robert Baker')
+  assert.equal(userOf_(h, 'user_bob').org_id, 'org_acme')
+
+  // A new org is only listed once somebody belongs to it
+  const delta = { id: 'org_delta', name: 'Delta Tax', slug: 'delta', created_at: Date.parse(HARNESS_NOW), updated_at: Date.parse(HARNESS_NOW) }
+  assert.equal(deliver_(h, 'organization.created', delta).status, 'ignored')
+  assert.equal(h.readTable('raw_clerk_orgs').some(r => r.org_id === 'org_delta'), false)
+
+  const membership = {
+    id: 'orgmem_erin',
+    object: 'organization_membership',
+    role: 'org:admin',
+    organization: delta,
+    public_user_data: { user_id: 'user_erin', identifier: 'erin@delta.co' },
+    created_at: Date.parse(HARNESS_NOW),
+    updated_at: Date.parse(HARNESS_NOW)
+  }
+  deliver_(h, 'organizationMembership.created', membership)
+  const orgDelta = h.readTable('raw_clerk_orgs').find(r => r.org_id === 'org_delta')
+  assert.equal(orgDelta.members_count, 1)
+  assert.equal(orgDelta.org_owner_user_id, 'user_erin')
+  assert.equal(userOf_(h, 'user_erin').org_id, 'org_delta')
+  assert.equal(userOf_(h, 'user_erin').org_role, 'org:admin')
+
+  // Role change: one membership row, updated in place
+  deliver_(h, 'organizationMembership.updated', { ...membership, role: 'org:member' })
+  const erinRows = h.readTable('raw_clerk_memberships').filter(r => r.clerk_user_id === 'user_erin')
+  assert.deepEqual(erinRows.map(r => r.role), ['org:member'])
+
+  deliver_(h, 'organization.updated', { ...delta, name: 'Delta Tax & Audit' })
+  assert.equal(h.readTable('raw_clerk_orgs').find(r => r.org_id === 'org_delta').org_name, 'Delta Tax & Audit')
+
+  // Leaving the org clears the user's org and the org's count
+  deliver_(h, 'organizationMembership.deleted', membership)
+  assert.equal(userOf_(h, 'user_erin').org_id, '')
+  assert.equal(h.readTable('raw_clerk_orgs').find(r => r.org_id === 'org_delta').members_count, 0)
+
+  // Deleted users keep their row (and memberships) as history
+  deliver_(h, 'user.deleted', { id: 'user_bob', object: 'user', deleted: true })
+  assert.equal(userOf_(h, 'user_bob').is_deleted, true)
+  assert.ok(userOf_(h, 'user_bob').deleted_at)
+  assert.deepEqual(h.readTable('raw_clerk_memberships').filter(r => r.clerk_user_id === 'user_bob').map(r => r.is_deleted), [true])
+  assert.equal(h.readTable('raw_clerk_orgs').find(r => r.org_id === 'org_acme').members_count, 1)
+
+  assert.equal(deliver_(h, 'email.created', { id: 'ema_1' }).status, 'ignored')
+  assert.ok(h.readTable('sync_log').some(r => r.step === 'clerk_webhook' && r.status === 'ok'))
+})
@@ -0,0 +1,58 @@
+/**************************************************************
+ * Config tab (Config.js)
+ **************************************************************/
+
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { HARNESS_NOW, createHarness } = require('./harness')
+
+const configRow_ = (h, key) => h.readTable('config').findIndex(r => r.key === key) + 2
+
+test('first read seeds the config tab with typed defaults', () => {
+  const h = createHarness({ now: HARNESS_NOW })
+
+  assert.equal(h.call('CONFIG_get_', 'trial_days'), 14)
+  assert.equal(h.call('CONFIG_get_', 'onboarding_cutoff_date'), '2026-01-11')
+  assert.deepEqual(Array.from(h.call('CONFIG_get_', 'excluded_reason_terms')), ['internal', 'testing', 'duplicate'])
+  assert.throws(() => h.call('CONFIG_get_', 'no_such_key'), /Unknown config key/)
+
+  const rows = h.readTable('config')
+  assert.equal(rows.length, h.eval('CONFIG_DEFS.length'))
+  const trial = rows.find(r => r.key === 'trial_days')
+  assert.equal(trial.type, 'integer')
+  assert.equal(trial.owner, 'growth')
+})
+
+test('sheet edits are audited with the editor and invalid values fall back to defaults', () => {
+  const h = createHarness({ now: HARNESS_NOW })
+  h.call('setup_config_sheet')
+  h.call('CONFIG_get_', 'trial_days')
+
+  const sh = h.sheet('config')
+  const range = sh.getRange(configRow_(h, 'trial_days'), 2)
+  range.setValue('21')
+  h.call('config_on_edit', { range, user: { getEmail: () => 'ops@pingassistant.com' } })
+
+  assert.equal(h.call('CONFIG_get_', 'trial_days'), 21)
+
+  const audit = h.readTable('config_audit')
+  assert.equal(audit.length, 1)
+  assert.equal(audit[0].key, 'trial_days')
+  assert.equal(String(audit[0].old_value), '14')
+  assert.equal(String(audit[0].new_value), '21')
+  assert.equal(audit[0].changed_by, 'ops@pingassistant.com')
+  assert.equal(h.readTable('config').find(r => r.key === 'trial_days').updated_by, 'ops@pingassistant.com')
+
+  // Typo straight into the sheet (no edit trigger): default is used, warning logged, change audited
+  sh.getRange(configRow_(h, 'ring_weekly_recipients'), 2).setValue('docker@pingassistant.com, not-an-email')
+  h.eval('CONFIG_CACHE = null')
+  assert.deepEqual(Array.from(h.call('CONFIG_get_', 'ring_weekly_recipients')), Array.from(h.eval("CONFIG_DEFS.find(d => d.key === 'ring_weekly_recipients').default")))
+
+  const warning = h.readTable('sync_log').find(r => r.step === 'config')
+  assert.equal(warning.status, 'warning')
+  assert.match(warning.error, /ring_weekly_recipients: not an email: not-an-email/)
+  assert.equal(h.readTable('config_audit')[1].changed_by, 'unknown')
+})
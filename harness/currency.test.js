@@ -0,0 +1,175 @@
+/**************************************************************
+ * Reporting currency conversion (Currency Rates.js)
+ *
+ * - Rates come from the hand-kept currency_rates tab, per month
+ * - Rollups convert to config reporting_currency; detail rows keep
+ *   the billed currency and amount
+ * - The Ring warns next to its KPIs when it converted anything
+ * - A currency without a rate is left out of the totals, listed in
+ *   the warning and fails data quality (publish / email blocked)
+ * - Stripe amounts in zero-decimal currencies (JPY, KRW) are not
+ *   divided by 100
+ **************************************************************/
+
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { HARNESS_NOW, createHarness, createPipelineHarness, loadFixture } = require('./harness')
+
+test('the rate of the latest month at or before the date is used', () => {
+  const h = createHarness({ now: HARNESS_NOW })
+  const ctx = h.call('FX_buildContext_', [
+    { month: '2026-01', currency: 'eur', rate: 1.1 },
+    { month: '2026-03', currency: 'EUR', rate: 1.2 },
+    { month: '2026-02', currency: 'GBP', rate: 'n/a' }
+  ], 'USD')
+
+  assert.equal(h.call('FX_rate_', ctx, 'USD', '2026-03-15T00:00:00Z'), 1)
+  assert.equal(h.call('FX_rate_', ctx, 'EUR', '2026-02-15T00:00:00Z'), 1.1)
+  assert.equal(h.call('FX_rate_', ctx, 'EUR', '2026-07-01T00:00:00Z'), 1.2)
+  assert.equal(h.call('FX_rate_', ctx, 'EUR', '2025-06-01T00:00:00Z'), 1.1)
+  assert.equal(h.call('FX_rate_', ctx, 'GBP', '2026-03-15T00:00:00Z'), null)
+
+  assert.equal(h.call('FX_toReporting_', 100, 'GBP', ctx, '2026-03-15T00:00:00Z'), 0)
+  assert.equal(h.call('FX_toReporting_', 50.5, 'gbp', ctx, '2026-03-15T00:00:00Z'), 0)
+  assert.equal(
+    h.call('FX_warning_', ctx, ['USD', 'EUR', 'gbp', 'EUR']),
+    '⚠ 3 non-USD subscriptions (EUR 2, GBP 1) converted to USD; no rate in currency_rates for GBP, left out of the totals (GBP 150.5 MRR)'
+  )
+  assert.equal(h.call('FX_warning_', ctx, ['USD', '']), '')
+})
+
+test('a EUR subscription is converted in The Ring, arr_raw_data and Paying Users', () => {
+  const stripe = loadFixture('stripe')
+  const subsRoute = stripe.routes.find(r => r.url.includes('/v1/subscriptions'))
+  const subsBody = JSON.parse(JSON.stringify(subsRoute.body))
+  const acme = subsBody.data.find(s => s.id === 'sub_acme')
+  acme.currency = 'eur'
+  acme.items.data.forEach(it => { it.price.currency = 'eur' })
+
+  const h = createPipelineHarness({
+    routes: [{ method: 'get', url: subsRoute.url, body: subsBody }]
+  })
+
+  h.call('setup_currency_rates_sheet')
+  h.sheet('currency_rates').getRange(2, 1, 2, 3).setValues([
+    ['2026-03', 'EUR', 1.1],
+    ['2026-04', 'EUR', 1.2]
+  ])
+
+  h.call('run_daily_pipeline')
+
+  const ring = h.readTable('The Ring', h.eval('RING_CFG.HEADER_ROW'), h.eval('RING_CFG.START_COL'))
+  assert.equal(ring[0].Currency, 'EUR')
+  assert.equal(ring[0].Amount, 60)
+  assert.equal(ring[0].MRR, 66)
+  assert.equal(ring[0].ARR, 792)
+
+  const kpiRow = h.eval('RING_CFG.KPI_ROW_VALUE')
+  assert.equal(h.sheet('The Ring').getRange(kpiRow, h.eval('RING_CFG.KPI_COLS.COMBINED.ARR')).getValue(), 792)
+  assert.equal(
+    h.sheet('The Ring').getRange(kpiRow, h.eval('RING_CFG.KPI_FX_NOTE_COL')).getValue(),
+    '⚠ 1 non-USD subscription (EUR 1) converted to USD'
+  )
+
+  const arrRow = h.readTable('arr_raw_data', h.eval('ARR_RAW_CFG.HEADER_ROW')).find(r => r.org_id === 'org_acme')
+  assert.equal(arrRow.currency, 'EUR')
+  assert.equal(arrRow.total_arr_original, 720)
+  assert.equal(arrRow.total_arr, 792)
+
+  // Each month at its own rate
+  const paying = h.readTable('Paying Users', h.eval('PAYING_CFG.HEADER_ROW')).find(r => r.org_id === 'org_acme')
+  assert.equal(paying['Mar-2026'], 66)
+  assert.equal(paying['Apr-2026'], 72)
+})
+
+test('a currency without a rate is left out of the totals and fails data quality', () => {
+  const stripe = loadFixture('stripe')
+  const subsRoute = stripe.routes.find(r => r.url.includes('/v1/subscriptions'))
+  const subsBody = JSON.parse(JSON.stringify(subsRoute.body))
+  const acme = subsBody.data.find(s => s.id === 'sub_acme')
+  acme.currency = 'jpy'
+  acme.items.data.forEach(it => { it.price.currency = 'jpy' })
+
+  const h = createPipelineHarness({
+    routes: [{ method: 'get', url: subsRoute.url, body: subsBody }]
+  })
+  h.call('setup_currency_rates_sheet')
+  h.call('run_daily_pipeline')
+
+  // 3000 yen x 2 seats, not 6000 dollars
+  const ring = h.readTable('The Ring', h.eval('RING_CFG.HEADER_ROW'), h.eval('RING_CFG.START_COL'))
+  const row = ring.find(r => r.Currency === 'JPY')
+  assert.equal(row.Amount, 6000)
+  assert.equal(row.MRR, '')
+  assert.equal(row.ARR, '')
+
+  const kpiRow = h.eval('RING_CFG.KPI_ROW_VALUE')
+  assert.equal(h.sheet('The Ring').getRange(kpiRow, h.eval('RING_CFG.KPI_COLS.COMBINED.ARR')).getValue(), 0)
+  assert.equal(
+    h.sheet('The Ring').getRange(kpiRow, h.eval('RING_CFG.KPI_FX_NOTE_COL')).getValue(),
+    '⚠ 1 non-USD subscription (JPY 1) converted to USD; no rate in currency_rates for JPY, left out of the totals (JPY 6000 MRR)'
+  )
+  assert.equal(h.readTable('arr_raw_data', h.eval('ARR_RAW_CFG.HEADER_ROW')).find(r => r.org_id === 'org_acme').total_arr, 0)
+
+  const dq = h.readTable('dq_results').find(r => r.check === 'currency rates on file')
+  assert.equal(dq.status, 'fail')
+  assert.equal(dq.detail, 'no rate in currency_rates for JPY')
+  assert.equal(h.readTable('sync_log').find(r => r.step === 'publish_the_good_stuff').status, 'error')
+  assert.throws(() => h.call('send_ring_weekly_email'), /currency rates on file \(no rate in currency_rates for JPY\)/)
+
+  h.sheet('currency_rates').getRange(2, 1, 1, 3).setValues([['2026-03', 'JPY', 0.0065]])
+  h.call('DQ_assertPublishable_', 'publish_the_good_stuff')
+})
+
+test('zero-decimal currencies (JPY) are not divided by 100', () => {
+  const stripe = loadFixture('stripe')
+  const subsRoute = stripe.routes.find(r => r.url.includes('/v1/subscriptions'))
+  const subsBody = JSON.parse(JSON.stringify(subsRoute.body))
+  const acme = subsBody.data.find(s => s.id === 'sub_acme')
+  acme.currency = 'jpy'
+  acme.items.data.forEach(it => { it.price.currency = 'jpy' })
+  acme.discounts = [{ id: 'di_acme_yen', object: 'discount', source: { coupon: 'cpn_yen', type: 'coupon' }, start: acme.created }]
+
+  const invRoute = stripe.routes.find(r => r.url.includes('/v1/invoices'))
+  const invBody = JSON.parse(JSON.stringify(invRoute.body))
+  invBody.data.filter(inv => inv.id.indexOf('in_acme') === 0).forEach(inv => { inv.currency = 'jpy' })
+
+  const h = createPipelineHarness({
+    routes: [
+      { method: 'get', url: subsRoute.url, body: subsBody },
+      { method: 'get', url: invRoute.url, body: invBody },
+      {
+        method: 'get',
+        url: '^https://api\\.stripe\\.com/v1/coupons/cpn_yen$',
+        body: { id: 'cpn_yen', object: 'coupon', name: '500 yen off', amount_off: 500, currency: 'jpy', duration: 'forever' }
+      }
+    ]
+  })
+  h.call('stripe_pull_all_raw')
+
+  const sub = h.readTable('raw_stripe_subscriptions').find(r => r.stripe_subscription_id === 'sub_acme')
+  assert.equal(sub.currency, 'JPY')
+  assert.equal(sub.unit_price, 3000)
+  assert.equal(sub.amount, 6000)
+
+  const item = h.readTable('raw_stripe_subscription_items').find(r => r.stripe_subscription_id === 'sub_acme')
+  assert.equal(item.unit_amount, 3000)
+
+  const discount = h.readTable('raw_stripe_discounts').find(r => r.stripe_subscription_id === 'sub_acme')
+  assert.equal(discount.amount_off, 500)
+  assert.equal(discount.currency, 'JPY')
+
+  const invoice = h.readTable('raw_stripe_invoices').find(r => r.stripe_invoice_id === 'in_acme_2')
+  assert.equal(invoice.currency, 'JPY')
+  assert.equal(invoice.amount_paid, 6000)
+
+  // Two-decimal currencies are unchanged
+  const beta = h.readTable('raw_stripe_subscriptions').find(r => r.stripe_subscription_id === 'sub_beta')
+  assert.equal(beta.currency, 'USD')
+  assert.equal(h.call('stripeMajorUnits_', 1999, 'usd'), 19.99)
+  assert.equal(h.call('stripeMajorUnits_', 1999, 'KRW'), 1999)
+  assert.equal(h.call('stripeMajorUnits_', '', 'JPY'), '')
+})
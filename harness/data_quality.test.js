@@ -0,0 +1,52 @@
+/**************************************************************
+ * Data quality gate (Data Quality.js)
+ *
+ * A Stripe outage that returns no subscriptions must not reach
+ * The Good Stuff or the weekly email.
+ **************************************************************/
+
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { createPipelineHarness, runDailyPipeline, loadFixture } = require('./harness')
+
+test('an empty Stripe pull fails DQ and blocks publish and the weekly email', () => {
+  const subsRoute = loadFixture('stripe').routes.find(r => r.url.includes('/v1/subscriptions'))
+  let subsBody = subsRoute.body
+
+  const h = createPipelineHarness({
+    routes: [{ method: 'get', url: subsRoute.url, respond: () => ({ status: 200, body: subsBody }) }]
+  })
+
+  h.call('run_daily_pipeline')
+  assert.ok(h.readTable('dq_results').every(r => r.status === 'pass'))
+
+  subsBody = Object.assign({}, subsBody, { data: [], has_more: false })
+  h.call('stripe_request_full_rebuild')
+  const n = h.readTable('sync_log').length
+  h.call('run_daily_pipeline')
+
+  const results = h.readTable('dq_results')
+  const failed = results.filter(r => r.status === 'fail').map(r => r.check)
+  assert.ok(failed.includes('raw_stripe_subscriptions row count'))
+
+  const log = h.readTable('sync_log').slice(n)
+  const publish = log.find(r => r.step === 'publish_the_good_stuff')
+  assert.equal(publish.status, 'error')
+  assert.match(publish.error, /blocked by data quality: raw_stripe_subscriptions row count \(raw_stripe_subscriptions is empty or missing\)/)
+
+  assert.throws(() => h.call('send_ring_weekly_email'), /send_ring_weekly_email blocked by data quality/)
+  assert.equal(h.env.emails.length, 0)
+})
+
+test('a real ARR jump is blocked until accepted as the new baseline', () => {
+  const h = runDailyPipeline()
+
+  h.sheet('The Ring').getRange('B2').setValue(2000)
+  assert.throws(() => h.call('DQ_assertPublishable_', 'publish_the_good_stuff'), /The Ring ARR total \(changed 177\.8%\)/)
+
+  h.call('accept_dq_baseline')
+  h.call('DQ_assertPublishable_', 'publish_the_good_stuff')
+})
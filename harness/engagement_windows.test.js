@@ -0,0 +1,97 @@
+/**************************************************************
+ * Engagement windows (User Build.js, Render Sauron.js)
+ *
+ * - canon_users carries 7 / 30 / 90 day meetings, active days, asks
+ *   and login days, plus week-over-week deltas
+ * - Sauron shows them with a Trend arrow from the summed deltas
+ * - They render after the existing columns, so snap_users_daily rows
+ *   written before keep their headers
+ **************************************************************/
+
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { runDailyPipeline } = require('./harness')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const canonOf_ = (h, emailKey) => h.readTable('canon_users').find(r => r.email_key === emailKey)
+const sauronOf_ = (h, emailKey) => h.readTable('Sauron', h.eval('SAURON_CFG.HEADER_ROW'), h.eval('SAURON_CFG.START_COL'))
+  .find(r => String(r.Email).toLowerCase() === emailKey)
+
+test('canon_users rolls engagement into 7 / 30 / 90 day windows with week-over-week deltas', () => {
+  const h = runDailyPipeline()
+
+  const alice = canonOf_(h, 'alice@acme.com')
+  assert.deepEqual(
+    [alice.meetings_recorded_7d, alice.meetings_recorded_30d, alice.meetings_recorded_90d, alice.meetings_recorded_wow],
+    [6, 8, 12, 6]
+  )
+  // PostHog events every day from Jan 31: 6 of the last 7 days, all 7 the week before
+  assert.deepEqual(
+    [alice.active_days_7d, alice.active_days_30d, alice.active_days_90d, alice.active_days_wow],
+    [6, 29, 30, -1]
+  )
+  assert.equal(alice.asks_30d, 8)
+  // Logins on Feb 16, Feb 23 and Mar 1
+  assert.deepEqual(
+    [alice.login_days_7d, alice.login_days_30d, alice.login_days_90d, alice.login_days_wow],
+    [1, 3, 3, 0]
+  )
+
+  // Unknown to PostHog (a row of zeros) and never logged in (no login history)
+  const dave = canonOf_(h, 'dave@gamma.dev')
+  assert.equal(dave.meetings_recorded_wow, 0)
+  assert.equal(dave.login_days_7d, '')
+  assert.equal(dave.login_days_wow, '')
+
+  const sauron = sauronOf_(h, 'alice@acme.com')
+  assert.equal(sauron['Meetings 30d'], 8)
+  assert.equal(sauron['Active Days WoW'], -1)
+  assert.equal(sauron['Login Days 7d'], 1)
+  assert.equal(sauron.Trend, '▲')
+  assert.equal(sauronOf_(h, 'dave@gamma.dev').Trend, '▬')
+})
+
+test('a quiet week turns the Trend arrow down', () => {
+  const h = runDailyPipeline()
+
+  h.env.clock.advance(8 * DAY_MS)
+  h.call('posthog_pull_user_metrics_to_raw')
+  h.call('build_canon_users')
+  h.call('render_sauron_view')
+
+  const alice = sauronOf_(h, 'alice@acme.com')
+  assert.equal(alice['Meetings 7d'], 0)
+  assert.equal(alice['Meetings WoW'], -4)
+  assert.equal(alice['Active Days WoW'], -5)
+  assert.equal(alice['Login Days WoW'], -1)
+  assert.equal(alice.Trend, '▼')
+})
+
+test('engagement columns land after the existing ones; older snapshot rows keep their headers', () => {
+  const h = runDailyPipeline()
+
+  // snap_users_daily as written before the engagement columns existed
+  const oldHeaders = Array.from(h.eval(`['snapshot_date'].concat(SAURON_CFG.HEADERS, SAURON_CFG.EXTRA_HEADERS)`))
+  const oldRow = oldHeaders.map(c => ({ snapshot_date: '2026-02-01', Email: 'alice@acme.com', 'Activation Stage': 'Activated', 'Risk Reason': 'none' })[c] ?? '')
+  h.eval(`SpreadsheetApp.getActive().insertSheet('snap_users_daily')`)
+  h.sheet('snap_users_daily').getRange(1, 1, 2, oldHeaders.length).setValues([oldHeaders, oldRow])
+
+  h.call('write_daily_snapshot')
+
+  const header = h.sheet('snap_users_daily').getRange(1, 1, 1, h.sheet('snap_users_daily').getLastColumn()).getValues()[0]
+  assert.deepEqual(Array.from(header).slice(0, oldHeaders.length), oldHeaders)
+  assert.equal(header[oldHeaders.length], 'Trend')
+
+  // The old row, then today's
+  const [before, today] = h.readTable('snap_users_daily').filter(r => String(r.Email).toLowerCase() === 'alice@acme.com')
+  assert.equal(before['Activation Stage'], 'Activated')
+  assert.equal(before['Risk Reason'], 'none')
+  assert.equal(before.Trend, '')
+  assert.equal(before['Meetings 7d'], '')
+
+  assert.equal(today['Meetings 7d'], sauronOf_(h, 'alice@acme.com')['Meetings 7d'])
+})
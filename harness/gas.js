@@ -0,0 +1,1039 @@
+/**************************************************************
+ * Offline harness — Apps Script service fakes
+ * ------------------------------------------------------------
+ * Builds a sandboxed V8 context that looks enough like the Apps
+ * Script runtime for the pipeline to run under plain Node:
+ *
+ *   SpreadsheetApp   in-memory spreadsheets / sheets / ranges
+ *   UrlFetchApp      fixture routes (unmatched calls throw)
+ *   PropertiesService, LockService, Session, Utilities,
+ *   GmailApp / MailApp (recorded), ScriptApp triggers (recorded),
+ *   ContentService, CalendarApp, Logger
+ *
+ * Notes:
+ * - Everything the project code touches is created inside the
+ *   context realm where it matters (Dates), so instanceof checks
+ *   behave like they do in Apps Script.
+ * - When opts.now is given the clock is frozen at that instant and
+ *   only Utilities.sleep() moves it forward.
+ * - Unknown formatting calls on sheets/ranges (setBackground,
+ *   setFontWeight, ...) are chainable no-ops; unknown getters are
+ *   left undefined so gaps in the fakes fail loudly.
+ **************************************************************/
+
+'use strict'
+
+const vm = require('vm')
+const crypto = require('crypto')
+
+const GAS_DEFAULTS = {
+  TIME_ZONE: 'America/Denver',
+  ACTIVE_SPREADSHEET_ID: 'harness-active',
+  DEFAULT_MAX_ROWS: 1000,
+  DEFAULT_MAX_COLS: 26,
+  USER_EMAIL: 'harness@example.com'
+}
+
+// Formatting / mutating calls we accept and ignore (chainable).
+const NOOP_METHOD_RE = /^(set|clear|auto|hide|show|merge|break|protect|activate|sort|add|remove|copy|create|insert|delete|trim|uncheck|check|apply)/
+
+function createGasEnvironment(opts) {
+  const options = opts || {}
+  const tz = options.timeZone || GAS_DEFAULTS.TIME_ZONE
+
+  const context = vm.createContext({})
+  const clock = installClock_(context, options.now)
+  const realm = {
+    Date: context.Date,
+    newDate: ms => new context.Date(ms)
+  }
+
+  const logs = []
+  const emails = []
+  const fetches = []
+  const triggers = []
+  const quiet = options.quiet !== false
+
+  const spreadsheets = new Map()
+  const active = new FakeSpreadsheet_(GAS_DEFAULTS.ACTIVE_SPREADSHEET_ID, 'Harness', { realm, tz })
+  spreadsheets.set(active.getId(), active)
+
+  const urlFetch = createUrlFetch_(options.routes || [], fetches, realm)
+  const scriptProps = new FakeProperties_(options.properties)
+  const documentProps = new FakeProperties_(options.documentProperties)
+  const userProps = new FakeProperties_(options.userProperties)
+
+  const services = {
+    SpreadsheetApp: createSpreadsheetApp_(active, spreadsheets, { realm, tz }),
+    UrlFetchApp: urlFetch,
+    PropertiesService: {
+      getScriptProperties: () => scriptProps,
+      getDocumentProperties: () => documentProps,
+      getUserProperties: () => userProps
+    },
+    LockService: {
+      getScriptLock: () => new FakeLock_(),
+      getDocumentLock: () => new FakeLock_(),
+      getUserLock: () => new FakeLock_()
+    },
+    Session: {
+      getScriptTimeZone: () => tz,
+      getActiveUser: () => ({ getEmail: () => GAS_DEFAULTS.USER_EMAIL }),
+      getEffectiveUser: () => ({ getEmail: () => GAS_DEFAULTS.USER_EMAIL }),
+      getTemporaryActiveUserKey: () => 'harness-user-key'
+    },
+    Utilities: createUtilities_(clock, realm, tz),
+    GmailApp: createMailer_(emails, 'GmailApp'),
+    MailApp: createMailer_(emails, 'MailApp'),
+    ScriptApp: createScriptApp_(triggers),
+    ContentService: createContentService_(),
+    CalendarApp: createCalendarApp_(options.calendars || {}, realm),
+    Logger: {
+      log: (...args) => {
+        const line = args.map(a => (typeof a === 'string' ? a : safeStringify_(a))).join(' ')
+        logs.push(line)
+        if (!quiet) console.log(line)
+      }
+    }
+  }
+
+  Object.keys(services).forEach(k => { context[k] = services[k] })
+  if (!quiet) context.console = console
+  else context.console = { log: (...a) => logs.push(a.join(' ')), warn: (...a) => logs.push(a.join(' ')), error: (...a) => logs.push(a.join(' ')) }
+
+  return {
+    context,
+    clock,
+    realm,
+    timeZone: tz,
+    services,
+    spreadsheets,
+    active,
+    logs,
+    emails,
+    fetches,
+    triggers,
+    scriptProperties: scriptProps,
+    addRoutes: routes => urlFetch._addRoutes(routes),
+    registerSpreadsheet: (id, name) => {
+      if (spreadsheets.has(id)) return spreadsheets.get(id)
+      const ss = new FakeSpreadsheet_(id, name || id, { realm, tz })
+      spreadsheets.set(id, ss)
+      return ss
+    }
+  }
+}
+
+/* ============================================================
+ * Clock
+ * ============================================================ */
+
+function installClock_(context, now) {
+  const clock = {
+    frozen: now != null,
+    ms: now != null ? new Date(now).getTime() : 0,
+    advance(ms) { if (this.frozen) this.ms += Math.max(0, Number(ms) || 0) }
+  }
+  if (clock.frozen && isNaN(clock.ms)) throw new Error(`Invalid harness clock: ${now}`)
+
+  context.__harnessClock = clock
+  vm.runInContext(`
+    (function () {
+      const clock = globalThis.__harnessClock
+      delete globalThis.__harnessClock
+      if (!clock.frozen) return
+      const RealDate = globalThis.Date
+      class Date extends RealDate {
+        constructor(...args) {
+          if (args.length === 0) super(clock.ms)
+          else super(...args)
+        }
+        static now() { return clock.ms }
+      }
+      globalThis.Date = Date
+    })()
+  `, context)
+
+  return clock
+}
+
+/* ============================================================
+ * SpreadsheetApp
+ * ============================================================ */
+
+function createSpreadsheetApp_(active, spreadsheets, env) {
+  const ui = createUi_()
+
+  return {
+    getActive: () => active,
+    getActiveSpreadsheet: () => active,
+    openById: id => {
+      const ss = spreadsheets.get(String(id))
+      if (!ss) throw new Error(`Exception: Unexpected error while getting the method or property openById on object SpreadsheetApp. (id=${id})`)
+      return ss
+    },
+    getUi: () => ui,
+    flush: () => {},
+    newConditionalFormatRule: () => createRuleBuilder_(),
+    newDataValidation: () => createRuleBuilder_(),
+    BorderStyle: enum_(['DOTTED', 'DASHED', 'SOLID', 'SOLID_MEDIUM', 'SOLID_THICK', 'DOUBLE']),
+    InterpolationType: enum_(['NUMBER', 'PERCENT', 'PERCENTILE', 'MIN', 'MAX']),
+    WrapStrategy: enum_(['WRAP', 'OVERFLOW', 'CLIP']),
+    _env: env
+  }
+}
+
+function createUi_() {
+  const menus = []
+  const ui = {
+    menus,
+    alerts: [],
+    createMenu(title) {
+      const menu = { title, items: [] }
+      const builder = {
+        addItem(label, fn) { menu.items.push({ label, fn }); return builder },
+        addSeparator() { menu.items.push({ separator: true }); return builder },
+        addSubMenu(sub) { menu.items.push({ submenu: sub }); return builder },
+        addToUi() { menus.push(menu) }
+      }
+      return builder
+    },
+    alert(...args) { ui.alerts.push(args); return ui.Button.OK },
+    prompt(...args) {
+      ui.alerts.push(args)
+      return { getResponseText: () => '', getSelectedButton: () => ui.Button.CANCEL }
+    },
+    Button: enum_(['OK', 'CANCEL', 'YES', 'NO', 'CLOSE']),
+    ButtonSet: enum_(['OK', 'OK_CANCEL', 'YES_NO', 'YES_NO_CANCEL'])
+  }
+  return ui
+}
+
+function createRuleBuilder_() {
+  const spec = { ranges: [], calls: [] }
+  const builder = new Proxy({}, {
+    get(target, prop) {
+      if (typeof prop === 'symbol') return undefined
+      if (prop === 'build') {
+        return () => ({
+          spec,
+          getRanges: () => spec.ranges.slice(),
+          getCriteriaType: () => (spec.calls[0] || {}).name || null,
+          copy: () => createRuleBuilder_()
+        })
+      }
+      if (prop === 'setRanges') return ranges => { spec.ranges = (ranges || []).slice(); return builder }
+      return (...args) => { spec.calls.push({ name: prop, args }); return builder }
+    }
+  })
+  return builder
+}
+
+class FakeSpreadsheet_ {
+  constructor(id, name, env) {
+    this._id = id
+    this._name = name
+    this._env = env
+    this._sheets = []
+    this._nextSheetId = 1
+    this.toasts = []
+  }
+
+  getId() { return this._id }
+  getName() { return this._name }
+  getUrl() { return `https://docs.google.com/spreadsheets/d/${this._id}/edit` }
+  getSpreadsheetTimeZone() { return this._env.tz }
+  getSheets() { return this._sheets.slice() }
+  getNumSheets() { return this._sheets.length }
+  getActiveSheet() { return this._sheets[0] || null }
+  getSheetByName(name) { return this._sheets.find(s => s.getName() === String(name)) || null }
+  getSheetById(id) { return this._sheets.find(s => s.getSheetId() === id) || null }
+
+  insertSheet(name, index) {
+    const sheetName = name == null ? `Sheet${this._sheets.length + 1}` : String(name)
+    if (this.getSheetByName(sheetName)) {
+      throw new Error(`Exception: A sheet with the name "${sheetName}" already exists. Please enter another name.`)
+    }
+    const sh = wrapNoops_(new FakeSheet_(this, sheetName, this._nextSheetId++, this._env))
+    if (typeof index === 'number') this._sheets.splice(index, 0, sh)
+    else this._sheets.push(sh)
+    return sh
+  }
+
+  deleteSheet(sheet) {
+    const i = this._sheets.indexOf(sheet)
+    if (i >= 0) this._sheets.splice(i, 1)
+  }
+
+  toast(msg, title) { this.toasts.push({ msg, title }) }
+  setActiveSheet(sheet) { return sheet }
+}
+
+class FakeSheet_ {
+  constructor(parent, name, sheetId, env) {
+    this._parent = parent
+    this._name = name
+    this._sheetId = sheetId
+    this._env = env
+    this._values = []          // row-major, 0-based
+    this._formulas = new Map() // 'r:c' -> formula
+    this._formats = new Map()  // 'r:c' -> number format
+    this._validations = new Map()
+    this._maxRows = GAS_DEFAULTS.DEFAULT_MAX_ROWS
+    this._maxCols = GAS_DEFAULTS.DEFAULT_MAX_COLS
+    this._frozenRows = 0
+    this._frozenCols = 0
+    this._cfRules = []
+  }
+
+  getName() { return this._name }
+  setName(name) { this._name = String(name); return this }
+  getSheetId() { return this._sheetId }
+  getParent() { return this._parent }
+  getIndex() { return this._parent._sheets.indexOf(this) + 1 }
+
+  getMaxRows() { return this._maxRows }
+  getMaxColumns() { return this._maxCols }
+  getFrozenRows() { return this._frozenRows }
+  getFrozenColumns() { return this._frozenCols }
+  setFrozenRows(n) { this._frozenRows = Number(n) || 0; return this }
+  setFrozenColumns(n) { this._frozenCols = Number(n) || 0; return this }
+
+  getLastRow() {
+    for (let r = this._values.length - 1; r >= 0; r--) {
+      const row = this._values[r]
+      if (row && row.some(v => !isBlank_(v))) return r + 1
+    }
+    return 0
+  }
+
+  getLastColumn() {
+    let last = 0
+    this._values.forEach(row => {
+      if (!row) return
+      for (let c = row.length - 1; c >= last; c--) {
+        if (!isBlank_(row[c])) { last = c + 1; break }
+      }
+    })
+    return last
+  }
+
+  getRange(a, b, c, d) {
+    if (typeof a === 'string') {
+      const ref = parseA1_(a, this)
+      return wrapNoops_(new FakeRange_(this, ref.row, ref.col, ref.numRows, ref.numCols))
+    }
+    const row = Number(a)
+    const col = Number(b)
+    const numRows = c == null ? 1 : Number(c)
+    const numCols = d == null ? 1 : Number(d)
+    if (!(row >= 1) || !(col >= 1)) throw new Error(`Exception: The starting row/column of the range is too small. (${a}, ${b})`)
+    if (!(numRows >= 1)) throw new Error('Exception: The number of rows in the range must be at least 1.')
+    if (!(numCols >= 1)) throw new Error('Exception: The number of columns in the range must be at least 1.')
+    return wrapNoops_(new FakeRange_(this, row, col, numRows, numCols))
+  }
+
+  getDataRange() {
+    return this.getRange(1, 1, Math.max(1, this.getLastRow()), Math.max(1, this.getLastColumn()))
+  }
+
+  appendRow(values) {
+    const r = this.getLastRow() + 1
+    this._write(r, 1, [values.slice()], false)
+    return this
+  }
+
+  clear() { this.clearContents(); this._formats.clear(); this._validations.clear(); return this }
+  clearContents() { this._values = []; this._formulas.clear(); return this }
+  clearFormats() { this._formats.clear(); return this }
+  clearConditionalFormatRules() { this._cfRules = []; return this }
+
+  getConditionalFormatRules() { return this._cfRules.slice() }
+  setConditionalFormatRules(rules) { this._cfRules = (rules || []).slice(); return this }
+
+  insertRowsBefore(beforeRow, howMany) {
+    const n = Number(howMany) || 0
+    const at = Math.max(0, Number(beforeRow) - 1)
+    const blanks = Array.from({ length: n }, () => [])
+    while (this._values.length < at) this._values.push([])
+    this._values.splice(at, 0, ...blanks)
+    this._shiftKeyed_(at + 1, n)
+    this._maxRows += n
+    return this
+  }
+
+  insertRowsAfter(afterRow, howMany) { return this.insertRowsBefore(Number(afterRow) + 1, howMany) }
+  insertRowBefore(row) { return this.insertRowsBefore(row, 1) }
+  insertRowAfter(row) { return this.insertRowsAfter(row, 1) }
+
+  deleteRows(rowPosition, howMany) {
+    const n = Number(howMany) || 0
+    const at = Number(rowPosition) - 1
+    this._values.splice(at, n)
+    this._shiftKeyed_(at + 1 + n, -n, at + 1)
+    this._maxRows = Math.max(1, this._maxRows - n)
+    return this
+  }
+
+  deleteRow(row) { return this.deleteRows(row, 1) }
+
+  insertColumnsAfter(afterCol, howMany) { this._maxCols += Number(howMany) || 0; return this }
+  insertColumnsBefore(beforeCol, howMany) { this._maxCols += Number(howMany) || 0; return this }
+
+  // Re-keys formula/format maps when rows move.
+  _shiftKeyed_(fromRow, delta, dropFromRow) {
+    ;[this._formulas, this._formats, this._validations].forEach(map => {
+      const entries = Array.from(map.entries())
+      map.clear()
+      entries.forEach(([k, v]) => {
+        const [r, c] = k.split(':').map(Number)
+        if (dropFromRow && r >= dropFromRow && r < fromRow) return
+        const nr = r >= fromRow ? r + delta : r
+        map.set(`${nr}:${c}`, v)
+      })
+    })
+  }
+
+  _cell(r, c) {
+    const row = this._values[r - 1]
+    if (!row) return ''
+    const v = row[c - 1]
+    return v === undefined || v === null ? '' : v
+  }
+
+  _write(row, col, values, isFormula) {
+    const env = this._env
+    for (let i = 0; i < values.length; i++) {
+      const r = row + i
+      while (this._values.length < r) this._values.push([])
+      const target = this._values[r - 1]
+      for (let j = 0; j < values[i].length; j++) {
+        const c = col + j
+        const key = `${r}:${c}`
+        const raw = values[i][j]
+        while (target.length < c - 1) target.push('')
+        if (isFormula) {
+          const f = raw == null ? '' : String(raw)
+          if (f) this._formulas.set(key, f)
+          else this._formulas.delete(key)
+          target[c - 1] = ''
+        } else {
+          this._formulas.delete(key)
+          target[c - 1] = coerceCellValue_(raw, this._formats.get(key), env)
+        }
+      }
+    }
+    this._maxRows = Math.max(this._maxRows, row + values.length - 1)
+    this._maxCols = Math.max(this._maxCols, col + (values[0] ? values[0].length : 0) - 1)
+  }
+}
+
+class FakeRange_ {
+  constructor(sheet, row, col, numRows, numCols) {
+    this._sheet = sheet
+    this._row = row
+    this._col = col
+    this._numRows = numRows
+    this._numCols = numCols
+  }
+
+  getSheet() { return this._sheet }
+  getRow() { return this._row }
+  getColumn() { return this._col }
+  getLastRow() { return this._row + this._numRows - 1 }
+  getLastColumn() { return this._col + this._numCols - 1 }
+  getNumRows() { return this._numRows }
+  getNumColumns() { return this._numCols }
+  getA1Notation() {
+    const start = colToLetters_(this._col) + this._row
+    if (this._numRows === 1 && this._numCols === 1) return start
+    return `${start}:${colToLetters_(this.getLastColumn())}${this.getLastRow()}`
+  }
+
+  offset(rowOffset, colOffset, numRows, numCols) {
+    return this._sheet.getRange(
+      this._row + rowOffset,
+      this._col + colOffset,
+      numRows == null ? this._numRows : numRows,
+      numCols == null ? this._numCols : numCols
+    )
+  }
+
+  _map(fn) {
+    const out = []
+    for (let i = 0; i < this._numRows; i++) {
+      const row = []
+      for (let j = 0; j < this._numCols; j++) row.push(fn(this._row + i, this._col + j))
+      out.push(row)
+    }
+    return out
+  }
+
+  getValues() {
+    const env = this._sheet._env
+    return this._map((r, c) => cloneCell_(this._sheet._cell(r, c), env))
+  }
+
+  getValue() { return this.getValues()[0][0] }
+
+  getDisplayValues() {
+    const env = this._sheet._env
+    return this._map((r, c) => displayCell_(this._sheet._cell(r, c), env))
+  }
+
+  getDisplayValue() { return this.getDisplayValues()[0][0] }
+
+  getFormulas() { return this._map((r, c) => this._sheet._formulas.get(`${r}:${c}`) || '') }
+  getFormula() { return this.getFormulas()[0][0] }
+
+  setValues(values) {
+    this._checkShape_(values, 'setValues')
+    this._sheet._write(this._row, this._col, values, false)
+    return this
+  }
+
+  setValue(value) {
+    this._sheet._write(this._row, this._col, this._fill_(value), false)
+    return this
+  }
+
+  setFormulas(formulas) {
+    this._checkShape_(formulas, 'setFormulas')
+    this._sheet._write(this._row, this._col, formulas, true)
+    return this
+  }
+
+  setFormula(formula) {
+    this._sheet._write(this._row, this._col, this._fill_(formula), true)
+    return this
+  }
+
+  getNumberFormat() { return this._sheet._formats.get(`${this._row}:${this._col}`) || 'General' }
+  getNumberFormats() { return this._map((r, c) => this._sheet._formats.get(`${r}:${c}`) || 'General') }
+
+  setNumberFormat(fmt) {
+    this._map((r, c) => this._sheet._formats.set(`${r}:${c}`, String(fmt)))
+    return this
+  }
+
+  setNumberFormats(formats) {
+    this._checkShape_(formats, 'setNumberFormats')
+    formats.forEach((row, i) => row.forEach((fmt, j) => {
+      this._sheet._formats.set(`${this._row + i}:${this._col + j}`, String(fmt))
+    }))
+    return this
+  }
+
+  getDataValidation() { return this._sheet._validations.get(`${this._row}:${this._col}`) || null }
+
+  setDataValidation(rule) {
+    this._map((r, c) => {
+      if (rule) this._sheet._validations.set(`${r}:${c}`, rule)
+      else this._sheet._validations.delete(`${r}:${c}`)
+    })
+    return this
+  }
+
+  clearDataValidations() { return this.setDataValidation(null) }
+
+  clearContent() {
+    this._map((r, c) => {
+      const row = this._sheet._values[r - 1]
+      if (row && c - 1 < row.length) row[c - 1] = ''
+      this._sheet._formulas.delete(`${r}:${c}`)
+    })
+    return this
+  }
+
+  clear() {
+    this.clearContent()
+    this._map((r, c) => this._sheet._formats.delete(`${r}:${c}`))
+    return this
+  }
+
+  clearFormat() {
+    this._map((r, c) => this._sheet._formats.delete(`${r}:${c}`))
+    return this
+  }
+
+  isBlank() { return this._map((r, c) => this._sheet._cell(r, c)).every(row => row.every(isBlank_)) }
+
+  _fill_(value) {
+    return Array.from({ length: this._numRows }, () => Array.from({ length: this._numCols }, () => value))
+  }
+
+  _checkShape_(values, method) {
+    if (!Array.isArray(values) || values.length !== this._numRows) {
+      const got = Array.isArray(values) ? values.length : 'non-array'
+      throw new Error(`Exception: The number of rows in the data does not match the number of rows in the range. The data has ${got} but the range has ${this._numRows}. (${method})`)
+    }
+    values.forEach(row => {
+      if (!Array.isArray(row) || row.length !== this._numCols) {
+        const got = Array.isArray(row) ? row.length : 'non-array'
+        throw new Error(`Exception: The number of columns in the data does not match the number of columns in the range. The data has ${got} but the range has ${this._numCols}. (${method})`)
+      }
+    })
+  }
+}
+
+function wrapNoops_(obj) {
+  return new Proxy(obj, {
+    get(target, prop, receiver) {
+      if (prop in target || typeof prop === 'symbol') {
+        const v = Reflect.get(target, prop, target)
+        return typeof v === 'function' ? v.bind(receiver) : v
+      }
+      if (NOOP_METHOD_RE.test(prop)) return () => receiver
+      return undefined
+    }
+  })
+}
+
+/* ============================================================
+ * Cell values
+ * ============================================================ */
+
+function isBlank_(v) {
+  return v === '' || v === null || v === undefined
+}
+
+function isDate_(v) {
+  return Object.prototype.toString.call(v) === '[object Date]'
+}
+
+function cloneCell_(v, env) {
+  if (isDate_(v)) return env.realm.newDate(v.getTime())
+  return v
+}
+
+// Mirrors what the Sheets UI does to typed input: numeric strings become
+// numbers and yyyy-MM-dd[ HH:mm[:ss]] strings become dates, unless the
+// cell is formatted as plain text ('@'). ISO strings with a "T" stay text.
+function coerceCellValue_(raw, numberFormat, env) {
+  if (raw === null || raw === undefined) return ''
+  if (isDate_(raw)) return env.realm.newDate(raw.getTime())
+  if (typeof raw === 'number') return isFinite(raw) ? raw : '#NUM!'
+  if (typeof raw === 'boolean') return raw
+  if (typeof raw !== 'string') return String(raw)
+  if (numberFormat === '@') return raw
+
+  const s = raw.trim()
+  if (/^-?\d+(\.\d+)?$/.test(s) && !/^-?0\d/.test(s)) return Number(s)
+
+  const m = /^(\d{4})-(\d{2})-(\d{2})(?: (\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(s)
+  if (m) {
+    const ms = zonedLocalToUtcMs_(
+      Number(m[1]), Number(m[2]), Number(m[3]),
+      Number(m[4] || 0), Number(m[5] || 0), Number(m[6] || 0),
+      env.tz
+    )
+    return env.realm.newDate(ms)
+  }
+
+  return raw
+}
+
+function displayCell_(v, env) {
+  if (isDate_(v)) return formatDate_(v, env.tz, 'M/d/yyyy')
+  if (typeof v === 'boolean') return v ? 'TRUE' : 'FALSE'
+  return v === '' ? '' : String(v)
+}
+
+function colToLetters_(col) {
+  let n = col
+  let s = ''
+  while (n > 0) {
+    const m = (n - 1) % 26
+    s = String.fromCharCode(65 + m) + s
+    n = Math.floor((n - 1) / 26)
+  }
+  return s
+}
+
+function lettersToCol_(letters) {
+  return letters.toUpperCase().split('').reduce((acc, ch) => acc * 26 + (ch.charCodeAt(0) - 64), 0)
+}
+
+function parseA1_(a1, sheet) {
+  const clean = String(a1).replace(/\$/g, '').split('!').pop()
+  const parts = clean.split(':')
+  const parseCell = s => {
+    const m = /^([A-Za-z]*)(\d*)$/.exec(s)
+    if (!m) throw new Error(`Exception: Range not found (${a1})`)
+    return { col: m[1] ? lettersToCol_(m[1]) : null, row: m[2] ? Number(m[2]) : null }
+  }
+  const start = parseCell(parts[0])
+  const end = parts[1] ? parseCell(parts[1]) : start
+  const row = start.row || 1
+  const col = start.col || 1
+  const lastRow = end.row || sheet.getMaxRows()
+  const lastCol = end.col || sheet.getMaxColumns()
+  return { row, col, numRows: lastRow - row + 1, numCols: lastCol - col + 1 }
+}
+
+/* ============================================================
+ * UrlFetchApp
+ * ============================================================ */
+
+// Route shape (fixtures/*.json):
+//   { "method": "get", "url": "<regex>", "payload_includes": "<substring>",
+//     "query": { "<param>": "<regex>" }, "status": 200, "body": <json | string> }
+// JS callers may pass "respond: (req) => ({ status, body })" instead of body.
+// A request sending a `query` param whose value does not match answers 422,
+// like an API rejecting a sort key it does not support.
+function createUrlFetch_(initialRoutes, fetches, realm) {
+  const routes = []
+
+  const addRoutes = list => {
+    ;(list || []).forEach(r => {
+      routes.push(Object.assign({}, r, { _re: new RegExp(r.url) }))
+    })
+  }
+  addRoutes(initialRoutes)
+
+  const fetch = (url, params) => {
+    const p = params || {}
+    const method = String(p.method || 'get').toLowerCase()
+    const payload = p.payload == null ? '' : (typeof p.payload === 'string' ? p.payload : safeStringify_(p.payload))
+    const req = { url: String(url), method, headers: p.headers || {}, payload, contentType: p.contentType || '' }
+
+    const route = routes.find(r =>
+      String(r.method || 'get').toLowerCase() === method &&
+      r._re.test(req.url) &&
+      (!r.payload_includes || payload.indexOf(r.payload_includes) >= 0)
+    )
+    if (!route) {
+      fetches.push(Object.assign({ status: null }, req))
+      throw new Error(`Harness: no fixture route for ${method.toUpperCase()} ${req.url}`)
+    }
+
+    const out = queryRejection_(route, req.url) || (route.respond ? route.respond(req) : route)
+    const status = out.status == null ? 200 : Number(out.status)
+    const text = typeof out.body === 'string' ? out.body : JSON.stringify(out.body == null ? {} : out.body)
+    fetches.push(Object.assign({ status }, req))
+
+    if (status >= 400 && p.muteHttpExceptions !== true) {
+      throw new Error(`Exception: Request failed for ${req.url} returned code ${status}. Truncated server response: ${text.slice(0, 200)}`)
+    }
+
+    return {
+      getResponseCode: () => status,
+      getContentText: () => text,
+      getHeaders: () => Object.assign({}, out.headers || {}),
+      getAllHeaders: () => Object.assign({}, out.headers || {}),
+      getBlob: () => createBlob_(text)
+    }
+  }
+
+  return {
+    fetch,
+    fetchAll: requests => requests.map(r => (typeof r === 'string' ? fetch(r) : fetch(r.url, r))),
+    _addRoutes: addRoutes,
+    _routes: routes
+  }
+}
+
+function queryRejection_(route, url) {
+  const params = new URL(url).searchParams
+  const bad = Object.keys(route.query || {}).find(k => params.has(k) && !new RegExp(route.query[k]).test(params.get(k)))
+  if (!bad) return null
+  return {
+    status: 422,
+    body: { errors: [{ code: 'form_param_value_invalid', message: `${bad}=${params.get(bad)} is not supported`, meta: { param_name: bad } }] }
+  }
+}
+
+/* ============================================================
+ * PropertiesService / LockService
+ * ============================================================ */
+
+class FakeProperties_ {
+  constructor(initial) {
+    this._data = new Map()
+    Object.keys(initial || {}).forEach(k => this._data.set(k, String(initial[k])))
+  }
+
+  getProperty(key) { return this._data.has(key) ? this._data.get(key) : null }
+  setProperty(key, value) { this._data.set(String(key), String(value)); return this }
+  deleteProperty(key) { this._data.delete(key); return this }
+  getKeys() { return Array.from(this._data.keys()) }
+
+  getProperties() {
+    const out = {}
+    this._data.forEach((v, k) => { out[k] = v })
+    return out
+  }
+
+  setProperties(props, deleteAllOthers) {
+    if (deleteAllOthers) this._data.clear()
+    Object.keys(props || {}).forEach(k => this._data.set(k, String(props[k])))
+    return this
+  }
+
+  deleteAllProperties() { this._data.clear(); return this }
+}
+
+// Apps Script locks are re-entrant within one execution, and the harness
+// only ever runs one execution at a time, so acquiring always succeeds.
+class FakeLock_ {
+  constructor() { this._held = false }
+  tryLock() { this._held = true; return true }
+  waitLock() { this._held = true }
+  hasLock() { return this._held }
+  releaseLock() { this._held = false }
+}
+
+/* ============================================================
+ * Utilities
+ * ============================================================ */
+
+function createUtilities_(clock, realm, tz) {
+  const toBuffer = (v, charset) => {
+    if (Array.isArray(v)) return Buffer.from(v.map(b => b & 0xff))
+    return Buffer.from(String(v == null ? '' : v), charset === 'US_ASCII' ? 'ascii' : 'utf8')
+  }
+  const toSignedBytes = buf => Array.from(buf, b => (b > 127 ? b - 256 : b))
+  const digestName = alg => String(alg || 'SHA_256').toLowerCase().replace('_', '')
+
+  return {
+    formatDate: (date, zone, pattern) => formatDate_(date, zone || tz, pattern),
+    getUuid: () => crypto.randomUUID(),
+    sleep: ms => clock.advance(ms),
+
+    computeDigest: (alg, value, charset) =>
+      toSignedBytes(crypto.createHash(digestName(alg)).update(toBuffer(value, charset)).digest()),
+    computeHmacSha256Signature: (value, key, charset) =>
+      toSignedBytes(crypto.createHmac('sha256', toBuffer(key, charset)).update(toBuffer(value, charset)).digest()),
+    computeHmacSignature: (alg, value, key, charset) =>
+      toSignedBytes(crypto.createHmac(digestName(alg).replace('hmac', ''), toBuffer(key, charset)).update(toBuffer(value, charset)).digest()),
+
+    base64Encode: (v, charset) => toBuffer(v, charset).toString('base64'),
+    base64EncodeWebSafe: (v, charset) => toBuffer(v, charset).toString('base64').replace(/\+/g, '-').replace(/\//g, '_'),
+    base64Decode: s => toSignedBytes(Buffer.from(String(s), 'base64')),
+    base64DecodeWebSafe: s => toSignedBytes(Buffer.from(String(s).replace(/-/g, '+').replace(/_/g, '/'), 'base64')),
+
+    newBlob: data => createBlob_(Array.isArray(data) ? Buffer.from(data.map(b => b & 0xff)).toString('utf8') : String(data)),
+
+    DigestAlgorithm: enum_(['MD2', 'MD5', 'SHA_1', 'SHA_256', 'SHA_384', 'SHA_512']),
+    MacAlgorithm: enum_(['HMAC_MD5', 'HMAC_SHA_1', 'HMAC_SHA_256', 'HMAC_SHA_384', 'HMAC_SHA_512']),
+    Charset: enum_(['US_ASCII', 'UTF_8'])
+  }
+}
+
+function createBlob_(text) {
+  return {
+    getDataAsString: () => text,
+    getBytes: () => Array.from(Buffer.from(text, 'utf8'), b => (b > 127 ? b - 256 : b)),
+    getContentType: () => 'text/plain'
+  }
+}
+
+const MONTHS_ = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December']
+const WEEKDAYS_ = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+function normalizeZone_(zone) {
+  const z = String(zone || 'UTC')
+  if (z === 'GMT' || z === 'UTC' || z === 'Etc/GMT') return 'UTC'
+  return z
+}
+
+function zonedParts_(ms, zone) {
+  const fmt = new Intl.DateTimeFormat('en-US', {
+    timeZone: normalizeZone_(zone),
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    weekday: 'long'
+  })
+  const parts = {}
+  fmt.formatToParts(new Date(ms)).forEach(p => { parts[p.type] = p.value })
+  const out = {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    ms: ((ms % 1000) + 1000) % 1000,
+    weekday: WEEKDAYS_.indexOf(parts.weekday)
+  }
+  const asUtc = Date.UTC(out.year, out.month - 1, out.day, out.hour, out.minute, out.second)
+  out.offsetMin = Math.round((asUtc - (ms - out.ms)) / 60000)
+  return out
+}
+
+function zonedLocalToUtcMs_(y, mo, d, h, mi, s, zone) {
+  const guess = Date.UTC(y, mo - 1, d, h, mi, s)
+  const first = guess - zonedParts_(guess, zone).offsetMin * 60000
+  return guess - zonedParts_(first, zone).offsetMin * 60000
+}
+
+// Subset of java.text.SimpleDateFormat used by Utilities.formatDate.
+function formatDate_(date, zone, pattern) {
+  if (!date || typeof date.getTime !== 'function' || isNaN(date.getTime())) {
+    throw new Error('Exception: Invalid argument: date')
+  }
+  const p = zonedParts_(date.getTime(), zone)
+  const pad = (n, w) => String(n).padStart(w, '0')
+  const offset = (sep, zulu) => {
+    if (zulu && p.offsetMin === 0) return 'Z'
+    const sign = p.offsetMin < 0 ? '-' : '+'
+    const abs = Math.abs(p.offsetMin)
+    return sign + pad(Math.floor(abs / 60), 2) + sep + pad(abs % 60, 2)
+  }
+
+  return String(pattern).replace(/'([^']*)'|y+|M+|d+|H+|h+|m+|s+|S+|E+|a+|Z+|X+|z+|u+/g, (tok, lit) => {
+    if (lit !== undefined) return lit === '' ? "'" : lit
+    const n = tok.length
+    switch (tok[0]) {
+      case 'y': return n === 2 ? pad(p.year % 100, 2) : pad(p.year, n)
+      case 'M': return n >= 4 ? MONTHS_[p.month - 1] : n === 3 ? MONTHS_[p.month - 1].slice(0, 3) : pad(p.month, n)
+      case 'd': return pad(p.day, n)
+      case 'H': return pad(p.hour, n)
+      case 'h': return pad(p.hour % 12 === 0 ? 12 : p.hour % 12, n)
+      case 'm': return pad(p.minute, n)
+      case 's': return pad(p.second, n)
+      case 'S': return pad(p.ms, 3).slice(0, n)
+      case 'E': return n >= 4 ? WEEKDAYS_[p.weekday] : WEEKDAYS_[p.weekday].slice(0, 3)
+      case 'u': return String(p.weekday === 0 ? 7 : p.weekday)
+      case 'a': return p.hour < 12 ? 'AM' : 'PM'
+      case 'Z': return offset('', false)
+      case 'X': return offset(n >= 3 ? ':' : '', true)
+      case 'z': return p.offsetMin === 0 ? 'UTC' : 'GMT' + offset(':', false)
+      default: return tok
+    }
+  })
+}
+
+/* ============================================================
+ * Mail / triggers / content / calendar
+ * ============================================================ */
+
+function createMailer_(emails, service) {
+  const send = (...args) => {
+    if (args.length === 1 && args[0] && typeof args[0] === 'object') {
+      const m = args[0]
+      emails.push({ service, to: m.to, subject: m.subject, body: m.body || '', options: m })
+      return
+    }
+    const [to, subject, body, options] = args
+    emails.push({ service, to, subject, body, options: options || {} })
+  }
+  return {
+    sendEmail: send,
+    getRemainingDailyQuota: () => 100
+  }
+}
+
+function createScriptApp_(triggers) {
+  let nextId = 1
+
+  const newTrigger = handler => {
+    const spec = { handler: String(handler), kind: null, calls: [] }
+    const builder = new Proxy({}, {
+      get(target, prop) {
+        if (typeof prop === 'symbol') return undefined
+        if (prop === 'create') {
+          return () => {
+            const id = `trigger-${nextId++}`
+            const trigger = {
+              spec,
+              getUniqueId: () => id,
+              getHandlerFunction: () => spec.handler,
+              getEventType: () => (spec.kind === 'timeBased' ? 'CLOCK' : 'ON_OPEN'),
+              getTriggerSource: () => (spec.kind === 'timeBased' ? 'CLOCK' : 'SPREADSHEETS'),
+              getTriggerSourceId: () => null
+            }
+            triggers.push(trigger)
+            return trigger
+          }
+        }
+        return (...args) => {
+          if (prop === 'timeBased' || prop === 'forSpreadsheet') spec.kind = prop
+          spec.calls.push({ name: prop, args })
+          return builder
+        }
+      }
+    })
+    return builder
+  }
+
+  return {
+    newTrigger,
+    getProjectTriggers: () => triggers.slice(),
+    deleteTrigger: t => {
+      const i = triggers.indexOf(t)
+      if (i >= 0) triggers.splice(i, 1)
+    },
+    getService: () => ({ getUrl: () => 'https://script.google.com/macros/s/harness/exec' }),
+    getOAuthToken: () => 'harness-oauth-token',
+    WeekDay: enum_(['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY', 'SUNDAY']),
+    EventType: enum_(['CLOCK', 'ON_OPEN', 'ON_EDIT', 'ON_FORM_SUBMIT', 'ON_CHANGE']),
+    TriggerSource: enum_(['SPREADSHEETS', 'CLOCK', 'FORMS', 'DOCUMENTS', 'CALENDAR'])
+  }
+}
+
+function createContentService_() {
+  const createTextOutput = text => {
+    let content = text == null ? '' : String(text)
+    let mime = 'TEXT'
+    const out = {
+      getContent: () => content,
+      setContent: c => { content = String(c); return out },
+      getMimeType: () => mime,
+      setMimeType: m => { mime = m; return out }
+    }
+    return out
+  }
+  return {
+    createTextOutput,
+    MimeType: enum_(['TEXT', 'JSON', 'CSV', 'ICAL', 'JAVASCRIPT', 'RSS', 'VCARD', 'ATOM', 'XML'])
+  }
+}
+
+// calendars: { [calendarId]: [{ id, title, start, end, guests: [email] }] }
+function createCalendarApp_(calendars, realm) {
+  return {
+    getCalendarById: id => {
+      const events = calendars[id]
+      if (!events) return null
+      return {
+        getId: () => id,
+        getEvents: (start, end) => events
+          .filter(ev => new Date(ev.start).getTime() < end.getTime() && new Date(ev.end).getTime() > start.getTime())
+          .map(ev => ({
+            getId: () => ev.id,
+            getTitle: () => ev.title || '',
+            getDescription: () => ev.description || '',
+            getStartTime: () => realm.newDate(new Date(ev.start).getTime()),
+            getEndTime: () => realm.newDate(new Date(ev.end).getTime()),
+            getGuestList: () => (ev.guests || []).map(email => ({ getEmail: () => email, getName: () => '' })),
+            getCreators: () => ev.creators || []
+          }))
+      }
+    }
+  }
+}
+
+/* ============================================================
+ * Helpers
+ * ============================================================ */
+
+function enum_(names) {
+  const out = {}
+  names.forEach(n => { out[n] = n })
+  return Object.freeze(out)
+}
+
+function safeStringify_(v) {
+  try { return JSON.stringify(v) } catch (e) { return String(v) }
+}
+
+module.exports = {
+  createGasEnvironment,
+  formatDate: formatDate_
+}
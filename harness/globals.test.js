@@ -0,0 +1,32 @@
+/**************************************************************
+ * Shared global scope: no two files may declare the same name
+ * (same check scripts/sync.sh runs before clasp push).
+ **************************************************************/
+
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { findCollisions } = require('../scripts/check_globals')
+const { HARNESS_NOW, createHarness } = require('./harness')
+
+test('no top-level name is declared in more than one file', () => {
+  const collisions = findCollisions()
+  const report = Object.keys(collisions).map(name =>
+    `${name}: ${collisions[name].map(d => `${d.file}:${d.line}`).join(', ')}`
+  )
+  assert.deepEqual(report, [])
+})
+
+test('shared helpers come from Shared Utilities', () => {
+  const h = createHarness({ now: HARNESS_NOW })
+  ;['getOrCreateSheet', 'normalizeEmail', 'batchSetValues', 'lockWrap', 'writeSyncLog',
+    'readSheetObjects', 'headerKey', 'strOrBlank', 'safeJson', 'clamp01']
+    .forEach(name => assert.equal(h.eval(`typeof ${name}`), 'function', `${name} is missing`))
+
+  assert.equal(h.call('lockWrap', 'test_lock', () => 7), 7)
+  assert.equal(h.call('lockWrap', () => 8), 8)
+  assert.equal(h.call('safeJson', null), '{}')
+  assert.equal(h.call('clamp01', 3), 1)
+})
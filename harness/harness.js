@@ -0,0 +1,184 @@
+/**************************************************************
+ * Offline harness — project loader
+ * ------------------------------------------------------------
+ * Loads every root-level .js file of the Apps Script project into
+ * one fake runtime (see gas.js), the same way Apps Script shares a
+ * single global scope across files.
+ *
+ * Usage:
+ *   const { createHarness, HARNESS_NOW } = require('./harness')
+ *   const h = createHarness({ now: HARNESS_NOW, fixtures: ['clerk'] })
+ *   h.call('clerk_pull_users_to_raw')
+ *   h.readTable('raw_clerk_users')
+ *
+ *   // Every fixture, after one daily run; then a webhook against it
+ *   const { runDailyPipeline, postWebhook } = require('./harness')
+ *   const p = runDailyPipeline({ properties: { WEBHOOK_SHARED_SECRET: 's' } })
+ *   postWebhook(p, { secret: 's' }, { event: 'calendar.changed' })
+ *
+ * Run:
+ *   node --test harness/
+ **************************************************************/
+
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const vm = require('vm')
+
+const { createGasEnvironment } = require('./gas')
+
+const HARNESS_CFG = {
+  PROJECT_ROOT: path.resolve(__dirname, '..'),
+  FIXTURES_DIR: path.join(__dirname, 'fixtures'),
+  SCRIPT_EXTENSIONS: ['.js', '.gs']
+}
+
+// The instant every test freezes the clock at (Mon 2026-03-02, 09:00 in Denver)
+const HARNESS_NOW = '2026-03-02T16:00:00Z'
+
+// Workbook + Clerk + Stripe + PostHog: everything run_daily_pipeline reads
+const PIPELINE_FIXTURES = ['workbook', 'clerk', 'stripe', 'posthog']
+
+/**
+ * opts:
+ *   now            ISO string; freezes the clock (recommended)
+ *   fixtures       names of fixtures/*.json files to load
+ *   properties     extra Script Properties (merged over fixture ones)
+ *   routes         extra UrlFetchApp routes (matched before fixture routes)
+ *   sheets         { [name]: [[row], ...] } seeded into the active spreadsheet
+ *   spreadsheets   { [id]: name } extra spreadsheets reachable via openById
+ *   quiet          false to echo Logger.log to stdout
+ */
+function createHarness(opts) {
+  const options = opts || {}
+  const fixtures = (options.fixtures || []).map(loadFixture)
+
+  const properties = Object.assign({}, ...fixtures.map(f => f.properties || {}), options.properties || {})
+  const routes = [].concat(options.routes || [], ...fixtures.map(f => f.routes || []))
+
+  const env = createGasEnvironment({
+    now: options.now,
+    timeZone: options.timeZone,
+    quiet: options.quiet,
+    properties,
+    routes,
+    calendars: options.calendars
+  })
+
+  Object.keys(options.spreadsheets || {}).forEach(id => env.registerSpreadsheet(id, options.spreadsheets[id]))
+  seedSheets_(env.active, Object.assign({}, ...fixtures.map(f => f.sheets || {}), options.sheets || {}))
+
+  listProjectFiles(HARNESS_CFG.PROJECT_ROOT).forEach(file => {
+    const src = fs.readFileSync(file, 'utf8')
+    vm.runInContext(src, env.context, { filename: path.relative(HARNESS_CFG.PROJECT_ROOT, file) })
+  })
+
+  return {
+    env,
+    context: env.context,
+
+    /** Calls a global function by name inside the project runtime. */
+    call(name, ...args) {
+      const fn = env.context[name]
+      if (typeof fn !== 'function') throw new Error(`Harness: no global function named ${name}`)
+      return fn.apply(env.context, args)
+    },
+
+    /** Evaluates an expression in the project's global scope (sees top-level consts). */
+    eval(expr) {
+      return vm.runInContext(expr, env.context)
+    },
+
+    sheet(name) {
+      return env.active.getSheetByName(name)
+    },
+
+    /**
+     * Reads a sheet table into objects keyed by the raw header text.
+     * headerRow/startCol are 1-based, matching the renderers' CFG values.
+     */
+    readTable(name, headerRow, startCol) {
+      const sh = env.active.getSheetByName(name)
+      if (!sh) throw new Error(`Harness: missing sheet ${name}`)
+      const hr = headerRow || 1
+      const sc = startCol || 1
+      const lastRow = sh.getLastRow()
+      const lastCol = sh.getLastColumn()
+      if (lastRow <= hr || lastCol < sc) return []
+
+      const header = sh.getRange(hr, sc, 1, lastCol - sc + 1).getValues()[0].map(h => String(h || '').trim())
+      const data = sh.getRange(hr + 1, sc, lastRow - hr, lastCol - sc + 1).getValues()
+      return data
+        .filter(r => r.some(v => v !== '' && v !== null))
+        .map(r => {
+          const obj = {}
+          header.forEach((h, i) => { if (h) obj[h] = r[i] })
+          return obj
+        })
+    }
+  }
+}
+
+/**
+ * A harness over PIPELINE_FIXTURES with the publish target workbook
+ * registered, not run yet. opts as createHarness; `now` defaults to
+ * HARNESS_NOW and `fixtures` to PIPELINE_FIXTURES.
+ */
+function createPipelineHarness(opts) {
+  const h = createHarness(Object.assign({ now: HARNESS_NOW, fixtures: PIPELINE_FIXTURES }, opts || {}))
+  h.env.registerSpreadsheet(h.call('CONFIG_get_', 'good_stuff_spreadsheet_id'), 'The Good Stuff (target)')
+  return h
+}
+
+/** createPipelineHarness(opts) after one run_daily_pipeline(). */
+function runDailyPipeline(opts) {
+  const h = createPipelineHarness(opts)
+  h.call('run_daily_pipeline')
+  return h
+}
+
+/** doPost with query params and a body (objects are sent as JSON); returns the parsed JSON answer. */
+function postWebhook(h, params, body) {
+  const out = h.call('doPost', {
+    parameter: params || {},
+    postData: { contents: typeof body === 'string' ? body : JSON.stringify(body || {}) }
+  })
+  return JSON.parse(out.getContent())
+}
+
+function loadFixture(name) {
+  const file = path.join(HARNESS_CFG.FIXTURES_DIR, name.endsWith('.json') ? name : `${name}.json`)
+  return JSON.parse(fs.readFileSync(file, 'utf8'))
+}
+
+/** Root-level script files, in the order the Apps Script editor lists them. */
+function listProjectFiles(root) {
+  return fs.readdirSync(root, { withFileTypes: true })
+    .filter(d => d.isFile() && HARNESS_CFG.SCRIPT_EXTENSIONS.includes(path.extname(d.name)))
+    .map(d => d.name)
+    .sort((a, b) => a.localeCompare(b))
+    .map(n => path.join(root, n))
+}
+
+function seedSheets_(ss, sheets) {
+  Object.keys(sheets).forEach(name => {
+    const rows = sheets[name] || []
+    const sh = ss.getSheetByName(name) || ss.insertSheet(name)
+    if (!rows.length) return
+    const width = Math.max(...rows.map(r => r.length))
+    const padded = rows.map(r => r.concat(Array(width - r.length).fill('')))
+    sh.getRange(1, 1, padded.length, width).setValues(padded)
+  })
+}
+
+module.exports = {
+  HARNESS_NOW,
+  PIPELINE_FIXTURES,
+  createHarness,
+  createPipelineHarness,
+  runDailyPipeline,
+  postWebhook,
+  listProjectFiles,
+  loadFixture
+}
@@ -0,0 +1,94 @@
+/**************************************************************
+ * Discount-aware MRR (Net MRR.js + raw_stripe_discounts)
+ *
+ * - Every subscription discount is synced with its start/end
+ * - amount_off and stacked coupons reduce MRR; expired ones do not
+ * - The Ring and Paying Users use the same net figure
+ **************************************************************/
+
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { HARNESS_NOW, createHarness, createPipelineHarness, loadFixture } = require('./harness')
+
+test('stacked discounts apply in order and stop at their end', () => {
+  const h = createHarness({ now: HARNESS_NOW })
+  const ctx = {
+    itemTotalsBySubId: h.call('SUBITEMS_summarize_', [
+      { stripe_subscription_id: 'sub_1', product_id: 'prod_seat', interval: 'month', interval_count: 1, usage_type: 'licensed', quantity: 1, unit_amount: 100, tiered: false },
+      { stripe_subscription_id: 'sub_2', product_id: 'prod_seat', interval: 'year', interval_count: 1, usage_type: 'licensed', quantity: 1, unit_amount: 1200, tiered: false }
+    ], []),
+    discountsBySubId: h.call('NETMRR_groupDiscounts_', [
+      { stripe_subscription_id: 'sub_1', amount_off: 20, currency: 'USD', duration: 'forever', start_at: '2026-01-01T00:00:00.000Z', end_at: '' },
+      { stripe_subscription_id: 'sub_1', percent_off: 50, duration: 'repeating', duration_in_months: 2, start_at: '2026-01-01T00:00:00.000Z', end_at: '' },
+      { stripe_subscription_id: 'sub_2', amount_off: 240, currency: 'USD', duration: 'once', start_at: '2026-01-01T00:00:00.000Z', end_at: '' },
+      { stripe_subscription_id: 'sub_2', amount_off: 50, currency: 'EUR', duration: 'forever', start_at: '2026-01-01T00:00:00.000Z', end_at: '' }
+    ])
+  }
+  const sub1 = { stripe_subscription_id: 'sub_1', currency: 'USD', interval: 'month', interval_count: 1 }
+  const sub2 = { stripe_subscription_id: 'sub_2', currency: 'USD', interval: 'year', interval_count: 1 }
+
+  const feb = h.call('NETMRR_forSubscription_', sub1, ctx, '2026-02-15T00:00:00Z')
+  assert.equal(feb.list_mrr, 100)
+  assert.equal(feb.net_mrr, 40)
+  assert.equal(feb.discount_mrr, 60)
+  assert.equal(feb.discount_pct, 60)
+
+  // 2-month repeating coupon ended 2026-03-01; the amount_off is forever
+  assert.equal(h.call('NETMRR_forSubscription_', sub1, ctx, '2026-03-15T00:00:00Z').net_mrr, 80)
+  assert.equal(h.call('NETMRR_forSubscription_', sub1, ctx, '2025-12-15T00:00:00Z').net_mrr, 100)
+
+  // Yearly amount_off is spread over 12 months; a EUR coupon does not touch a USD plan
+  assert.equal(h.call('NETMRR_forSubscription_', sub2, ctx, '2026-06-01T00:00:00Z').net_mrr, 80)
+  assert.equal(h.call('NETMRR_forSubscription_', sub2, ctx, '2027-02-01T00:00:00Z').net_mrr, 100)
+})
+
+test('an amount_off coupon lowers The Ring and Paying Users until it ends', () => {
+  const stripe = loadFixture('stripe')
+  const subsRoute = stripe.routes.find(r => r.url.includes('/v1/subscriptions'))
+  const subsBody = JSON.parse(JSON.stringify(subsRoute.body))
+  subsBody.data.find(s => s.id === 'sub_acme').discounts = [{
+    id: 'di_acme_ten',
+    object: 'discount',
+    source: { coupon: 'cpn_ten_off', type: 'coupon' },
+    start: Date.parse('2026-02-10T00:00:00Z') / 1000,
+    end: Date.parse('2026-04-10T00:00:00Z') / 1000
+  }]
+
+  const h = createPipelineHarness({
+    routes: [
+      { method: 'get', url: subsRoute.url, body: subsBody },
+      {
+        method: 'get',
+        url: '^https://api\\.stripe\\.com/v1/coupons/cpn_ten_off$',
+        body: { id: 'cpn_ten_off', object: 'coupon', name: '$10 off', amount_off: 1000, currency: 'usd', duration: 'repeating', duration_in_months: 2 }
+      }
+    ]
+  })
+
+  h.call('run_daily_pipeline')
+
+  const discounts = h.readTable('raw_stripe_discounts')
+  const acme = discounts.find(r => r.stripe_subscription_id === 'sub_acme')
+  assert.equal(acme.coupon_name, '$10 off')
+  assert.equal(acme.amount_off, 10)
+  assert.equal(acme.currency, 'USD')
+  assert.equal(acme.end_at, '2026-04-10T00:00:00.000Z')
+  const beta = discounts.find(r => r.stripe_subscription_id === 'sub_beta')
+  assert.equal(beta.percent_off, 50)
+  assert.equal(beta.promo_code, 'BETA50')
+
+  const ring = h.readTable('The Ring', h.eval('RING_CFG.HEADER_ROW'), h.eval('RING_CFG.START_COL'))
+  assert.equal(ring[0].Amount, 60)
+  assert.equal(ring[0].MRR, 50)
+  assert.equal(ring[0].ARR, 600)
+  assert.ok(Math.abs(ring[0]['Discount %'] - 10 / 60) < 0.0001)
+
+  const paying = h.readTable('Paying Users', h.eval('PAYING_CFG.HEADER_ROW'))
+  const acmeMonths = paying.find(r => r.org_id === 'org_acme')
+  // Snapshot starts at the current month; the coupon ends 2026-04-10
+  assert.equal(acmeMonths['Mar-2026'], 50)
+  assert.equal(acmeMonths['Apr-2026'], 60)
+})
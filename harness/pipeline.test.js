@@ -0,0 +1,104 @@
+/**************************************************************
+ * run_daily_pipeline() end-to-end (offline)
+ *
+ * Feeds Clerk / Stripe / PostHog fixture JSON through the real
+ * pipeline and checks the sheets the team actually looks at.
+ *
+ * Fixture world (clock frozen at 2026-03-02 16:00 UTC):
+ * - Acme Accounting: alice (admin) + bob, sub_acme active, 2 seats @ $30/mo
+ * - Beta Bookkeeping: carol (admin), sub_beta trialing, no card, BETA50 promo
+ * - Empty Org: no members
+ * - dave@gamma.dev: signed up, no org, never logged in
+ **************************************************************/
+
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { runDailyPipeline } = require('./harness')
+
+const byKey_ = (rows, key) => new Map(rows.map(r => [String(r[key]), r]))
+
+test('run_daily_pipeline completes every step without errors', () => {
+  const h = runDailyPipeline()
+  const log = h.readTable('sync_log')
+
+  const errors = log.filter(r => r.status === 'error').map(r => `${r.step}: ${r.error}`)
+  assert.deepEqual(errors, [])
+
+  const summary = log.filter(r => r.step === 'run_daily_pipeline')
+  assert.equal(summary.length, 1)
+  assert.equal(summary[0].status, 'ok')
+
+  const steps = new Set(log.map(r => r.step))
+  ;[
+    'clerk_pull_users_to_raw',
+    'stripe_pull_subscriptions_to_raw',
+    'posthog_pull_user_metrics_to_raw',
+    'build_canon_orgs',
+    'build_canon_users',
+    'render_sauron_view',
+    'render_ring_view'
+  ].forEach(step => assert.ok(steps.has(step), `missing sync_log row for ${step}`))
+})
+
+test('canon_orgs has one row per Clerk org with billing joined from Stripe', () => {
+  const h = runDailyPipeline()
+  const orgs = byKey_(h.readTable('canon_orgs'), 'org_id')
+
+  assert.deepEqual(Array.from(orgs.keys()).sort(), ['org_acme', 'org_beta', 'org_empty'])
+
+  const acme = orgs.get('org_acme')
+  assert.equal(acme.org_name, 'Acme Accounting')
+  assert.equal(acme.org_slug, 'acme')
+  assert.equal(acme.billing_customer_id, 'cus_acme')
+  assert.equal(String(acme.billing_email).toLowerCase(), 'alice@acme.com')
+
+  assert.equal(orgs.get('org_beta').billing_customer_id, 'cus_beta')
+  assert.equal(orgs.get('org_empty').billing_customer_id, '')
+})
+
+test('Sauron joins Clerk users, orgs and PostHog metrics', () => {
+  const h = runDailyPipeline()
+  const rows = h.readTable('Sauron', h.eval('SAURON_CFG.HEADER_ROW'), h.eval('SAURON_CFG.START_COL'))
+  const byEmail = new Map(rows.map(r => [String(r.Email).toLowerCase(), r]))
+
+  assert.deepEqual(
+    Array.from(byEmail.keys()).sort(),
+    ['alice@acme.com', 'bob@acme.com', 'carol@beta.io', 'dave@gamma.dev']
+  )
+
+  const alice = byEmail.get('alice@acme.com')
+  assert.equal(alice['Org Name'], 'Acme Accounting')
+  assert.equal(alice.Hierarchy, 'admin')
+  assert.equal(alice['Meetings Recorded'], 12)
+  assert.equal(alice['Client Page Views'], 42)
+  assert.equal(alice['Active Days (PostHog)'], 30)
+  assert.equal(alice['Days since last Login'], 1)
+  assert.equal(alice.Paying, true)
+
+  const dave = byEmail.get('dave@gamma.dev')
+  assert.equal(dave['Org Name'], '')
+  assert.equal(dave.Paying, false)
+})
+
+test('The Ring lists paying subscriptions and totals the KPI strip', () => {
+  const h = runDailyPipeline()
+  const rows = h.readTable('The Ring', h.eval('RING_CFG.HEADER_ROW'), h.eval('RING_CFG.START_COL'))
+
+  assert.equal(rows.length, 1)
+  const acme = rows[0]
+  assert.equal(acme['Org Name'], 'Acme Accounting')
+  assert.equal(acme.Status, 'Paid')
+  assert.equal(acme.Seats, 2)
+  assert.equal(acme.MRR, 60)
+  assert.equal(acme.ARR, 720)
+
+  // B2:D2 = ARR / subscriptions / seats (also what the weekly email reads)
+  const kpis = h.sheet('The Ring').getRange('B2:D2').getValues()[0]
+  assert.deepEqual(kpis, [720, 1, 2])
+
+  const published = h.env.spreadsheets.get(h.call('CONFIG_get_', 'good_stuff_spreadsheet_id'))
+  assert.ok(published.getSheetByName('The Good Stuff'), 'The Good Stuff was not published')
+})
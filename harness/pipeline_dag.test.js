@@ -0,0 +1,111 @@
+/**************************************************************
+ * Pipeline DAG (Pipeline DAG.js)
+ *
+ * - run order / downstream closure come from reads + writes
+ * - "Run only Stripe" re-renders what depends on Stripe and
+ *   skips steps whose input sheets did not change
+ **************************************************************/
+
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { HARNESS_NOW, createHarness, runDailyPipeline, loadFixture } = require('./harness')
+
+const logSince_ = (h, n) => h.readTable('sync_log').slice(n)
+
+test('run order follows sheet dependencies', () => {
+  const h = createHarness({ now: HARNESS_NOW })
+  const order = h.eval('PIPELINE_order_()')
+
+  const before = (a, b) => assert.ok(order.indexOf(a) < order.indexOf(b), `${a} should run before ${b}`)
+  before('stripe_pull_subscriptions_to_raw', 'build_canon_orgs')
+  before('build_canon_orgs', 'render_org_info_view')
+  before('render_org_info_view', 'render_arr_raw_data_view')
+  before('write_arr_snapshot', 'render_arr_waterfall_facts')
+  before('build_canon_users', 'render_sauron_view')
+  assert.equal(order.length, h.eval('PIPELINE_STEPS.length'))
+})
+
+test('downstream of Stripe covers every Stripe consumer but no other raw pull', () => {
+  const h = createHarness({ now: HARNESS_NOW })
+  const plan = h.call('PIPELINE_plan_', ['stripe_pull_subscriptions_to_raw'])
+
+  ;[
+    'build_canon_orgs',
+    'render_org_info_view',
+    'render_arr_raw_data_view',
+    'render_sauron_view',
+    'render_ring_view',
+    'render_conversion_onboarding_stats'
+  ].forEach(step => assert.ok(plan.includes(step), `missing ${step}`))
+
+  assert.equal(plan[0], 'stripe_pull_subscriptions_to_raw')
+  assert.ok(!plan.includes('clerk_pull_users_to_raw'))
+  assert.ok(!plan.includes('posthog_pull_user_metrics_to_raw'))
+  assert.ok(!plan.includes('build_canon_users'))
+})
+
+test('a cycle in reads/writes is reported', () => {
+  const h = createHarness({ now: HARNESS_NOW })
+  const steps = [
+    { name: 'a', reads: ['y'], writes: ['x'] },
+    { name: 'b', reads: ['x'], writes: ['y'] }
+  ]
+  assert.throws(() => h.call('PIPELINE_order_', steps), /cycle between: a, b/)
+})
+
+test('Run only Stripe skips unchanged steps and re-renders when Stripe data changes', () => {
+  const stripe = loadFixture('stripe')
+  const subsRoute = stripe.routes.find(r => r.url.includes('/v1/subscriptions'))
+  let subsBody = subsRoute.body
+  let events = []
+
+  // After the first (full) pull, Stripe runs are incremental: events + single-subscription fetches
+  const h = runDailyPipeline({
+    routes: [
+      { method: 'get', url: subsRoute.url, respond: () => ({ status: 200, body: subsBody }) },
+      { method: 'get', url: '^https://api\\.stripe\\.com/v1/events\\?', respond: () => ({ status: 200, body: { object: 'list', has_more: false, data: events } }) },
+      {
+        method: 'get',
+        url: '^https://api\\.stripe\\.com/v1/subscriptions/sub_acme\\?',
+        respond: () => ({ status: 200, body: subsBody.data.find(s => s.id === 'sub_acme') })
+      }
+    ]
+  })
+
+  // Same Stripe data -> only the pull itself runs
+  let n = h.readTable('sync_log').length
+  h.call('ui_run_only_stripe')
+  let log = logSince_(h, n)
+  assert.equal(log.find(r => r.step === 'build_canon_orgs').status, 'skipped')
+  assert.equal(log.find(r => r.step === 'render_ring_view').status, 'skipped')
+  assert.equal(log.filter(r => r.step === 'build_canon_users').length, 0)
+
+  // Acme goes from 2 to 3 seats -> everything downstream re-renders
+  // (+50% ARR is over the default data quality tolerance)
+  const configSheet = h.sheet('config')
+  const tolRow = h.readTable('config').findIndex(r => r.key === 'dq_arr_max_change_pct') + 2
+  configSheet.getRange(tolRow, 2).setValue('100')
+  h.eval('CONFIG_CACHE = null')
+
+  subsBody = JSON.parse(JSON.stringify(subsBody))
+  subsBody.data.find(s => s.id === 'sub_acme').items.data[0].quantity = 3
+  events = [{
+    id: 'evt_acme_seats',
+    type: 'customer.subscription.updated',
+    created: Date.parse(HARNESS_NOW) / 1000,
+    data: { object: { id: 'sub_acme' } }
+  }]
+
+  n = h.readTable('sync_log').length
+  h.call('ui_run_only_stripe')
+  log = logSince_(h, n)
+  ;['build_canon_orgs', 'render_org_info_view', 'render_ring_view', 'render_conversion_onboarding_stats']
+    .forEach(step => assert.equal(log.find(r => r.step === step).status, 'ok', step))
+  assert.equal(log.filter(r => r.status === 'error').length, 0)
+
+  const ring = h.readTable('The Ring', h.eval('RING_CFG.HEADER_ROW'), h.eval('RING_CFG.START_COL'))
+  assert.equal(ring[0].Seats, 3)
+})
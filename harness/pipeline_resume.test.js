@@ -0,0 +1,120 @@
+/**************************************************************
+ * Resumable daily runs (Pipeline Run State.js)
+ *
+ * PostHog calls are made artificially slow so the run has to pause
+ * mid-batch and again between steps, then finish via the
+ * continuation trigger.
+ **************************************************************/
+
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { HARNESS_NOW, createHarness, createPipelineHarness, loadFixture } = require('./harness')
+
+const SLOW_CALL_MS = 2 * 60 * 1000
+
+function createSlowPosthogHarness_() {
+  let clock = null
+  const slowRoutes = loadFixture('posthog').routes.map(r => Object.assign({}, r, {
+    respond: () => {
+      clock.advance(SLOW_CALL_MS)
+      return { status: r.status || 200, body: r.body }
+    }
+  }))
+
+  const h = createPipelineHarness({ routes: slowRoutes })
+  clock = h.env.clock
+  h.eval('POSTHOG_RAW_CFG.BATCH_SIZE = 2')
+  return h
+}
+
+const continuationTriggers_ = h =>
+  h.env.triggers.filter(t => t.getHandlerFunction() === 'run_daily_pipeline_continue')
+
+test('a run that outlives one execution continues via trigger under one run id', () => {
+  const h = createSlowPosthogHarness_()
+
+  const first = h.call('run_daily_pipeline')
+  assert.equal(first.status, 'continued')
+  assert.equal(first.paused_at, 'posthog_pull_user_metrics_to_raw')
+  assert.equal(continuationTriggers_(h).length, 1)
+
+  const ledger = h.call('RUNSTATE_load_')
+  assert.equal(ledger.cursors.posthog_pull_user_metrics_to_raw.next_index, 2)
+  assert.equal(ledger.completed.stripe_pull_subscriptions_to_raw, 'ok')
+
+  const stripeRowsBefore = h.readTable('sync_log').filter(r => r.step === 'stripe_pull_subscriptions_to_raw').length
+
+  let last = first
+  for (let i = 0; i < 5 && last.status === 'continued'; i++) last = h.call('run_daily_pipeline_continue')
+
+  assert.notEqual(last.status, 'continued')
+  assert.equal(last.run_id, first.run_id)
+  assert.ok(last.executions >= 2)
+  assert.equal(continuationTriggers_(h).length, 0)
+  assert.equal(h.call('RUNSTATE_load_'), null)
+
+  const log = h.readTable('sync_log')
+  assert.deepEqual(log.filter(r => r.status === 'error'), [])
+  assert.ok(log.every(r => r.run_id === first.run_id), 'every row carries the run id')
+  assert.equal(log.filter(r => r.step === 'run_daily_pipeline' && r.status === 'continued').length, last.executions - 1)
+  assert.equal(log.filter(r => r.step === 'run_daily_pipeline' && r.status === 'ok').length, 1)
+
+  // The step that was paused mid-batch logs its later attempt
+  const posthogDone = log.filter(r => r.step === 'posthog_pull_user_metrics_to_raw' && r.status === 'ok').pop()
+  assert.ok(posthogDone.attempt >= 2)
+  assert.equal(posthogDone.trigger_source, 'continuation')
+  assert.equal(posthogDone.parent_step, 'run_daily_pipeline')
+
+  // Steps finished before the pause are not run again
+  assert.equal(log.filter(r => r.step === 'stripe_pull_subscriptions_to_raw').length, stripeRowsBefore)
+
+  const sauron = h.readTable('Sauron', h.eval('SAURON_CFG.HEADER_ROW'), h.eval('SAURON_CFG.START_COL'))
+  const alice = sauron.find(r => String(r.Email).toLowerCase() === 'alice@acme.com')
+  assert.equal(alice['Meetings Recorded'], 12)
+  assert.equal(alice['Active Days (PostHog)'], 30)
+})
+
+test('the continuation is armed before work starts, so a killed execution is still picked up', () => {
+  let h = null
+  const armed = []
+  const routes = loadFixture('posthog').routes.map(r => Object.assign({}, r, {
+    respond: () => {
+      armed.push(continuationTriggers_(h).map(t => t.spec.calls.find(c => c.name === 'after').args[0]))
+      return { status: r.status || 200, body: r.body }
+    }
+  }))
+  h = createPipelineHarness({ routes })
+
+  const res = h.call('run_daily_pipeline')
+  assert.equal(res.status, undefined)
+  assert.ok(armed.length > 0)
+  assert.ok(armed.every(a => a.length === 1 && a[0] === h.eval('RUNSTATE_CFG.WATCHDOG_AFTER_MS')))
+  // Finished cleanly: the watchdog is gone
+  assert.equal(continuationTriggers_(h).length, 0)
+})
+
+test('a run killed on every execution is abandoned after MAX_EXECUTIONS', () => {
+  const h = createSlowPosthogHarness_()
+  assert.equal(h.call('run_daily_pipeline').status, 'continued')
+
+  const ledger = h.call('RUNSTATE_load_')
+  ledger.executions = h.eval('RUNSTATE_CFG.MAX_EXECUTIONS')
+  h.call('RUNSTATE_save_', ledger)
+
+  const res = h.call('run_daily_pipeline_continue')
+  assert.equal(res.status, 'abandoned')
+  assert.equal(res.run_id, ledger.run_id)
+  assert.equal(h.call('RUNSTATE_load_'), null)
+  assert.equal(continuationTriggers_(h).length, 0)
+  const abandoned = h.readTable('sync_log').filter(r => r.status === 'abandoned')
+  assert.equal(abandoned.length, 1)
+  assert.equal(abandoned[0].run_id, ledger.run_id)
+})
+
+test('continuation without an unfinished run does nothing', () => {
+  const h = createHarness({ now: HARNESS_NOW })
+  assert.equal(h.call('run_daily_pipeline_continue').status, 'nothing_to_continue')
+})
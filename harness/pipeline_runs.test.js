@@ -0,0 +1,73 @@
+/**************************************************************
+ * Run history (sync_log run columns + "Pipeline Runs" view)
+ **************************************************************/
+
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { HARNESS_NOW, createHarness, createPipelineHarness } = require('./harness')
+
+test('every sync_log row of a run carries its run id, trigger source, parent and attempt', () => {
+  const h = createPipelineHarness()
+  const res = h.call('run_daily_pipeline', { triggerUid: 'daily' })
+  const log = h.readTable('sync_log')
+
+  assert.ok(log.every(r => r.run_id === res.run_id))
+  assert.ok(log.every(r => r.trigger_source === 'trigger'))
+
+  const root = log.filter(r => r.step === 'run_daily_pipeline')
+  assert.equal(root.length, 1)
+  assert.equal(root[0].parent_step, '')
+
+  const stripe = log.filter(r => r.step === 'stripe_pull_subscriptions_to_raw')
+  assert.ok(stripe.length >= 1)
+  stripe.forEach(r => {
+    assert.equal(r.parent_step, 'run_daily_pipeline')
+    assert.equal(r.attempt, 1)
+  })
+})
+
+test('Pipeline Runs lists each run newest first with deltas against the previous run', () => {
+  const h = createPipelineHarness()
+  const first = h.call('run_daily_pipeline')
+  h.env.clock.advance(24 * 60 * 60 * 1000)
+  const second = h.call('run_daily_pipeline')
+  assert.notEqual(first.run_id, second.run_id)
+
+  const runs = h.readTable('Pipeline Runs')
+  assert.equal(runs.length, 2)
+  assert.equal(runs[0].run_id, second.run_id)
+  assert.equal(runs[0].entry, 'run_daily_pipeline')
+  assert.equal(runs[0].trigger_source, 'manual')
+  assert.equal(runs[0].status, 'ok')
+  assert.equal(runs[0].failed_steps, '')
+  assert.ok(runs[0].rows_out > 0)
+  assert.equal(runs[0].rows_out_delta, runs[0].rows_out - runs[1].rows_out)
+  assert.equal(runs[1].rows_out_delta, '')
+})
+
+test('run summaries report failed steps and per-step volume changes', () => {
+  const h = createHarness({ now: HARNESS_NOW })
+  const row = (run, step, status, rowsOut, parent) => ({
+    timestamp: new Date(HARNESS_NOW), step, status, rows_out: rowsOut, seconds: 1,
+    run_id: run, trigger_source: 'menu', parent_step: parent, attempt: 1
+  })
+
+  const runs = h.call('PRUNS_summarizeRuns_', [
+    row('run_a', 'stripe_pull', 'ok', 10, 'ui_stripe'),
+    row('run_a', 'ui_stripe', 'ok', '', ''),
+    row('run_b', 'stripe_pull', 'ok', 12, 'ui_stripe'),
+    row('run_b', 'render_ring', 'error', '', 'ui_stripe'),
+    row('run_b', 'ui_stripe', 'error', '', '')
+  ])
+
+  assert.equal(runs.length, 2)
+  const b = runs.find(r => r.run_id === 'run_b')
+  assert.equal(b.entry, 'ui_stripe')
+  assert.equal(b.status, 'error')
+  assert.equal(b.failed_steps, 'render_ring')
+  assert.equal(b.rows_out_delta, 2)
+  assert.equal(b.volume_changes, 'stripe_pull: 10 → 12')
+})
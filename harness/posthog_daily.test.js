@@ -0,0 +1,249 @@
+/**************************************************************
+ * PostHog daily rollups (Posthog raw sync.js)
+ *
+ * - The first run backfills raw_posthog_user_daily; later runs only
+ *   query the days since the last finished window
+ * - raw_posthog_user_metrics totals and 7 / 30 day trends come from
+ *   the daily rows
+ * - Every batch is checkpointed: a failed run continues at the
+ *   failed batch, unless the email list changed since
+ * - Days older than the rollup windows fold into one carry-forward
+ *   row per email
+ * - The daily queries page past PostHog's row cap via hasMore
+ **************************************************************/
+
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { createPipelineHarness, loadFixture } = require('./harness')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Fixture rows, editable per test; queries `fail` matches answer 504.
+// A query with LIMIT n OFFSET m gets that slice, and hasMore when rows are left.
+function createPosthogHarness_() {
+  const state = { fail: null }
+  const routes = loadFixture('posthog').routes.map(r => {
+    state[r.payload_includes] = JSON.parse(JSON.stringify(r.body.results))
+    return Object.assign({}, r, {
+      respond: req => {
+        if (state.fail && state.fail(req.payload)) return { status: 504, body: { detail: 'Gateway Timeout' } }
+
+        const all = state[r.payload_includes]
+        const page = /LIMIT (\d+) OFFSET (\d+)\s*"/.exec(req.payload)
+        if (!page) return { status: 200, body: Object.assign({}, r.body, { results: all }) }
+
+        const [limit, offset] = [Number(page[1]), Number(page[2])]
+        const results = all.slice(offset, offset + limit)
+        return { status: 200, body: Object.assign({}, r.body, { results, hasMore: offset + limit < all.length }) }
+      }
+    })
+  })
+
+  const h = createPipelineHarness({ routes })
+  return { h, state }
+}
+
+const dailyCursor_ = h => JSON.parse(h.eval(`PropertiesService.getScriptProperties().getProperty('POSTHOG_DAILY_CURSOR')`))
+const metricsOf_ = (h, emailKey) => h.readTable('raw_posthog_user_metrics').find(r => r.email_key === emailKey)
+const postedQueries_ = (h, from) => h.env.fetches.slice(from).filter(f => f.url.includes('posthog.com')).map(f => f.payload)
+
+test('the first run backfills daily rows; metrics and trends roll up from them', () => {
+  const { h } = createPosthogHarness_()
+  h.call('run_daily_pipeline')
+
+  const daily = h.readTable('raw_posthog_user_daily')
+  assert.equal(daily.filter(r => r.email_key === 'alice@acme.com').length, 32)
+  // Carol's meeting and ask on Mar 1 land on one row
+  const carolMar1 = daily.filter(r => r.email_key === 'carol@beta.io' && r.meetings_recorded === 1)
+  assert.equal(carolMar1.length, 1)
+  assert.equal(carolMar1[0].asks, 1)
+  assert.equal(carolMar1[0].events, 1)
+
+  const alice = metricsOf_(h, 'alice@acme.com')
+  assert.equal(alice.meetings_recorded, 12)
+  assert.equal(alice.hours_recorded, 9.5)
+  assert.equal(alice.ask_meeting, 4)
+  assert.equal(alice.ask_global, 7)
+  assert.equal(alice.client_page_views, 42)
+  assert.equal(alice.active_days, 30)
+  assert.equal(alice.clients_count, 3)
+  assert.equal(alice.stripe_subscription_id, 'sub_acme')
+  // Feb 24 .. Mar 2 and Feb 1 .. Mar 2
+  assert.equal(alice.active_days_7d, 6)
+  assert.equal(alice.meetings_recorded_7d, 6)
+  assert.equal(alice.asks_7d, 8)
+  assert.equal(alice.active_days_30d, 29)
+  assert.equal(alice.meetings_recorded_30d, 8)
+
+  assert.deepEqual(dailyCursor_(h), { through: '2026-03-02' })
+})
+
+test('later runs only query and replace the days since the last window', () => {
+  const { h, state } = createPosthogHarness_()
+  h.call('run_daily_pipeline')
+
+  h.env.clock.advance(DAY_MS)
+  state['AS page_views'].push(
+    ['alice@acme.com', '2026-03-02', 4, 1],
+    ['alice@acme.com', '2026-03-03', 9, 3]
+  )
+  state.meetings_daily.push(['alice@acme.com', '2026-03-03', 1, 0.75, 0, 1])
+  // Already pulled: not queried again
+  state.meetings_daily.push(['alice@acme.com', '2026-01-05', 5, 5, 0, 0])
+
+  const fetched = h.env.fetches.length
+  const res = h.call('posthog_pull_user_metrics_to_raw')
+  assert.equal(res.daily_from, '2026-03-02')
+  assert.equal(res.daily_to, '2026-03-03')
+  const queries = postedQueries_(h, fetched)
+  assert.ok(queries.filter(q => q.includes('AS page_views')).every(q => q.includes("toDate(e.timestamp) >= toDate('2026-03-02')")))
+  assert.ok(queries.filter(q => q.includes('meetings_daily')).every(q => q.includes("toDate(mb.recording_started_at) >= toDate('2026-03-02')")))
+
+  const aliceDays = h.readTable('raw_posthog_user_daily').filter(r => r.email_key === 'alice@acme.com')
+  assert.equal(aliceDays.length, 34)
+
+  const alice = metricsOf_(h, 'alice@acme.com')
+  assert.equal(alice.meetings_recorded, 13)
+  assert.equal(alice.hours_recorded, 10.25)
+  assert.equal(alice.ask_global, 8)
+  assert.equal(alice.client_page_views, 46)
+  assert.equal(alice.active_days, 32)
+  // Feb 25 .. Mar 3
+  assert.equal(alice.active_days_7d, 7)
+  assert.equal(alice.page_views_7d, 11)
+
+  // Running again the same day replaces that day's rows instead of adding to them
+  h.call('posthog_pull_user_metrics_to_raw')
+  assert.equal(h.readTable('raw_posthog_user_daily').filter(r => r.email_key === 'alice@acme.com').length, 34)
+  assert.equal(metricsOf_(h, 'alice@acme.com').meetings_recorded, 13)
+})
+
+test('a failed batch keeps the batches before it; the next run continues there', () => {
+  const { h, state } = createPosthogHarness_()
+  h.call('clerk_pull_users_to_raw')
+  h.eval('POSTHOG_RAW_CFG.BATCH_SIZE = 2')
+
+  // alice + bob, then carol + dave: the second batch's event query keeps timing out
+  state.fail = q => q.includes("'carol@beta.io'") && q.includes('AS page_views')
+  assert.throws(() => h.call('posthog_pull_user_metrics_to_raw'), /504/)
+
+  const cursor = dailyCursor_(h)
+  assert.equal(cursor.through, '')
+  assert.equal(cursor.run.next_index, 2)
+  assert.deepEqual([...new Set(h.readTable('raw_posthog_user_daily').map(r => r.email_key))], ['alice@acme.com', 'bob@acme.com'])
+  assert.equal(metricsOf_(h, 'alice@acme.com').clients_count, 3)
+
+  state.fail = null
+  const fetched = h.env.fetches.length
+  h.call('posthog_pull_user_metrics_to_raw')
+  const queries = postedQueries_(h, fetched).filter(q => !q.includes('input_orgs'))
+  assert.equal(queries.length, 3)
+  assert.ok(queries.every(q => q.includes("'carol@beta.io'") && !q.includes("'alice@acme.com'")))
+
+  assert.deepEqual(dailyCursor_(h), { through: '2026-03-02' })
+  assert.equal(metricsOf_(h, 'alice@acme.com').active_days, 30)
+  assert.equal(metricsOf_(h, 'carol@beta.io').meetings_recorded, 1)
+  // Unknown to PostHog: a row of zeros
+  assert.equal(metricsOf_(h, 'dave@gamma.dev').meetings_recorded, 0)
+  assert.equal(h.readTable('raw_posthog_user_metrics').length, 4)
+})
+
+test('an email added mid-run restarts the window; a batch written twice does not double its days', () => {
+  const { h, state } = createPosthogHarness_()
+  h.call('clerk_pull_users_to_raw')
+  h.eval('POSTHOG_RAW_CFG.BATCH_SIZE = 2')
+
+  state.fail = q => q.includes("'carol@beta.io'") && q.includes('AS page_views')
+  assert.throws(() => h.call('posthog_pull_user_metrics_to_raw'), /504/)
+  assert.equal(dailyCursor_(h).run.next_index, 2)
+
+  // The checkpoint after alice + bob is lost: they are pulled and written again
+  h.eval(`(() => {
+    const cursor = posthogLoadDailyCursor_()
+    cursor.run.next_index = 0
+    posthogSaveDailyCursor_(cursor)
+  })()`)
+  assert.throws(() => h.call('posthog_pull_user_metrics_to_raw'), /504/)
+  assert.equal(h.readTable('raw_posthog_user_daily').filter(r => r.email_key === 'alice@acme.com').length, 32)
+
+  // Aaron joins and Dave leaves: still 4 emails, but resuming at index 2
+  // would pull bob twice and skip aaron, so the window starts over
+  const users = h.sheet('raw_clerk_users')
+  const header = users.getRange(1, 1, 1, users.getLastColumn()).getValues()[0]
+  users.deleteRow(h.readTable('raw_clerk_users').findIndex(r => r.email === 'dave@gamma.dev') + 2)
+  users.appendRow(header.map(c => (c === 'email' ? 'aaron@acme.com' : '')))
+  state.fail = null
+  const fetched = h.env.fetches.length
+  h.call('posthog_pull_user_metrics_to_raw')
+  const queries = postedQueries_(h, fetched).filter(q => !q.includes('input_orgs'))
+  assert.ok(queries.some(q => q.includes("['aaron@acme.com', 'alice@acme.com']")))
+  assert.ok(queries.some(q => q.includes("['bob@acme.com', 'carol@beta.io']")))
+
+  assert.deepEqual(dailyCursor_(h), { through: '2026-03-02' })
+  const daily = h.readTable('raw_posthog_user_daily')
+  assert.equal(daily.filter(r => r.email_key === 'alice@acme.com').length, 32)
+  assert.equal(metricsOf_(h, 'alice@acme.com').meetings_recorded, 12)
+  assert.equal(daily.filter(r => r.email_key === 'bob@acme.com').length, new Set(daily.filter(r => r.email_key === 'bob@acme.com').map(r => String(r.date))).size)
+  assert.equal(metricsOf_(h, 'carol@beta.io').meetings_recorded, 1)
+  assert.deepEqual(h.readTable('raw_posthog_user_metrics').map(r => r.email_key), ['aaron@acme.com', 'alice@acme.com', 'bob@acme.com', 'carol@beta.io'])
+})
+
+test('days older than the rollup windows fold into one row per email; all-time totals keep them', () => {
+  const { h, state } = createPosthogHarness_()
+  // Before the 365 day window (Mar 3 2025 .. Mar 2 2026)
+  state.meetings_daily.push(
+    ['alice@acme.com', '2024-06-01', 3, 2.5, 1, 0],
+    ['alice@acme.com', '2024-09-10', 1, 0.5, 0, 2]
+  )
+  state['AS page_views'].push(['alice@acme.com', '2024-05-20', 6, 2])
+  h.call('run_daily_pipeline')
+
+  const aliceDays = h.readTable('raw_posthog_user_daily').filter(r => r.email_key === 'alice@acme.com')
+  assert.equal(aliceDays.length, 33)
+  const carry = aliceDays.filter(r => r.date < new Date('2025-03-03T00:00:00Z'))
+  assert.equal(carry.length, 1)
+  // Dated the last folded day with events
+  assert.equal(h.eval(`posthogYmd_(new Date(${carry[0].date.getTime()}), Session.getScriptTimeZone())`), '2024-05-20')
+  assert.deepEqual([carry[0].events, carry[0].meetings_recorded, carry[0].hours_recorded, carry[0].asks, carry[0].page_views], [6, 4, 3, 3, 2])
+
+  const alice = metricsOf_(h, 'alice@acme.com')
+  assert.equal(alice.meetings_recorded, 16)
+  assert.equal(alice.hours_recorded, 12.5)
+  assert.equal(alice.ask_meeting, 5)
+  assert.equal(alice.ask_global, 9)
+  assert.equal(alice.client_page_views, 42)
+  assert.equal(alice.active_days, 30)
+
+  // A year on, the days that aged out join the carry row; totals do not move
+  h.env.clock.advance(365 * DAY_MS)
+  h.call('posthog_pull_user_metrics_to_raw')
+  const later = h.readTable('raw_posthog_user_daily').filter(r => r.email_key === 'alice@acme.com')
+  assert.equal(later.length, 1)
+  const laterAlice = metricsOf_(h, 'alice@acme.com')
+  assert.equal(laterAlice.meetings_recorded, 16)
+  assert.equal(laterAlice.hours_recorded, 12.5)
+  assert.equal(laterAlice.ask_global, 9)
+  assert.equal(laterAlice.active_days, 0)
+  assert.equal(String(laterAlice.last_active_date), String(alice.last_active_date))
+})
+
+test('a daily query longer than one page is read page by page', () => {
+  const { h } = createPosthogHarness_()
+  h.eval('POSTHOG_RAW_CFG.QUERY_PAGE_SIZE = 5')
+
+  const fetched = h.env.fetches.length
+  h.call('run_daily_pipeline')
+  const eventQueries = postedQueries_(h, fetched).filter(q => q.includes('AS page_views'))
+  assert.ok(eventQueries.length > 1)
+  assert.ok(eventQueries.some(q => q.includes('LIMIT 5 OFFSET 5')))
+
+  const alice = metricsOf_(h, 'alice@acme.com')
+  assert.equal(h.readTable('raw_posthog_user_daily').filter(r => r.email_key === 'alice@acme.com').length, 32)
+  assert.equal(alice.meetings_recorded, 12)
+  assert.equal(alice.ask_global, 7)
+  assert.equal(alice.client_page_views, 42)
+  assert.equal(alice.active_days, 30)
+})
@@ -0,0 +1,99 @@
+/**************************************************************
+ * PostHog metric registry (Posthog Metric Registry.js)
+ *
+ * - The current-state query is composed from the registry; results
+ *   are read by column name
+ * - A new registry entry shows up in raw_posthog_user_metrics and
+ *   canon_users without touching the sync
+ **************************************************************/
+
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { createPipelineHarness, loadFixture } = require('./harness')
+
+// The registry query's fixture answer, columns in reverse order (plus any `extra` columns)
+function createRegistryHarness_(extra) {
+  const fixture = loadFixture('posthog').routes.find(r => r.payload_includes === 'm_oauth').body
+  const columns = fixture.columns.concat(Object.keys(extra || {})).reverse()
+  const results = fixture.results.map(row => {
+    const byName = {}
+    fixture.columns.forEach((c, i) => { byName[c] = row[i] })
+    Object.keys(extra || {}).forEach(c => { byName[c] = extra[c][byName.email_key] })
+    return columns.map(c => byName[c])
+  })
+
+  const queries = []
+  const h = createPipelineHarness({
+    routes: [{
+      method: 'post',
+      url: '^https://app\\.posthog\\.com/api/projects/1/query$',
+      payload_includes: 'm_oauth',
+      respond: req => {
+        queries.push(JSON.parse(req.payload).query.query)
+        return { status: 200, body: { columns, results } }
+      }
+    }]
+  })
+  return { h, queries }
+}
+
+test('the query is composed from the registry and results are read by column name', () => {
+  const { h, queries } = createRegistryHarness_()
+  h.call('run_daily_pipeline')
+
+  const sql = queries[0]
+  assert.match(sql, /, m_clients_by_org AS \(/)
+  assert.match(sql, /NOT IN \('camden bean'\)/)
+  assert.match(sql, /LEFT JOIN m_meeting_notes ON toString\(m_meeting_notes\.user_id\) = toString\(u\.user_id\)/)
+  assert.match(sql, /FROM postgres\.stripe_subscription AS ss/)
+  assert.ok(!sql.includes('{{'))
+
+  const alice = h.readTable('raw_posthog_user_metrics').find(r => r.email_key === 'alice@acme.com')
+  assert.equal(alice.clients_count, 3)
+  assert.equal(alice.calendar_connected, true)
+  assert.equal(alice.action_items_synced, 20)
+  assert.equal(alice.meeting_notes_synced, 11)
+  assert.equal(alice.stripe_subscription_id, 'sub_acme')
+
+  const canonHeaders = Object.keys(h.readTable('canon_users')[0])
+  assert.ok(canonHeaders.includes('other_integrations'))
+  assert.ok(!canonHeaders.includes('stripe_subscription_id'))
+  assert.ok(canonHeaders.indexOf('other_integrations') < canonHeaders.indexOf('service_override'))
+})
+
+test('a metric whose param is blank is left out and its columns get defaults', () => {
+  const { h } = createRegistryHarness_()
+  const sql = h.call('PHMETRIC_buildHogQL_', ['alice@acme.com'], h.call('PHMETRIC_params_', ''))
+
+  assert.ok(!sql.includes('m_stripe_subscription'))
+  assert.match(sql, /'' AS stripe_subscription_id/)
+  assert.match(sql, /coalesce\(m_clients\.clients_count, 0\) AS clients_count/)
+})
+
+test('a new registry entry lands in raw_posthog_user_metrics and canon_users', () => {
+  const { h, queries } = createRegistryHarness_({
+    transcripts_count: { 'alice@acme.com': 14, 'bob@acme.com': 2 }
+  })
+  h.eval(`PHMETRIC_REGISTRY.push({
+    name: 'transcripts',
+    level: 'user',
+    key: 'user_id',
+    hogql: 'SELECT t.user_id AS user_id, count() AS transcripts_count FROM postgres.transcripts AS t GROUP BY t.user_id',
+    columns: [{ name: 'transcripts_count', type: 'number' }]
+  })`)
+  h.call('run_daily_pipeline')
+
+  assert.match(queries[0], /coalesce\(m_transcripts\.transcripts_count, 0\) AS transcripts_count/)
+
+  const metrics = h.readTable('raw_posthog_user_metrics')
+  assert.equal(metrics.find(r => r.email_key === 'alice@acme.com').transcripts_count, 14)
+  // Unknown to PostHog: the type's default
+  assert.equal(metrics.find(r => r.email_key === 'dave@gamma.dev').transcripts_count, 0)
+
+  const canon = h.readTable('canon_users')
+  assert.equal(canon.find(r => r.email_key === 'alice@acme.com').transcripts_count, 14)
+  assert.equal(canon.find(r => r.email_key === 'carol@beta.io').transcripts_count, 0)
+})
@@ -0,0 +1,105 @@
+/**************************************************************
+ * PostHog org metrics (Posthog raw sync.js, Org Build.js,
+ * Render Org Page.js)
+ *
+ * - raw_posthog_org_metrics rolls members up per org; org-level
+ *   registry columns are queried per org, not fanned out from users
+ * - canon_orgs and org_info carry active users, seat utilization,
+ *   meetings, hours, clients, integrations and last activity; org_info
+ *   shows canon_orgs' seat utilization
+ **************************************************************/
+
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { runDailyPipeline } = require('./harness')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const rowOf_ = (h, tab, key, id) => h.readTable(tab).find(r => r[key] === id)
+const ymd_ = (h, d) => h.eval(`Utilities.formatDate(new Date(${new Date(d).getTime()}), Session.getScriptTimeZone(), 'yyyy-MM-dd')`)
+
+test('raw_posthog_org_metrics rolls members up per org', () => {
+  const h = runDailyPipeline()
+
+  const orgQueries = h.env.fetches.filter(f => String(f.payload).includes('input_orgs')).map(f => JSON.parse(f.payload).query.query)
+  assert.equal(orgQueries.length, 1)
+  assert.match(orgQueries[0], /\['org_acme', 'org_beta'\] AS input_orgs/)
+  assert.match(orgQueries[0], /LEFT JOIN m_clients_by_org ON toString\(m_clients_by_org\.org_id\) = o\.org_id/)
+  // Billing columns (canon: false) stay out of the org query
+  assert.ok(!orgQueries[0].includes('stripe_subscription'))
+
+  const acme = rowOf_(h, 'raw_posthog_org_metrics', 'org_id', 'org_acme')
+  assert.equal(acme.members_count, 2)
+  assert.equal(acme.active_users_7d, 2)
+  assert.equal(acme.active_users_30d, 2)
+  assert.equal(acme.meetings_recorded, 14)
+  assert.equal(acme.hours_recorded, 11)
+  // The org's own count: not Alice's 3 + Bob's 1
+  assert.equal(acme.clients_count, 3)
+  assert.equal(acme.integrations, 'CALENDAR, EMAIL')
+  assert.equal(acme.integrations_count, 2)
+  assert.equal(ymd_(h, acme.last_activity_date), '2026-03-01')
+
+  assert.equal(rowOf_(h, 'raw_posthog_org_metrics', 'org_id', 'org_beta').integrations, '')
+  // No members, no row
+  assert.equal(rowOf_(h, 'raw_posthog_org_metrics', 'org_id', 'org_empty'), undefined)
+
+  const canonAcme = rowOf_(h, 'canon_orgs', 'org_id', 'org_acme')
+  assert.equal(canonAcme.is_paying, true)
+  assert.equal(canonAcme.seats, 2)
+  assert.equal(canonAcme.active_users_30d, 2)
+  assert.equal(canonAcme.seat_utilization, 1)
+  assert.deepEqual(
+    [canonAcme.meetings_recorded, canonAcme.hours_recorded, canonAcme.clients_count, canonAcme.integrations],
+    [14, 11, 3, 'CALENDAR, EMAIL']
+  )
+  assert.equal(ymd_(h, canonAcme.last_activity_date), '2026-03-01')
+  const canonEmpty = rowOf_(h, 'canon_orgs', 'org_id', 'org_empty')
+  assert.equal(canonEmpty.seat_utilization, '')
+  assert.equal(canonEmpty.meetings_recorded, '')
+  assert.equal(canonEmpty.last_activity_date, '')
+
+  const info = rowOf_(h, 'org_info', 'Org ID', 'org_acme')
+  assert.equal(info['Active Users (7d)'], 2)
+  assert.equal(info['Active Users (30d)'], 2)
+  assert.equal(info['Seat Utilization'], 1)
+  assert.deepEqual(
+    [info['Meetings Recorded'], info['Hours Recorded'], info.Clients, info.Integrations],
+    [14, 11, 3, 'CALENDAR, EMAIL']
+  )
+  assert.equal(ymd_(h, info['Last Activity']), '2026-03-01')
+})
+
+test('org_info shows the seat utilization canon_orgs computed', () => {
+  const h = runDailyPipeline()
+
+  // Whatever canon_orgs says, org_info does not work it out again from its own seats
+  const sh = h.sheet('canon_orgs')
+  const header = Array.from(sh.getRange(1, 1, 1, sh.getLastColumn()).getValues()[0])
+  const row = h.readTable('canon_orgs').findIndex(r => r.org_id === 'org_acme') + 2
+  sh.getRange(row, header.indexOf('seat_utilization') + 1).setValue(0.25)
+  h.call('render_org_info_view')
+
+  assert.equal(rowOf_(h, 'org_info', 'Org ID', 'org_acme')['Seat Utilization'], 0.25)
+})
+
+test('a member going quiet lowers seat utilization', () => {
+  const h = runDailyPipeline()
+
+  // Mar 28: Bob (last active Feb 25) drops out of the 30 day window, Alice (Mar 1) does not
+  h.env.clock.advance(26 * DAY_MS)
+  h.call('posthog_pull_user_metrics_to_raw')
+  h.call('build_canon_orgs')
+  h.call('render_org_info_view')
+
+  const acme = rowOf_(h, 'raw_posthog_org_metrics', 'org_id', 'org_acme')
+  assert.equal(acme.active_users_7d, 0)
+  assert.equal(acme.active_users_30d, 1)
+  assert.equal(acme.meetings_recorded, 14)
+
+  assert.equal(rowOf_(h, 'canon_orgs', 'org_id', 'org_acme').seat_utilization, 0.5)
+  assert.equal(rowOf_(h, 'org_info', 'Org ID', 'org_acme')['Seat Utilization'], 0.5)
+})
@@ -0,0 +1,121 @@
+/**************************************************************
+ * Product funnel (Product Funnel.js, Conversion Onboarding Stats.js)
+ *
+ * - funnel_steps holds the day each configured step was reached,
+ *   per user and per org
+ * - Conversion & Onboarding stats gets cohort matrices by signup
+ *   month and median days between steps
+ * - First meeting / ask days come from the metric registry, so they
+ *   hold once raw_posthog_user_daily folds the days they were on
+ **************************************************************/
+
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { runDailyPipeline } = require('./harness')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const STATS_SHEET = 'Conversion & Onboarding stats'
+
+const funnelRow_ = (h, level, key) => h.readTable('funnel_steps').find(r => r.level === level && r.key === key)
+const ymd_ = (h, d) => h.eval(`Utilities.formatDate(new Date(${new Date(d).getTime()}), Session.getScriptTimeZone(), 'yyyy-MM-dd')`)
+const daysOf_ = (h, row, steps) => steps.map(s => (row[s] === '' ? '' : ymd_(h, row[s])))
+
+// Rows of the table titled `title` on the stats sheet (header row first)
+function statsTable_(h, title) {
+  const values = h.sheet(STATS_SHEET).getDataRange().getValues()
+  const start = values.findIndex(r => r[0] === title)
+  const end = values.findIndex((r, i) => i > start && r[0] === '')
+  const rows = values.slice(start + 1, end < 0 ? values.length : end)
+  const width = rows[0].filter(v => v !== '').length
+  return rows.map(r => r.slice(0, width))
+}
+
+test('funnel_steps holds the day each step was reached, per user and per org', () => {
+  const h = runDailyPipeline()
+  const steps = ['signup', 'calendar_connected', 'first_meeting_recorded', 'first_ask', 'first_client_added', 'paid']
+
+  const alice = funnelRow_(h, 'user', 'alice@acme.com')
+  assert.equal(alice.cohort_month, '2025-11')
+  assert.deepEqual(daysOf_(h, alice, steps), ['2025-11-01', '2025-11-03', '2025-12-15', '2026-01-20', '2025-11-20', '2025-11-02'])
+  assert.equal(alice.steps_reached, 6)
+  assert.equal(alice.last_step, 'paid')
+
+  // Carol recorded a meeting and asked, but never connected a calendar
+  const carol = funnelRow_(h, 'user', 'carol@beta.io')
+  assert.equal(ymd_(h, carol.first_meeting_recorded), '2026-03-01')
+  assert.equal(carol.steps_reached, 1)
+  assert.equal(carol.last_step, 'signup')
+
+  // Org: its own signup, clients and payment; the earliest member for the rest
+  const acme = funnelRow_(h, 'org', 'org_acme')
+  assert.deepEqual(daysOf_(h, acme, steps), ['2025-11-01', '2025-11-03', '2025-12-15', '2026-01-20', '2025-11-20', '2025-11-02'])
+  assert.equal(funnelRow_(h, 'org', 'org_beta').steps_reached, 1)
+})
+
+test('the stats sheet gets cohort matrices and median days between steps', () => {
+  const h = runDailyPipeline()
+
+  const users = statsTable_(h, 'Product funnel (users)')
+  assert.deepEqual(users[0].slice(0, 4), ['cohort_month', 'signups', 'calendar_connected', 'calendar_connected_pct'])
+  assert.deepEqual(users.find(r => r[0] === '2025-11').slice(1, 4), [2, 2, 1])
+  assert.deepEqual(users.find(r => r[0] === 'TOTAL').slice(1, 4), [4, 2, 0.5])
+
+  const orgs = statsTable_(h, 'Product funnel (orgs)')
+  assert.deepEqual(orgs.find(r => r[0] === 'TOTAL').slice(-2), [1, 1 / 3])
+
+  const medians = statsTable_(h, 'Median days between funnel steps')
+  assert.deepEqual(medians[0], ['from_step', 'to_step', 'users', 'user_median_days', 'orgs', 'org_median_days'])
+  // Alice 2 days, Bob 1
+  assert.deepEqual(medians[1], ['signup', 'calendar_connected', 2, 1.5, 1, 2])
+  // Alice Nov 3 -> Dec 15, Bob Nov 6 -> Feb 20
+  assert.deepEqual(medians[2], ['calendar_connected', 'first_meeting_recorded', 2, 74, 1, 42])
+  // Paid before the clients were added: 0 days
+  assert.deepEqual(medians[5], ['first_client_added', 'paid', 2, 0, 1, 0])
+})
+
+test('the funnel follows the funnel_steps config key', () => {
+  const h = runDailyPipeline()
+
+  // signup is always first; unknown step names are rejected
+  const sh = h.sheet('config')
+  const row = h.readTable('config').findIndex(r => r.key === 'funnel_steps') + 2
+  sh.getRange(row, 2).setValue('first_ask, email_connected')
+  h.eval('CONFIG_CACHE = null')
+  h.call('build_funnel_steps')
+  h.call('render_conversion_onboarding_stats')
+
+  assert.deepEqual(Object.keys(h.readTable('funnel_steps')[0]),
+    ['level', 'key', 'org_id', 'cohort_month', 'signup', 'first_ask', 'email_connected', 'steps_reached', 'last_step'])
+  assert.equal(funnelRow_(h, 'user', 'alice@acme.com').steps_reached, 3)
+  assert.equal(funnelRow_(h, 'user', 'bob@acme.com').last_step, 'first_ask')
+  assert.equal(funnelRow_(h, 'user', 'carol@beta.io').last_step, 'first_ask')
+  assert.deepEqual(statsTable_(h, 'Product funnel (users)')[0],
+    ['cohort_month', 'signups', 'first_ask', 'first_ask_pct', 'email_connected', 'email_connected_pct'])
+
+  sh.getRange(row, 2).setValue('signup, teleport')
+  h.eval('CONFIG_CACHE = null')
+  assert.deepEqual(Array.from(h.call('CONFIG_get_', 'funnel_steps')), Array.from(h.eval("CONFIG_DEFS.find(d => d.key === 'funnel_steps').default")))
+  assert.match(h.readTable('sync_log').filter(r => r.step === 'config').pop().error, /funnel_steps: unknown value: teleport/)
+})
+
+test('first meeting and first ask days hold after their daily rows fold into the carry row', () => {
+  const h = runDailyPipeline()
+
+  // A year on, every fixture day is past the fold cutoff
+  h.env.clock.advance(400 * DAY_MS)
+  h.call('posthog_pull_user_metrics_to_raw')
+  h.call('build_funnel_steps')
+
+  const aliceDays = h.readTable('raw_posthog_user_daily').filter(r => r.email_key === 'alice@acme.com')
+  assert.equal(aliceDays.length, 1)
+  // The carry row is dated Alice's last active day, not her first meeting
+  assert.equal(ymd_(h, aliceDays[0].date), '2026-03-01')
+
+  const alice = funnelRow_(h, 'user', 'alice@acme.com')
+  assert.deepEqual(daysOf_(h, alice, ['first_meeting_recorded', 'first_ask']), ['2025-12-15', '2026-01-20'])
+  const bob = funnelRow_(h, 'user', 'bob@acme.com')
+  assert.deepEqual(daysOf_(h, bob, ['first_meeting_recorded', 'first_ask']), ['2026-02-20', '2026-02-21'])
+})
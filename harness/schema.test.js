@@ -0,0 +1,52 @@
+/**************************************************************
+ * Schema contracts + drift (Schema Registry.js)
+ **************************************************************/
+
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { runDailyPipeline } = require('./harness')
+
+const headerCol_ = (sh, name) => sh.getRange(1, 1, 1, sh.getLastColumn()).getValues()[0].indexOf(name) + 1
+
+test('a consumer step fails with the tab and column when its input breaks the contract', () => {
+  const h = runDailyPipeline()
+  h.call('SCHEMA_assertTabs_', ['raw_clerk_memberships', 'raw_stripe_subscriptions'])
+
+  const mems = h.sheet('raw_clerk_memberships')
+  mems.getRange(1, headerCol_(mems, 'email_key')).setValue('mail_key')
+  const subs = h.sheet('raw_stripe_subscriptions')
+  subs.getRange(2, headerCol_(subs, 'quantity_total')).setValue('two')
+
+  assert.throws(
+    () => h.call('PIPELINE_runFrom_', ['build_canon_orgs']),
+    err => {
+      assert.match(err.message, /^build_canon_orgs failed: Schema check failed/)
+      assert.match(err.message, /raw_clerk_memberships: missing required column email_key/)
+      assert.match(err.message, /raw_stripe_subscriptions: column quantity_total should be number \(row 2: "two"\)/)
+      return true
+    }
+  )
+})
+
+test('a raw pull whose columns changed since the last pull is reported in schema_drift', () => {
+  const h = runDailyPipeline()
+  assert.equal(h.sheet('schema_drift'), null)
+
+  const previous = h.sheet('raw_stripe_subscriptions').getRange(1, 1, 1, 5).getValues()[0]
+    .filter(c => c !== 'status')
+    .concat(['legacy_plan'])
+  h.eval(`PropertiesService.getScriptProperties().setProperty('SCHEMA_HEADERS_raw_stripe_subscriptions', ${JSON.stringify(JSON.stringify(previous))})`)
+
+  h.call('PIPELINE_runFrom_', ['stripe_pull_subscriptions_to_raw'], { force: true })
+
+  const drift = h.readTable('schema_drift')
+  assert.equal(drift.length, 1)
+  assert.equal(drift[0].tab, 'raw_stripe_subscriptions')
+  assert.equal(drift[0].step, 'stripe_pull_subscriptions_to_raw')
+  assert.match(drift[0].added_columns, /^status, /)
+  assert.equal(drift[0].removed_columns, 'legacy_plan')
+  assert.equal(drift[0].missing_required, '')
+})
@@ -0,0 +1,269 @@
+/**************************************************************
+ * Incremental Stripe sync (Stripe raw sync.js)
+ *
+ * - After a full pull, runs apply /v1/events as upserts and skip
+ *   the subscription list + invoice scan
+ * - A stale last full rebuild (config stripe_full_rebuild_days)
+ *   falls back to a full pull; a paused one is carried on, never
+ *   swapped for an incremental pull over partial tabs
+ * - raw_stripe_invoices is rebuilt by the invoice scan and kept
+ *   current from invoice.* events (re-fetched, so a late event
+ *   cannot roll an invoice back)
+ **************************************************************/
+
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { HARNESS_NOW, createHarness, loadFixture } = require('./harness')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function createStripeHarness_() {
+  const routes = loadFixture('stripe').routes
+  const subsRoute = routes.find(r => r.url.includes('/v1/subscriptions'))
+  const invoicesRoute = routes.find(r => r.url.includes('/v1/invoices'))
+  const state = {
+    subs: JSON.parse(JSON.stringify(subsRoute.body.data)),
+    invoices: JSON.parse(JSON.stringify(invoicesRoute.body.data)),
+    events: [],
+    // Invoice scan page size / per-call delay (to make a run pause mid-scan)
+    invoicePageSize: 100,
+    slowMs: 0
+  }
+
+  let h = null
+  h = createHarness({
+    now: HARNESS_NOW,
+    fixtures: ['stripe'],
+    routes: [
+      {
+        method: 'get',
+        url: '^https://api\\.stripe\\.com/v1/events\\?',
+        respond: () => ({ status: 200, body: { object: 'list', has_more: false, data: state.events } })
+      },
+      {
+        method: 'get',
+        url: '^https://api\\.stripe\\.com/v1/subscriptions/(sub_\\w+)\\?',
+        respond: req => {
+          const sub = state.subs.find(s => req.url.includes(`/subscriptions/${s.id}?`))
+          return sub ? { status: 200, body: sub } : { status: 404, body: { error: { message: 'No such subscription' } } }
+        }
+      },
+      {
+        method: 'get',
+        url: '^https://api\\.stripe\\.com/v1/invoices\\?',
+        respond: req => {
+          h.env.clock.advance(state.slowMs)
+          const after = (req.url.match(/starting_after=(\w+)/) || [])[1]
+          const start = after ? state.invoices.findIndex(i => i.id === after) + 1 : 0
+          const data = state.invoices.slice(start, start + state.invoicePageSize)
+          return { status: 200, body: { object: 'list', has_more: start + data.length < state.invoices.length, data } }
+        }
+      },
+      {
+        method: 'get',
+        url: '^https://api\\.stripe\\.com/v1/invoices/(in_\\w+)$',
+        respond: req => {
+          const inv = state.invoices.find(i => req.url.endsWith(`/invoices/${i.id}`))
+          return inv ? { status: 200, body: inv } : { status: 404, body: { error: { message: 'No such invoice' } } }
+        }
+      }
+    ]
+  })
+  return { h, state }
+}
+
+const isListOrInvoiceScan_ = f => /\/v1\/subscriptions\?|\/v1\/invoices\?/.test(f.url)
+
+test('events since the cursor are upserted without re-listing subscriptions or invoices', () => {
+  const { h, state } = createStripeHarness_()
+
+  assert.equal(h.call('stripe_pull_subscriptions_to_raw').mode, 'full')
+  const before = h.readTable('raw_stripe_subscriptions')
+  assert.equal(before.find(r => r.stripe_subscription_id === 'sub_beta').first_payment_at, '')
+
+  const nowSec = Date.parse(HARNESS_NOW) / 1000
+  state.subs.find(s => s.id === 'sub_acme').items.data[0].quantity = 3
+  state.events = [
+    { id: 'evt_2', type: 'invoice.paid', created: nowSec + 60, data: { object: { id: 'in_beta_1', subscription: 'sub_beta', amount_paid: 3000, status_transitions: { paid_at: nowSec + 60 } } } },
+    { id: 'evt_1', type: 'customer.subscription.updated', created: nowSec + 30, data: { object: { id: 'sub_acme' } } }
+  ]
+
+  const fetched = h.env.fetches.length
+  h.env.clock.advance(DAY_MS)
+  const res = h.call('stripe_pull_subscriptions_to_raw')
+
+  assert.equal(res.mode, 'incremental')
+  assert.equal(res.upserted, 2)
+  assert.equal(h.env.fetches.slice(fetched).filter(isListOrInvoiceScan_).length, 0)
+
+  const after = h.readTable('raw_stripe_subscriptions')
+  assert.equal(after.length, before.length)
+  assert.equal(after.find(r => r.stripe_subscription_id === 'sub_acme').quantity_total, 3)
+  assert.equal(after.find(r => r.stripe_subscription_id === 'sub_acme').first_payment_at, before.find(r => r.stripe_subscription_id === 'sub_acme').first_payment_at)
+  assert.equal(after.find(r => r.stripe_subscription_id === 'sub_beta').first_payment_at, new Date((nowSec + 60) * 1000).toISOString())
+
+  const cursor = JSON.parse(h.eval(`PropertiesService.getScriptProperties().getProperty('STRIPE_EVENTS_CURSOR')`))
+  assert.equal(cursor.event_id, 'evt_2')
+  assert.equal(cursor.created, nowSec + 60)
+})
+
+test('a full rebuild runs when the last one is older than stripe_full_rebuild_days or on request', () => {
+  const { h } = createStripeHarness_()
+  h.call('stripe_pull_subscriptions_to_raw')
+  assert.equal(h.call('stripe_pull_subscriptions_to_raw').mode, 'incremental')
+
+  h.env.clock.advance(8 * DAY_MS)
+  let fetched = h.env.fetches.length
+  assert.equal(h.call('stripe_pull_subscriptions_to_raw').mode, 'full')
+  assert.ok(h.env.fetches.slice(fetched).some(isListOrInvoiceScan_))
+  assert.equal(h.call('stripe_pull_subscriptions_to_raw').mode, 'incremental')
+
+  h.call('stripe_request_full_rebuild')
+  fetched = h.env.fetches.length
+  assert.equal(h.call('stripe_pull_subscriptions_to_raw').mode, 'full')
+  assert.ok(h.env.fetches.slice(fetched).some(isListOrInvoiceScan_))
+
+  const log = h.readTable('sync_log').filter(r => r.step === 'stripe_pull_subscriptions_to_raw')
+  assert.equal(log.length, 5)
+  assert.ok(log.every(r => r.status === 'ok'))
+})
+
+test('raw_stripe_invoices holds every scanned invoice and follows invoice events', () => {
+  const { h, state } = createStripeHarness_()
+  h.call('stripe_pull_subscriptions_to_raw')
+
+  let invoices = h.readTable('raw_stripe_invoices')
+  assert.deepEqual(invoices.map(r => r.stripe_invoice_id), ['in_beta_1', 'in_acme_2', 'in_acme_1'])
+  const acme1 = invoices.find(r => r.stripe_invoice_id === 'in_acme_1')
+  assert.equal(acme1.stripe_subscription_id, 'sub_acme')
+  assert.equal(acme1.stripe_customer_id, 'cus_acme')
+  assert.equal(acme1.amount_paid, 60)
+  assert.equal(acme1.billing_reason, 'subscription_create')
+  assert.equal(acme1.period_end, '2025-12-02T17:00:00.000Z')
+
+  // $0 trial invoice is kept as an invoice but is not a first payment
+  assert.equal(h.readTable('raw_stripe_subscriptions').find(r => r.stripe_subscription_id === 'sub_beta').first_payment_at, '')
+
+  const nowSec = Date.parse(HARNESS_NOW) / 1000
+  const open = {
+    id: 'in_acme_3',
+    customer: 'cus_acme',
+    subscription: 'sub_acme',
+    status: 'open',
+    billing_reason: 'subscription_cycle',
+    amount_due: 6000,
+    amount_paid: 0,
+    total_discount_amounts: [{ amount: 1500 }],
+    created: nowSec,
+    attempt_count: 1
+  }
+  const failedOnce = Object.assign({}, open, { attempt_count: 2, next_payment_attempt: nowSec + 86400 })
+  state.invoices.push(failedOnce)
+  state.events = [
+    { id: 'evt_2', type: 'invoice.payment_failed', created: nowSec + 60, data: { object: failedOnce } },
+    { id: 'evt_1', type: 'invoice.finalized', created: nowSec, data: { object: open } }
+  ]
+  h.call('stripe_pull_subscriptions_to_raw')
+
+  invoices = h.readTable('raw_stripe_invoices')
+  assert.equal(invoices.length, 4)
+  const failed = invoices.find(r => r.stripe_invoice_id === 'in_acme_3')
+  assert.equal(failed.status, 'open')
+  assert.equal(failed.attempt_count, 2)
+  assert.equal(failed.discount_amount, 15)
+  assert.equal(failed.next_payment_attempt_at, new Date((nowSec + 86400) * 1000).toISOString())
+})
+
+test('a late invoice.payment_failed event does not overwrite a paid invoice', () => {
+  const { h, state } = createStripeHarness_()
+  h.call('stripe_pull_subscriptions_to_raw')
+
+  const nowSec = Date.parse(HARNESS_NOW) / 1000
+  const open = {
+    id: 'in_acme_3',
+    customer: 'cus_acme',
+    subscription: 'sub_acme',
+    status: 'open',
+    billing_reason: 'subscription_cycle',
+    amount_due: 6000,
+    amount_paid: 0,
+    created: nowSec,
+    attempt_count: 1
+  }
+  const paid = Object.assign({}, open, { status: 'paid', amount_paid: 6000, status_transitions: { paid_at: nowSec + 120 } })
+  state.invoices.push(paid)
+  state.events = [
+    { id: 'evt_2', type: 'invoice.paid', created: nowSec + 120, data: { object: paid } }
+  ]
+  h.env.clock.advance(DAY_MS)
+  h.call('stripe_pull_subscriptions_to_raw')
+  assert.equal(h.readTable('raw_stripe_invoices').find(r => r.stripe_invoice_id === 'in_acme_3').status, 'paid')
+
+  // Delivered a pull later, with the snapshot from before the payment
+  state.events = [
+    { id: 'evt_1', type: 'invoice.payment_failed', created: nowSec + 60, data: { object: open } }
+  ]
+  h.env.clock.advance(DAY_MS)
+  h.call('stripe_pull_subscriptions_to_raw')
+
+  const row = h.readTable('raw_stripe_invoices').find(r => r.stripe_invoice_id === 'in_acme_3')
+  assert.equal(row.status, 'paid')
+  assert.equal(row.amount_paid, 60)
+  assert.equal(row.paid_at, new Date((nowSec + 120) * 1000).toISOString())
+
+})
+
+test('a deleted draft invoice loses its raw_stripe_invoices row', () => {
+  const { h, state } = createStripeHarness_()
+  h.call('stripe_pull_subscriptions_to_raw')
+
+  const nowSec = Date.parse(HARNESS_NOW) / 1000
+  const draft = { id: 'in_acme_3', customer: 'cus_acme', subscription: 'sub_acme', status: 'draft', amount_due: 6000, amount_paid: 0, created: nowSec }
+  state.invoices.push(draft)
+  state.events = [{ id: 'evt_1', type: 'invoice.created', created: nowSec + 60, data: { object: draft } }]
+  h.env.clock.advance(DAY_MS)
+  h.call('stripe_pull_subscriptions_to_raw')
+  assert.equal(h.readTable('raw_stripe_invoices').find(r => r.stripe_invoice_id === 'in_acme_3').status, 'draft')
+
+  state.invoices = state.invoices.filter(i => i.id !== 'in_acme_3')
+  state.events = [{ id: 'evt_2', type: 'invoice.deleted', created: nowSec + 120, data: { object: draft } }]
+  h.env.clock.advance(DAY_MS)
+  h.call('stripe_pull_subscriptions_to_raw')
+
+  const invoices = h.readTable('raw_stripe_invoices')
+  assert.equal(invoices.find(r => r.stripe_invoice_id === 'in_acme_3'), undefined)
+  assert.deepEqual(invoices.map(r => r.stripe_invoice_id), ['in_beta_1', 'in_acme_2', 'in_acme_1'])
+})
+
+test('a full rebuild that paused mid invoice scan is carried on, not swapped for an incremental pull', () => {
+  const { h, state } = createStripeHarness_()
+  h.call('stripe_pull_subscriptions_to_raw')
+
+  // raw_stripe_invoices added after the cursor: the next pull has to fill it
+  h.sheet('raw_stripe_invoices').clearContents()
+  state.invoicePageSize = 1
+  state.slowMs = 3 * 60 * 1000
+  h.env.clock.advance(DAY_MS)
+  h.call('RUNSTATE_begin_', 'run_daily_pipeline')
+  assert.throws(() => h.call('stripe_pull_subscriptions_to_raw'), /paused at stripe_pull_subscriptions_to_raw/)
+  state.slowMs = 0
+
+  // Header + two of three pages written: the tab no longer looks unbuilt
+  assert.equal(h.readTable('raw_stripe_invoices').length, 2)
+  const cursor = JSON.parse(h.eval(`PropertiesService.getScriptProperties().getProperty('STRIPE_EVENTS_CURSOR')`))
+  assert.match(cursor.full_in_progress, /raw_stripe_invoices never built/)
+
+  // The run was dropped (next day's run starts over): still a full rebuild
+  h.call('RUNSTATE_finish_')
+  const res = h.call('stripe_pull_subscriptions_to_raw')
+  assert.equal(res.mode, 'full')
+  assert.deepEqual(h.readTable('raw_stripe_invoices').map(r => r.stripe_invoice_id), ['in_beta_1', 'in_acme_2', 'in_acme_1'])
+
+  const done = JSON.parse(h.eval(`PropertiesService.getScriptProperties().getProperty('STRIPE_EVENTS_CURSOR')`))
+  assert.equal(done.full_in_progress, undefined)
+  assert.equal(done.created, cursor.full_started_sec)
+  assert.equal(h.call('stripe_pull_subscriptions_to_raw').mode, 'incremental')
+})
@@ -0,0 +1,133 @@
+/**************************************************************
+ * Stripe webhook route (Stripe Webhook.js via doPost ?route=stripe)
+ *
+ * - Stripe-Signature is verified (HMAC + tolerance window)
+ * - Events land in stripe_webhook_inbox once per event id
+ * - Subscription changes reach raw_stripe_subscriptions right away
+ *   (only the touched rows are written) and The Ring on the scheduled
+ *   refresh, which leaves publishing to the daily run
+ **************************************************************/
+
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const crypto = require('node:crypto')
+
+const { HARNESS_NOW, createPipelineHarness, loadFixture } = require('./harness')
+
+const WH_SECRET = 'whsec_test_secret'
+
+function createWebhookHarness_() {
+  const subsRoute = loadFixture('stripe').routes.find(r => r.url.includes('/v1/subscriptions'))
+  const state = { subs: JSON.parse(JSON.stringify(subsRoute.body.data)) }
+
+  const h = createPipelineHarness({
+    properties: { STRIPE_WEBHOOK_SECRET: WH_SECRET },
+    routes: [
+      {
+        method: 'get',
+        url: '^https://api\\.stripe\\.com/v1/subscriptions/(sub_\\w+)\\?',
+        respond: req => {
+          const sub = state.subs.find(s => req.url.includes(`/subscriptions/${s.id}?`))
+          return sub ? { status: 200, body: sub } : { status: 404, body: { error: { message: 'No such subscription' } } }
+        }
+      }
+    ]
+  })
+  return { h, state }
+}
+
+function deliver_(h, event, opts) {
+  const o = opts || {}
+  const body = JSON.stringify(event)
+  const t = o.timestamp != null ? o.timestamp : Math.floor(h.eval('Date.now()') / 1000)
+  const sig = crypto.createHmac('sha256', o.secret || WH_SECRET).update(`${t}.${body}`).digest('hex')
+  const out = h.call('doPost', {
+    parameter: { route: 'stripe', stripe_signature: `t=${t},v1=${sig}` },
+    postData: { contents: body, type: 'application/json' }
+  })
+  return JSON.parse(out.getContent())
+}
+
+const refreshTriggers_ = h => h.env.triggers.filter(t => t.getHandlerFunction() === 'stripe_webhook_refresh_views')
+
+test('a signed subscription update is applied once and refreshes The Ring', () => {
+  const { h, state } = createWebhookHarness_()
+  h.call('run_daily_pipeline')
+  const ringOf = () => h.readTable('The Ring', h.eval('RING_CFG.HEADER_ROW'), h.eval('RING_CFG.START_COL'))
+  assert.equal(ringOf()[0].Seats, 2)
+
+  // +50% ARR is over the default data quality tolerance
+  const tolRow = h.readTable('config').findIndex(r => r.key === 'dq_arr_max_change_pct') + 2
+  h.sheet('config').getRange(tolRow, 2).setValue('100')
+  h.eval('CONFIG_CACHE = null')
+
+  state.subs.find(s => s.id === 'sub_acme').items.data[0].quantity = 3
+  const event = {
+    id: 'evt_upgrade',
+    type: 'customer.subscription.updated',
+    created: Math.floor(Date.parse(HARNESS_NOW) / 1000),
+    livemode: false,
+    data: { object: { id: 'sub_acme', object: 'subscription' } }
+  }
+
+  // Record whole-tab rewrites
+  h.eval(`(() => {
+    const overwrite = stripeOverwriteSheet_
+    globalThis.overwritten = []
+    stripeOverwriteSheet_ = (sh, headers, rows) => { overwritten.push(sh.getName()); return overwrite(sh, headers, rows) }
+  })()`)
+  const subsBefore = h.readTable('raw_stripe_subscriptions').map(r => r.stripe_subscription_id)
+
+  const first = deliver_(h, event)
+  assert.equal(first.ok, true)
+  assert.equal(first.status, 'applied')
+  assert.equal(h.readTable('raw_stripe_subscriptions').find(r => r.stripe_subscription_id === 'sub_acme').quantity_total, 3)
+  assert.deepEqual(h.readTable('raw_stripe_subscriptions').map(r => r.stripe_subscription_id), subsBefore)
+  assert.ok(!h.eval('overwritten').includes('raw_stripe_subscriptions'))
+  assert.equal(refreshTriggers_(h).length, 1)
+
+  // Stripe redelivers: recorded once, not applied again
+  const again = deliver_(h, event)
+  assert.equal(again.duplicate, true)
+  const inbox = h.readTable('stripe_webhook_inbox')
+  assert.equal(inbox.length, 1)
+  assert.equal(inbox[0].event_id, 'evt_upgrade')
+  assert.equal(inbox[0].status, 'applied')
+  assert.equal(inbox[0].object_id, 'sub_acme')
+  assert.equal(inbox[0].attempts, 1)
+  assert.equal(refreshTriggers_(h).length, 1)
+
+  const logged = h.readTable('sync_log').length
+  h.call('stripe_webhook_refresh_views')
+  assert.equal(ringOf()[0].Seats, 3)
+  assert.equal(refreshTriggers_(h).length, 0)
+  const refreshSteps = h.readTable('sync_log').slice(logged).map(r => r.step)
+  assert.ok(refreshSteps.includes('run_data_quality_checks'))
+  assert.ok(!refreshSteps.includes('publish_the_good_stuff'))
+
+  // Types the sync does not handle are recorded but not applied
+  assert.equal(deliver_(h, { id: 'evt_other', type: 'charge.refunded', created: event.created, data: { object: { id: 'ch_1' } } }).status, 'ignored')
+})
+
+test('bad signatures and replays outside the tolerance window are rejected', () => {
+  const { h } = createWebhookHarness_()
+  const nowSec = Math.floor(Date.parse(HARNESS_NOW) / 1000)
+  const event = { id: 'evt_x', type: 'customer.subscription.updated', created: nowSec, data: { object: { id: 'sub_acme' } } }
+
+  const forged = deliver_(h, event, { secret: 'whsec_wrong' })
+  assert.equal(forged.ok, false)
+  assert.match(forged.error, /does not match/)
+
+  const replay = deliver_(h, event, { timestamp: nowSec - 3600 })
+  assert.equal(replay.ok, false)
+  assert.match(replay.error, /tolerance/)
+
+  const unsigned = JSON.parse(h.call('doPost', { parameter: { route: 'stripe' }, postData: { contents: JSON.stringify(event) } }).getContent())
+  assert.equal(unsigned.ok, false)
+  assert.match(unsigned.error, /Missing Stripe-Signature/)
+
+  assert.equal(h.sheet('stripe_webhook_inbox'), null)
+  assert.ok(h.readTable('sync_log').some(r => r.step === 'stripe_webhook' && r.status === 'error'))
+})
@@ -0,0 +1,78 @@
+/**************************************************************
+ * Per-item subscription pricing (Stripe Subscription Items.js)
+ *
+ * - MRR is summed per item at each item's own interval
+ * - Add-on products (config stripe_addon_product_ids) add MRR but
+ *   not seats
+ **************************************************************/
+
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { HARNESS_NOW, createHarness, createPipelineHarness, loadFixture } = require('./harness')
+
+test('item totals respect each interval and split seats from add-ons', () => {
+  const h = createHarness({ now: HARNESS_NOW })
+  const items = [
+    { stripe_subscription_id: 'sub_1', product_id: 'prod_seat', interval: 'year', interval_count: 1, usage_type: 'licensed', quantity: 3, unit_amount: 288, tiered: false },
+    { stripe_subscription_id: 'sub_1', product_id: 'prod_Addon', interval: 'month', interval_count: 3, usage_type: 'licensed', quantity: 1, unit_amount: 90, tiered: false },
+    { stripe_subscription_id: 'sub_2', product_id: 'prod_seat', interval: 'month', interval_count: 1, usage_type: 'licensed', quantity: 5, unit_amount: '', tiered: true }
+  ]
+
+  const totals = h.call('SUBITEMS_summarize_', items, ['prod_addon'])
+  const sub1 = totals.get('sub_1')
+  assert.equal(sub1.seats, 3)
+  assert.equal(sub1.seat_mrr, 72)
+  assert.equal(sub1.addon_mrr, 30)
+  assert.equal(sub1.addon_quantity, 1)
+  assert.equal(sub1.mrr, 102)
+  assert.equal(sub1.arr, 1224)
+  assert.equal(sub1.interval, 'year')
+  assert.equal(sub1.priced, true)
+
+  const sub2 = totals.get('sub_2')
+  assert.equal(sub2.seats, 5)
+  assert.equal(sub2.mrr, 0)
+  assert.equal(sub2.priced, false)
+})
+
+test('an add-on item is priced into The Ring without counting as seats', () => {
+  const stripe = loadFixture('stripe')
+  const subsRoute = stripe.routes.find(r => r.url.includes('/v1/subscriptions'))
+  const subsBody = JSON.parse(JSON.stringify(subsRoute.body))
+  subsBody.data.find(s => s.id === 'sub_acme').items.data.push({
+    id: 'si_acme_addon',
+    quantity: 1,
+    price: {
+      id: 'price_notes_quarterly',
+      product: 'prod_notes_addon',
+      currency: 'usd',
+      unit_amount: 9000,
+      recurring: { interval: 'month', interval_count: 3 }
+    }
+  })
+
+  const h = createPipelineHarness({
+    routes: [{ method: 'get', url: subsRoute.url, body: subsBody }]
+  })
+
+  h.call('setup_config_sheet')
+  const row = h.readTable('config').findIndex(r => r.key === 'stripe_addon_product_ids') + 2
+  h.sheet('config').getRange(row, 2).setValue('prod_notes_addon')
+  h.eval('CONFIG_CACHE = null')
+
+  h.call('run_daily_pipeline')
+
+  const items = h.readTable('raw_stripe_subscription_items')
+  assert.deepEqual(items.filter(r => r.stripe_subscription_id === 'sub_acme').map(r => r.stripe_item_id), ['si_acme_seats', 'si_acme_addon'])
+
+  const ring = h.readTable('The Ring', h.eval('RING_CFG.HEADER_ROW'), h.eval('RING_CFG.START_COL'))
+  assert.equal(ring[0].Seats, 2)
+  assert.equal(ring[0].MRR, 90)
+  assert.equal(ring[0].ARR, 1080)
+
+  const orgInfo = h.readTable('org_info')
+  assert.equal(orgInfo.find(r => r['Org Name'] === 'Acme Accounting').Seats, 2)
+})
@@ -0,0 +1,159 @@
+/**************************************************************
+ * Webhook queue (Webhook Queue.js)
+ *
+ * - Queued routes answer 202 at once; duplicate pending requests
+ *   coalesce into one item
+ * - webhook_queue_worker() runs due items, retries with backoff and
+ *   dead-letters after MAX_ATTEMPTS; a request folded into an item
+ *   that is backing off gives it a fresh attempt budget
+ * - An item left running by a cut-off execution is swept on the next
+ *   worker run (scheduled when it was claimed): retried, or
+ *   dead-lettered if that was its last attempt
+ * - Stored params and payloads carry no secrets
+ **************************************************************/
+
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { HARNESS_NOW, createHarness, runDailyPipeline, postWebhook } = require('./harness')
+
+const workerTriggers_ = h => h.env.triggers.filter(t => t.getHandlerFunction() === 'webhook_queue_worker')
+
+test('pings inside the delay coalesce into one run of the pipeline step', () => {
+  const h = runDailyPipeline({
+    properties: { PIPELINE_WEBHOOK_SECRET: 'pipeline-secret' }
+  })
+
+  const first = postWebhook(h, {}, { step: 'render_ring_view', secret: 'pipeline-secret' })
+  assert.equal(first.code, 202)
+  assert.equal(first.coalesced, false)
+  for (let i = 0; i < 4; i++) {
+    h.env.clock.advance(5 * 1000)
+    assert.equal(postWebhook(h, {}, { step: 'render_ring_view', secret: 'pipeline-secret' }).queue_id, first.queue_id)
+  }
+
+  let queue = h.readTable('webhook_queue')
+  assert.equal(queue.length, 1)
+  assert.equal(queue[0].coalesced, 4)
+  assert.equal(queue[0].request_ids.split(',').length, 5)
+  assert.ok(!queue[0].params_json.includes('secret'))
+  // The body secret stays out of the stored payload; the worker does not need it
+  assert.equal(queue[0].payload, JSON.stringify({ step: 'render_ring_view' }))
+  assert.equal(workerTriggers_(h).length, 1)
+
+  // Not due yet: nothing runs
+  h.call('webhook_queue_worker')
+  assert.equal(h.readTable('webhook_queue')[0].status, 'pending')
+
+  h.env.clock.advance(60 * 1000)
+  const logBefore = h.readTable('sync_log').length
+  h.call('webhook_queue_worker')
+
+  queue = h.readTable('webhook_queue')
+  assert.equal(queue[0].status, 'done')
+  assert.equal(queue[0].attempts, 1)
+  const log = h.readTable('sync_log').slice(logBefore)
+  assert.equal(log.filter(r => r.step === 'webhook_run_step').length, 1)
+  assert.ok(log.some(r => r.step === 'render_ring_view' && r.status === 'ok'))
+  assert.equal(workerTriggers_(h).length, 0)
+  // Every coalesced request's inbox row moves from queued to done
+  assert.deepEqual(h.readTable('webhook_inbox').map(r => r.status), ['done', 'done', 'done', 'done', 'done'])
+
+  // The next ping starts a new item
+  assert.notEqual(postWebhook(h, {}, { step: 'render_ring_view', secret: 'pipeline-secret' }).queue_id, first.queue_id)
+})
+
+test('failing items back off and are dead-lettered after the last attempt', () => {
+  const h = createHarness({ now: HARNESS_NOW, properties: { WEBHOOK_SHARED_SECRET: 'shared-secret' } })
+  const maxAttempts = h.eval('WHQ_CFG.MAX_ATTEMPTS')
+
+  postWebhook(h, { secret: 'shared-secret' }, {})
+  h.env.clock.advance(60 * 1000)
+
+  const waits = []
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    h.call('webhook_queue_worker')
+    const item = h.readTable('webhook_queue')[0]
+    assert.equal(item.attempts, attempt)
+    assert.ok(item.last_error)
+    if (attempt === maxAttempts) break
+
+    assert.equal(item.status, 'pending')
+    assert.equal(workerTriggers_(h).length, 1)
+    const wait = Date.parse(item.next_attempt_at) - h.eval('Date.now()')
+    waits.push(wait / 60000)
+    h.env.clock.advance(wait)
+  }
+  assert.deepEqual(waits, [1, 2, 4, 8])
+
+  const dead = h.readTable('webhook_queue')[0]
+  assert.equal(dead.status, 'dead')
+  assert.ok(dead.finished_at)
+  assert.equal(workerTriggers_(h).length, 0)
+  assert.ok(h.readTable('sync_log').some(r => r.step === 'doPost' && /dead-lettered after 5 attempts/.test(r.error)))
+
+  // A dead item is never picked again, and new pings do not fold into it
+  h.env.clock.advance(60 * 60 * 1000)
+  h.call('webhook_queue_worker')
+  assert.equal(h.readTable('webhook_queue')[0].attempts, maxAttempts)
+  postWebhook(h, { secret: 'shared-secret' }, {})
+  assert.equal(h.readTable('webhook_queue').length, 2)
+})
+
+test('a request folded into a backing-off item resets its attempts; data.secret is not stored', () => {
+  const h = createHarness({ now: HARNESS_NOW, properties: { WEBHOOK_SHARED_SECRET: 'shared-secret' } })
+
+  postWebhook(h, {}, { data: { secret: 'shared-secret', calendar: 'team' } })
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    h.env.clock.advance(Date.parse(h.readTable('webhook_queue')[0].next_attempt_at) - h.eval('Date.now()'))
+    h.call('webhook_queue_worker')
+  }
+  assert.equal(h.readTable('webhook_queue')[0].attempts, 2)
+
+  const res = postWebhook(h, {}, { data: { secret: 'shared-secret', calendar: 'team' } })
+  assert.equal(res.coalesced, true)
+  const item = h.readTable('webhook_queue')[0]
+  assert.equal(item.status, 'pending')
+  assert.equal(item.attempts, 0)
+  assert.equal(item.payload, JSON.stringify({ data: { calendar: 'team' } }))
+  assert.equal(Date.parse(item.next_attempt_at) - h.eval('Date.now()'), h.eval('WHQ_CFG.WORKER_DELAY_MS'))
+})
+
+test('an item left running by a cut-off execution is swept by the next worker run', () => {
+  const h = createHarness({ now: HARNESS_NOW, properties: { WEBHOOK_SHARED_SECRET: 'shared-secret' } })
+  const staleMs = h.eval('WHQ_CFG.STALE_RUNNING_MS')
+
+  postWebhook(h, { secret: 'shared-secret' }, {})
+  h.env.clock.advance(60 * 1000)
+  // Claimed, then the execution dies before recording an outcome
+  h.call('WHQ_deleteWorkerTriggers_')
+  h.call('WHQ_claimNext_')
+  assert.equal(h.readTable('webhook_queue')[0].status, 'running')
+  assert.equal(workerTriggers_(h).length, 1)
+  assert.equal(workerTriggers_(h)[0].spec.calls.find(c => c.name === 'after').args[0], staleMs)
+
+  h.env.clock.advance(staleMs)
+  h.call('webhook_queue_worker')
+  let item = h.readTable('webhook_queue')[0]
+  assert.equal(item.attempts, 2)
+  assert.equal(item.status, 'pending')
+  assert.equal(workerTriggers_(h).length, 1)
+
+  // Cut off on its last attempt: dead-lettered, with the inbox row marked
+  const row = h.readTable('webhook_queue').findIndex(r => r.queue_id === item.queue_id) + 2
+  const col = h.eval("WHQ_CFG.HEADERS.indexOf('attempts')") + 1
+  h.sheet('webhook_queue').getRange(row, col).setValue(h.eval('WHQ_CFG.MAX_ATTEMPTS') - 1)
+  h.env.clock.advance(Date.parse(item.next_attempt_at) - h.eval('Date.now()'))
+  h.call('WHQ_claimNext_')
+  h.env.clock.advance(staleMs)
+  h.call('webhook_queue_worker')
+
+  item = h.readTable('webhook_queue')[0]
+  assert.equal(item.status, 'dead')
+  assert.match(item.last_error, /^dead-lettered after 5 attempts: cut off while running attempt 5/)
+  assert.equal(h.readTable('webhook_inbox')[0].status, 'error')
+  assert.ok(h.readTable('sync_log').some(r => /dead-lettered after 5 attempts: cut off/.test(r.error)))
+  assert.equal(workerTriggers_(h).length, 0)
+})
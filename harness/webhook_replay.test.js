@@ -0,0 +1,122 @@
+/**************************************************************
+ * Webhook replay (Webhook Replay.js)
+ *
+ * - Logged webhook_inbox rows re-run through WEBHOOK_ROUTES
+ * - Dry run by default; each replay is a new row with replay_of
+ * - Selection by request_id or filter (status, route, date)
+ **************************************************************/
+
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { HARNESS_NOW, createHarness, postWebhook } = require('./harness')
+
+function createReplayHarness_() {
+  return createHarness({
+    now: HARNESS_NOW,
+    properties: { WEBHOOK_SHARED_SECRET: 'shared-secret', PIPELINE_WEBHOOK_SECRET: 'pipeline-secret' }
+  })
+}
+
+test('a request replays as a dry run, then live, each as a linked new row', () => {
+  const h = createReplayHarness_()
+  const original = postWebhook(h, { secret: 'shared-secret' }, { event: 'calendar.changed' })
+  assert.equal(original.status, 'queued')
+
+  const dry = h.call('replay_webhook_requests', original.request_id)
+  assert.deepEqual(JSON.parse(JSON.stringify(dry.results.map(r => [r.request_id, r.route, r.status]))), [[original.request_id, 'calendar', 'dry_run']])
+  assert.ok(!h.readTable('sync_log').some(r => r.step === 'calcrm_notion_calendar_import_from_camden'))
+
+  // Notion is not reachable here, so the live replay runs the steps and records their failure
+  const live = h.call('replay_webhook_requests', original.request_id, { live: true })
+  assert.equal(live.results[0].status, 'error')
+  assert.ok(h.readTable('sync_log').some(r => r.step === 'calcrm_notion_calendar_import_from_camden'))
+
+  const inbox = h.readTable('webhook_inbox')
+  assert.equal(inbox.length, 3)
+  const [dryRow, liveRow] = inbox.slice(1)
+  assert.equal(dryRow.replay_of, original.request_id)
+  assert.equal(dryRow.status, 'dry_run')
+  assert.equal(dryRow.request_id, dry.results[0].replay_request_id)
+  assert.equal(liveRow.replay_of, original.request_id)
+  assert.equal(liveRow.secret_source, 'replay')
+  assert.equal(liveRow.authenticated, true)
+  assert.deepEqual(JSON.parse(liveRow.steps_json).map(s => s.name), [
+    'calcrm_notion_calendar_import_from_camden',
+    'notion_link_unlinked_contacts_to_sauron',
+    'notion_link_unlinked_companies_to_sauron'
+  ])
+
+  // Nothing was queued by the replays
+  assert.equal(h.readTable('webhook_queue').length, 1)
+})
+
+test('filters pick rows by status, route and day; failed-auth rows are never run', () => {
+  const h = createReplayHarness_()
+  postWebhook(h, {}, { step: 'no_such_step', secret: 'pipeline-secret' })
+  postWebhook(h, { secret: 'wrong' }, {})
+  h.env.clock.advance(24 * 60 * 60 * 1000)
+  postWebhook(h, {}, { step: 'also_missing', secret: 'pipeline-secret' })
+
+  const yesterday = h.call('replay_webhook_requests', 'status=invalid date=yesterday')
+  assert.equal(yesterday.results.length, 1)
+  assert.equal(yesterday.results[0].route, 'run_step')
+  assert.equal(yesterday.results[0].status, 'invalid')
+
+  // Earlier replays are not picked up again
+  assert.equal(h.call('replay_webhook_requests', { route: 'run_step', from: '2026-03-02' }).results.length, 2)
+
+  const denied = h.call('replay_webhook_requests', 'status=auth_error', { live: true })
+  assert.equal(denied.results[0].status, 'error')
+  assert.match(denied.results[0].error, /failed auth/)
+  assert.ok(!h.readTable('sync_log').some(r => r.step === 'calcrm_notion_calendar_import_from_camden'))
+
+  assert.throws(() => h.call('replay_webhook_requests', 'colour=blue'), /Unknown replay filter "colour"/)
+  assert.throws(() => h.call('replay_webhook_requests', 'not-a-request'), /No webhook_inbox row with request_id not-a-request/)
+})
+
+test('a dead-lettered calendar import is found by status=error and recovered by a live replay', () => {
+  const h = createReplayHarness_()
+  const original = postWebhook(h, { secret: 'shared-secret' }, { event: 'calendar.changed' })
+  assert.equal(original.status, 'queued')
+
+  // Notion is down for every attempt
+  for (let attempt = 1; attempt <= h.eval('WHQ_CFG.MAX_ATTEMPTS'); attempt++) {
+    h.env.clock.advance(Date.parse(h.readTable('webhook_queue')[0].next_attempt_at) - h.eval('Date.now()'))
+    h.call('webhook_queue_worker')
+  }
+  assert.equal(h.readTable('webhook_queue')[0].status, 'dead')
+
+  const row = h.readTable('webhook_inbox')[0]
+  assert.equal(row.status, 'error')
+  assert.equal(row.code, 500)
+  assert.match(row.error, /^dead-lettered after 5 attempts: /)
+
+  // Notion is back
+  h.eval(`
+    calcrm_notion_calendar_import_from_camden = () => ({ rows_in: 3, rows_out: 3 })
+    notion_link_unlinked_contacts_to_sauron = () => ({})
+    notion_link_unlinked_companies_to_sauron = () => ({})
+  `)
+  const replay = h.call('replay_webhook_requests', 'status=error date=today route=calendar', { live: true })
+  assert.deepEqual(JSON.parse(JSON.stringify(replay.results.map(r => [r.request_id, r.status]))), [[original.request_id, 'done']])
+  assert.equal(h.readTable('webhook_inbox').pop().replay_of, original.request_id)
+})
+
+test('a request that errored before its auth finished is never run', () => {
+  const h = createReplayHarness_()
+  const props = 'PropertiesService.getScriptProperties()'
+  h.eval(`${props}.deleteProperty('PIPELINE_WEBHOOK_SECRET')`)
+  const original = postWebhook(h, {}, { step: 'render_ring_view', secret: 'guess' })
+  assert.equal(original.status, 'error')
+  assert.match(original.error, /Missing Script Property: PIPELINE_WEBHOOK_SECRET/)
+  assert.equal(h.readTable('webhook_inbox')[0].authenticated, false)
+
+  h.eval(`${props}.setProperty('PIPELINE_WEBHOOK_SECRET', 'pipeline-secret')`)
+  const replay = h.call('replay_webhook_requests', 'status=error', { live: true })
+  assert.equal(replay.results[0].status, 'error')
+  assert.match(replay.results[0].error, /auth did not pass when received/)
+  assert.ok(!h.readTable('sync_log').some(r => r.step === 'render_ring_view'))
+})
@@ -0,0 +1,106 @@
+/**************************************************************
+ * Routed webhooks (Dopost.js)
+ *
+ * - ?route= or payload shape picks a WEBHOOK_ROUTES entry; unknown
+ *   routes answer 404 and run nothing
+ * - Each route has its own auth (shared secret, Stripe HMAC, Svix)
+ *   and rate limit
+ * - Every request is logged to webhook_inbox
+ **************************************************************/
+
+'use strict'
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const crypto = require('node:crypto')
+
+const { HARNESS_NOW, createHarness, postWebhook } = require('./harness')
+
+const SVIX_KEY = Buffer.from('clerk-test-signing-key').toString('base64')
+
+function createRoutesHarness_() {
+  return createHarness({
+    now: HARNESS_NOW,
+    properties: {
+      WEBHOOK_SHARED_SECRET: 'shared-secret',
+      PIPELINE_WEBHOOK_SECRET: 'pipeline-secret',
+      CLERK_WEBHOOK_SECRET: `whsec_${SVIX_KEY}`
+    }
+  })
+}
+
+test('unknown routes answer 404 and are logged without running anything', () => {
+  const h = createRoutesHarness_()
+
+  const unknown = postWebhook(h, { route: 'nope', secret: 'shared-secret' }, {})
+  assert.equal(unknown.ok, false)
+  assert.equal(unknown.code, 404)
+  assert.match(unknown.error, /Unknown webhook route: nope/)
+
+  const unmatched = postWebhook(h, {}, { hello: 'world' })
+  assert.equal(unmatched.code, 404)
+
+  const inbox = h.readTable('webhook_inbox')
+  assert.deepEqual(inbox.map(r => [r.route, r.status, r.code]), [['nope', 'not_found', 404], ['', 'not_found', 404]])
+  assert.ok(!h.readTable('sync_log').some(r => r.step === 'calcrm_notion_calendar_import_from_camden'))
+})
+
+test('run_step is matched by payload shape, checks its own secret and rate limit', () => {
+  const h = createRoutesHarness_()
+
+  const denied = postWebhook(h, {}, { step: 'render_ring_view', secret: 'shared-secret' })
+  assert.equal(denied.route, 'run_step')
+  assert.equal(denied.code, 401)
+  assert.equal(denied.status, 'auth_error')
+
+  const unknownStep = postWebhook(h, { route: 'run_step' }, { step: 'no_such_step', secret: 'pipeline-secret' })
+  assert.equal(unknownStep.code, 400)
+  assert.equal(unknownStep.status, 'invalid')
+  assert.match(unknownStep.error, /Unknown pipeline step: no_such_step/)
+
+  // 5 per minute: this one was the 1st counted (auth failures are not)
+  for (let i = 0; i < 4; i++) postWebhook(h, {}, { step: 'no_such_step', secret: 'pipeline-secret' })
+  const limited = postWebhook(h, {}, { step: 'no_such_step', secret: 'pipeline-secret' })
+  assert.equal(limited.code, 429)
+  assert.equal(limited.status, 'rate_limited')
+
+  h.env.clock.advance(61 * 1000)
+  assert.equal(postWebhook(h, {}, { step: 'no_such_step', secret: 'pipeline-secret' }).code, 400)
+
+  const row = h.readTable('webhook_inbox').find(r => r.status === 'rate_limited')
+  assert.equal(row.route, 'run_step')
+  assert.equal(row.secret_source, 'json_body')
+})
+
+test('clerk events need a valid Svix signature', () => {
+  const h = createRoutesHarness_()
+  const body = JSON.stringify({ object: 'event', type: 'user.updated', data: { id: 'user_1' } })
+  const ts = String(Math.floor(Date.parse(HARNESS_NOW) / 1000))
+  const sign = key => 'v1,' + crypto.createHmac('sha256', Buffer.from(key, 'base64')).update(`msg_1.${ts}.${body}`).digest('base64')
+
+  const ok = postWebhook(h, { svix_id: 'msg_1', svix_timestamp: ts, svix_signature: `v1,bogus ${sign(SVIX_KEY)}` }, body)
+  assert.equal(ok.route, 'clerk')
+  assert.equal(ok.code, 200)
+  assert.equal(ok.event_type, 'user.updated')
+  assert.equal(ok.status, 'applied')
+
+  const forged = postWebhook(h, { svix_id: 'msg_1', svix_timestamp: ts, svix_signature: sign(Buffer.from('other').toString('base64')) }, body)
+  assert.equal(forged.code, 401)
+  assert.match(forged.error, /Svix signature does not match/)
+
+  assert.deepEqual(h.readTable('webhook_inbox').map(r => r.secret_source), ['svix', 'svix'])
+  assert.equal(JSON.parse(h.readTable('webhook_inbox')[0].result_json).event_type, 'user.updated')
+})
+
+test('legacy calendar calls (secret, no route) are still accepted', () => {
+  const h = createRoutesHarness_()
+
+  const res = postWebhook(h, { secret: 'shared-secret' }, {})
+  assert.equal(res.route, 'calendar')
+  assert.equal(res.code, 202)
+  assert.equal(res.status, 'queued')
+  assert.equal(h.readTable('webhook_inbox')[0].secret_source, 'query')
+  assert.ok(h.readTable('sync_log').some(r => r.step === 'doPost'))
+
+  assert.equal(postWebhook(h, { secret: 'wrong' }, {}).code, 401)
+})
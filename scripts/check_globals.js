@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**************************************************************
+ * Global-name collision check
+ * ------------------------------------------------------------
+ * Apps Script loads every root .js/.gs file into ONE global scope:
+ * - two top-level functions with the same name -> the last file
+ *   loaded silently wins (order is not something we control)
+ * - two top-level const/let/class with the same name -> the whole
+ *   project fails to load
+ *
+ * This scans the root script files for top-level declarations
+ * (column 0, same as the code style here) and exits 1 when a name
+ * is declared in more than one place.
+ *
+ * Shared helpers live in Shared Utilities.js; file-local helpers use
+ * the file's prefix (ALLSTATS_, SAURON_, RING_, ...).
+ *
+ * Usage:
+ *   node scripts/check_globals.js          (run by scripts/sync.sh)
+ **************************************************************/
+
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+const GLOBALS_CFG = {
+  PROJECT_ROOT: path.resolve(__dirname, '..'),
+  SCRIPT_EXTENSIONS: ['.js', '.gs'],
+  DECL_RE: /^(?:async\s+)?(function\*?|const|let|var|class)\s+([A-Za-z_$][\w$]*)/
+}
+
+/** Root-level script files (subfolders are not pushed, see .claspignore). */
+function listScriptFiles_(root) {
+  return fs.readdirSync(root, { withFileTypes: true })
+    .filter(d => d.isFile() && GLOBALS_CFG.SCRIPT_EXTENSIONS.includes(path.extname(d.name)))
+    .map(d => d.name)
+    .sort((a, b) => a.localeCompare(b))
+}
+
+/** Returns [{ name, kind, file, line }] for every top-level declaration. */
+function scanDeclarations(root) {
+  const dir = root || GLOBALS_CFG.PROJECT_ROOT
+  const out = []
+
+  listScriptFiles_(dir).forEach(file => {
+    const lines = fs.readFileSync(path.join(dir, file), 'utf8').split(/\r?\n/)
+    let inBlockComment = false
+
+    lines.forEach((text, i) => {
+      if (inBlockComment) {
+        if (text.includes('*/')) inBlockComment = false
+        return
+      }
+      if (text.startsWith('/*') && !text.includes('*/')) {
+        inBlockComment = true
+        return
+      }
+
+      const m = text.match(GLOBALS_CFG.DECL_RE)
+      if (!m) return
+      out.push({ name: m[2], kind: m[1].replace('*', ''), file, line: i + 1 })
+    })
+  })
+
+  return out
+}
+
+/** Returns { [name]: [decl, ...] } for names declared more than once. */
+function findCollisions(root) {
+  const byName = {}
+  scanDeclarations(root).forEach(d => {
+    if (!byName[d.name]) byName[d.name] = []
+    byName[d.name].push(d)
+  })
+
+  const collisions = {}
+  Object.keys(byName).sort().forEach(name => {
+    if (byName[name].length > 1) collisions[name] = byName[name]
+  })
+  return collisions
+}
+
+function main() {
+  const collisions = findCollisions()
+  const names = Object.keys(collisions)
+
+  if (!names.length) {
+    console.log('No global name collisions.')
+    return 0
+  }
+
+  console.error(`Found ${names.length} global name collision(s):`)
+  names.forEach(name => {
+    console.error(`  ${name}`)
+    collisions[name].forEach(d => console.error(`    ${d.kind} in ${d.file}:${d.line}`))
+  })
+  console.error('Move shared helpers into Shared Utilities.js or give file-local ones the file prefix.')
+  return 1
+}
+
+if (require.main === module) {
+  process.exitCode = main()
+}
+
+module.exports = {
+  scanDeclarations,
+  findCollisions
+}
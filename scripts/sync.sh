@@ -13,6 +13,9 @@ if [ ! -f ".clasp.json" ]; then
   exit 1
 fi
 
+echo "==> Checking for global name collisions..."
+node scripts/check_globals.js
+
 echo "==> Pushing to Google Apps Script..."
 clasp push
 